@@ -7,7 +7,7 @@ import { Login } from './components/Login';
 import { Onboarding } from './components/Onboarding';
 import { useRaceEntries } from './hooks/useRaceEntries';
 import { useAuth } from './contexts/AuthContext';
-import { firestoreDb } from './lib/firestoreDb';
+import { syncManager } from './lib/syncManager';
 import { trackPageView, trackLogout } from './lib/analytics';
 
 function App() {
@@ -16,6 +16,7 @@ function App() {
   const { addEntry, updateEntry, refreshEntries } = useRaceEntries();
   const [currentView, setCurrentView] = useState('home');
   const [selectedEntryId, setSelectedEntryId] = useState(null);
+  const [markFinished, setMarkFinished] = useState(false);
   const [showLogin, setShowLogin] = useState(false);
   const [refreshKey, setRefreshKey] = useState(0);
   const [onboardingStatus, setOnboardingStatus] = useState(null); // null = checking, true = completed, false = not completed
@@ -35,7 +36,7 @@ function App() {
       }
 
       try {
-        const profile = await firestoreDb.getUserProfile(currentUser.uid);
+        const profile = await syncManager.getUserProfile(currentUser.uid);
         if (profile && profile.onboardingCompleted) {
           setOnboardingStatus(true);
         } else {
@@ -66,6 +67,7 @@ function App() {
 
   const handleAddRace = () => {
     setSelectedEntryId(null);
+    setMarkFinished(false);
     setCurrentView('form');
   };
 
@@ -78,6 +80,14 @@ function App() {
     // Set the entry ID and switch to form view
     // This will automatically "close" the detail view since only one overlay shows at a time
     setSelectedEntryId(entryId);
+    setMarkFinished(false);
+    setCurrentView('form');
+  };
+
+  const handleMarkFinished = (entryId) => {
+    // Open the form for an upcoming race, pre-set to finished so results and photos can be added
+    setSelectedEntryId(entryId);
+    setMarkFinished(true);
     setCurrentView('form');
   };
 
@@ -86,6 +96,7 @@ function App() {
     setRefreshKey(prev => prev + 1);
     setCurrentView('home');
     setSelectedEntryId(null);
+    setMarkFinished(false);
   };
 
   const handleCloseDetail = async () => {
@@ -152,6 +163,7 @@ function App() {
                     key={refreshKey}
                     onAddRace={handleAddRace}
                     onViewRace={handleViewRace}
+                    onMarkFinished={handleMarkFinished}
                     currentUser={currentUser}
                     onLogout={handleLogout}
                   />
@@ -160,6 +172,7 @@ function App() {
                   {currentView === 'form' && (
                     <RaceForm
                       entryId={selectedEntryId}
+                      markFinished={markFinished}
                       onClose={handleCloseForm}
                       onSave={handleSaveRace}
                     />
@@ -171,7 +184,9 @@ function App() {
                       entryId={selectedEntryId}
                       onClose={handleCloseDetail}
                       onEdit={handleEditRace}
+                      onMarkFinished={handleMarkFinished}
                       onDelete={handleDeleteEntry}
+                      onViewRace={handleViewRace}
                       isPublicView={false}
                     />
                   )}
@@ -273,6 +288,7 @@ function PublicHomeWrapper() {
           onClose={handleCloseDetail}
           onEdit={handleEditRace}
           onDelete={handleDeleteEntry}
+          onViewRace={handleViewRace}
           isPublicView={!!username}
         />
       )}
@@ -0,0 +1,171 @@
+import { Award } from 'lucide-react';
+import { formatDate } from '../lib/dateUtils';
+import { formatDuration } from '../lib/statsUtils';
+import { AGE_GRADE_LEVELS, getAgeGradeGender, formatAgeGrade } from '../lib/ageGrading';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 12, right: 12, bottom: 20, left: 44 };
+
+/**
+ * Small age-grade tag shown on race cards
+ */
+export function AgeGradeBadge({ grade }) {
+  if (!grade) return null;
+  return (
+    <span
+      className="bg-purple-200 text-purple-800 text-[10px] font-bold px-1.5 py-0.5 rounded flex-shrink-0 tabular-nums"
+      title={`Age-graded ${grade.level}`}
+    >
+      {formatAgeGrade(grade.percent)}
+    </span>
+  );
+}
+
+/**
+ * Age-grade percentage over time, with the performance level boundaries as guides
+ */
+function AgeGradeChart({ history, onViewRace }) {
+  if (history.length < 2) return null;
+
+  const times = history.map(result => result.date.getTime());
+  const percents = history.map(result => result.percent);
+  const minTime = Math.min(...times);
+  const timeRange = Math.max(Math.max(...times) - minTime, 1);
+  const floor = Math.floor((Math.min(...percents) - 2) / 5) * 5;
+  const ceiling = Math.ceil((Math.max(...percents) + 2) / 5) * 5;
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = (time) => CHART_PADDING.left + ((time - minTime) / timeRange) * plotWidth;
+  const y = (percent) => CHART_PADDING.top + (1 - (percent - floor) / (ceiling - floor)) * plotHeight;
+
+  const path = history
+    .map((result, index) => `${index === 0 ? 'M' : 'L'}${x(result.date.getTime()).toFixed(1)},${y(result.percent).toFixed(1)}`)
+    .join(' ');
+  const levels = AGE_GRADE_LEVELS.filter(level => level.min > floor && level.min < ceiling);
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto select-none">
+      {/* Level boundaries */}
+      {levels.map(level => (
+        <g key={level.label}>
+          <line
+            x1={CHART_PADDING.left}
+            x2={CHART_WIDTH - CHART_PADDING.right}
+            y1={y(level.min)}
+            y2={y(level.min)}
+            stroke="#d1d5db"
+            strokeDasharray="4 4"
+          />
+          <text x={CHART_WIDTH - CHART_PADDING.right} y={y(level.min) - 4} textAnchor="end" fontSize="10" fill="#9ca3af">
+            {level.label}
+          </text>
+        </g>
+      ))}
+
+      <path d={path} fill="none" stroke="#000000" strokeWidth={1.5} />
+      {history.map(result => (
+        <circle
+          key={result.entryId}
+          cx={x(result.date.getTime())}
+          cy={y(result.percent)}
+          r={4}
+          fill="#c084fc"
+          stroke="#000000"
+          strokeWidth={1}
+          className="cursor-pointer"
+          onClick={() => onViewRace(result.entryId)}
+        >
+          <title>{`${result.raceName} - ${formatAgeGrade(result.percent)}`}</title>
+        </circle>
+      ))}
+
+      {/* Axis labels */}
+      <text x={CHART_PADDING.left - 6} y={y(ceiling) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{ceiling}%</text>
+      <text x={CHART_PADDING.left - 6} y={y(floor) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{floor}%</text>
+      <text x={CHART_PADDING.left} y={CHART_HEIGHT - 6} fontSize="10" fill="#6b7280">
+        {formatDate(history[0].date, 'MMM yyyy')}
+      </text>
+      <text x={CHART_WIDTH - CHART_PADDING.right} y={CHART_HEIGHT - 6} textAnchor="end" fontSize="10" fill="#6b7280">
+        {formatDate(history[history.length - 1].date, 'MMM yyyy')}
+      </text>
+    </svg>
+  );
+}
+
+/**
+ * Age-graded results - best grade, grade over time and every graded race.
+ * Owners without a birthday or gender on their profile are told what to add.
+ */
+export function AgeGrading({ ageGrades, profile, onViewRace, isOwner }) {
+  const missingProfile = !profile?.birthday || !getAgeGradeGender(profile);
+
+  if (ageGrades.history.length === 0) {
+    if (!isOwner || !missingProfile) return null;
+    return (
+      <div className="mt-12 text-center py-8">
+        <p className="text-gray-500">No age grades yet.</p>
+        <p className="text-sm text-gray-400 mt-1">
+          Add your birthday and a gender of male or female to your profile to age-grade your road races.
+        </p>
+      </div>
+    );
+  }
+
+  const { best } = ageGrades;
+  const bestGrade = ageGrades.byEntry[best.entryId];
+
+  return (
+    <div className="mt-12 bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">Age Grading</h2>
+        <div className="flex-1 border-t border-gray-300"></div>
+      </div>
+
+      {/* Best age grade - Sticky note style */}
+      <button
+        onClick={() => onViewRace(best.entryId)}
+        className="w-full sm:w-auto text-left bg-purple-200/70 rounded-lg p-4 shadow-sm transform rotate-[-1deg] hover:rotate-0 transition-transform mb-4"
+      >
+        <div className="flex items-center gap-2 text-purple-700 mb-2">
+          <Award className="w-4 h-4" />
+          <div className="text-xs font-medium uppercase tracking-wide">Best Age Grade</div>
+        </div>
+        <div className="font-bold text-2xl text-gray-900">{formatAgeGrade(best.percent)}</div>
+        <div className="text-sm text-gray-600">
+          {bestGrade.level} • {best.raceName} • {formatDate(best.date, 'MMM d, yyyy')}
+        </div>
+      </button>
+
+      <AgeGradeChart history={ageGrades.history} onViewRace={onViewRace} />
+
+      {/* Graded races, newest first */}
+      <ol className="mt-4 space-y-2">
+        {[...ageGrades.history].reverse().map(result => {
+          const grade = ageGrades.byEntry[result.entryId];
+          return (
+            <li key={result.entryId}>
+              <button
+                onClick={() => onViewRace(result.entryId)}
+                className="w-full flex items-center gap-3 text-sm text-left hover:bg-gray-50 rounded px-2 py-1 transition-colors"
+              >
+                <span className="w-20 text-gray-400 text-xs">{formatDate(result.date, 'MMM yyyy')}</span>
+                <span className="flex-1 text-gray-700 truncate">{result.raceName}</span>
+                <span className="hidden sm:inline text-xs text-gray-400">age {grade.age}</span>
+                <span className="w-20 text-right text-xs text-gray-500 tabular-nums" title="Open-class equivalent time">
+                  {formatDuration(grade.equivalentSeconds)}
+                </span>
+                <span className="w-14 text-right font-semibold text-gray-900 tabular-nums">{formatAgeGrade(result.percent)}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+
+      <p className="mt-4 text-xs text-gray-400">
+        Grades are estimates from approximate age factors, not the official WMA tables.
+      </p>
+    </div>
+  );
+}
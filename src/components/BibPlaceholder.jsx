@@ -0,0 +1,64 @@
+import { formatDate } from '../lib/dateUtils';
+import { getRaceTypeDisplay } from '../lib/raceUtils';
+
+const BAND_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2'];
+
+/**
+ * Turn an entry ID into a stable number for picking colors and bib numbers
+ */
+function getSeed(value) {
+  const str = String(value || '');
+  let seed = 0;
+  for (let i = 0; i < str.length; i++) {
+    seed = ((seed << 5) - seed) + str.charCodeAt(i);
+    seed = seed & seed;
+  }
+  return Math.abs(seed);
+}
+
+/**
+ * Generated paper bib shown for entries without a bib photo (e.g. imported from a spreadsheet)
+ */
+export function BibPlaceholder({ entry, size = 'lg', className = '' }) {
+  const seed = getSeed(entry.id || entry.raceName);
+  const bandColor = BAND_COLORS[seed % BAND_COLORS.length];
+  const bibNumber = entry.bibNumber || String(seed % 9000 + 1000);
+  const isSmall = size === 'sm';
+  const pinClass = `absolute rounded-full bg-gray-300 border border-gray-400 ${isSmall ? 'w-1 h-1' : 'w-2 h-2'}`;
+
+  return (
+    <div
+      className={`relative w-full bg-white rounded-lg overflow-hidden flex flex-col border border-gray-200 ${className}`}
+      style={{ aspectRatio: '4/3' }}
+    >
+      {/* Safety pin holes */}
+      <span className={`${pinClass} top-1.5 left-1.5`}></span>
+      <span className={`${pinClass} top-1.5 right-1.5`}></span>
+      <span className={`${pinClass} bottom-1.5 left-1.5`}></span>
+      <span className={`${pinClass} bottom-1.5 right-1.5`}></span>
+
+      {/* Race name band */}
+      <div
+        className={`text-white text-center font-semibold uppercase tracking-wide truncate ${isSmall ? 'text-[8px] px-2 py-0.5' : 'text-sm px-6 py-2'}`}
+        style={{ backgroundColor: bandColor }}
+      >
+        {entry.raceName || 'Race'}
+      </div>
+
+      {/* Bib number */}
+      <div className="flex-1 flex items-center justify-center">
+        <span className={`font-black text-gray-900 tabular-nums ${isSmall ? 'text-xl' : 'text-6xl'}`}>
+          {bibNumber}
+        </span>
+      </div>
+
+      {/* Distance and date */}
+      <div
+        className={`flex items-center justify-between text-gray-500 uppercase ${isSmall ? 'text-[7px] px-2 pb-1' : 'text-xs px-6 pb-3'}`}
+      >
+        <span className="truncate">{getRaceTypeDisplay(entry)}</span>
+        <span style={{ color: bandColor }}>{formatDate(entry.date, 'yyyy')}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import { useState, useMemo } from 'react';
+import { addMonths, startOfMonth, format } from 'date-fns';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { BibPlaceholder } from './BibPlaceholder';
+import { getBibImageSrc } from '../lib/raceUtils';
+import { groupEntriesByDay, getCalendarYears, getDefaultCalendarMonth, buildYearHeatmap, buildMonthGrid } from '../lib/calendarUtils';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Heatmap cell colors by the number of races that day - 3 or more share the darkest
+const HEATMAP_COLORS = ['bg-gray-100', 'bg-green-300', 'bg-green-500', 'bg-green-700'];
+
+// Heatmap cell size plus gap in pixels, for placing the month labels
+const HEATMAP_CELL = 15;
+
+function getHeatmapColor(count) {
+  return HEATMAP_COLORS[Math.min(count, HEATMAP_COLORS.length - 1)];
+}
+
+/**
+ * Small bib thumbnail for a calendar day
+ */
+function CalendarRace({ entry, selected, onViewRace }) {
+  const bibImageSrc = getBibImageSrc(entry);
+
+  return (
+    <button
+      onClick={() => onViewRace(entry.id)}
+      title={entry.raceName}
+      className={`block w-full rounded transition-transform hover:scale-105 ${selected ? 'ring-2 ring-black' : ''}`}
+    >
+      {bibImageSrc ? (
+        <img src={bibImageSrc} alt={`Bib for ${entry.raceName}`} className="w-full aspect-[4/3] object-contain" loading="lazy" />
+      ) : (
+        <BibPlaceholder entry={entry} size="sm" />
+      )}
+    </button>
+  );
+}
+
+/**
+ * Calendar view - a year heatmap of race days above a month grid with the races on their dates
+ */
+export function CalendarView({ entries, selectedIds = [], onViewRace }) {
+  const entriesByDay = useMemo(() => groupEntriesByDay(entries), [entries]);
+  const [month, setMonth] = useState(() => getDefaultCalendarMonth(entriesByDay));
+  const year = month.getFullYear();
+
+  const years = useMemo(() => {
+    const withRaces = getCalendarYears(entriesByDay);
+    return withRaces.includes(year) ? withRaces : [...withRaces, year].sort((a, b) => b - a);
+  }, [entriesByDay, year]);
+  const heatmap = useMemo(() => buildYearHeatmap(entriesByDay, year), [entriesByDay, year]);
+  const weeks = useMemo(() => buildMonthGrid(entriesByDay, month), [entriesByDay, month]);
+  const yearRaceCount = heatmap.weeks.flat().reduce((sum, day) => sum + day.count, 0);
+
+  // Switching year opens its latest month with a race
+  const handleYearChange = (value) => {
+    const nextYear = Number(value);
+    const latest = Object.keys(entriesByDay).filter(key => key.startsWith(`${nextYear}-`)).sort().pop();
+    setMonth(latest ? startOfMonth(new Date(nextYear, Number(latest.slice(5, 7)) - 1, 1)) : new Date(nextYear, 0, 1));
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Year heatmap */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between gap-4 mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">
+            {yearRaceCount} race{yearRaceCount === 1 ? '' : 's'} in {year}
+          </h2>
+          <select
+            value={year}
+            onChange={(e) => handleYearChange(e.target.value)}
+            aria-label="Year"
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-black focus:border-transparent"
+          >
+            {years.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </div>
+        <div className="overflow-x-auto pb-2">
+          <div className="inline-block">
+            <div className="relative h-5 text-xs text-gray-500">
+              {heatmap.months.map(({ label, week }) => (
+                <span key={label} className="absolute" style={{ left: week * HEATMAP_CELL }}>{label}</span>
+              ))}
+            </div>
+            <div className="flex gap-[3px]">
+              {heatmap.weeks.map(week => (
+                <div key={week[0].key} className="flex flex-col gap-[3px]">
+                  {week.map(day => (
+                    day.count > 0 ? (
+                      <button
+                        key={day.key}
+                        onClick={() => setMonth(startOfMonth(day.date))}
+                        title={`${day.count} race${day.count === 1 ? '' : 's'} on ${format(day.date, 'MMM d, yyyy')}`}
+                        className={`w-3 h-3 rounded-sm ${getHeatmapColor(day.count)} hover:ring-2 hover:ring-black`}
+                      />
+                    ) : (
+                      <div
+                        key={day.key}
+                        title={day.inYear ? format(day.date, 'MMM d, yyyy') : undefined}
+                        className={`w-3 h-3 rounded-sm ${day.inYear ? getHeatmapColor(0) : 'bg-transparent'}`}
+                      />
+                    )
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="flex items-center justify-end gap-1 mt-2 text-xs text-gray-500">
+          Less
+          {HEATMAP_COLORS.map(color => (
+            <span key={color} className={`w-3 h-3 rounded-sm ${color}`}></span>
+          ))}
+          More
+        </div>
+      </div>
+
+      {/* Month grid */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between mb-4">
+          <button
+            onClick={() => setMonth(prev => addMonths(prev, -1))}
+            className="p-2 rounded-lg text-gray-600 hover:bg-gray-100 transition-colors"
+            aria-label="Previous month"
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <h2 className="text-lg font-semibold text-gray-900">{format(month, 'MMMM yyyy')}</h2>
+          <button
+            onClick={() => setMonth(prev => addMonths(prev, 1))}
+            className="p-2 rounded-lg text-gray-600 hover:bg-gray-100 transition-colors"
+            aria-label="Next month"
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="grid grid-cols-7 gap-px bg-gray-200 border border-gray-200 rounded-lg overflow-hidden">
+          {WEEKDAYS.map(weekday => (
+            <div key={weekday} className="bg-gray-50 py-2 text-center text-xs font-medium uppercase tracking-wide text-gray-500">
+              {weekday}
+            </div>
+          ))}
+          {weeks.flat().map(day => (
+            <div key={day.key} className={`min-h-[5rem] sm:min-h-[7rem] p-1.5 ${day.inMonth ? 'bg-white' : 'bg-gray-50'}`}>
+              <div className={`text-xs mb-1 ${day.inMonth ? 'text-gray-700' : 'text-gray-300'}`}>
+                {day.date.getDate()}
+              </div>
+              <div className="space-y-1">
+                {day.entries.map(entry => (
+                  <CalendarRace
+                    key={entry.id}
+                    entry={entry}
+                    selected={selectedIds.includes(entry.id)}
+                    onViewRace={onViewRace}
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,344 @@
+import { useState, useRef, useMemo } from 'react';
+import { Upload, X, CheckCircle, AlertCircle, Trash2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { RACE_DISTANCES, RACE_TYPES } from '../lib/raceUtils';
+import {
+  CSV_FIELDS,
+  parseCsv,
+  guessColumnMapping,
+  buildImportRows,
+  validateImportRow,
+  importCsvEntries,
+} from '../lib/csvImport';
+
+const STEPS = {
+  UPLOAD: 'upload',
+  MAP: 'map',
+  REVIEW: 'review',
+  DONE: 'done',
+};
+
+/**
+ * Modal for importing past races from a CSV export of a spreadsheet
+ * Upload -> map columns -> review and fix rows -> import
+ */
+export function CsvImportModal({ onClose, onImported }) {
+  const { currentUser } = useAuth();
+  const [step, setStep] = useState(STEPS.UPLOAD);
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const rowErrors = useMemo(() => rows.map(validateImportRow), [rows]);
+  const validRows = rows.filter((_, index) => Object.keys(rowErrors[index]).length === 0);
+  const invalidCount = rows.length - validRows.length;
+  const missingRequired = CSV_FIELDS.filter(field => field.required && !(mapping[field.key] >= 0));
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setError('');
+    try {
+      const parsed = parseCsv(await file.text());
+      if (parsed.length < 2) {
+        setError('The file needs a header row and at least one race.');
+        return;
+      }
+      setFileName(file.name);
+      setHeaders(parsed[0]);
+      setDataRows(parsed.slice(1));
+      setMapping(guessColumnMapping(parsed[0]));
+      setStep(STEPS.MAP);
+    } catch (err) {
+      console.error('Failed to read CSV:', err);
+      setError('Failed to read file. Make sure it is a CSV export.');
+    }
+  };
+
+  const handleReview = () => {
+    setRows(buildImportRows(dataRows, mapping));
+    setStep(STEPS.REVIEW);
+  };
+
+  const updateRow = (rowId, field, value) => {
+    setRows(prev => prev.map(row => (row.rowId === rowId ? { ...row, [field]: value } : row)));
+  };
+
+  const removeRow = (rowId) => {
+    setRows(prev => prev.filter(row => row.rowId !== rowId));
+  };
+
+  const handleImport = async () => {
+    if (validRows.length === 0) return;
+    if (!navigator.onLine) {
+      setError('You need to be online to import races.');
+      return;
+    }
+
+    setImporting(true);
+    setError('');
+    try {
+      const importResult = await importCsvEntries(currentUser.uid, validRows, setProgress);
+      setResult(importResult);
+      setStep(STEPS.DONE);
+      if (onImported) {
+        await onImported(importResult);
+      }
+    } catch (err) {
+      console.error('Failed to import races:', err);
+      setError(err.message || 'Failed to import races.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const cellClass = (hasError) =>
+    `w-full px-2 py-1 text-sm border rounded focus:outline-none focus:ring-1 ${
+      hasError ? 'border-red-400 bg-red-50 focus:ring-red-400' : 'border-gray-200 focus:ring-black'
+    }`;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4"
+      onClick={() => !importing && onClose()}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl w-full p-6 max-h-[90vh] flex flex-col ${
+          step === STEPS.REVIEW ? 'max-w-6xl' : 'max-w-lg'
+        }`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Import Races from CSV</h2>
+          <button
+            onClick={onClose}
+            disabled={importing}
+            className="text-gray-400 hover:text-gray-600 transition-colors disabled:opacity-50"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Step 1: Choose file */}
+        {step === STEPS.UPLOAD && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Export your race history from Excel, Numbers or Google Sheets as a <span className="font-medium">.csv</span> file.
+              Include a header row; columns like Race, Distance, Date, Location and Time are matched automatically.
+            </p>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.tsv,text/csv"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="w-full border-2 border-dashed border-gray-300 rounded-lg p-4 text-sm text-gray-600 hover:border-gray-400 hover:bg-gray-50 transition-colors flex items-center justify-center gap-2"
+            >
+              <Upload className="w-4 h-4" />
+              Choose CSV file
+            </button>
+          </div>
+        )}
+
+        {/* Step 2: Map columns */}
+        {step === STEPS.MAP && (
+          <div className="space-y-4 overflow-y-auto">
+            <p className="text-sm text-gray-600">
+              <span className="font-medium">{fileName}</span> has {dataRows.length} {dataRows.length === 1 ? 'row' : 'rows'}.
+              Check which column holds each field.
+            </p>
+            <div className="space-y-2">
+              {CSV_FIELDS.map(field => (
+                <div key={field.key} className="flex items-center gap-3">
+                  <label className="w-44 text-sm text-gray-700 flex-shrink-0">
+                    {field.label} {field.required && <span className="text-red-500">*</span>}
+                  </label>
+                  <select
+                    value={mapping[field.key] ?? -1}
+                    onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: Number(e.target.value) }))}
+                    className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black"
+                  >
+                    <option value={-1}>Not in file</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={index}>
+                        {header || `Column ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            {missingRequired.length > 0 && (
+              <p className="text-xs text-gray-500">
+                Unmapped required fields ({missingRequired.map(f => f.label).join(', ')}) can be filled in on the next step.
+              </p>
+            )}
+            <div className="flex gap-3">
+              <button
+                onClick={() => setStep(STEPS.UPLOAD)}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleReview}
+                className="flex-1 px-4 py-2 bg-black text-white rounded-lg hover:bg-zinc-900 transition-colors text-sm font-medium"
+              >
+                Review rows
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Step 3: Preview and fix */}
+        {step === STEPS.REVIEW && (
+          <>
+            <p className="text-sm text-gray-600 mb-3">
+              {validRows.length} of {rows.length} {rows.length === 1 ? 'race is' : 'races are'} ready.
+              {invalidCount > 0 && ' Fix the highlighted cells or remove those rows - rows with errors are not imported.'}
+              {' '}Imported races get a generated bib until you add a photo.
+            </p>
+            <div className="flex-1 overflow-auto border border-gray-200 rounded-lg">
+              <table className="min-w-full text-left">
+                <thead className="bg-gray-50 sticky top-0 z-10">
+                  <tr>
+                    {CSV_FIELDS.map(field => (
+                      <th key={field.key} className="px-2 py-2 text-xs font-medium text-gray-500 uppercase tracking-wide whitespace-nowrap">
+                        {field.label}
+                      </th>
+                    ))}
+                    <th className="px-2 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, index) => {
+                    const errors = rowErrors[index];
+                    return (
+                      <tr key={row.rowId} className="border-t border-gray-100">
+                        {CSV_FIELDS.map(field => (
+                          <td key={field.key} className="px-1 py-1 align-top min-w-[7rem]" title={errors[field.key] || ''}>
+                            {field.key === 'raceDistance' || field.key === 'raceType' ? (
+                              <select
+                                value={row[field.key]}
+                                onChange={(e) => updateRow(row.rowId, field.key, e.target.value)}
+                                className={cellClass(!!errors[field.key])}
+                              >
+                                {!(field.key === 'raceDistance' ? RACE_DISTANCES : RACE_TYPES).includes(row[field.key]) && (
+                                  <option value={row[field.key]}>{row[field.key] || 'Select...'}</option>
+                                )}
+                                {(field.key === 'raceDistance' ? RACE_DISTANCES : RACE_TYPES).map(option => (
+                                  <option key={option} value={option}>{option}</option>
+                                ))}
+                              </select>
+                            ) : (
+                              <input
+                                type="text"
+                                value={row[field.key]}
+                                onChange={(e) => updateRow(row.rowId, field.key, e.target.value)}
+                                placeholder={field.key === 'date' ? 'YYYY-MM-DD' : field.key === 'finishTime' ? 'H:MM:SS' : ''}
+                                className={cellClass(!!errors[field.key])}
+                              />
+                            )}
+                            {errors[field.key] && (
+                              <p className="text-[10px] text-red-600 mt-0.5 leading-tight">{errors[field.key]}</p>
+                            )}
+                          </td>
+                        ))}
+                        <td className="px-1 py-1 align-top">
+                          <button
+                            onClick={() => removeRow(row.rowId)}
+                            className="p-1.5 text-gray-400 hover:text-red-600 transition-colors"
+                            aria-label="Remove row"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {importing && progress && (
+              <div className="mt-3 space-y-1">
+                <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
+                  <div
+                    className="bg-black h-2 transition-all"
+                    style={{ width: `${progress.total ? (progress.current / progress.total) * 100 : 0}%` }}
+                  />
+                </div>
+                <p className="text-xs text-gray-500">Importing {Math.min(progress.current + 1, progress.total)} of {progress.total}...</p>
+              </div>
+            )}
+
+            <div className="flex gap-3 mt-4">
+              <button
+                onClick={() => setStep(STEPS.MAP)}
+                disabled={importing}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium disabled:opacity-50"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={importing || validRows.length === 0}
+                className="flex-1 px-4 py-2 bg-black text-white rounded-lg hover:bg-zinc-900 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {importing
+                  ? 'Importing...'
+                  : `Import ${validRows.length} ${validRows.length === 1 ? 'race' : 'races'}`}
+              </button>
+            </div>
+          </>
+        )}
+
+        {/* Step 4: Summary */}
+        {step === STEPS.DONE && result && (
+          <div className="space-y-4">
+            <div className="flex items-start gap-3">
+              <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0 mt-0.5" />
+              <p className="text-sm text-gray-700">
+                Imported {result.imported} {result.imported === 1 ? 'race' : 'races'}.
+              </p>
+            </div>
+            {result.failed.length > 0 && (
+              <div className="flex items-start gap-3">
+                <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
+                <div className="text-sm text-gray-700">
+                  <p className="mb-1">{result.failed.length} could not be imported:</p>
+                  <ul className="list-disc pl-5 text-gray-500">
+                    {result.failed.map((failure, index) => (
+                      <li key={index}>{failure.raceName || 'Untitled race'} - {failure.error}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
+            <button
+              onClick={onClose}
+              className="w-full px-4 py-2 bg-black text-white rounded-lg hover:bg-zinc-900 transition-colors text-sm font-medium"
+            >
+              Done
+            </button>
+          </div>
+        )}
+
+        {error && (
+          <p className="text-sm text-red-600 mt-3">{error}</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,229 @@
+import { useMemo } from 'react';
+import { TrendingUp, TrendingDown, Mountain } from 'lucide-react';
+import { buildElevationProfile, summarizeElevation, findSteepestClimbs, downsampleProfile } from '../lib/elevationUtils';
+import { convertDistance, convertElevation, formatDistance, formatElevation, getDistanceUnit, getElevationUnit } from '../lib/units';
+import { useUnits } from '../hooks/useUnits';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 10, right: 10, bottom: 20, left: 44 };
+
+/**
+ * Colour a climb by how steep it is
+ */
+function getGradeColor(grade) {
+  if (grade >= 10) return '#dc2626';
+  if (grade >= 6) return '#f97316';
+  return '#facc15';
+}
+
+/**
+ * Elevation-vs-distance chart with gain/loss summary and the steepest climbs.
+ * Hovering the chart or a climb reports back so the map can show the position.
+ */
+export function ElevationProfile({ coordinates, hoveredDistance, onHoverDistance, hoveredClimb, onHoverClimb }) {
+  const { units } = useUnits();
+  const profile = useMemo(() => buildElevationProfile(coordinates), [coordinates]);
+  const summary = useMemo(() => summarizeElevation(profile), [profile]);
+  const climbs = useMemo(() => findSteepestClimbs(profile), [profile]);
+
+  const chart = useMemo(() => {
+    if (profile.length < 2 || !summary) return null;
+    const samples = downsampleProfile(profile);
+    const totalKm = profile[profile.length - 1].distance;
+    if (totalKm <= 0) return null;
+
+    // Keep a minimum vertical range so flat road races don't look mountainous
+    const range = Math.max(summary.max - summary.min, 30);
+    const floor = summary.min - range * 0.1;
+    const ceiling = floor + range * 1.2;
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const baseline = CHART_PADDING.top + plotHeight;
+
+    const x = (km) => CHART_PADDING.left + (km / totalKm) * plotWidth;
+    const y = (elevation) => CHART_PADDING.top + (1 - (elevation - floor) / (ceiling - floor)) * plotHeight;
+
+    const toPath = (points) => points
+      .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.distance).toFixed(1)},${y(point.elevation).toFixed(1)}`)
+      .join(' ');
+
+    const linePath = toPath(samples);
+    const areaPath = `${linePath} L${x(totalKm).toFixed(1)},${baseline} L${x(0).toFixed(1)},${baseline} Z`;
+
+    // Each climb drawn as its own filled band over the profile
+    const climbAreas = climbs.map((climb) => {
+      const points = profile.filter(point => point.distance >= climb.startDistance && point.distance <= climb.endDistance);
+      const climbPath = toPath(downsampleProfile(points, 100));
+      return {
+        climb,
+        path: `${climbPath} L${x(climb.endDistance).toFixed(1)},${baseline} L${x(climb.startDistance).toFixed(1)},${baseline} Z`,
+      };
+    });
+
+    return { totalKm, floor, ceiling, plotWidth, baseline, x, y, linePath, areaPath, climbAreas };
+  }, [profile, summary, climbs]);
+
+  // Elevation under the crosshair
+  const hoveredElevation = useMemo(() => {
+    if (hoveredDistance === null || hoveredDistance === undefined || profile.length === 0) return null;
+    const point = profile.find(p => p.distance >= hoveredDistance) || profile[profile.length - 1];
+    return point.elevation;
+  }, [hoveredDistance, profile]);
+
+  if (!chart) return null;
+
+  const handleChartMove = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const svgX = ((event.clientX - rect.left) / rect.width) * CHART_WIDTH;
+    const km = ((svgX - CHART_PADDING.left) / chart.plotWidth) * chart.totalKm;
+    onHoverDistance?.(km >= 0 && km <= chart.totalKm ? km : null);
+  };
+
+  const showCrosshair = hoveredDistance !== null && hoveredDistance !== undefined && hoveredDistance <= chart.totalKm;
+
+  return (
+    <div className="mt-8 space-y-6">
+      <div className="flex items-center gap-3">
+        <h2 className="text-lg font-semibold text-gray-900">Elevation</h2>
+        <div className="flex-1 border-t border-gray-300"></div>
+      </div>
+
+      {/* Summary - Sticky note style cards */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="bg-green-200/70 rounded-lg p-4 shadow-sm transform rotate-[-1.5deg] hover:rotate-0 transition-transform">
+          <div className="flex items-center gap-2 text-green-700 mb-2">
+            <TrendingUp className="w-4 h-4" />
+            <div className="text-xs font-medium uppercase tracking-wide">Gain</div>
+          </div>
+          <div className="font-bold text-lg text-gray-900">{formatElevation(summary.gain, units)}</div>
+        </div>
+
+        <div className="bg-blue-200/70 rounded-lg p-4 shadow-sm transform rotate-[1.5deg] hover:rotate-0 transition-transform">
+          <div className="flex items-center gap-2 text-blue-700 mb-2">
+            <TrendingDown className="w-4 h-4" />
+            <div className="text-xs font-medium uppercase tracking-wide">Loss</div>
+          </div>
+          <div className="font-bold text-lg text-gray-900">{formatElevation(summary.loss, units)}</div>
+        </div>
+
+        <div className="bg-gray-200 rounded-lg p-4 shadow-sm transform rotate-[-1deg] hover:rotate-0 transition-transform">
+          <div className="flex items-center gap-2 text-gray-700 mb-2">
+            <Mountain className="w-4 h-4" />
+            <div className="text-xs font-medium uppercase tracking-wide">Range</div>
+          </div>
+          <div className="font-bold text-lg text-gray-900">
+            {convertElevation(summary.min, units).toFixed(0)}–{formatElevation(summary.max, units)}
+          </div>
+        </div>
+      </div>
+
+      {/* Elevation vs distance chart */}
+      <div className="bg-white rounded-lg p-4 shadow-sm">
+        <div className="flex items-center justify-between text-xs font-medium uppercase tracking-wide text-gray-500 mb-2">
+          <span>Elevation ({getElevationUnit(units)})</span>
+          {showCrosshair && hoveredElevation !== null && (
+            <span className="normal-case tracking-normal text-gray-700 tabular-nums">
+              {formatDistance(hoveredDistance, units, 2)} · {formatElevation(hoveredElevation, units)}
+            </span>
+          )}
+        </div>
+        <svg
+          viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+          className="w-full h-auto select-none"
+          onMouseMove={handleChartMove}
+          onMouseLeave={() => onHoverDistance?.(null)}
+        >
+          <path d={chart.areaPath} fill="#e5e7eb" />
+
+          {/* Steepest climbs */}
+          {chart.climbAreas.map(({ climb, path }) => (
+            <path
+              key={climb.number}
+              d={path}
+              fill={getGradeColor(climb.grade)}
+              fillOpacity={hoveredClimb?.number === climb.number ? 0.9 : 0.5}
+            />
+          ))}
+
+          <path d={chart.linePath} fill="none" stroke="#000000" strokeWidth={1.5} />
+
+          {/* Climb numbers */}
+          {climbs.map(climb => (
+            <text
+              key={`label-${climb.number}`}
+              x={chart.x((climb.startDistance + climb.endDistance) / 2)}
+              y={chart.y(profile.find(p => p.distance >= climb.endDistance)?.elevation ?? chart.ceiling) - 6}
+              textAnchor="middle"
+              fontSize="10"
+              fontWeight="bold"
+              fill="#111827"
+            >
+              {climb.number}
+            </text>
+          ))}
+
+          {/* Crosshair */}
+          {showCrosshair && (
+            <line
+              x1={chart.x(hoveredDistance)}
+              x2={chart.x(hoveredDistance)}
+              y1={CHART_PADDING.top}
+              y2={chart.baseline}
+              stroke="#f97316"
+              strokeWidth={1.5}
+            />
+          )}
+          {showCrosshair && hoveredElevation !== null && (
+            <circle cx={chart.x(hoveredDistance)} cy={chart.y(hoveredElevation)} r={4} fill="#f97316" stroke="#ffffff" strokeWidth={1.5} />
+          )}
+
+          {/* Axis labels */}
+          <text x={CHART_PADDING.left - 6} y={chart.y(summary.max) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+            {convertElevation(summary.max, units).toFixed(0)}
+          </text>
+          <text x={CHART_PADDING.left - 6} y={chart.y(summary.min) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+            {convertElevation(summary.min, units).toFixed(0)}
+          </text>
+          <text x={CHART_PADDING.left} y={CHART_HEIGHT - 6} fontSize="10" fill="#6b7280">0 {getDistanceUnit(units)}</text>
+          <text x={CHART_WIDTH - CHART_PADDING.right} y={CHART_HEIGHT - 6} textAnchor="end" fontSize="10" fill="#6b7280">
+            {formatDistance(chart.totalKm, units)}
+          </text>
+        </svg>
+      </div>
+
+      {/* Steepest climbs list */}
+      {climbs.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+          <div className="px-4 py-2 bg-gray-50 text-xs uppercase tracking-wide text-gray-500 font-medium">
+            Steepest Climbs
+          </div>
+          {climbs.map(climb => (
+            <div
+              key={climb.number}
+              onMouseEnter={() => onHoverClimb?.(climb)}
+              onMouseLeave={() => onHoverClimb?.(null)}
+              className={`flex items-center gap-3 px-4 py-2 border-t border-gray-100 text-sm transition-colors ${
+                hoveredClimb?.number === climb.number ? 'bg-orange-50' : ''
+              }`}
+            >
+              <span
+                className="w-6 h-6 rounded-full flex items-center justify-center text-xs font-bold text-gray-900"
+                style={{ backgroundColor: getGradeColor(climb.grade) }}
+              >
+                {climb.number}
+              </span>
+              <span className="text-gray-700 tabular-nums">
+                {getDistanceUnit(units)} {convertDistance(climb.startDistance, units).toFixed(1)}–{convertDistance(climb.endDistance, units).toFixed(1)}
+              </span>
+              <span className="flex-1"></span>
+              <span className="text-gray-500 tabular-nums">{formatElevation(climb.length * 1000, units)} long</span>
+              <span className="text-gray-500 tabular-nums">+{formatElevation(climb.gain, units)}</span>
+              <span className="font-semibold text-gray-900 tabular-nums w-14 text-right">{climb.grade.toFixed(1)}%</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
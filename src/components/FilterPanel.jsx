@@ -0,0 +1,180 @@
+/**
+ * One option of a facet, with how many races picking it would show
+ */
+function FacetOption({ label, count, selected, onClick }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={!selected && count === 0}
+      className={`px-3 py-1 rounded-lg border text-sm transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+        selected ? 'bg-black text-white border-black' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+      }`}
+    >
+      {label}
+      <span className={`ml-1.5 text-xs tabular-nums ${selected ? 'text-gray-300' : 'text-gray-400'}`}>{count}</span>
+    </button>
+  );
+}
+
+/**
+ * A labelled group of facet options - nothing when there are no options
+ */
+function FacetGroup({ title, options, selected, onToggle }) {
+  if (options.length === 0) return null;
+
+  return (
+    <div>
+      <h4 className="text-xs font-medium text-gray-500 mb-2">{title}</h4>
+      <div className="flex flex-wrap gap-2 max-h-32 overflow-y-auto">
+        {options.map(option => (
+          <FacetOption
+            key={option.value}
+            label={option.label}
+            count={option.count}
+            selected={selected.includes(option.value)}
+            onClick={() => onToggle(option.value)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Faceted filter panel for the journal
+ * @param {Object} counts - From getFacetCounts
+ * @param {Function} onToggle - (key, value) adds or removes a value of a list filter
+ * @param {Function} onChange - (partial) sets other filters
+ */
+export function FilterPanel({ filters, counts, onToggle, onChange }) {
+  const inputClassName = 'w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-black focus:border-transparent';
+  const hasLocations = counts.countries.length + counts.regions.length + counts.cities.length > 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mb-6 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+      {/* When */}
+      <div className="space-y-4">
+        <h3 className="text-sm font-medium uppercase tracking-wide text-gray-500">When</h3>
+        <FacetGroup title="Year" options={counts.years} selected={filters.years} onToggle={value => onToggle('years', value)} />
+        <div>
+          <h4 className="text-xs font-medium text-gray-500 mb-2">Date range</h4>
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => onChange({ from: e.target.value })}
+              aria-label="From date"
+              className={inputClassName}
+            />
+            <span className="text-gray-400 text-sm">to</span>
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => onChange({ to: e.target.value })}
+              aria-label="To date"
+              className={inputClassName}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Race */}
+      <div className="space-y-4">
+        <h3 className="text-sm font-medium uppercase tracking-wide text-gray-500">Race</h3>
+        <FacetGroup title="Distance" options={counts.types} selected={filters.types} onToggle={value => onToggle('types', value)} />
+        <FacetGroup title="Surface" options={counts.surfaces} selected={filters.surfaces} onToggle={value => onToggle('surfaces', value)} />
+        <FacetGroup title="Tags" options={counts.tags} selected={filters.tags} onToggle={value => onToggle('tags', value)} />
+      </div>
+
+      {/* Where */}
+      {hasLocations && (
+        <div className="space-y-4">
+          <h3 className="text-sm font-medium uppercase tracking-wide text-gray-500">Where</h3>
+          <FacetGroup title="Country" options={counts.countries} selected={filters.countries} onToggle={value => onToggle('countries', value)} />
+          <FacetGroup title="State / Region" options={counts.regions} selected={filters.regions} onToggle={value => onToggle('regions', value)} />
+          <FacetGroup title="City" options={counts.cities} selected={filters.cities} onToggle={value => onToggle('cities', value)} />
+        </div>
+      )}
+
+      {/* Photos, files and PRs */}
+      <div className="space-y-4">
+        <h3 className="text-sm font-medium uppercase tracking-wide text-gray-500">Has</h3>
+        <div className="flex flex-wrap gap-2">
+          {counts.media.map(option => (
+            <FacetOption
+              key={option.value}
+              label={option.label}
+              count={option.count}
+              selected={filters.media.includes(option.value)}
+              onClick={() => onToggle('media', option.value)}
+            />
+          ))}
+          <FacetOption
+            label="PR"
+            count={counts.prCount}
+            selected={filters.prOnly}
+            onClick={() => onChange({ prOnly: !filters.prOnly })}
+          />
+        </div>
+      </div>
+
+      {/* Results */}
+      <div className="space-y-4">
+        <h3 className="text-sm font-medium uppercase tracking-wide text-gray-500">Results</h3>
+        <div>
+          <h4 className="text-xs font-medium text-gray-500 mb-2">
+            Finish time <span className="text-gray-400 font-normal">· {counts.withTime} with a time</span>
+          </h4>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={filters.timeMin}
+              onChange={(e) => onChange({ timeMin: e.target.value })}
+              placeholder="HH:MM:SS"
+              aria-label="Fastest finish time"
+              className={inputClassName}
+            />
+            <span className="text-gray-400 text-sm">to</span>
+            <input
+              type="text"
+              value={filters.timeMax}
+              onChange={(e) => onChange({ timeMax: e.target.value })}
+              placeholder="HH:MM:SS"
+              aria-label="Slowest finish time"
+              className={inputClassName}
+            />
+          </div>
+        </div>
+        <div>
+          <h4 className="text-xs font-medium text-gray-500 mb-2">
+            Overall percentile (top %) <span className="text-gray-400 font-normal">· {counts.withPercent} with a place</span>
+          </h4>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={filters.percentMin}
+              onChange={(e) => onChange({ percentMin: e.target.value })}
+              placeholder="0"
+              aria-label="Top percent from"
+              className={inputClassName}
+            />
+            <span className="text-gray-400 text-sm">to</span>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={filters.percentMax}
+              onChange={(e) => onChange({ percentMax: e.target.value })}
+              placeholder="100"
+              aria-label="Top percent to"
+              className={inputClassName}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,430 @@
+import { useState, useEffect } from 'react';
+import { Footprints, Watch, Backpack, Waves, AlertCircle, Plus, Pencil, Trash2, X, ImagePlus, Trophy } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useUnits } from '../hooks/useUnits';
+import { firestoreDb } from '../lib/firestoreDb';
+import { resizeImage } from '../lib/imageProcessing';
+import { formatDate } from '../lib/dateUtils';
+import { formatDuration } from '../lib/statsUtils';
+import { formatDistance, convertDistance, getDistanceUnit, getUnitSystem } from '../lib/units';
+import { GEAR_TYPES, DEFAULT_SHOE_LIMIT_KM, createGearItem, getGearTypeLabel, getProfileGear } from '../lib/gearUtils';
+
+const GEAR_ICONS = {
+  shoes: Footprints,
+  watch: Watch,
+  pack: Backpack,
+  wetsuit: Waves,
+};
+
+/**
+ * Gear photo, or the type's icon when there isn't one
+ */
+function GearThumbnail({ item, className = 'w-12 h-12' }) {
+  const Icon = GEAR_ICONS[item.type] || Footprints;
+  if (item.photo) {
+    return <img src={item.photo} alt={item.name} className={`${className} rounded-lg object-cover flex-shrink-0`} />;
+  }
+  return (
+    <div className={`${className} rounded-lg bg-gray-100 flex items-center justify-center flex-shrink-0`}>
+      <Icon className="w-1/2 h-1/2 text-gray-400" />
+    </div>
+  );
+}
+
+/**
+ * Gear used in a race, for the race detail page
+ */
+export function RaceGear({ entry, profile }) {
+  const gear = getProfileGear(profile).filter(item => entry.gearIds?.includes(item.id));
+  if (gear.length === 0) return null;
+
+  return (
+    <div className="mt-6 max-w-xl mx-auto">
+      <h3 className="text-sm font-medium uppercase tracking-wide text-gray-500 mb-2">Gear</h3>
+      <div className="flex flex-wrap justify-center gap-3">
+        {gear.map(item => (
+          <div key={item.id} className="flex items-center gap-2 bg-white rounded-lg shadow-sm pl-1 pr-3 py-1">
+            <GearThumbnail item={item} className="w-8 h-8" />
+            <div className="text-left">
+              <div className="text-sm text-gray-900">{item.name}</div>
+              <div className="text-xs text-gray-400">{item.brand ? `${item.brand} • ` : ''}{getGearTypeLabel(item.type)}</div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Add or edit a gear item
+ */
+function GearEditModal({ item, onSave, onDelete, onClose }) {
+  const { currentUser } = useAuth();
+  const { units } = useUnits();
+  const lengthKm = getUnitSystem(units).lengthKm;
+  const [formData, setFormData] = useState(() => ({
+    type: item?.type || 'shoes',
+    name: item?.name || '',
+    brand: item?.brand || '',
+    photo: item?.photo ? { preview: item.photo } : null,
+    limit: item
+      ? (item.limitKm ? String(Math.round(convertDistance(item.limitKm, units))) : '')
+      : String(Math.round(convertDistance(DEFAULT_SHOE_LIMIT_KM, units))),
+    retiredDate: item?.retiredDate || '',
+  }));
+  const [saving, setSaving] = useState(false);
+
+  // Release the preview of a picked photo when it's replaced or the modal closes
+  useEffect(() => {
+    const preview = formData.photo?.file ? formData.photo.preview : null;
+    return () => {
+      if (preview) URL.revokeObjectURL(preview);
+    };
+  }, [formData.photo]);
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handlePhotoChange = (file) => {
+    if (!file) return;
+    handleChange('photo', { file, preview: URL.createObjectURL(file) });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) {
+      alert('Please enter a name');
+      return;
+    }
+    if (formData.limit !== '' && !(Number(formData.limit) > 0)) {
+      alert('Distance limit should be a positive number');
+      return;
+    }
+    if (!navigator.onLine) {
+      alert('You need to be online to save gear.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      let photo = formData.photo?.file ? null : formData.photo?.preview || null;
+      if (formData.photo?.file) {
+        const resized = await resizeImage(formData.photo.file, 800, 800);
+        photo = await firestoreDb.uploadImage(
+          currentUser.uid,
+          new File([resized], formData.photo.file.name, { type: resized.type }),
+          'gear'
+        );
+      }
+
+      const data = {
+        type: formData.type,
+        name: formData.name.trim(),
+        brand: formData.brand.trim(),
+        photo,
+        limitKm: formData.limit !== '' ? Number(formData.limit) * lengthKm : null,
+        retiredDate: formData.retiredDate || null,
+      };
+      await onSave(item ? { ...item, ...data } : createGearItem(data));
+      onClose();
+    } catch (error) {
+      console.error('Failed to save gear:', error);
+      alert('Failed to save gear. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete ${item.name}? Races that used it will no longer list it.`)) return;
+    if (!navigator.onLine) {
+      alert('You need to be online to delete gear.');
+      return;
+    }
+    setSaving(true);
+    try {
+      await onDelete(item);
+      onClose();
+    } catch (error) {
+      console.error('Failed to delete gear:', error);
+      alert('Failed to delete gear. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b border-gray-200 px-6 py-4 flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-gray-900">{item ? 'Edit Gear' : 'Add Gear'}</h2>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="flex gap-2">
+            {GEAR_TYPES.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => handleChange('type', option.value)}
+                className={`flex-1 px-3 py-2 rounded-lg border text-sm transition-colors ${
+                  formData.type === option.value ? 'bg-black text-white border-black' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex gap-4 items-start">
+            <label className="cursor-pointer">
+              {formData.photo ? (
+                <img src={formData.photo.preview} alt="" className="w-24 h-24 rounded-lg object-cover" />
+              ) : (
+                <div className="w-24 h-24 rounded-lg border-2 border-dashed border-gray-300 flex flex-col items-center justify-center text-gray-400 hover:border-gray-400 transition-colors">
+                  <ImagePlus className="w-6 h-6" />
+                  <span className="text-xs mt-1">Photo</span>
+                </div>
+              )}
+              <input
+                type="file"
+                accept="image/*"
+                className="hidden"
+                onChange={(e) => handlePhotoChange(e.target.files[0])}
+              />
+            </label>
+            <div className="flex-1 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => handleChange('name', e.target.value)}
+                  placeholder="e.g. Race day flats"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Brand / Model (Optional)</label>
+                <input
+                  type="text"
+                  value={formData.brand}
+                  onChange={(e) => handleChange('brand', e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Distance limit ({getDistanceUnit(units)})
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={formData.limit}
+                onChange={(e) => handleChange('limit', e.target.value)}
+                placeholder="No limit"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Retired on (Optional)</label>
+              <input
+                type="date"
+                value={formData.retiredDate}
+                onChange={(e) => handleChange('retiredDate', e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="border-t border-gray-200 px-6 py-4 flex items-center justify-between">
+          {item ? (
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={saving}
+              className="flex items-center gap-2 text-red-600 hover:text-red-700 disabled:opacity-50 transition-colors"
+            >
+              <Trash2 className="w-4 h-4" />
+              Delete
+            </button>
+          ) : <span />}
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-6 py-2 bg-black text-white rounded-lg hover:bg-zinc-900 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * Gear library - race distance, races and PRs per item, with alerts for shoes near their limit.
+ * @param {Function} onSaveGear - Saves the whole library; omitted for public profiles
+ */
+export function GearLibrary({ gearStats, onViewRace, onSaveGear }) {
+  const { units } = useUnits();
+  const [editing, setEditing] = useState(null); // null, 'new' or a gear item
+
+  const gear = gearStats.map(stats => stats.item);
+  const alerts = gearStats.filter(stats => stats.alert);
+  const sorted = [...gearStats].sort((a, b) => Number(a.retired) - Number(b.retired));
+
+  const handleSaveItem = async (item) => {
+    const exists = gear.some(existing => existing.id === item.id);
+    await onSaveGear(exists ? gear.map(existing => (existing.id === item.id ? item : existing)) : [...gear, item]);
+  };
+
+  const handleDeleteItem = async (item) => {
+    await onSaveGear(gear.filter(existing => existing.id !== item.id));
+  };
+
+  return (
+    <div className="space-y-8">
+      {onSaveGear && (
+        <div className="flex justify-end">
+          <button
+            onClick={() => setEditing('new')}
+            className="flex items-center gap-2 px-4 py-2 bg-black text-white rounded-lg hover:bg-zinc-900 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            Add Gear
+          </button>
+        </div>
+      )}
+
+      {gearStats.length === 0 && (
+        <div className="text-center py-12">
+          <p className="text-gray-500">No gear yet.</p>
+          {onSaveGear && (
+            <p className="text-sm text-gray-400 mt-1">
+              Add your shoes, watch, pack or wetsuit, then pick what you used on each race.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Distance alerts */}
+      {alerts.length > 0 && (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          <div className="flex items-start gap-3">
+            <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+            <ul className="space-y-1">
+              {alerts.map(({ item, distanceKm, alert }) => (
+                <li key={item.id}>
+                  <span className="font-medium">{item.name}</span>
+                  {alert === 'over'
+                    ? ` has passed its ${formatDistance(item.limitKm, units, 0)} limit (${formatDistance(distanceKm, units, 0)} raced) - time to think about retiring it.`
+                    : ` is getting close to its ${formatDistance(item.limitKm, units, 0)} limit (${formatDistance(distanceKm, units, 0)} raced).`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        {sorted.map(({ item, distanceKm, races, prs, alert, retired }) => (
+          <div key={item.id} className={`bg-white rounded-lg shadow-sm p-6 ${retired ? 'opacity-60' : ''}`}>
+            <div className="flex items-start gap-4 mb-4">
+              <GearThumbnail item={item} className="w-16 h-16" />
+              <div className="flex-1 min-w-0">
+                <h2 className="text-lg font-semibold text-gray-900 truncate">{item.name}</h2>
+                <p className="text-sm text-gray-500">
+                  {item.brand ? `${item.brand} • ` : ''}{getGearTypeLabel(item.type)}
+                  {retired && ` • Retired ${formatDate(item.retiredDate, 'MMM yyyy')}`}
+                </p>
+              </div>
+              {onSaveGear && (
+                <button
+                  onClick={() => setEditing(item)}
+                  className="p-2 text-gray-400 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                  aria-label={`Edit ${item.name}`}
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+
+            {/* Race distance, against the limit when there is one */}
+            <div className="flex items-baseline justify-between mb-1">
+              <span className="font-bold text-2xl text-gray-900">{formatDistance(distanceKm, units)}</span>
+              <span className="text-sm text-gray-500">{races.length} race{races.length === 1 ? '' : 's'}</span>
+            </div>
+            {item.limitKm && (
+              <div className="mb-4">
+                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full rounded-full ${alert === 'over' ? 'bg-red-500' : alert === 'near' ? 'bg-yellow-500' : 'bg-green-500'}`}
+                    style={{ width: `${Math.min(100, (distanceKm / item.limitKm) * 100)}%` }}
+                  />
+                </div>
+                <div className="text-xs text-gray-400 mt-1">of {formatDistance(item.limitKm, units, 0)}</div>
+              </div>
+            )}
+
+            {/* PRs set in this item */}
+            {prs.length > 0 && (
+              <ul className="mb-4 space-y-1">
+                {prs.map(pr => (
+                  <li key={`${pr.entryId}-${pr.distance}`}>
+                    <button
+                      onClick={() => onViewRace(pr.entryId)}
+                      className="w-full flex items-center gap-2 text-sm text-left hover:bg-gray-50 rounded px-2 py-1 transition-colors"
+                    >
+                      <Trophy className="w-3 h-3 text-yellow-500 flex-shrink-0" />
+                      <span className="text-gray-500 w-28 truncate">{pr.distance} PR</span>
+                      <span className="flex-1 text-gray-700 truncate">{pr.raceName}</span>
+                      <span className="font-semibold text-gray-900 tabular-nums">{formatDuration(pr.seconds)}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {/* Races, newest first */}
+            {races.length > 0 && (
+              <ol className="space-y-1 border-t border-gray-100 pt-3">
+                {races.map(entry => (
+                  <li key={entry.id}>
+                    <button
+                      onClick={() => onViewRace(entry.id)}
+                      className="w-full flex items-center gap-3 text-sm text-left hover:bg-gray-50 rounded px-2 py-1 transition-colors"
+                    >
+                      <span className="w-20 text-gray-400 text-xs">{formatDate(entry.date, 'MMM yyyy')}</span>
+                      <span className="flex-1 text-gray-700 truncate">{entry.raceName}</span>
+                      {entry.results?.finishTime && (
+                        <span className="text-gray-900 tabular-nums">{entry.results.finishTime}</span>
+                      )}
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {editing && (
+        <GearEditModal
+          item={editing === 'new' ? null : editing}
+          onSave={handleSaveItem}
+          onDelete={handleDeleteItem}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
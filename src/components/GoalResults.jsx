@@ -0,0 +1,58 @@
+import { Target, Check, X } from 'lucide-react';
+import { evaluateGoals, formatGoalDelta } from '../lib/goalUtils';
+import { formatDuration } from '../lib/statsUtils';
+
+/**
+ * Goal vs. actual for a race - each A/B/C goal time and the place goal with the delta
+ */
+export function GoalResults({ entry }) {
+  const evaluation = evaluateGoals(entry);
+  if (!evaluation) return null;
+
+  const rows = [
+    ...evaluation.times.map(time => ({
+      key: time.label,
+      label: `${time.label} Goal`,
+      target: formatDuration(time.targetSeconds),
+      delta: time.deltaSeconds !== null ? formatGoalDelta(time.deltaSeconds) : null,
+      hit: time.hit,
+    })),
+    ...(evaluation.place ? [{
+      key: 'place',
+      label: 'Place Goal',
+      target: `Top ${evaluation.place.target}`,
+      delta: evaluation.place.actual
+        ? `#${evaluation.place.actual}${evaluation.place.hit ? '' : ` (+${evaluation.place.delta})`}`
+        : null,
+      hit: evaluation.place.hit,
+    }] : []),
+  ];
+
+  return (
+    <div className="mt-8 w-full max-w-xl mx-auto">
+      <div className="flex items-center gap-3 mb-3">
+        <Target className="w-4 h-4 text-gray-500" />
+        <h2 className="text-sm font-medium uppercase tracking-wide text-gray-500">Goals</h2>
+        <div className="flex-1 border-t border-gray-300"></div>
+        {evaluation.bestTier && (
+          <span className="bg-green-200/70 text-green-800 text-xs font-bold px-2 py-0.5 rounded">
+            {evaluation.bestTier} goal hit
+          </span>
+        )}
+      </div>
+      <div className="bg-white rounded-lg shadow-sm divide-y divide-gray-100 text-left">
+        {rows.map(row => (
+          <div key={row.key} className="flex items-center gap-3 px-4 py-2 text-sm">
+            <span className="w-24 font-medium text-gray-700">{row.label}</span>
+            <span className="flex-1 text-gray-900 tabular-nums">{row.target}</span>
+            <span className={`tabular-nums ${row.hit === null ? 'text-gray-400' : row.hit ? 'text-green-600' : 'text-red-500'}`}>
+              {row.delta ?? 'No result'}
+            </span>
+            {row.hit === true && <Check className="w-4 h-4 text-green-600" />}
+            {row.hit === false && <X className="w-4 h-4 text-red-500" />}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { useMemo } from 'react';
+import { Heart, Activity, Footprints, Zap } from 'lucide-react';
+import { summarizeSensorData, calculateTimeInZones } from '../lib/heartRateZones';
+import { formatDuration } from '../lib/statsUtils';
+
+const BASIS_LABELS = {
+  threshold: 'lactate threshold HR',
+  max: 'max HR',
+  age: 'estimated max HR (220 − age)',
+};
+
+/**
+ * Heart rate, cadence and power summary with time in heart-rate zones
+ */
+export function HeartRatePanel({ coordinates, heartRateZones, colorByZone, onToggleColorByZone }) {
+  const sensors = useMemo(() => summarizeSensorData(coordinates), [coordinates]);
+  const timeInZones = useMemo(
+    () => (heartRateZones ? calculateTimeInZones(coordinates, heartRateZones.zones) : []),
+    [coordinates, heartRateZones]
+  );
+
+  const hasZoneTime = timeInZones.some(zone => zone.seconds > 0);
+  const maxZonePercent = Math.max(...timeInZones.map(zone => zone.percent), 1);
+
+  if (!sensors.heartRate && !sensors.cadence && !sensors.power) return null;
+
+  return (
+    <div className="mt-8 space-y-6">
+      <div className="flex items-center gap-3">
+        <h2 className="text-lg font-semibold text-gray-900">Heart Rate & Sensors</h2>
+        <div className="flex-1 border-t border-gray-300"></div>
+        {sensors.heartRate && heartRateZones && (
+          <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={colorByZone}
+              onChange={(e) => onToggleColorByZone?.(e.target.checked)}
+              className="rounded border-gray-300 text-black focus:ring-black"
+            />
+            Color route by zone
+          </label>
+        )}
+      </div>
+
+      {/* Sensor summary - Sticky note style cards */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {sensors.heartRate && (
+          <>
+            <div className="bg-red-200/70 rounded-lg p-4 shadow-sm transform rotate-[-1.5deg] hover:rotate-0 transition-transform">
+              <div className="flex items-center gap-2 text-red-700 mb-2">
+                <Heart className="w-4 h-4" />
+                <div className="text-xs font-medium uppercase tracking-wide">Avg HR</div>
+              </div>
+              <div className="font-bold text-lg text-gray-900">{Math.round(sensors.heartRate.average)} bpm</div>
+            </div>
+            <div className="bg-red-200/70 rounded-lg p-4 shadow-sm transform rotate-[1.5deg] hover:rotate-0 transition-transform">
+              <div className="flex items-center gap-2 text-red-700 mb-2">
+                <Activity className="w-4 h-4" />
+                <div className="text-xs font-medium uppercase tracking-wide">Max HR</div>
+              </div>
+              <div className="font-bold text-lg text-gray-900">{Math.round(sensors.heartRate.max)} bpm</div>
+            </div>
+          </>
+        )}
+
+        {/* Watches record running cadence per leg, so double it for steps per minute */}
+        {sensors.cadence && (
+          <div className="bg-gray-200 rounded-lg p-4 shadow-sm transform rotate-[-1deg] hover:rotate-0 transition-transform">
+            <div className="flex items-center gap-2 text-gray-700 mb-2">
+              <Footprints className="w-4 h-4" />
+              <div className="text-xs font-medium uppercase tracking-wide">Cadence</div>
+            </div>
+            <div className="font-bold text-lg text-gray-900">{Math.round(sensors.cadence.average * 2)} spm</div>
+            <div className="text-xs text-gray-600">max {Math.round(sensors.cadence.max * 2)} spm</div>
+          </div>
+        )}
+
+        {sensors.power && (
+          <div className="bg-gray-200 rounded-lg p-4 shadow-sm transform rotate-[1deg] hover:rotate-0 transition-transform">
+            <div className="flex items-center gap-2 text-gray-700 mb-2">
+              <Zap className="w-4 h-4" />
+              <div className="text-xs font-medium uppercase tracking-wide">Power</div>
+            </div>
+            <div className="font-bold text-lg text-gray-900">{Math.round(sensors.power.average)} W</div>
+            <div className="text-xs text-gray-600">max {Math.round(sensors.power.max)} W</div>
+          </div>
+        )}
+      </div>
+
+      {/* Time in zones */}
+      {sensors.heartRate && heartRateZones && hasZoneTime && (
+        <div className="bg-white rounded-lg p-4 shadow-sm">
+          <div className="flex items-center justify-between mb-3">
+            <div className="text-xs font-medium uppercase tracking-wide text-gray-500">Time in Zones</div>
+            <div className="text-xs text-gray-500">
+              Based on {BASIS_LABELS[heartRateZones.basis]} of {heartRateZones.reference} bpm
+            </div>
+          </div>
+          <div className="space-y-2">
+            {[...timeInZones].reverse().map(zone => (
+              <div key={zone.zone} className="flex items-center gap-3 text-sm">
+                <span className="w-28 text-gray-700">
+                  <span className="font-semibold">Z{zone.zone}</span> {zone.name}
+                </span>
+                <span className="w-20 text-xs text-gray-500 tabular-nums">
+                  {zone.max === Infinity ? `${zone.min}+` : zone.min === 0 ? `< ${zone.max}` : `${zone.min}–${zone.max - 1}`}
+                </span>
+                <div className="flex-1 h-4 bg-gray-100 rounded">
+                  <div
+                    className="h-4 rounded"
+                    style={{ width: `${(zone.percent / maxZonePercent) * 100}%`, backgroundColor: zone.color }}
+                  />
+                </div>
+                <span className="w-16 text-right text-gray-900 tabular-nums">{formatDuration(zone.seconds)}</span>
+                <span className="w-10 text-right text-gray-500 tabular-nums">{Math.round(zone.percent)}%</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {sensors.heartRate && !heartRateZones && (
+        <p className="text-sm text-gray-500">
+          Add a max or threshold heart rate to the profile to see time in heart-rate zones.
+        </p>
+      )}
+    </div>
+  );
+}
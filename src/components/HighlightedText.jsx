@@ -0,0 +1,13 @@
+import { getHighlightParts } from '../lib/searchUtils';
+
+/**
+ * Text with search matches marked
+ * @param {Array} terms - Folded search terms, from parseSearchQuery
+ */
+export function HighlightedText({ text, terms }) {
+  if (!terms?.length) return text;
+
+  return getHighlightParts(text, terms).map((part, index) => (part.match
+    ? <mark key={index} className="bg-yellow-200 text-inherit rounded-sm">{part.text}</mark>
+    : part.text));
+}
@@ -1,19 +1,50 @@
-import React, { useState, useRef, useEffect, useMemo } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Plus, LogOut, ChevronDown, Medal, Flag, Ruler, Gauge, Heart, Pencil, Home as HomeIcon, Map, Bug, LogIn, Share, Copy, Check } from 'lucide-react';
+import React, { useState, useRef, useEffect, useMemo, useDeferredValue } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Plus, LogOut, ChevronDown, Flag, Target, Ruler, Gauge, Heart, Pencil, Home as HomeIcon, Map, Bug, Bike, LogIn, Share, Copy, Check, Download, Upload, FileSpreadsheet, ArrowLeftRight, X, Search, SlidersHorizontal, Sparkles } from 'lucide-react';
 import { useRaceEntries } from '../hooks/useRaceEntries';
 import { useViewMode } from '../hooks/useViewMode';
+import { useUnits } from '../hooks/useUnits';
 import { useAuth } from '../contexts/AuthContext';
 import { firestoreDb } from '../lib/firestoreDb';
-import { getRaceTypeDisplay, getRaceTypeForFilter } from '../lib/raceUtils';
+import { syncManager } from '../lib/syncManager';
+import { getRaceTypeDisplay, getRaceTypeForFilter, isUpcomingRace, compareByDistance, getLocationText, getBibImageSrc } from '../lib/raceUtils';
 import { calculateAge } from '../lib/ageUtils';
-import { calculateStats } from '../lib/statsUtils';
+import { calculateStats, formatDuration } from '../lib/statsUtils';
+import { formatDistance } from '../lib/units';
+import { computePersonalRecords } from '../lib/personalRecords';
+import { buildRaceSeries } from '../lib/raceSeries';
+import { computeAgeGrades } from '../lib/ageGrading';
+import { computePredictions } from '../lib/racePredictions';
+import { EMPTY_GOALS } from '../lib/goalUtils';
+import { LEG_TYPES, DISCIPLINES } from '../lib/multisportUtils';
+import { computeGearStats, getProfileGear } from '../lib/gearUtils';
+import { buildSearchIndex, parseSearchQuery, searchEntries } from '../lib/searchUtils';
+import { EMPTY_FILTERS, parseFilters, filtersToSearchParams, hasActiveFilters, applyFilters, getFacetCounts, getPrEntryIds, describeFilters, removeFilter } from '../lib/filterUtils';
+import { getDefaultReviewYear } from '../lib/yearInReview';
 import { EmptyState } from './EmptyState';
 import { ViewToggle } from './ViewToggle';
 import { ProfileEditModal } from './ProfileEditModal';
 import { MapView } from './MapView';
+import { MedalWall } from './MedalWall';
+import { BibPlaceholder } from './BibPlaceholder';
+import { SyncStatusIndicator } from './SyncStatusIndicator';
+import { JournalImportModal } from './JournalImportModal';
+import { CsvImportModal } from './CsvImportModal';
+import { PersonalRecords, RecordBadge } from './PersonalRecords';
+import { AgeGrading, AgeGradeBadge } from './AgeGrading';
+import { RacePredictions } from './RacePredictions';
+import { RaceComparison } from './RaceComparison';
+import { GearLibrary } from './GearLibrary';
+import { HighlightedText } from './HighlightedText';
+import { FilterPanel } from './FilterPanel';
+import { YearInReview } from './YearInReview';
+import { CalendarView } from './CalendarView';
+import { StatsDashboard } from './StatsDashboard';
+import { TimelineView } from './TimelineView';
+import { UpcomingRaces, RaceStatusBadge } from './UpcomingRaces';
+import { exportJournal } from '../lib/journalArchive';
 import { formatDate } from '../lib/dateUtils';
-import { trackViewModeChanged, trackFilterApplied, trackFilterCleared, trackRaceViewed, trackTotalEntries } from '../lib/analytics';
+import { trackViewModeChanged, trackFilterApplied, trackFacetFilterApplied, trackFilterCleared, trackRaceViewed, trackTotalEntries } from '../lib/analytics';
 import logoSvg from '../assets/Bib Journal.svg';
 import logoLightSvg from '../assets/Bib Journal-light.svg';
 
@@ -21,12 +52,14 @@ import logoLightSvg from '../assets/Bib Journal-light.svg';
  * Home screen component displaying all race entries
  * @param {string} username - Optional username for public profile view
  */
-export function Home({ onAddRace, onViewRace, currentUser, onLogout, username }) {
+export function Home({ onAddRace, onViewRace, onMarkFinished, currentUser, onLogout, username }) {
   const navigate = useNavigate();
   const { entries: authEntries, loading: authLoading, refreshEntries } = useRaceEntries();
   const { viewMode, setViewMode, VIEW_MODES } = useViewMode();
-  const [selectedFilters, setSelectedFilters] = useState([]);
-  const [sortBy, setSortBy] = useState('date'); // 'date', 'type', 'name'
+  const { units } = useUnits();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [showFilters, setShowFilters] = useState(false);
+  const [sortBy, setSortBy] = useState('date'); // 'date', 'type', 'name', 'ageGrade'
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [userProfile, setUserProfile] = useState(null);
   const [showEditProfile, setShowEditProfile] = useState(false);
@@ -37,6 +70,12 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
   const [isOwner, setIsOwner] = useState(false);
   const [profileNotFound, setProfileNotFound] = useState(false);
   const [activeTab, setActiveTab] = useState('home');
+  const [exportStatus, setExportStatus] = useState('');
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showCsvImportModal, setShowCsvImportModal] = useState(false);
+  const [compareIds, setCompareIds] = useState(null); // null when not picking races to compare
+  const [showComparison, setShowComparison] = useState(false);
+  const [showYearInReview, setShowYearInReview] = useState(false);
   const userMenuRef = useRef(null);
   
   // Determine if we're viewing a public profile
@@ -134,7 +173,7 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
         }
       } else if (currentUser) {
         // Load current user's profile
-        profile = await firestoreDb.getUserProfile(currentUser.uid);
+        profile = await syncManager.getUserProfile(currentUser.uid);
         setUserProfile(profile);
         setIsOwner(true);
       }
@@ -151,20 +190,116 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
     await loadUserProfile();
   };
 
-  // Calculate stats from entries
+  // Download the whole journal as a zip archive
+  const handleExportJournal = async () => {
+    if (!currentUser || exportStatus) return;
+    if (!navigator.onLine) {
+      alert('You need to be online to export your journal.');
+      return;
+    }
+
+    try {
+      const { blob, filename, warnings } = await exportJournal(currentUser.uid, (progress) => {
+        setExportStatus(progress.total
+          ? `Exporting ${Math.min(progress.current + 1, progress.total)}/${progress.total}...`
+          : 'Exporting...');
+      });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      if (warnings.length > 0) {
+        alert(`Export finished, but ${warnings.length} file(s) could not be downloaded and are linked instead.`);
+      }
+    } catch (error) {
+      console.error('Failed to export journal:', error);
+      alert('Failed to export journal. Please try again.');
+    } finally {
+      setExportStatus('');
+    }
+  };
+
+  // Year offered by the year-in-review story, null until a race has been finished
+  const reviewYear = useMemo(() => getDefaultReviewYear(entries), [entries]);
+
+  // Race series, built once - matching editions compares every pair of races
+  const raceSeries = useMemo(() => buildRaceSeries(entries), [entries]);
+
+  // PRs, course records and stale manual flags, derived from finish times
+  const records = useMemo(() => computePersonalRecords(entries, raceSeries), [entries, raceSeries]);
+
+  // Age-graded scores from the runner's birthday and gender
+  const ageGrades = useMemo(() => computeAgeGrades(entries, userProfile), [entries, userProfile]);
+
+  // Equivalent-performance predictions from recent results
+  const predictions = useMemo(() => computePredictions(entries), [entries]);
+
+  // Race distance, races and PRs per gear item
+  const gearStats = useMemo(() => computeGearStats(entries, getProfileGear(userProfile), records), [entries, userProfile, records]);
+
+  // Filters live in the URL so a filtered journal can be bookmarked or shared
+  const filters = useMemo(() => parseFilters(searchParams), [searchParams]);
+  const filtersActive = hasActiveFilters(filters);
+
+  // Search runs on a deferred copy of the query so typing stays responsive on big journals
+  const deferredQuery = useDeferredValue(filters.q);
+  const searchIndex = useMemo(() => buildSearchIndex(entries), [entries]);
+  const searchTerms = useMemo(() => parseSearchQuery(deferredQuery), [deferredQuery]);
+  const searchResults = useMemo(
+    () => (searchTerms.length > 0 ? searchEntries(searchIndex, entries, searchTerms) : null),
+    [searchIndex, entries, searchTerms]
+  );
+
+  // Races still to come get their own section above the journal, so only logged races are filtered
+  const loggedEntries = useMemo(() => entries.filter(entry => !isUpcomingRace(entry)), [entries]);
+  const prEntryIds = useMemo(() => getPrEntryIds(records), [records]);
+  const filterContext = useMemo(() => ({ prEntryIds, searchResults }), [prEntryIds, searchResults]);
+  const matchingEntries = useMemo(
+    () => applyFilters(loggedEntries, filters, filterContext),
+    [loggedEntries, filters, filterContext]
+  );
+  const facetCounts = useMemo(
+    () => (showFilters ? getFacetCounts(loggedEntries, filters, filterContext) : null),
+    [showFilters, loggedEntries, filters, filterContext]
+  );
+
+  // Calculate stats from entries - just the filtered races while the journal is filtered
+  const statsEntries = activeTab === 'home' && filtersActive ? matchingEntries : entries;
   const stats = useMemo(() => {
-    if (entries.length === 0) return null;
-    const calculatedStats = calculateStats(entries);
-    // Debug: log stats to see what we're getting
-    console.log('Calculated stats:', JSON.stringify(calculatedStats, null, 2));
-    console.log('Entries sample:', entries.slice(0, 2).map(e => ({
-      raceDistance: e.raceDistance,
-      raceType: e.raceType,
-      finishTime: e.results?.finishTime,
-      results: e.results
-    })));
-    return calculatedStats;
-  }, [entries]);
+    if (statsEntries.length === 0) return null;
+    return calculateStats(statsEntries, units);
+  }, [statsEntries, units]);
+
+
+  const handleSaveGear = async (gear) => {
+    await syncManager.updateUserGear(currentUser.uid, gear);
+    await loadUserProfile();
+  };
+
+  // Turn a predicted range into A (fast end), B (prediction) and C (slow end) goals
+  const handleSetGoalsFromPrediction = async (entry, prediction) => {
+    const goals = {
+      ...EMPTY_GOALS,
+      ...entry.goals,
+      aTime: formatDuration(prediction.lowSeconds),
+      bTime: formatDuration(prediction.seconds),
+      cTime: formatDuration(prediction.highSeconds),
+    };
+    await syncManager.updateEntry(currentUser.uid, entry.id, { goals });
+    await refreshEntries();
+  };
+
+  // Bring manual "Personal Best" flags in line with the computed records
+  const handleFixFlags = async (staleFlags) => {
+    for (const flag of staleFlags) {
+      await syncManager.updateEntry(currentUser.uid, flag.entryId, { isPersonalBest: flag.shouldBe });
+    }
+    await refreshEntries();
+  };
 
   // Track view mode changes
   const handleViewModeChange = (newMode) => {
@@ -172,17 +307,29 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
     trackViewModeChanged(newMode);
   };
 
-  // Track filter changes
-  const handleFilterChange = (value) => {
-    const newFilters = value ? [value] : [];
-    setSelectedFilters(newFilters);
-    if (newFilters.length > 0) {
-      trackFilterApplied(newFilters);
+  // Update filters in the URL - replacing the history entry, so typing doesn't fill the back button
+  const handleFilterChange = (changes) => {
+    setSearchParams(filtersToSearchParams({ ...filters, ...changes }), { replace: true });
+  };
+
+  // Add or remove one value of a list filter, like a year or a tag
+  const handleToggleFilter = (key, value) => {
+    const values = filters[key].includes(value)
+      ? filters[key].filter(existing => existing !== value)
+      : [...filters[key], value];
+    handleFilterChange({ [key]: values });
+    if (key === 'types') {
+      trackFilterApplied(values);
     } else {
-      trackFilterCleared();
+      trackFacetFilterApplied(key);
     }
   };
 
+  const handleClearFilters = () => {
+    handleFilterChange(EMPTY_FILTERS);
+    trackFilterCleared();
+  };
+
   // Track race viewed
   const handleViewRace = (entryId) => {
     const entry = entries.find(e => e.id === entryId);
@@ -192,6 +339,18 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
     onViewRace(entryId);
   };
 
+  // Picking races to compare - the two most recent picks are kept
+  const handleToggleCompare = (entryId) => {
+    setCompareIds(prev => (prev.includes(entryId)
+      ? prev.filter(id => id !== entryId)
+      : [...prev, entryId].slice(-2)));
+  };
+
+  const handleCancelCompare = () => {
+    setCompareIds(null);
+    setShowComparison(false);
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -200,20 +359,17 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
     );
   }
 
-  // Filter entries based on selected race types
-  let filteredEntries = selectedFilters.length > 0
-    ? entries.filter(entry => selectedFilters.includes(getRaceTypeForFilter(entry)))
-    : entries;
+  const upcomingEntries = entries.filter(isUpcomingRace);
 
   // Sort entries
-  filteredEntries = [...filteredEntries].sort((a, b) => {
+  const filteredEntries = [...matchingEntries].sort((a, b) => {
     switch (sortBy) {
       case 'type':
-        // Sort by race type (A-Z)
+        // Sort by race type, shortest official distance first
         const typeA = getRaceTypeForFilter(a) || '';
         const typeB = getRaceTypeForFilter(b) || '';
         if (typeA !== typeB) {
-          return typeA.localeCompare(typeB);
+          return compareByDistance(a, b) || typeA.localeCompare(typeB);
         }
         // If same type, sort by date (newest first)
         const typeDateA = a.date instanceof Date ? a.date : new Date(a.date || 0);
@@ -232,6 +388,18 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
         const nameDateB = b.date instanceof Date ? b.date : new Date(b.date || 0);
         return nameDateB - nameDateA;
       
+      case 'ageGrade': {
+        // Sort by age grade (best first), races without one last
+        const gradeA = ageGrades.byEntry[a.id]?.percent ?? -1;
+        const gradeB = ageGrades.byEntry[b.id]?.percent ?? -1;
+        if (gradeA !== gradeB) {
+          return gradeB - gradeA;
+        }
+        const gradeDateA = a.date instanceof Date ? a.date : new Date(a.date || 0);
+        const gradeDateB = b.date instanceof Date ? b.date : new Date(b.date || 0);
+        return gradeDateB - gradeDateA;
+      }
+
       case 'date':
       default:
         // Sort by entry date (newest first)
@@ -241,8 +409,29 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
     }
   });
 
-  // Get unique race types from entries, sorted
-  const availableRaceTypes = [...new Set(entries.map(e => getRaceTypeForFilter(e)).filter(Boolean))].sort();
+  // Get unique race types from entries, shortest distance first
+  const availableRaceTypes = [...new Set([...loggedEntries].sort(compareByDistance).map(e => getRaceTypeForFilter(e)).filter(Boolean))];
+
+  const activeFilterChips = describeFilters(filters);
+
+  // Public profile link, keeping the current filters
+  const shareUrl = userProfile?.username
+    ? `${window.location.origin}/${userProfile.username}${filtersActive ? `?${filtersToSearchParams(filters)}` : ''}`
+    : '';
+
+  // Age grades are shown on the cards while sorting by them
+  const visibleAgeGrades = sortBy === 'ageGrade' ? ageGrades.byEntry : {};
+
+  // Visitors see the Stats tab only when the owner has chosen to share it
+  const statsPublic = userProfile?.publicStats === true;
+
+  // Calendar and timeline lay races out by date, so sorting doesn't apply to them
+  const isDateView = viewMode === VIEW_MODES.CALENDAR || viewMode === VIEW_MODES.TIMELINE;
+
+  // While picking races to compare, cards select instead of opening
+  const isComparing = compareIds !== null;
+  const handleCardClick = isComparing ? handleToggleCompare : handleViewRace;
+  const compareEntries = (compareIds || []).map(id => entries.find(entry => entry.id === id)).filter(Boolean);
 
   // Group entries by race type when sorting by type
   const groupedByType = sortBy === 'type' 
@@ -326,8 +515,8 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
               </button>
             </div>
 
-            {/* Center - Navigation Tabs - Only show if not public view */}
-            {!isPublicView && (
+            {/* Center - Navigation Tabs - Public visitors get Home and Stats when the owner shares their stats */}
+            {(!isPublicView || statsPublic) && (
               <div className="flex items-center gap-8 flex-1 justify-center">
                 <button
                   onClick={() => setActiveTab('home')}
@@ -338,29 +527,65 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
                     <div className="absolute bottom-1.5 left-1/2 transform -translate-x-1/2 w-1 h-1 bg-white rounded-full" />
                   )}
                 </button>
+                {!isPublicView && (
+                  <>
+                    <button
+                      onClick={() => setActiveTab('medals')}
+                      className="relative px-3 py-2 transition-colors"
+                    >
+                      <span className={`text-sm ${activeTab === 'medals' ? 'text-white' : 'text-zinc-400'}`}>Medals</span>
+                      {activeTab === 'medals' && (
+                        <div className="absolute bottom-1.5 left-1/2 transform -translate-x-1/2 w-1 h-1 bg-white rounded-full" />
+                      )}
+                    </button>
+                    <button
+                      onClick={() => setActiveTab('records')}
+                      className="relative px-3 py-2 transition-colors"
+                    >
+                      <span className={`text-sm ${activeTab === 'records' ? 'text-white' : 'text-zinc-400'}`}>Records</span>
+                      {activeTab === 'records' && (
+                        <div className="absolute bottom-1.5 left-1/2 transform -translate-x-1/2 w-1 h-1 bg-white rounded-full" />
+                      )}
+                    </button>
+                    <button
+                      onClick={() => setActiveTab('gear')}
+                      className="relative px-3 py-2 transition-colors"
+                    >
+                      <span className={`text-sm ${activeTab === 'gear' ? 'text-white' : 'text-zinc-400'}`}>Gear</span>
+                      {activeTab === 'gear' && (
+                        <div className="absolute bottom-1.5 left-1/2 transform -translate-x-1/2 w-1 h-1 bg-white rounded-full" />
+                      )}
+                    </button>
+                  </>
+                )}
                 <button
-                  onClick={() => setActiveTab('medals')}
-                  className="relative px-3 py-2 transition-colors"
-                >
-                  <span className={`text-sm ${activeTab === 'medals' ? 'text-white' : 'text-zinc-400'}`}>Medals</span>
-                  {activeTab === 'medals' && (
-                    <div className="absolute bottom-1.5 left-1/2 transform -translate-x-1/2 w-1 h-1 bg-white rounded-full" />
-                  )}
-                </button>
-                <button
-                  onClick={() => setActiveTab('map')}
+                  onClick={() => setActiveTab('stats')}
                   className="relative px-3 py-2 transition-colors"
                 >
-                  <span className={`text-sm ${activeTab === 'map' ? 'text-white' : 'text-zinc-400'}`}>Map</span>
-                  {activeTab === 'map' && (
+                  <span className={`text-sm ${activeTab === 'stats' ? 'text-white' : 'text-zinc-400'}`}>Stats</span>
+                  {activeTab === 'stats' && (
                     <div className="absolute bottom-1.5 left-1/2 transform -translate-x-1/2 w-1 h-1 bg-white rounded-full" />
                   )}
                 </button>
+                {!isPublicView && (
+                  <button
+                    onClick={() => setActiveTab('map')}
+                    className="relative px-3 py-2 transition-colors"
+                  >
+                    <span className={`text-sm ${activeTab === 'map' ? 'text-white' : 'text-zinc-400'}`}>Map</span>
+                    {activeTab === 'map' && (
+                      <div className="absolute bottom-1.5 left-1/2 transform -translate-x-1/2 w-1 h-1 bg-white rounded-full" />
+                    )}
+                  </button>
+                )}
               </div>
             )}
 
             {/* Right side - Profile or Login */}
             <div className="flex items-center flex-shrink-0">
+              {/* Sync status - Only show for the signed-in user's own journal */}
+              {currentUser && !isPublicView && <SyncStatusIndicator />}
+
               {/* Login Button - Only show if public view */}
               {isPublicView && (
                 <button
@@ -423,6 +648,35 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
                           <Bug className="w-4 h-4" />
                           Report Bug
                         </a>
+                        {/* Export / Import Journal */}
+                        <button
+                          onClick={handleExportJournal}
+                          disabled={!!exportStatus}
+                          className="w-full hover:bg-zinc-700 hover:text-white text-zinc-300 px-4 py-2 text-sm transition-colors flex items-center gap-2 rounded disabled:opacity-60"
+                        >
+                          <Download className="w-4 h-4" />
+                          {exportStatus || 'Export my journal'}
+                        </button>
+                        <button
+                          onClick={() => {
+                            setShowImportModal(true);
+                            setShowUserMenu(false);
+                          }}
+                          className="w-full hover:bg-zinc-700 hover:text-white text-zinc-300 px-4 py-2 text-sm transition-colors flex items-center gap-2 rounded"
+                        >
+                          <Upload className="w-4 h-4" />
+                          Import journal
+                        </button>
+                        <button
+                          onClick={() => {
+                            setShowCsvImportModal(true);
+                            setShowUserMenu(false);
+                          }}
+                          className="w-full hover:bg-zinc-700 hover:text-white text-zinc-300 px-4 py-2 text-sm transition-colors flex items-center gap-2 rounded"
+                        >
+                          <FileSpreadsheet className="w-4 h-4" />
+                          Import races from CSV
+                        </button>
                         {/* Sign Out Button - List item style, divider color background and red text on hover */}
                         <button
                           onClick={() => {
@@ -545,6 +799,11 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
                     <div className="font-bold text-2xl text-gray-900">
                       {stats.totalRaces}
                     </div>
+                    {stats.dnfCount > 0 && (
+                      <div className="text-xs text-blue-700">
+                        + {stats.dnfCount} DNF
+                      </div>
+                    )}
                   </div>
 
                   {/* Total Distance - Green */}
@@ -555,7 +814,7 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
                         <div className="text-xs font-medium uppercase tracking-wide">Total Distance</div>
                       </div>
                       <div className="font-bold text-2xl text-gray-900">
-                        {stats.totalDistance.toFixed(1)} km
+                        {formatDistance(stats.totalDistance, units)}
                       </div>
                     </div>
                   )}
@@ -583,8 +842,71 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
                       </div>
                     </div>
                   )}
+
+                  {/* Goal Hit Rate - Purple */}
+                  {stats.goals && (
+                    <div className="bg-purple-200/70 rounded-lg p-4 shadow-sm transform rotate-[-1deg] hover:rotate-0 transition-transform">
+                      <div className="flex items-center gap-2 text-purple-700 mb-2">
+                        <Target className="w-4 h-4" />
+                        <div className="text-xs font-medium uppercase tracking-wide">Goals Hit</div>
+                      </div>
+                      <div className="font-bold text-2xl text-gray-900">
+                        {Math.round(stats.goals.hitRate * 100)}%
+                      </div>
+                      <div className="text-xs text-purple-700">
+                        {stats.goals.hit} of {stats.goals.racesWithGoals} races
+                        {['A', 'B', 'C'].filter(tier => stats.goals.tiers[tier].set > 0).map(tier => (
+                          <span key={tier}> · {tier} {stats.goals.tiers[tier].hit}/{stats.goals.tiers[tier].set}</span>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Multisport - Cyan */}
+                  {stats.disciplines && (
+                    <div className="bg-cyan-200/70 rounded-lg p-4 shadow-sm transform rotate-[2deg] hover:rotate-0 transition-transform">
+                      <div className="flex items-center gap-2 text-cyan-700 mb-2">
+                        <Bike className="w-4 h-4" />
+                        <div className="text-xs font-medium uppercase tracking-wide">Multisport</div>
+                      </div>
+                      <div className="font-bold text-2xl text-gray-900">
+                        {stats.disciplines.races} race{stats.disciplines.races === 1 ? '' : 's'}
+                      </div>
+                      <div className="text-xs text-cyan-700 space-y-0.5">
+                        {DISCIPLINES.filter(discipline => stats.disciplines[discipline].legs > 0).map(discipline => (
+                          <div key={discipline}>
+                            {LEG_TYPES[discipline].label} {formatDistance(stats.disciplines[discipline].distance, units)}
+                            {stats.disciplines[discipline].pace && ` · ${stats.disciplines[discipline].pace}`}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
               )}
+              {statsEntries !== entries && (
+                <p className="text-sm text-gray-500 mt-4">
+                  Stats for the {matchingEntries.length} race{matchingEntries.length === 1 ? '' : 's'} matching your filters ·{' '}
+                  <button onClick={handleClearFilters} className="text-black hover:underline">Clear filters</button>
+                </p>
+              )}
+
+              {reviewYear && (
+                <button
+                  onClick={() => setShowYearInReview(true)}
+                  className="mt-4 flex items-center gap-2 px-4 py-2 bg-black text-white rounded-lg hover:bg-zinc-900 transition-colors text-sm"
+                >
+                  <Sparkles className="w-4 h-4" />
+                  {reviewYear} in review
+                </button>
+              )}
+
+              {/* Race time predictions */}
+              <RacePredictions
+                predictions={predictions}
+                onViewRace={handleViewRace}
+                onSetGoals={isPublicView ? null : handleSetGoalsFromPrediction}
+              />
             </div>
           </div>
         </div>
@@ -593,18 +915,139 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
       {/* Content - Hide when on map tab */}
       {activeTab !== 'map' && (
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 pb-24">
+        {activeTab === 'medals' ? (
+          <MedalWall entries={entries} onViewRace={handleViewRace} />
+        ) : activeTab === 'records' ? (
+          <>
+            <PersonalRecords
+              records={records}
+              onViewRace={handleViewRace}
+              onFixFlags={isPublicView ? null : handleFixFlags}
+            />
+            <AgeGrading
+              ageGrades={ageGrades}
+              profile={userProfile}
+              onViewRace={handleViewRace}
+              isOwner={isOwner}
+            />
+          </>
+        ) : activeTab === 'stats' && (!isPublicView || statsPublic) ? (
+          <StatsDashboard entries={entries} onViewRace={handleViewRace} />
+        ) : activeTab === 'gear' ? (
+          <GearLibrary
+            gearStats={gearStats}
+            onViewRace={handleViewRace}
+            onSaveGear={isPublicView ? null : handleSaveGear}
+          />
+        ) : (
+        <>
+        <UpcomingRaces
+          entries={upcomingEntries}
+          onViewRace={handleViewRace}
+          onMarkFinished={isPublicView ? null : onMarkFinished}
+        />
+        {loggedEntries.length > 0 && (
+          <div className="flex flex-wrap justify-end gap-2 mb-6">
+            <div className="relative flex-1 min-w-[12rem] max-w-sm mr-auto">
+              <Search className="w-4 h-4 text-gray-400 absolute left-2.5 top-1/2 -translate-y-1/2 pointer-events-none" />
+              <input
+                type="search"
+                value={filters.q}
+                onChange={(e) => handleFilterChange({ q: e.target.value })}
+                onKeyDown={(e) => e.key === 'Escape' && handleFilterChange({ q: '' })}
+                placeholder="Search races, places, notes, tags..."
+                aria-label="Search races"
+                className="w-full pl-8 pr-3 py-1.5 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-black focus:border-transparent"
+              />
+            </div>
+            <button
+              onClick={() => setShowFilters(prev => !prev)}
+              aria-expanded={showFilters}
+              className={`flex items-center gap-1.5 px-3 py-1.5 border rounded-lg text-sm transition-colors ${
+                showFilters ? 'bg-black text-white border-black' : 'bg-white border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              <SlidersHorizontal className="w-4 h-4" />
+              Filters
+              {activeFilterChips.length > 0 && (
+                <span className={`text-xs rounded-full px-1.5 ${showFilters ? 'bg-white text-black' : 'bg-black text-white'}`}>
+                  {activeFilterChips.length}
+                </span>
+              )}
+            </button>
+            {loggedEntries.length > 1 && (
+              <button
+                onClick={() => (isComparing ? handleCancelCompare() : setCompareIds([]))}
+                className={`flex items-center gap-1.5 px-3 py-1.5 border rounded-lg text-sm transition-colors ${
+                  isComparing ? 'bg-black text-white border-black' : 'bg-white border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                <ArrowLeftRight className="w-4 h-4" />
+                Compare
+              </button>
+            )}
+            {!isDateView && (
+              <div className="relative">
+                <select
+                  value={sortBy}
+                  onChange={(e) => setSortBy(e.target.value)}
+                  aria-label="Sort races"
+                  className="pl-3 pr-8 py-1.5 border border-gray-300 rounded-lg text-sm bg-white appearance-none cursor-pointer focus:outline-none focus:ring-2 focus:ring-black focus:border-transparent"
+                >
+                  <option value="date">Newest first</option>
+                  <option value="type">By distance</option>
+                  <option value="name">By name</option>
+                  {ageGrades.history.length > 0 && <option value="ageGrade">By age grade</option>}
+                </select>
+                <ChevronDown className="w-4 h-4 text-gray-500 absolute right-2 top-1/2 -translate-y-1/2 pointer-events-none" />
+              </div>
+            )}
+            <ViewToggle viewMode={viewMode} onViewModeChange={handleViewModeChange} VIEW_MODES={VIEW_MODES} />
+          </div>
+        )}
+        {showFilters && facetCounts && (
+          <FilterPanel
+            filters={filters}
+            counts={facetCounts}
+            onToggle={handleToggleFilter}
+            onChange={handleFilterChange}
+          />
+        )}
+        {activeFilterChips.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-6">
+            {activeFilterChips.map(chip => (
+              <span key={`${chip.key}-${chip.value || ''}`} className="flex items-center gap-1 pl-2.5 pr-1 py-0.5 bg-gray-200 rounded-full text-sm text-gray-700">
+                {chip.label}
+                <button
+                  onClick={() => handleFilterChange(removeFilter(filters, chip))}
+                  className="p-0.5 text-gray-500 hover:text-gray-900 transition-colors"
+                  aria-label={`Remove ${chip.label} filter`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+            <span className="text-sm text-gray-500">
+              {filteredEntries.length} of {loggedEntries.length} race{loggedEntries.length === 1 ? '' : 's'}
+            </span>
+            <button onClick={handleClearFilters} className="text-sm text-black hover:underline">
+              Clear all
+            </button>
+          </div>
+        )}
         {filteredEntries.length === 0 ? (
           <div className="text-center py-12">
             {entries.length === 0 ? (
               <p className="text-gray-500">No race entries yet.</p>
+            ) : loggedEntries.length === 0 ? (
+              <p className="text-gray-500">No finished races yet.</p>
             ) : (
               <>
-                <p className="text-gray-500">No races match your filters.</p>
+                <p className="text-gray-500">
+                  {searchResults ? `No races match "${deferredQuery.trim()}".` : 'No races match your filters.'}
+                </p>
                 <button
-                  onClick={() => {
-                    setSelectedFilters([]);
-                    trackFilterCleared();
-                  }}
+                  onClick={handleClearFilters}
                   className="mt-4 text-black hover:underline"
                 >
                   Clear filters
@@ -612,7 +1055,7 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
               </>
             )}
           </div>
-        ) : sortBy === 'type' && groupedByType ? (
+        ) : sortBy === 'type' && groupedByType && !isDateView ? (
           // Grouped by race type view
           <div className="space-y-12">
             {Object.entries(groupedByType).map(([raceType, typeEntries], groupIndex) => (
@@ -626,9 +1069,9 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
                 </div>
                 
                 {/* Use grid view for all types when sorting by type */}
-                <GridView entries={typeEntries} onViewRace={handleViewRace} onAddRace={onAddRace} showAddRace={false} />
+                <GridView entries={typeEntries} recordBadges={records.badges} ageGrades={visibleAgeGrades} selectedIds={compareIds || []} search={searchResults && { terms: searchTerms, results: searchResults }} onViewRace={handleCardClick} onAddRace={onAddRace} showAddRace={false} />
                 {/* Add "Add Entry" card at the end of the first type only */}
-                {groupIndex === 0 && !isPublicView && (
+                {groupIndex === 0 && !isPublicView && !isComparing && (
                   <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-12 overflow-visible">
                     <AddRaceCard onAddRace={onAddRace} />
                   </div>
@@ -639,22 +1082,30 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
         ) : (
           <>
             {viewMode === VIEW_MODES.GRID && (
-              <GridView entries={filteredEntries} onViewRace={handleViewRace} onAddRace={onAddRace} showAddRace={!isPublicView} />
+              <GridView entries={filteredEntries} recordBadges={records.badges} ageGrades={visibleAgeGrades} selectedIds={compareIds || []} search={searchResults && { terms: searchTerms, results: searchResults }} onViewRace={handleCardClick} onAddRace={onAddRace} showAddRace={!isPublicView && !isComparing} />
             )}
             {viewMode === VIEW_MODES.LIST && (
-              <ListView entries={filteredEntries} onViewRace={handleViewRace} onAddRace={onAddRace} showAddRace={!isPublicView} />
+              <ListView entries={filteredEntries} recordBadges={records.badges} ageGrades={visibleAgeGrades} selectedIds={compareIds || []} search={searchResults && { terms: searchTerms, results: searchResults }} onViewRace={handleCardClick} onAddRace={onAddRace} showAddRace={!isPublicView && !isComparing} />
             )}
             {viewMode === VIEW_MODES.COLUMN && (
-              <ColumnView entries={filteredEntries} onViewRace={handleViewRace} onAddRace={onAddRace} showAddRace={!isPublicView} />
+              <ColumnView entries={filteredEntries} recordBadges={records.badges} ageGrades={visibleAgeGrades} selectedIds={compareIds || []} search={searchResults && { terms: searchTerms, results: searchResults }} onViewRace={handleCardClick} onAddRace={onAddRace} showAddRace={!isPublicView && !isComparing} />
+            )}
+            {viewMode === VIEW_MODES.CALENDAR && (
+              <CalendarView entries={filteredEntries} selectedIds={compareIds || []} onViewRace={handleCardClick} />
+            )}
+            {viewMode === VIEW_MODES.TIMELINE && (
+              <TimelineView entries={filteredEntries} recordBadges={records.badges} ageGrades={visibleAgeGrades} selectedIds={compareIds || []} search={searchResults && { terms: searchTerms, results: searchResults }} onViewRace={handleCardClick} />
             )}
           </>
         )}
+        </>
+        )}
       </main>
       )}
 
       {/* Floating Action Button - Only show for authenticated users viewing their own profile */}
       {/* Floating Add Entry Button - Only show for authenticated users viewing their own profile, and not on map tab */}
-      {!isPublicView && activeTab !== 'map' && (
+      {!isPublicView && activeTab !== 'map' && !isComparing && (
         <button
           onClick={onAddRace}
           className="fixed bottom-6 right-6 z-20 bg-black/85 backdrop-blur-md hover:bg-black/90 text-white rounded-lg w-14 h-14 flex items-center justify-center shadow-lg border border-white/10 transition-colors"
@@ -664,6 +1115,50 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
         </button>
       )}
 
+      {/* Compare bar - shown while picking two races */}
+      {isComparing && activeTab === 'home' && (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-20 bg-black/85 backdrop-blur-md text-white rounded-lg shadow-lg border border-white/10 flex items-center gap-3 pl-4 pr-2 py-2">
+          <span className="text-sm whitespace-nowrap">
+            {compareEntries.length < 2
+              ? `Pick ${2 - compareEntries.length} ${compareEntries.length === 1 ? 'more race' : 'races'} to compare`
+              : 'Ready to compare'}
+          </span>
+          <button
+            onClick={() => setShowComparison(true)}
+            disabled={compareEntries.length < 2}
+            className="px-3 py-1 bg-white text-black text-sm rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors"
+          >
+            Compare
+          </button>
+          <button
+            onClick={handleCancelCompare}
+            className="p-1 hover:bg-white/10 rounded-lg transition-colors"
+            aria-label="Stop comparing"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {/* Race comparison overlay */}
+      {showComparison && compareEntries.length === 2 && (
+        <RaceComparison
+          entries={compareEntries}
+          onClose={() => setShowComparison(false)}
+          onViewRace={handleViewRace}
+        />
+      )}
+
+      {/* Year in review story */}
+      {showYearInReview && (
+        <YearInReview
+          entries={entries}
+          profile={userProfile}
+          records={records}
+          onClose={() => setShowYearInReview(false)}
+        />
+      )}
+
       {/* Profile Edit Modal - Only show if owner */}
       {showEditProfile && isOwner && userProfile && currentUser && (
         <ProfileEditModal
@@ -679,6 +1174,25 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
         />
       )}
 
+      {/* Journal Import Modal */}
+      {showImportModal && currentUser && !isPublicView && (
+        <JournalImportModal
+          onClose={() => setShowImportModal(false)}
+          onImported={async () => {
+            await refreshEntries();
+            await loadUserProfile();
+          }}
+        />
+      )}
+
+      {/* CSV Import Modal */}
+      {showCsvImportModal && currentUser && !isPublicView && (
+        <CsvImportModal
+          onClose={() => setShowCsvImportModal(false)}
+          onImported={refreshEntries}
+        />
+      )}
+
       {/* Share Modal */}
       {showShareModal && userProfile?.username && (
         <div 
@@ -708,19 +1222,20 @@ export function Home({ onAddRace, onViewRace, currentUser, onLogout, username })
             </div>
             
             <div className="mb-4">
-              <p className="text-sm text-gray-600 mb-2">Copy this link to share the profile:</p>
+              <p className="text-sm text-gray-600 mb-2">
+                {filtersActive ? 'Copy this link to share the profile with your current filters:' : 'Copy this link to share the profile:'}
+              </p>
               <div className="flex items-center gap-2 bg-zinc-50 rounded-lg p-3 border border-zinc-200">
                 <input
                   type="text"
                   readOnly
-                  value={`${window.location.origin}/${userProfile.username}`}
+                  value={shareUrl}
                   className="flex-1 bg-transparent text-sm text-gray-900 outline-none"
                 />
                 <button
                   onClick={async () => {
-                    const url = `${window.location.origin}/${userProfile.username}`;
                     try {
-                      await navigator.clipboard.writeText(url);
+                      await navigator.clipboard.writeText(shareUrl);
                       setCopied(true);
                       setTimeout(() => setCopied(false), 2000);
                     } catch (err) {
@@ -801,11 +1316,11 @@ function AddRaceCard({ onAddRace }) {
 /**
  * Grid view component (masonry-style)
  */
-function GridView({ entries, onViewRace, onAddRace, showAddRace = true }) {
+function GridView({ entries, recordBadges = {}, ageGrades = {}, selectedIds = [], search = null, onViewRace, onAddRace, showAddRace = true }) {
   return (
     <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-12 overflow-visible">
       {entries.map((entry) => (
-        <RaceCard key={entry.id} entry={entry} onViewRace={onViewRace} />
+        <RaceCard key={entry.id} entry={entry} badge={recordBadges[entry.id]} ageGrade={ageGrades[entry.id]} selected={selectedIds.includes(entry.id)} search={search && { terms: search.terms, snippets: search.results[entry.id]?.snippets || [] }} onViewRace={onViewRace} />
       ))}
       {showAddRace && <AddRaceCard onAddRace={onAddRace} />}
     </div>
@@ -815,12 +1330,12 @@ function GridView({ entries, onViewRace, onAddRace, showAddRace = true }) {
 /**
  * List view component - horizontal layout with small image and text
  */
-function ListView({ entries, onViewRace, onAddRace, showAddRace = true }) {
+function ListView({ entries, recordBadges = {}, ageGrades = {}, selectedIds = [], search = null, onViewRace, onAddRace, showAddRace = true }) {
   return (
     <div>
       {entries.map((entry, index) => (
         <React.Fragment key={entry.id}>
-          <ListItemCard entry={entry} onViewRace={onViewRace} />
+          <ListItemCard entry={entry} badge={recordBadges[entry.id]} ageGrade={ageGrades[entry.id]} selected={selectedIds.includes(entry.id)} search={search && { terms: search.terms, snippets: search.results[entry.id]?.snippets || [] }} onViewRace={onViewRace} />
           {index < entries.length - 1 && (
             <div className="border-t border-gray-200 my-10"></div>
           )}
@@ -867,11 +1382,11 @@ function ListView({ entries, onViewRace, onAddRace, showAddRace = true }) {
 /**
  * Column view component - uses same RaceCard as grid view for consistency
  */
-function ColumnView({ entries, onViewRace, onAddRace, showAddRace = true }) {
+function ColumnView({ entries, recordBadges = {}, ageGrades = {}, selectedIds = [], search = null, onViewRace, onAddRace, showAddRace = true }) {
   return (
     <div className="max-w-2xl mx-auto space-y-20">
       {entries.map((entry) => (
-        <RaceCard key={entry.id} entry={entry} onViewRace={onViewRace} />
+        <RaceCard key={entry.id} entry={entry} badge={recordBadges[entry.id]} ageGrade={ageGrades[entry.id]} selected={selectedIds.includes(entry.id)} search={search && { terms: search.terms, snippets: search.results[entry.id]?.snippets || [] }} onViewRace={onViewRace} />
       ))}
       {showAddRace && <AddRaceCard onAddRace={onAddRace} />}
     </div>
@@ -936,19 +1451,35 @@ function getCornerPositions(entryId) {
   return result || { medal: 'top-left', finisher: 'bottom-right' };
 }
 
+/**
+ * Matched text from fields a card doesn't show, like notes or tags
+ * @param {Array} exclude - Keys of fields the card already shows
+ */
+function SearchSnippets({ search, exclude = [] }) {
+  const snippets = (search?.snippets || []).filter(snippet => !exclude.includes(snippet.key));
+  if (snippets.length === 0) return null;
+
+  return (
+    <div className="mt-1 space-y-0.5">
+      {snippets.map(snippet => (
+        <p key={snippet.key} className="text-xs text-gray-500 line-clamp-2">
+          <span className="text-gray-400">{snippet.label}: </span>
+          <HighlightedText text={snippet.text} terms={search.terms} />
+        </p>
+      ))}
+    </div>
+  );
+}
+
 /**
  * List item card component for list view - horizontal layout with small image
  */
-function ListItemCard({ entry, onViewRace }) {
+function ListItemCard({ entry, badge, ageGrade, selected = false, search = null, onViewRace }) {
   const [isHovered, setIsHovered] = useState(false);
 
-  const bibImageSrc = entry.bibPhoto
-    ? (entry.bibPhoto.cropped
-        ? (entry.bibPhoto.useCropped !== false ? entry.bibPhoto.cropped : entry.bibPhoto.original)
-        : (entry.bibPhoto.processed 
-            ? (entry.bibPhoto.useProcessed !== false ? entry.bibPhoto.processed : entry.bibPhoto.original)
-            : entry.bibPhoto.original))
-    : null;
+  const bibImageSrc = getBibImageSrc(entry);
+
+  const location = getLocationText(entry.location);
 
   // Get consistent rotation for this entry
   const rotation = getRotationForEntry(entry.id);
@@ -959,7 +1490,7 @@ function ListItemCard({ entry, onViewRace }) {
       onMouseEnter={() => setIsHovered(true)}
       onMouseLeave={() => setIsHovered(false)}
       className={`flex items-center gap-4 cursor-pointer group overflow-visible py-3 px-3 rounded-lg transition-colors duration-200 ${
-        isHovered ? '' : ''
+        selected ? 'ring-2 ring-black' : ''
       }`}
       style={{
         backgroundColor: isHovered ? '#e5e7eb' : 'transparent'
@@ -988,33 +1519,25 @@ function ListItemCard({ entry, onViewRace }) {
           />
         </div>
       ) : (
-        <div className="w-24 h-24 flex-shrink-0 bg-gray-100 flex items-center justify-center rounded">
-          <svg
-            className="w-8 h-8 text-gray-400"
-            fill="none"
-            stroke="currentColor"
-            viewBox="0 0 24 24"
-          >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth={2}
-              d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"
-            />
-          </svg>
+        <div
+          className="w-24 h-24 flex-shrink-0 flex items-center transition-transform duration-300 ease-out"
+          style={{ transform: `rotate(${rotation}deg)` }}
+        >
+          <BibPlaceholder entry={entry} size="sm" className="shadow-sm" />
         </div>
       )}
       
       {/* Text content on the right */}
       <div className="flex-1 min-w-0">
         <h3 className="font-semibold text-gray-900 mb-1 truncate flex items-center gap-2">
-          {entry.raceName}
-          {entry.isPersonalBest && (
-            <Medal className="w-5 h-5 text-yellow-500 flex-shrink-0" />
-          )}
+          <span><HighlightedText text={entry.raceName} terms={search?.terms} /></span>
+          <RecordBadge badge={badge} />
+          <AgeGradeBadge grade={ageGrade} />
+          <RaceStatusBadge entry={entry} />
         </h3>
         <p className="text-sm text-gray-500 mb-1">
-          {getRaceTypeDisplay(entry)} {entry.location && `• ${entry.location}`}
+          <HighlightedText text={getRaceTypeDisplay(entry)} terms={search?.terms} />
+          {location && <> • <HighlightedText text={location} terms={search?.terms} /></>}
         </p>
         <p className="text-xs text-gray-400">
           {entry.date && formatDate(entry.date, 'MMM d, yyyy')}
@@ -1024,6 +1547,7 @@ function ListItemCard({ entry, onViewRace }) {
             Finish Time: {entry.results.finishTime}
           </p>
         )}
+        <SearchSnippets search={search} exclude={['location']} />
       </div>
     </div>
   );
@@ -1032,14 +1556,8 @@ function ListItemCard({ entry, onViewRace }) {
 /**
  * Race card component for grid view with scrapbook overlay
  */
-function RaceCard({ entry, onViewRace }) {
-  const bibImageSrc = entry.bibPhoto
-    ? (entry.bibPhoto.cropped
-        ? (entry.bibPhoto.useCropped !== false ? entry.bibPhoto.cropped : entry.bibPhoto.original)
-        : (entry.bibPhoto.processed 
-            ? (entry.bibPhoto.useProcessed !== false ? entry.bibPhoto.processed : entry.bibPhoto.original)
-            : entry.bibPhoto.original))
-    : null;
+function RaceCard({ entry, badge, ageGrade, selected = false, search = null, onViewRace }) {
+  const bibImageSrc = getBibImageSrc(entry);
 
   // Medal photo (always background-removed, stored as string URL)
   const medalImageSrc = typeof entry.medalPhoto === 'string' 
@@ -1093,7 +1611,9 @@ function RaceCard({ entry, onViewRace }) {
   return (
     <div
       onClick={() => onViewRace(entry.id)}
-      className="flex flex-col items-center cursor-pointer group overflow-visible"
+      className={`flex flex-col items-center cursor-pointer group overflow-visible ${
+        selected ? 'rounded-lg ring-2 ring-black ring-offset-8 ring-offset-gray-50' : ''
+      }`}
     >
       {bibImageSrc ? (
         <div 
@@ -1194,35 +1714,36 @@ function RaceCard({ entry, onViewRace }) {
           )}
         </div>
       ) : (
-        <div className="w-full aspect-square bg-gray-100 flex items-center justify-center mb-3">
-          <svg
-            className="w-16 h-16 text-gray-400"
-            fill="none"
-            stroke="currentColor"
-            viewBox="0 0 24 24"
-          >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth={2}
-              d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"
-            />
-          </svg>
+        <div
+          className="w-full mb-3 transition-transform duration-300 ease-out"
+          style={{
+            transform: `rotate(${rotation}deg)`,
+            filter: 'drop-shadow(0 4px 6px rgba(0, 0, 0, 0.1))'
+          }}
+          onMouseEnter={(e) => {
+            e.currentTarget.style.transform = `rotate(0deg) scale(1.05)`;
+          }}
+          onMouseLeave={(e) => {
+            e.currentTarget.style.transform = `rotate(${rotation}deg) scale(1)`;
+          }}
+        >
+          <BibPlaceholder entry={entry} />
         </div>
       )}
       <div className="w-full text-center">
         <h3 className="font-semibold text-gray-900 mb-1 flex items-center justify-center gap-2">
-          {entry.raceName}
-          {entry.isPersonalBest && (
-            <Medal className="w-5 h-5 text-yellow-500 flex-shrink-0" />
-          )}
+          <span><HighlightedText text={entry.raceName} terms={search?.terms} /></span>
+          <RecordBadge badge={badge} />
+          <AgeGradeBadge grade={ageGrade} />
+          <RaceStatusBadge entry={entry} />
         </h3>
         <p className="text-sm text-gray-500 mb-1">
-          {getRaceTypeDisplay(entry)}
+          <HighlightedText text={getRaceTypeDisplay(entry)} terms={search?.terms} />
         </p>
         <p className="text-xs text-gray-400">
           {entry.date && formatDate(entry.date, 'MMM d, yyyy')}
         </p>
+        <SearchSnippets search={search} />
       </div>
     </div>
   );
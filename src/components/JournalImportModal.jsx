@@ -0,0 +1,219 @@
+import { useState, useRef } from 'react';
+import { Upload, X, CheckCircle, AlertCircle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { firestoreDb } from '../lib/firestoreDb';
+import { readJournalArchive, findDuplicateEntries, importJournal } from '../lib/journalArchive';
+
+/**
+ * Modal for restoring a journal archive made with "Export my journal"
+ */
+export function JournalImportModal({ onClose, onImported }) {
+  const { currentUser } = useAuth();
+  const [archive, setArchive] = useState(null);
+  const [duplicateIds, setDuplicateIds] = useState(new Set());
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [restoreProfile, setRestoreProfile] = useState(false);
+  const [reading, setReading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setError('');
+    setArchive(null);
+    setReading(true);
+    try {
+      const opened = await readJournalArchive(file);
+      const existingEntries = await firestoreDb.getEntries(currentUser.uid);
+      setDuplicateIds(findDuplicateEntries(opened.manifest.entries, existingEntries));
+      setArchive(opened);
+    } catch (err) {
+      console.error('Failed to read archive:', err);
+      setError(err.message || 'Failed to read archive.');
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!archive) return;
+    if (!navigator.onLine) {
+      setError('You need to be online to import a journal.');
+      return;
+    }
+
+    setImporting(true);
+    setError('');
+    try {
+      const importResult = await importJournal(
+        currentUser.uid,
+        archive,
+        { skipDuplicates, restoreProfile },
+        setProgress
+      );
+      setResult(importResult);
+      if (onImported) {
+        await onImported(importResult);
+      }
+    } catch (err) {
+      console.error('Failed to import journal:', err);
+      setError(err.message || 'Failed to import journal.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const entryCount = archive?.manifest.entries.length || 0;
+  const toImportCount = skipDuplicates ? entryCount - duplicateIds.size : entryCount;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4"
+      onClick={() => !importing && onClose()}
+    >
+      <div
+        className="bg-white rounded-lg shadow-xl max-w-md w-full p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Import Journal</h2>
+          <button
+            onClick={onClose}
+            disabled={importing}
+            className="text-gray-400 hover:text-gray-600 transition-colors disabled:opacity-50"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {result ? (
+          // Summary after importing
+          <div className="space-y-4">
+            <div className="flex items-start gap-3">
+              <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0 mt-0.5" />
+              <div className="text-sm text-gray-700">
+                <p>
+                  Imported {result.imported} {result.imported === 1 ? 'race' : 'races'}
+                  {result.skipped > 0 && `, skipped ${result.skipped} already in your journal`}.
+                </p>
+              </div>
+            </div>
+            {result.failed.length > 0 && (
+              <div className="flex items-start gap-3">
+                <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
+                <div className="text-sm text-gray-700">
+                  <p className="mb-1">{result.failed.length} could not be imported:</p>
+                  <ul className="list-disc pl-5 text-gray-500">
+                    {result.failed.map((failure, index) => (
+                      <li key={index}>{failure.raceName || 'Untitled race'} - {failure.error}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
+            <button
+              onClick={onClose}
+              className="w-full px-4 py-2 bg-black text-white rounded-lg hover:bg-zinc-900 transition-colors text-sm font-medium"
+            >
+              Done
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Choose a <span className="font-medium">.zip</span> archive made with "Export my journal". Races, photos and GPX tracks will be added to this account.
+            </p>
+
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".zip,application/zip"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={reading || importing}
+              className="w-full border-2 border-dashed border-gray-300 rounded-lg p-4 text-sm text-gray-600 hover:border-gray-400 hover:bg-gray-50 transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              <Upload className="w-4 h-4" />
+              {reading ? 'Reading archive...' : archive ? 'Choose a different archive' : 'Choose archive'}
+            </button>
+
+            {archive && (
+              <div className="bg-zinc-50 rounded-lg p-3 border border-zinc-200 text-sm text-gray-700 space-y-1">
+                <p>
+                  <span className="font-medium">{entryCount}</span> {entryCount === 1 ? 'race' : 'races'}
+                  {archive.manifest.profile?.name && ` from ${archive.manifest.profile.name}'s journal`}
+                </p>
+                {duplicateIds.size > 0 && (
+                  <p className="text-gray-500">
+                    {duplicateIds.size} already in your journal (same race name and date)
+                  </p>
+                )}
+              </div>
+            )}
+
+            {archive && (
+              <div className="space-y-2">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={skipDuplicates}
+                    onChange={(e) => setSkipDuplicates(e.target.checked)}
+                    disabled={importing}
+                    className="w-4 h-4 text-black border-gray-300 rounded focus:ring-black"
+                  />
+                  Skip races already in my journal
+                </label>
+                {archive.manifest.profile && (
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={restoreProfile}
+                      onChange={(e) => setRestoreProfile(e.target.checked)}
+                      disabled={importing}
+                      className="w-4 h-4 text-black border-gray-300 rounded focus:ring-black"
+                    />
+                    Restore profile details (your username is kept)
+                  </label>
+                )}
+              </div>
+            )}
+
+            {importing && progress && (
+              <div className="space-y-1">
+                <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
+                  <div
+                    className="bg-black h-2 transition-all"
+                    style={{ width: `${progress.total ? (progress.current / progress.total) * 100 : 0}%` }}
+                  />
+                </div>
+                <p className="text-xs text-gray-500">{progress.message}</p>
+              </div>
+            )}
+
+            {error && (
+              <p className="text-sm text-red-600">{error}</p>
+            )}
+
+            <button
+              onClick={handleImport}
+              disabled={!archive || importing || (toImportCount === 0 && !restoreProfile)}
+              className="w-full px-4 py-2 bg-black text-white rounded-lg hover:bg-zinc-900 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {importing
+                ? 'Importing...'
+                : `Import ${toImportCount} ${toImportCount === 1 ? 'race' : 'races'}`}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import { Map as MapIcon } from 'lucide-react';
+import { summarizeLegs } from '../lib/multisportUtils';
+import { formatDuration } from '../lib/statsUtils';
+import { formatDistance } from '../lib/units';
+import { useUnits } from '../hooks/useUnits';
+import { RouteVisualization } from './RouteVisualization';
+
+/**
+ * Swim / T1 / bike / T2 / run breakdown for a multisport race, with each leg's route when it has one
+ */
+export function LegBreakdown({ entry, profile = null }) {
+  const [openRouteIndex, setOpenRouteIndex] = useState(null);
+  const { units } = useUnits();
+  const summary = summarizeLegs(entry, units);
+  if (!summary) return null;
+
+  const openLeg = openRouteIndex !== null ? summary.legs[openRouteIndex] : null;
+
+  return (
+    <div className="mt-8 w-full max-w-2xl mx-auto">
+      <div className="flex items-center gap-3 mb-3">
+        <h2 className="text-sm font-medium uppercase tracking-wide text-gray-500">Legs</h2>
+        <div className="flex-1 border-t border-gray-300"></div>
+        {summary.totalSeconds > 0 && (
+          <span className="text-sm font-semibold text-gray-900 tabular-nums">{formatDuration(summary.totalSeconds)}</span>
+        )}
+      </div>
+
+      {/* Share of total time per leg */}
+      {summary.totalSeconds > 0 && (
+        <div className="flex h-3 rounded-full overflow-hidden mb-3 bg-gray-200">
+          {summary.legs.filter(leg => leg.share > 0).map(leg => (
+            <div
+              key={leg.index}
+              style={{ width: `${leg.share * 100}%`, backgroundColor: leg.color }}
+              title={`${leg.label} ${Math.round(leg.share * 100)}%`}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm divide-y divide-gray-100 text-left">
+        {summary.legs.map(leg => (
+          <div key={leg.index} className="flex items-center gap-3 px-4 py-2 text-sm">
+            <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: leg.color }} />
+            <span className="w-12 font-medium text-gray-700">{leg.label}</span>
+            <span className="w-20 text-gray-500 tabular-nums">
+              {leg.distanceKm ? formatDistance(leg.distanceKm, units, leg.distanceKm < 10 ? 2 : 1) : ''}
+            </span>
+            <span className="flex-1 text-gray-900 font-semibold tabular-nums">
+              {leg.seconds ? formatDuration(leg.seconds) : '-'}
+            </span>
+            <span className="w-24 text-right text-gray-500 tabular-nums">{leg.pace}</span>
+            <span className="w-8 flex justify-end">
+              {leg.routeData && (
+                <button
+                  onClick={() => setOpenRouteIndex(openRouteIndex === leg.index ? null : leg.index)}
+                  className={`p-1 rounded transition-colors ${openRouteIndex === leg.index ? 'bg-black text-white' : 'text-gray-400 hover:text-gray-900'}`}
+                  aria-label={`Show ${leg.label} route`}
+                >
+                  <MapIcon className="w-4 h-4" />
+                </button>
+              )}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {openLeg?.routeData && (
+        <div className="mt-6 text-left">
+          <RouteVisualization routeData={openLeg.routeData} profile={profile} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,6 +3,9 @@ import { MapContainer, TileLayer, Polyline, Marker, Popup, useMap } from 'react-
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { formatDate } from '../lib/dateUtils';
+import { formatDistance } from '../lib/units';
+import { getBibImageSrc } from '../lib/raceUtils';
+import { useUnits } from '../hooks/useUnits';
 
 // Fix for default marker icons in React-Leaflet
 import icon from 'leaflet/dist/images/marker-icon.png';
@@ -128,6 +131,7 @@ function calculateBoundsForAllRoutes(entriesWithRoutes) {
  * Map view component showing all GPX routes
  */
 export function MapView({ entries, onViewRace }) {
+  const { units } = useUnits();
 
   // Filter entries that have route data
   const entriesWithRoutes = useMemo(() => {
@@ -187,9 +191,9 @@ export function MapView({ entries, onViewRace }) {
             const startPoint = routePoints[0];
             const endPoint = routePoints[routePoints.length - 1];
             
-            // Get bib image URL (prefer cropped/processed, fallback to original)
-            const bibImageUrl = entry.bibPhoto 
-              ? (entry.bibPhoto.cropped || entry.bibPhoto.processed || entry.bibPhoto.original)
+            const bibImageUrl = getBibImageSrc(entry);
+            const routeDistance = entry.routeData.stats?.distance
+              ? formatDistance(entry.routeData.stats.distance, units, 2)
               : null;
             
             return (
@@ -224,7 +228,7 @@ export function MapView({ entries, onViewRace }) {
                     <Popup>
                       <div className="text-sm">
                         <div className="font-semibold">{entry.raceName}</div>
-                        <div className="text-gray-600">Finish</div>
+                        <div className="text-gray-600">Finish{routeDistance && ` · ${routeDistance}`}</div>
                         {entry.date && (
                           <div className="text-xs text-gray-500 mt-1">
                             {formatDate(entry.date, 'MMM d, yyyy')}
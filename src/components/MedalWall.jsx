@@ -0,0 +1,193 @@
+import { useState, useMemo } from 'react';
+import { Medal } from 'lucide-react';
+import { formatDate, parseLocalDate } from '../lib/dateUtils';
+import { getRaceTypeDisplay, getDistanceLabel, getMedalImageSrc } from '../lib/raceUtils';
+
+const GROUP_OPTIONS = [
+  { id: 'year', label: 'By Year' },
+  { id: 'distance', label: 'By Distance' },
+];
+
+/**
+ * Get the distance label used to group medals
+ * Falls back to the old raceType format for backward compatibility
+ */
+function getDistanceGroup(entry) {
+  return getDistanceLabel(entry) || entry.raceType || 'Other';
+}
+
+/**
+ * Get the year label used to group medals
+ */
+function getYearGroup(entry) {
+  const date = parseLocalDate(entry.date);
+  if (!date || isNaN(date.getTime())) return 'Undated';
+  return String(date.getFullYear());
+}
+
+/**
+ * Medal wall component - shows every medal photo hanging on a pegboard shelf
+ */
+export function MedalWall({ entries, onViewRace }) {
+  const [groupBy, setGroupBy] = useState('year');
+
+  const medalEntries = useMemo(() => {
+    return entries
+      .filter(entry => getMedalImageSrc(entry))
+      .sort((a, b) => {
+        const dateA = parseLocalDate(a.date) || new Date(0);
+        const dateB = parseLocalDate(b.date) || new Date(0);
+        return dateB - dateA;
+      });
+  }, [entries]);
+
+  // Group medals by year (newest first) or by distance (most medals first)
+  const groups = useMemo(() => {
+    const getGroup = groupBy === 'year' ? getYearGroup : getDistanceGroup;
+    const grouped = medalEntries.reduce((acc, entry) => {
+      const key = getGroup(entry);
+      if (!acc[key]) acc[key] = [];
+      acc[key].push(entry);
+      return acc;
+    }, {});
+
+    return Object.entries(grouped).sort(([keyA, entriesA], [keyB, entriesB]) => {
+      if (groupBy === 'year') {
+        if (keyA === 'Undated') return 1;
+        if (keyB === 'Undated') return -1;
+        return Number(keyB) - Number(keyA);
+      }
+      if (entriesA.length !== entriesB.length) {
+        return entriesB.length - entriesA.length;
+      }
+      return keyA.localeCompare(keyB);
+    });
+  }, [medalEntries, groupBy]);
+
+  if (medalEntries.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <Medal className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-500">No medals yet.</p>
+        <p className="text-gray-400 text-sm mt-1">Add a medal photo to a race entry to hang it on your wall.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-12">
+      {/* Group toggle */}
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          {medalEntries.length} {medalEntries.length === 1 ? 'medal' : 'medals'}
+        </p>
+        <div className="flex items-center gap-1 bg-gray-100 p-1 rounded-lg">
+          {GROUP_OPTIONS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setGroupBy(option.id)}
+              className={`px-3 py-1.5 rounded text-sm transition-colors ${
+                groupBy === option.id
+                  ? 'bg-white text-gray-900 shadow-sm'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {groups.map(([groupLabel, groupEntries]) => (
+        <section key={groupLabel} className="space-y-4">
+          {/* Header with group label and line */}
+          <div className="flex items-center gap-3">
+            <h2 className="text-lg font-semibold text-gray-900">{groupLabel}</h2>
+            <span className="text-sm text-gray-400">{groupEntries.length}</span>
+            <div className="flex-1 border-t border-gray-300"></div>
+          </div>
+
+          {/* Pegboard */}
+          <div
+            className="relative rounded-lg px-6 pt-6 pb-0 overflow-visible"
+            style={{
+              backgroundColor: '#e7d8c3',
+              backgroundImage: 'radial-gradient(circle, rgba(120, 92, 60, 0.35) 2px, transparent 2.5px)',
+              backgroundSize: '24px 24px',
+              boxShadow: 'inset 0 2px 6px rgba(0, 0, 0, 0.08)',
+            }}
+          >
+            <div className="flex flex-wrap justify-center gap-x-8 gap-y-10 pb-6">
+              {groupEntries.map(entry => (
+                <HangingMedal key={entry.id} entry={entry} onViewRace={onViewRace} />
+              ))}
+            </div>
+
+            {/* Shelf ledge */}
+            <div
+              className="-mx-6 h-4 rounded-b-lg"
+              style={{
+                background: 'linear-gradient(to bottom, #a47f57, #7c5a3a)',
+                boxShadow: '0 4px 8px rgba(0, 0, 0, 0.2)',
+              }}
+            ></div>
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Single medal hanging from a peg, with a hover card showing race details
+ */
+function HangingMedal({ entry, onViewRace }) {
+  const [isHovered, setIsHovered] = useState(false);
+  const medalImageSrc = getMedalImageSrc(entry);
+
+  return (
+    <div
+      className="relative flex flex-col items-center cursor-pointer"
+      onClick={() => onViewRace(entry.id)}
+      onMouseEnter={() => setIsHovered(true)}
+      onMouseLeave={() => setIsHovered(false)}
+    >
+      {/* Peg */}
+      <div className="w-3 h-3 rounded-full bg-gray-700 shadow-sm z-10"></div>
+      {/* Ribbon */}
+      <div className="w-px h-6 bg-gray-500"></div>
+
+      <div
+        className="w-28 h-32 flex items-start justify-center transition-transform duration-300 ease-out"
+        style={{
+          transform: isHovered ? 'scale(1.1)' : 'scale(1)',
+          transformOrigin: 'top center',
+          filter: 'drop-shadow(0 4px 6px rgba(0, 0, 0, 0.25))',
+        }}
+      >
+        <img
+          src={medalImageSrc}
+          alt={`Medal for ${entry.raceName}`}
+          className="max-w-full max-h-full object-contain"
+          loading="lazy"
+        />
+      </div>
+
+      {/* Hover card */}
+      {isHovered && (
+        <div className="absolute top-full mt-2 left-1/2 -translate-x-1/2 w-56 bg-black/85 backdrop-blur-md text-white rounded-lg shadow-lg border border-white/10 p-3 z-30 pointer-events-none">
+          <p className="font-semibold text-sm leading-tight">{entry.raceName}</p>
+          <p className="text-xs text-zinc-300 mt-1">{getRaceTypeDisplay(entry)}</p>
+          {entry.date && (
+            <p className="text-xs text-zinc-400 mt-1">{formatDate(entry.date, 'MMM d, yyyy')}</p>
+          )}
+          {entry.results?.finishTime && (
+            <p className="text-xs text-zinc-300 mt-2">
+              Finish Time: <span className="text-white font-medium">{entry.results.finishTime}</span>
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
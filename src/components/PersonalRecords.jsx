@@ -0,0 +1,206 @@
+import { useState } from 'react';
+import { Trophy, AlertCircle, TrendingDown } from 'lucide-react';
+import { formatDate } from '../lib/dateUtils';
+import { formatDuration } from '../lib/statsUtils';
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 110;
+const CHART_PADDING = { top: 12, right: 12, bottom: 12, left: 12 };
+
+/**
+ * Small "PR" / "CR" badge shown next to race names
+ */
+export function RecordBadge({ badge }) {
+  if (badge === 'pr') {
+    return (
+      <span
+        className="bg-yellow-200 text-yellow-800 text-[10px] font-bold px-1.5 py-0.5 rounded flex-shrink-0"
+        title="Personal record"
+      >
+        PR
+      </span>
+    );
+  }
+  if (badge === 'course') {
+    return (
+      <span
+        className="bg-gray-200 text-gray-700 text-[10px] font-bold px-1.5 py-0.5 rounded flex-shrink-0"
+        title="Course record - fastest time on this course"
+      >
+        CR
+      </span>
+    );
+  }
+  return null;
+}
+
+/**
+ * Step chart of a PR getting faster over time (faster is higher)
+ */
+function ProgressionChart({ history }) {
+  if (history.length < 2) return null;
+
+  const times = history.map(result => result.date.getTime());
+  const seconds = history.map(result => result.seconds);
+  const minTime = Math.min(...times);
+  const timeRange = Math.max(Math.max(...times) - minTime, 1);
+  const minSeconds = Math.min(...seconds);
+  const secondsRange = Math.max(Math.max(...seconds) - minSeconds, 1);
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = (time) => CHART_PADDING.left + ((time - minTime) / timeRange) * plotWidth;
+  const y = (value) => CHART_PADDING.top + (1 - (value - minSeconds) / secondsRange) * plotHeight;
+
+  // A PR holds until the next one, so draw horizontal then vertical steps
+  const path = history
+    .map((result, index) => {
+      const px = x(result.date.getTime()).toFixed(1);
+      const py = y(result.seconds).toFixed(1);
+      if (index === 0) return `M${px},${py}`;
+      const prevY = y(history[index - 1].seconds).toFixed(1);
+      return `L${px},${prevY} L${px},${py}`;
+    })
+    .join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto">
+      <path d={path} fill="none" stroke="#000000" strokeWidth={1.5} />
+      {history.map(result => (
+        <circle
+          key={result.entryId}
+          cx={x(result.date.getTime())}
+          cy={y(result.seconds)}
+          r={3.5}
+          fill="#facc15"
+          stroke="#000000"
+          strokeWidth={1}
+        />
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * Personal records view - current PR and PR progression per distance and surface.
+ * Owners are offered a fix when manual "Personal Best" flags have gone stale.
+ */
+export function PersonalRecords({ records, onViewRace, onFixFlags }) {
+  const [fixing, setFixing] = useState(false);
+  const [showStale, setShowStale] = useState(false);
+
+  const handleFixFlags = async () => {
+    setFixing(true);
+    try {
+      await onFixFlags(records.staleFlags);
+    } catch (error) {
+      console.error('Failed to fix personal best flags:', error);
+      alert('Failed to update some races. Please try again.');
+    } finally {
+      setFixing(false);
+    }
+  };
+
+  if (records.categories.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500">No personal records yet.</p>
+        <p className="text-sm text-gray-400 mt-1">
+          Add a finish time to a race with an official distance to start tracking PRs.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Stale manual flags */}
+      {onFixFlags && records.staleFlags.length > 0 && (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          <div className="flex items-start gap-3">
+            <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+            <div className="flex-1">
+              <p className="font-medium">
+                {records.staleFlags.length} race{records.staleFlags.length === 1 ? ' has' : 's have'} a Personal Best flag that doesn't match your times.
+              </p>
+              <button
+                onClick={() => setShowStale(prev => !prev)}
+                className="mt-1 underline hover:no-underline"
+              >
+                {showStale ? 'Hide details' : 'Show details'}
+              </button>
+              {showStale && (
+                <ul className="mt-2 space-y-1">
+                  {records.staleFlags.map(flag => (
+                    <li key={flag.entryId}>
+                      {flag.raceName} - {flag.shouldBe ? 'is a current PR but not flagged' : 'flagged, but has since been beaten'}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <button
+              onClick={handleFixFlags}
+              disabled={fixing}
+              className="px-4 py-2 bg-black text-white rounded-lg hover:bg-zinc-900 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex-shrink-0"
+            >
+              {fixing ? 'Fixing...' : 'Fix flags'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        {records.categories.map(record => (
+          <div key={record.key} className="bg-white rounded-lg shadow-sm p-6">
+            <div className="flex items-center gap-3 mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">{record.key}</h2>
+              <div className="flex-1 border-t border-gray-300"></div>
+            </div>
+
+            {/* Current PR - Sticky note style */}
+            <button
+              onClick={() => onViewRace(record.current.entryId)}
+              className="w-full text-left bg-yellow-200/70 rounded-lg p-4 shadow-sm transform rotate-[-1deg] hover:rotate-0 transition-transform mb-4"
+            >
+              <div className="flex items-center gap-2 text-yellow-700 mb-2">
+                <Trophy className="w-4 h-4" />
+                <div className="text-xs font-medium uppercase tracking-wide">Current PR</div>
+              </div>
+              <div className="font-bold text-2xl text-gray-900">{formatDuration(record.current.seconds)}</div>
+              <div className="text-sm text-gray-600">
+                {record.current.raceName} • {formatDate(record.current.date, 'MMM d, yyyy')}
+              </div>
+            </button>
+
+            <ProgressionChart history={record.history} />
+
+            {/* PR timeline, newest first */}
+            <ol className="mt-4 space-y-2">
+              {[...record.history].reverse().map(result => (
+                <li key={result.entryId}>
+                  <button
+                    onClick={() => onViewRace(result.entryId)}
+                    className="w-full flex items-center gap-3 text-sm text-left hover:bg-gray-50 rounded px-2 py-1 transition-colors"
+                  >
+                    <span className="w-20 text-gray-400 text-xs">{formatDate(result.date, 'MMM yyyy')}</span>
+                    <span className="flex-1 text-gray-700 truncate">{result.raceName}</span>
+                    <span className="font-semibold text-gray-900 tabular-nums">{formatDuration(result.seconds)}</span>
+                    <span className="w-16 text-right text-xs text-green-600 tabular-nums flex items-center justify-end gap-1">
+                      {result.improvement !== null && (
+                        <>
+                          <TrendingDown className="w-3 h-3" />
+                          {formatDuration(result.improvement)}
+                        </>
+                      )}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -2,13 +2,17 @@ import { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { firestoreDb } from '../lib/firestoreDb';
 import { calculateAge } from '../lib/ageUtils';
+import { UNIT_SYSTEMS, getProfileUnits } from '../lib/units';
+import { useUnits } from '../hooks/useUnits';
+import { CUSTOM_FIELD_TYPES, createCustomField, getProfileCustomFields, validateCustomFieldDefinitions } from '../lib/customFieldUtils';
 import { ImageCropper } from './ImageCropper';
-import { Upload, X, ChevronDown } from 'lucide-react';
+import { Upload, X, ChevronDown, Plus, Trash2 } from 'lucide-react';
 
 const USERNAME_REGEX = /^(?=.*[a-zA-Z])[a-zA-Z0-9._-]{6,}$/;
 
 export function ProfileEditModal({ profile, onClose, onUpdate }) {
   const { currentUser } = useAuth();
+  const { setUnits } = useUnits();
   const [formData, setFormData] = useState({
     profilePhoto: null,
     name: '',
@@ -17,6 +21,11 @@ export function ProfileEditModal({ profile, onClose, onUpdate }) {
     gender: '',
     location: '',
     experienceLevel: '',
+    maxHeartRate: '',
+    thresholdHeartRate: '',
+    units: 'metric',
+    publicStats: false,
+    customFields: [],
   });
   const [usernameError, setUsernameError] = useState('');
   const [usernameChecking, setUsernameChecking] = useState(false);
@@ -40,6 +49,12 @@ export function ProfileEditModal({ profile, onClose, onUpdate }) {
         gender: profile.gender || '',
         location: profile.location || '',
         experienceLevel: profile.experienceLevel || '',
+        maxHeartRate: profile.maxHeartRate || '',
+        thresholdHeartRate: profile.thresholdHeartRate || '',
+        units: getProfileUnits(profile),
+        publicStats: profile.publicStats === true,
+        // Select choices are edited as comma-separated text
+        customFields: getProfileCustomFields(profile).map(field => ({ ...field, optionsText: (field.options || []).join(', ') })),
       });
     }
   }, [profile]);
@@ -111,6 +126,13 @@ export function ProfileEditModal({ profile, onClose, onUpdate }) {
     checkUsernameAvailability(username);
   };
 
+  const handleCustomFieldChange = (index, key, value) => {
+    setFormData(prev => ({
+      ...prev,
+      customFields: prev.customFields.map((field, i) => (i === index ? { ...field, [key]: value } : field)),
+    }));
+  };
+
   const handleFileChange = async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
@@ -306,6 +328,32 @@ export function ProfileEditModal({ profile, onClose, onUpdate }) {
       return;
     }
 
+    // Heart-rate settings are optional, but must be plausible when given
+    const heartRateFields = [
+      { key: 'maxHeartRate', label: 'Max heart rate' },
+      { key: 'thresholdHeartRate', label: 'Threshold heart rate' },
+    ];
+    for (const { key, label } of heartRateFields) {
+      const value = formData[key];
+      if (value !== '' && (isNaN(Number(value)) || Number(value) < 100 || Number(value) > 230)) {
+        alert(`${label} should be between 100 and 230 bpm`);
+        return;
+      }
+    }
+
+    const customFields = formData.customFields.map(({ optionsText, ...field }) => ({
+      ...field,
+      label: field.label.trim(),
+      options: field.type === 'select'
+        ? [...new Set(optionsText.split(',').map(option => option.trim()).filter(Boolean))]
+        : [],
+    }));
+    const customFieldError = validateCustomFieldDefinitions(customFields);
+    if (customFieldError) {
+      alert(customFieldError);
+      return;
+    }
+
     setSaving(true);
 
     try {
@@ -335,9 +383,15 @@ export function ProfileEditModal({ profile, onClose, onUpdate }) {
         location: formData.location,
         experienceLevel: formData.experienceLevel,
         profilePhoto: profilePhotoUrl,
+        maxHeartRate: formData.maxHeartRate !== '' ? Number(formData.maxHeartRate) : null,
+        thresholdHeartRate: formData.thresholdHeartRate !== '' ? Number(formData.thresholdHeartRate) : null,
+        units: formData.units,
+        publicStats: formData.publicStats,
+        customFields,
       };
 
       await firestoreDb.upsertUserProfile(currentUser.uid, profileData);
+      setUnits(formData.units);
 
       // Notify parent to refresh
       if (onUpdate) {
@@ -593,6 +647,161 @@ export function ProfileEditModal({ profile, onClose, onUpdate }) {
             </div>
           </div>
 
+          {/* Units */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Units
+            </label>
+            <p className="text-xs text-gray-500 mb-2">
+              Used for distances, paces, elevation and split markers.
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              {Object.entries(UNIT_SYSTEMS).map(([id, system]) => {
+                const isSelected = formData.units === id;
+                return (
+                  <button
+                    key={id}
+                    type="button"
+                    onClick={() => setFormData(prev => ({ ...prev, units: id }))}
+                    className={`p-3 rounded-lg border-2 transition-all text-left ${
+                      isSelected
+                        ? 'border-black bg-gray-50 shadow-md'
+                        : 'border-gray-300 hover:border-gray-400 hover:bg-gray-50'
+                    }`}
+                  >
+                    <h3 className="text-sm font-semibold text-gray-900">{system.label}</h3>
+                    <p className="text-xs text-gray-500">{system.distance} · {system.elevation} · {system.speed}</p>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Public stats */}
+          <div>
+            <label className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={formData.publicStats}
+                onChange={(e) => setFormData(prev => ({ ...prev, publicStats: e.target.checked }))}
+                className="mt-0.5 rounded border-gray-300 text-black focus:ring-black"
+              />
+              <span>
+                <span className="block text-sm font-medium text-gray-700">Show my stats on my public profile</span>
+                <span className="block text-xs text-gray-500">
+                  Visitors to your public journal get the Stats tab with your charts by year, distance and surface.
+                </span>
+              </span>
+            </label>
+          </div>
+
+          {/* Heart Rate Zones */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Heart Rate Zones (Optional)
+            </label>
+            <p className="text-xs text-gray-500 mb-2">
+              Used for time in zones on races with heart-rate data. Threshold HR is used when set, otherwise max HR, otherwise an estimate from your age.
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="edit-max-hr" className="block text-xs text-gray-600 mb-1">
+                  Max HR (bpm)
+                </label>
+                <input
+                  id="edit-max-hr"
+                  type="number"
+                  min="100"
+                  max="230"
+                  value={formData.maxHeartRate}
+                  onChange={(e) => setFormData(prev => ({ ...prev, maxHeartRate: e.target.value }))}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black focus:border-transparent transition-colors"
+                  placeholder="e.g. 190"
+                />
+              </div>
+              <div>
+                <label htmlFor="edit-threshold-hr" className="block text-xs text-gray-600 mb-1">
+                  Threshold HR (bpm)
+                </label>
+                <input
+                  id="edit-threshold-hr"
+                  type="number"
+                  min="100"
+                  max="230"
+                  value={formData.thresholdHeartRate}
+                  onChange={(e) => setFormData(prev => ({ ...prev, thresholdHeartRate: e.target.value }))}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black focus:border-transparent transition-colors"
+                  placeholder="e.g. 172"
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* Custom Fields */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Custom Fields (Optional)
+            </label>
+            <p className="text-xs text-gray-500 mb-2">
+              Extra details to record on every race, like weather, shoe size or time to the start line. They're filled in on the first step of the race form.
+            </p>
+            <div className="space-y-2">
+              {formData.customFields.map((field, index) => (
+                <div key={field.id} className="flex gap-2 items-start">
+                  <div className="flex-1 space-y-2">
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={field.label}
+                        onChange={(e) => handleCustomFieldChange(index, 'label', e.target.value)}
+                        className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-black focus:border-transparent transition-colors"
+                        placeholder="Field name"
+                      />
+                      <select
+                        value={field.type}
+                        onChange={(e) => handleCustomFieldChange(index, 'type', e.target.value)}
+                        aria-label="Field type"
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-black focus:border-transparent"
+                      >
+                        {CUSTOM_FIELD_TYPES.map(type => (
+                          <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {field.type === 'select' && (
+                      <input
+                        type="text"
+                        value={field.optionsText}
+                        onChange={(e) => handleCustomFieldChange(index, 'optionsText', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-black focus:border-transparent transition-colors"
+                        placeholder="Choices, separated by commas"
+                      />
+                    )}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setFormData(prev => ({ ...prev, customFields: prev.customFields.filter((_, i) => i !== index) }))}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                    aria-label={`Remove ${field.label || 'field'}`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setFormData(prev => ({
+                  ...prev,
+                  customFields: [...prev.customFields, { ...createCustomField(), optionsText: '' }],
+                }))}
+                className="flex items-center gap-1.5 text-sm text-gray-700 hover:text-black transition-colors"
+              >
+                <Plus className="w-4 h-4" />
+                Add field
+              </button>
+            </div>
+          </div>
+
           <div className="flex gap-4 pt-4">
             <button
               type="button"
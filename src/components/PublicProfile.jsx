@@ -1,9 +1,10 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { firestoreDb } from '../lib/firestoreDb';
 import { formatDate } from '../lib/dateUtils';
-import { getRaceTypeDisplay } from '../lib/raceUtils';
+import { getRaceTypeDisplay, getBibImageSrc } from '../lib/raceUtils';
+import { computePersonalRecords } from '../lib/personalRecords';
 import { ProfileEditModal } from './ProfileEditModal';
 import { Medal, Pencil } from 'lucide-react';
 import logoSvg from '../assets/Bib Journal.svg';
@@ -61,6 +62,9 @@ export function PublicProfile() {
     loadProfile();
   }, [username, currentUser]);
 
+  // PR medals come from the results, not the entry's own flag
+  const recordBadges = useMemo(() => computePersonalRecords(entries).badges, [entries]);
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -175,13 +179,7 @@ export function PublicProfile() {
         ) : (
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-12 overflow-visible">
             {entries.map((entry) => {
-              const bibImageSrc = entry.bibPhoto
-                ? (entry.bibPhoto.cropped
-                    ? (entry.bibPhoto.useCropped !== false ? entry.bibPhoto.cropped : entry.bibPhoto.original)
-                    : (entry.bibPhoto.processed 
-                        ? (entry.bibPhoto.useProcessed !== false ? entry.bibPhoto.processed : entry.bibPhoto.original)
-                        : entry.bibPhoto.original))
-                : null;
+              const bibImageSrc = getBibImageSrc(entry);
 
               return (
                 <div key={entry.id} className="flex flex-col items-center cursor-pointer group overflow-visible">
@@ -219,7 +217,7 @@ export function PublicProfile() {
                   <div className="w-full text-center">
                     <h3 className="font-semibold text-gray-900 mb-1 flex items-center justify-center gap-2">
                       {entry.raceName}
-                      {entry.isPersonalBest && (
+                      {recordBadges[entry.id] === 'pr' && (
                         <Medal className="w-5 h-5 text-yellow-500 flex-shrink-0" />
                       )}
                     </h3>
@@ -0,0 +1,333 @@
+import { useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, Polyline, useMap } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { ArrowLeftRight, X } from 'lucide-react';
+import { BibPlaceholder } from './BibPlaceholder';
+import { formatDate } from '../lib/dateUtils';
+import { formatDuration } from '../lib/statsUtils';
+import { calculateBounds } from '../lib/gpxParser';
+import { getRaceTypeDisplay, getBibImageSrc, getMedalImageSrc } from '../lib/raceUtils';
+import { compareResults, alignSplits, buildComparisonSeries } from '../lib/raceComparison';
+import { getDistanceUnit, convertDistance, formatPace, formatElevation } from '../lib/units';
+import { useUnits } from '../hooks/useUnits';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = { top: 10, right: 10, bottom: 20, left: 52 };
+
+// Race A and race B keep these labels and colors everywhere in the comparison
+const RACE_LABELS = ['A', 'B'];
+const RACE_COLORS = ['#2563eb', '#ea580c'];
+
+/**
+ * "+1:05" or "-0:42"
+ */
+function formatSignedTime(seconds) {
+  return `${seconds > 0 ? '+' : '-'}${formatDuration(Math.abs(seconds))}`;
+}
+
+/**
+ * Format a result value and its difference for display
+ * @returns {Object} - { a, b, diff } strings
+ */
+function formatResultRow(row, units) {
+  const sign = row.diff > 0 ? '+' : '-';
+  const formatters = {
+    seconds: value => formatDuration(value),
+    pace: value => formatPace(value, units),
+    overallPlace: value => String(value),
+    ageGroupPlace: value => String(value),
+    overallPercent: value => `Top ${Math.max(1, Math.round(value))}%`,
+    ageGroupPercent: value => `Top ${Math.max(1, Math.round(value))}%`,
+    elevationGain: value => formatElevation(value, units),
+  };
+  const diffFormatters = {
+    seconds: diff => formatSignedTime(diff),
+    pace: diff => `${sign}${formatPace(Math.abs(diff), units)}`,
+    overallPlace: diff => `${sign}${Math.abs(diff)} places`,
+    ageGroupPlace: diff => `${sign}${Math.abs(diff)} places`,
+    overallPercent: diff => `${sign}${Math.abs(diff).toFixed(1)} pts`,
+    ageGroupPercent: diff => `${sign}${Math.abs(diff).toFixed(1)} pts`,
+    elevationGain: diff => `${sign}${formatElevation(Math.abs(diff), units)}`,
+  };
+  const format = formatters[row.key];
+
+  return {
+    a: row.a !== null ? format(row.a) : '—',
+    b: row.b !== null ? format(row.b) : '—',
+    diff: row.diff ? diffFormatters[row.key](row.diff) : row.diff === 0 ? 'Same' : '',
+  };
+}
+
+/**
+ * Two series drawn against distance on the same axes
+ * @param {boolean} invert - Draw lower values higher (faster paces)
+ */
+function OverlayChart({ series, formatValue, invert = false }) {
+  const { units } = useUnits();
+  const points = series.flat();
+  if (points.length === 0) return null;
+
+  const maxDistance = Math.max(...points.map(point => point.distance));
+  const values = points.map(point => point.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = Math.max(max - min, 1);
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = (distance) => CHART_PADDING.left + (distance / maxDistance) * plotWidth;
+  const y = (value) => {
+    const ratio = (value - min) / range;
+    return CHART_PADDING.top + (invert ? ratio : 1 - ratio) * plotHeight;
+  };
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto select-none">
+      {series.map((line, index) => line.length > 1 && (
+        <path
+          key={index}
+          d={line.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(point.distance).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ')}
+          fill="none"
+          stroke={RACE_COLORS[index]}
+          strokeWidth={1.5}
+        />
+      ))}
+
+      {/* Axis labels */}
+      <text x={CHART_PADDING.left - 6} y={y(invert ? min : max) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+        {formatValue(invert ? min : max)}
+      </text>
+      <text x={CHART_PADDING.left - 6} y={y(invert ? max : min) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+        {formatValue(invert ? max : min)}
+      </text>
+      <text x={CHART_PADDING.left} y={CHART_HEIGHT - 6} fontSize="10" fill="#6b7280">0</text>
+      <text x={CHART_WIDTH - CHART_PADDING.right} y={CHART_HEIGHT - 6} textAnchor="end" fontSize="10" fill="#6b7280">
+        {convertDistance(maxDistance, units).toFixed(1)} {getDistanceUnit(units)}
+      </text>
+    </svg>
+  );
+}
+
+/**
+ * Fit the map to both routes
+ */
+function FitBounds({ bounds }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (bounds && map) {
+      map.fitBounds([
+        [bounds.minLat, bounds.minLon],
+        [bounds.maxLat, bounds.maxLon],
+      ], {
+        padding: [20, 20],
+        maxZoom: 15,
+      });
+    }
+  }, [bounds, map]);
+
+  return null;
+}
+
+function ComparisonTableHead({ firstColumn }) {
+  return (
+    <thead className="text-xs text-gray-500 uppercase tracking-wide">
+      <tr>
+        <th className="px-4 py-2 text-left font-medium">{firstColumn}</th>
+        {RACE_LABELS.map((label, index) => (
+          <th key={label} className="px-4 py-2 text-right font-medium" style={{ color: RACE_COLORS[index] }}>{label}</th>
+        ))}
+        <th className="px-4 py-2 text-right font-medium">Diff</th>
+      </tr>
+    </thead>
+  );
+}
+
+function SectionHeader({ title }) {
+  return (
+    <div className="flex items-center gap-3 mb-4">
+      <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+      <div className="flex-1 border-t border-gray-300"></div>
+    </div>
+  );
+}
+
+/**
+ * Two races side by side - results with the difference between them, bibs and medals,
+ * both routes on one map, and splits, pace and elevation lined up by distance
+ * @param {Array} entries - The two races, [a, b]; differences are b - a
+ */
+export function RaceComparison({ entries, onClose, onViewRace }) {
+  const { units } = useUnits();
+  const [entryA, entryB] = entries;
+  const splitUnit = getDistanceUnit(units);
+
+  const results = useMemo(() => compareResults(entryA, entryB), [entryA, entryB]);
+  const splits = useMemo(() => alignSplits(entryA, entryB, splitUnit), [entryA, entryB, splitUnit]);
+  const series = useMemo(() => buildComparisonSeries(entryA, entryB, splitUnit), [entryA, entryB, splitUnit]);
+
+  const routed = entries.filter(entry => entry.routeData?.coordinates?.length);
+  const bounds = useMemo(() => {
+    const coordinates = [entryA, entryB].flatMap(entry => entry.routeData?.coordinates || []);
+    return coordinates.length > 0 ? calculateBounds(coordinates) : null;
+  }, [entryA, entryB]);
+
+  return (
+    <div className="fixed inset-0 bg-gray-50 z-40 overflow-y-auto">
+      <header className="sticky top-0 z-[1000] bg-gray-50/90 backdrop-blur border-b border-gray-200">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center gap-3">
+          <ArrowLeftRight className="w-5 h-5 text-gray-500" />
+          <h1 className="flex-1 text-lg font-semibold text-gray-900">Compare Races</h1>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-200 rounded-lg transition-colors"
+            aria-label="Close comparison"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-6xl mx-auto px-4 py-6 space-y-10">
+        {/* The two races, with their bibs and medals */}
+        <section className="grid grid-cols-2 gap-4 sm:gap-8">
+          {entries.map((entry, index) => {
+            const bibImageSrc = getBibImageSrc(entry);
+            const medalImageSrc = getMedalImageSrc(entry);
+            return (
+              <div key={entry.id} className="flex flex-col gap-4">
+                <button onClick={() => onViewRace(entry.id)} className="text-left group">
+                  <div className="flex items-center gap-2">
+                    <span
+                      className="w-5 h-5 rounded-full flex-shrink-0 flex items-center justify-center text-[10px] font-bold text-white"
+                      style={{ backgroundColor: RACE_COLORS[index] }}
+                    >
+                      {RACE_LABELS[index]}
+                    </span>
+                    <h2 className="font-semibold text-gray-900 truncate group-hover:underline">{entry.raceName}</h2>
+                  </div>
+                  <p className="text-sm text-gray-500">
+                    {entry.date && formatDate(entry.date, 'MMM d, yyyy')} • {getRaceTypeDisplay(entry)}
+                  </p>
+                </button>
+                <div className="flex flex-col sm:flex-row gap-4 items-center">
+                  <div className="flex-1 w-full">
+                    {bibImageSrc ? (
+                      <img src={bibImageSrc} alt={`Bib for ${entry.raceName}`} className="w-full h-auto object-contain rounded-lg" />
+                    ) : (
+                      <BibPlaceholder entry={entry} className="shadow-sm" />
+                    )}
+                  </div>
+                  {medalImageSrc && (
+                    <img src={medalImageSrc} alt={`Medal for ${entry.raceName}`} className="w-24 sm:w-32 h-auto object-contain" />
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </section>
+
+        {/* Results */}
+        {results.length > 0 && (
+          <section>
+            <SectionHeader title="Results" />
+            <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+              <table className="w-full text-sm">
+                <ComparisonTableHead firstColumn="" />
+                <tbody className="divide-y divide-gray-100">
+                  {results.map((row) => {
+                    const formatted = formatResultRow(row, units);
+                    return (
+                      <tr key={row.key}>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500">{row.label}</th>
+                        <td className={`px-4 py-2 text-right tabular-nums ${row.better === 'a' ? 'font-semibold text-green-700' : 'text-gray-900'}`}>
+                          {formatted.a}
+                        </td>
+                        <td className={`px-4 py-2 text-right tabular-nums ${row.better === 'b' ? 'font-semibold text-green-700' : 'text-gray-900'}`}>
+                          {formatted.b}
+                        </td>
+                        <td className="px-4 py-2 text-right tabular-nums text-gray-500">{formatted.diff}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+
+        {/* Routes */}
+        {routed.length > 0 && (
+          <section>
+            <SectionHeader title="Routes" />
+            <div className="h-96 rounded-lg overflow-hidden shadow-sm">
+              <MapContainer
+                center={[routed[0].routeData.coordinates[0].lat, routed[0].routeData.coordinates[0].lon]}
+                zoom={13}
+                style={{ height: '100%', width: '100%' }}
+              >
+                <TileLayer
+                  attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                  url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                />
+                {bounds && <FitBounds bounds={bounds} />}
+                {entries.map((entry, index) => entry.routeData?.coordinates?.length > 0 && (
+                  <Polyline
+                    key={entry.id}
+                    positions={entry.routeData.coordinates.map(coord => [coord.lat, coord.lon])}
+                    color={RACE_COLORS[index]}
+                    weight={4}
+                    opacity={0.7}
+                  />
+                ))}
+              </MapContainer>
+            </div>
+          </section>
+        )}
+
+        {/* Splits */}
+        {splits.length > 0 && (
+          <section>
+            <SectionHeader title="Splits" />
+            <div className="bg-white rounded-lg shadow-sm p-4 mb-4">
+              <div className="text-xs font-medium uppercase tracking-wide text-gray-500 mb-2">Pace</div>
+              <OverlayChart
+                series={series.pace}
+                formatValue={value => `${formatDuration(value)}/${splitUnit}`}
+                invert
+              />
+            </div>
+            <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+              <table className="w-full text-sm">
+                <ComparisonTableHead firstColumn={splitUnit} />
+                <tbody className="divide-y divide-gray-100">
+                  {splits.map(split => (
+                    <tr key={split.number}>
+                      <td className="px-4 py-1.5 text-gray-500">{split.number}</td>
+                      <td className="px-4 py-1.5 text-right tabular-nums text-gray-900">{split.a ? formatDuration(split.a.time) : '—'}</td>
+                      <td className="px-4 py-1.5 text-right tabular-nums text-gray-900">{split.b ? formatDuration(split.b.time) : '—'}</td>
+                      <td className={`px-4 py-1.5 text-right tabular-nums ${split.diff < 0 ? 'text-green-600' : split.diff > 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                        {split.diff ? formatSignedTime(split.diff) : ''}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+
+        {/* Elevation */}
+        {series.elevation.some(line => line.length > 1) && (
+          <section>
+            <SectionHeader title="Elevation" />
+            <div className="bg-white rounded-lg shadow-sm p-4">
+              <OverlayChart series={series.elevation} formatValue={value => formatElevation(value, units)} />
+            </div>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
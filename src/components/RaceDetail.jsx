@@ -1,19 +1,35 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import { useRaceEntries } from '../hooks/useRaceEntries';
+import { useUnits } from '../hooks/useUnits';
 import { firestoreDb } from '../lib/firestoreDb';
+import { syncManager } from '../lib/syncManager';
 import { ImageToggle } from './ImageToggle';
+import { BibPlaceholder } from './BibPlaceholder';
 import { RouteVisualization } from './RouteVisualization';
+import { GoalResults } from './GoalResults';
+import { LegBreakdown } from './LegBreakdown';
+import { RaceSeries, RaceSeriesSummary } from './RaceSeries';
+import { RaceGear } from './GearLibrary';
+import { RaceTags } from './RaceTags';
 import { formatDate } from '../lib/dateUtils';
-import { getRaceTypeDisplay, getRaceTypeForFilter } from '../lib/raceUtils';
+import { calculateAgeGrade, formatAgeGrade } from '../lib/ageGrading';
+import { computePersonalRecords } from '../lib/personalRecords';
+import { formatDuration } from '../lib/statsUtils';
+import { buildRaceSeries, getSeriesForEntry, getLinkCandidates, getLinkChanges, SERIES_NONE } from '../lib/raceSeries';
+import { getRaceTypeDisplay, getRaceTypeForFilter, getRaceStatus, getRaceStatusLabel, isUpcomingRace, getDistanceLabel, formatOfficialDistance } from '../lib/raceUtils';
 import { trackRaceViewed, trackRaceDeleted } from '../lib/analytics';
-import { Medal, Clock, Trophy, UserRound, Users, MoreVertical, Pencil, Trash2, Maximize2, X } from 'lucide-react';
+import { Medal, Clock, Trophy, UserRound, Users, MoreVertical, Pencil, Trash2, Maximize2, X, CheckCircle, Award } from 'lucide-react';
 
 /**
  * Race detail view component
  */
-export function RaceDetail({ entryId, onClose, onEdit, onDelete, isPublicView = false }) {
-  const { getEntry: getAuthEntry, deleteEntry } = useRaceEntries();
+export function RaceDetail({ entryId, onClose, onEdit, onMarkFinished, onDelete, onViewRace, isPublicView = false }) {
+  const { entries: ownEntries, getEntry: getAuthEntry, deleteEntry, refreshEntries } = useRaceEntries();
+  const { units } = useUnits();
   const [entry, setEntry] = useState(null);
+  const [ownerProfile, setOwnerProfile] = useState(null);
+  const [publicEntries, setPublicEntries] = useState([]);
+  const [showSeries, setShowSeries] = useState(false);
   const [loading, setLoading] = useState(true);
   const [deleting, setDeleting] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
@@ -43,7 +59,7 @@ export function RaceDetail({ entryId, onClose, onEdit, onDelete, isPublicView =
       // Use firestoreDb directly for public views, or use hook for authenticated views
       const data = isPublicView 
         ? await firestoreDb.getEntry(entryId)
-        : await getAuthEntry(entryId);
+        : await getAuthEntry(entryId, { forDisplay: true });
       setEntry(data);
       setLoading(false);
       
@@ -51,12 +67,74 @@ export function RaceDetail({ entryId, onClose, onEdit, onDelete, isPublicView =
       if (data && data.raceType) {
         trackRaceViewed(data.raceType);
       }
+
+      // The owner's profile holds their heart-rate zone settings for the route view,
+      // the birthday and gender used to age-grade the result, the gear library and custom field names
+      const hasCustomFields = Object.keys(data?.customFields || {}).length > 0;
+      if (data?.userId && (data.routeData || data.results?.finishTime || data.gearIds?.length || hasCustomFields)) {
+        loadOwnerProfile(data.userId);
+      }
+
+      // Other editions of the race come from the owner's journal
+      if (isPublicView && data?.userId) {
+        loadPublicEntries(data.userId);
+      }
     } catch (error) {
       console.error('Failed to load entry:', error);
       setLoading(false);
     }
   };
 
+  const loadOwnerProfile = async (userId) => {
+    try {
+      const profile = isPublicView
+        ? await firestoreDb.getUserProfile(userId)
+        : await syncManager.getUserProfile(userId);
+      setOwnerProfile(profile);
+    } catch (error) {
+      console.error('Failed to load race owner profile:', error);
+    }
+  };
+
+  const loadPublicEntries = async (userId) => {
+    try {
+      setPublicEntries(await firestoreDb.getEntries(userId));
+    } catch (error) {
+      console.error('Failed to load race series entries:', error);
+    }
+  };
+
+  const handleLinkSeries = async (otherEntryId) => {
+    const otherEntry = ownEntries.find(candidate => candidate.id === otherEntryId);
+    if (!otherEntry) return;
+    try {
+      for (const change of getLinkChanges(ownEntries, entry, otherEntry, allSeries)) {
+        await syncManager.updateEntry(entry.userId, change.entryId, { seriesId: change.seriesId });
+      }
+      await refreshEntries(false);
+    } catch (error) {
+      console.error('Failed to link race editions:', error);
+      alert('Failed to link races. Please try again.');
+    }
+  };
+
+  const handleUnlinkSeries = async (edition) => {
+    try {
+      await syncManager.updateEntry(entry.userId, edition.id, { seriesId: SERIES_NONE });
+      await refreshEntries(false);
+    } catch (error) {
+      console.error('Failed to remove race from series:', error);
+      alert('Failed to remove race from series. Please try again.');
+    }
+  };
+
+  const handleViewEdition = (id) => {
+    setShowSeries(false);
+    if (id !== entryId && onViewRace) {
+      onViewRace(id);
+    }
+  };
+
   const handleDelete = async () => {
     if (!confirm('Are you sure you want to delete this race entry? This cannot be undone.')) {
       return;
@@ -86,6 +164,15 @@ export function RaceDetail({ entryId, onClose, onEdit, onDelete, isPublicView =
     }
   };
 
+  // Series and records are worked out across the owner's journal, so the PR medal follows the results
+  const seriesEntries = isPublicView ? publicEntries : ownEntries;
+  const allSeries = useMemo(() => buildRaceSeries(seriesEntries), [seriesEntries]);
+  const recordBadges = useMemo(() => computePersonalRecords(seriesEntries, allSeries).badges, [seriesEntries, allSeries]);
+  const linkCandidates = useMemo(
+    () => (isPublicView || !entry ? null : getLinkCandidates(ownEntries, entry, allSeries)),
+    [isPublicView, ownEntries, entry, allSeries]
+  );
+
   if (loading) {
     return (
       <div className="fixed inset-0 bg-gray-50 flex items-center justify-center z-50">
@@ -110,6 +197,9 @@ export function RaceDetail({ entryId, onClose, onEdit, onDelete, isPublicView =
     );
   }
 
+  const ageGrade = ownerProfile ? calculateAgeGrade(entry, ownerProfile) : null;
+  const series = getSeriesForEntry(seriesEntries, entry.id, allSeries);
+
   return (
     <div className="fixed inset-0 overflow-y-auto z-50 bg-gray-50">
       {/* Header */}
@@ -149,6 +239,18 @@ export function RaceDetail({ entryId, onClose, onEdit, onDelete, isPublicView =
                         <Pencil className="w-4 h-4" />
                         Edit
                       </button>
+                      {onMarkFinished && isUpcomingRace(entry) && (
+                        <button
+                          onClick={() => {
+                            setShowMenu(false);
+                            onMarkFinished(entry.id);
+                          }}
+                          className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors flex items-center gap-2"
+                        >
+                          <CheckCircle className="w-4 h-4" />
+                          Mark finished
+                        </button>
+                      )}
                       <button
                         onClick={() => {
                           setShowMenu(false);
@@ -176,15 +278,23 @@ export function RaceDetail({ entryId, onClose, onEdit, onDelete, isPublicView =
           <section className="flex flex-col items-center text-center">
             <h1 className="text-5xl font-bold text-gray-900 mb-4 flex items-center gap-3 justify-center">
               {entry.raceName}
-              {entry.isPersonalBest && (
+              {recordBadges[entry.id] === 'pr' && (
                 <Medal className="w-8 h-8 text-yellow-500 flex-shrink-0" />
               )}
             </h1>
             <div className="flex flex-wrap items-center gap-2 mb-6 justify-center">
+              {/* Status pill - finished races don't need one */}
+              {getRaceStatus(entry) !== 'finished' && (
+                <span className="bg-black text-white px-3 py-1 rounded-full text-sm font-medium">
+                  {getRaceStatusLabel(entry)}
+                </span>
+              )}
               {/* Distance pill - show if we have raceDistance, or if old format with just raceType */}
               {entry.raceDistance ? (
                 <span className="bg-gray-200 text-gray-700 px-3 py-1 rounded-full text-sm font-medium">
-                  {entry.raceDistance}
+                  {getDistanceLabel(entry)}
+                  {/* Named distances (Half Marathon, Backyard Ultra) also show the number */}
+                  {formatOfficialDistance(entry, units) && !/\d/.test(getDistanceLabel(entry)) && ` · ${formatOfficialDistance(entry, units)}`}
                 </span>
               ) : entry.raceType && !entry.raceDistance ? (
                 // Old format: show the raceType as a single pill
@@ -280,15 +390,51 @@ export function RaceDetail({ entryId, onClose, onEdit, onDelete, isPublicView =
                       </div>
                     </div>
                   )}
+
+                  {/* Age Grade - Purple */}
+                  {ageGrade && (
+                    <div className="bg-purple-200/70 rounded-lg p-4 shadow-sm transform rotate-[-1deg] hover:rotate-0 transition-transform">
+                      <div className="flex items-center gap-2 text-purple-700 mb-2">
+                        <Award className="w-4 h-4" />
+                        <div className="text-xs font-medium uppercase tracking-wide">Age Grade</div>
+                      </div>
+                      <div className="font-bold text-2xl text-gray-900">
+                        {formatAgeGrade(ageGrade.percent)}
+                      </div>
+                      <div className="text-xs text-purple-700">
+                        {ageGrade.level} • {formatDuration(ageGrade.equivalentSeconds)} open equivalent
+                      </div>
+                    </div>
+                  )}
                 </div>
               )
             )}
+
+            {/* Multisport leg breakdown */}
+            <LegBreakdown entry={entry} profile={ownerProfile} />
+
+            {/* Goal vs. actual */}
+            <GoalResults entry={entry} />
+
+            {/* Gear used */}
+            <RaceGear entry={entry} profile={ownerProfile} />
+
+            {/* Tags and custom fields */}
+            <RaceTags entry={entry} profile={ownerProfile} />
+
+            {/* Other editions of this race */}
+            <RaceSeriesSummary
+              series={series}
+              candidates={linkCandidates}
+              onOpen={() => setShowSeries(true)}
+              onLink={handleLinkSeries}
+            />
           </section>
 
           {/* Race Bib and Medal together - top aligned */}
           <section className="flex flex-col md:flex-row gap-6 items-start">
             {/* Bib on the left */}
-            {entry.bibPhoto && (
+            {entry.bibPhoto ? (
               <div className={entry.medalPhoto ? "flex-1 max-w-2xl" : "w-full"}>
                 <ImageToggle
                   original={entry.bibPhoto.original}
@@ -299,6 +445,11 @@ export function RaceDetail({ entryId, onClose, onEdit, onDelete, isPublicView =
                   alt={`Bib for ${entry.raceName}`}
                 />
               </div>
+            ) : (
+              // No bib photo (e.g. imported from a spreadsheet) - show a generated bib
+              <div className={entry.medalPhoto ? "flex-1 max-w-2xl" : "w-full max-w-2xl mx-auto"}>
+                <BibPlaceholder entry={entry} className="shadow-sm" />
+              </div>
             )}
 
             {/* Medal Photo on the right - taller case */}
@@ -366,7 +517,7 @@ export function RaceDetail({ entryId, onClose, onEdit, onDelete, isPublicView =
               
               {/* Map on the right (or full width if no finisher photo or notes) */}
                   <div className={`${(entry.finisherPhoto || entry.notes) ? 'flex-1' : 'w-full'} max-w-5xl ${(entry.finisherPhoto || entry.notes) ? '' : 'mx-auto'}`}>
-                    <RouteVisualization routeData={entry.routeData} />
+                    <RouteVisualization routeData={entry.routeData} profile={ownerProfile} />
                   </div>
             </section>
           )}
@@ -375,7 +526,7 @@ export function RaceDetail({ entryId, onClose, onEdit, onDelete, isPublicView =
               {entry.routeData && !entry.finisherPhoto && !entry.notes && (
                 <section className="flex flex-col items-center">
                   <div className="w-full max-w-5xl">
-                    <RouteVisualization routeData={entry.routeData} />
+                    <RouteVisualization routeData={entry.routeData} profile={ownerProfile} />
                   </div>
                 </section>
               )}
@@ -391,6 +542,17 @@ export function RaceDetail({ entryId, onClose, onEdit, onDelete, isPublicView =
         </div>
       </main>
 
+      {/* Race series comparison */}
+      {showSeries && series && (
+        <RaceSeries
+          series={series}
+          currentEntryId={entry.id}
+          onClose={() => setShowSeries(false)}
+          onViewRace={handleViewEdition}
+          onUnlink={isPublicView ? null : handleUnlinkSeries}
+        />
+      )}
+
       {/* Finisher Photo Modal */}
       {showFinisherModal && entry.finisherPhoto && (
         <div 
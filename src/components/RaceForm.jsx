@@ -1,42 +1,44 @@
 import { useState, useEffect, useRef } from 'react';
 import { useRaceEntries } from '../hooks/useRaceEntries';
 import { useAuth } from '../contexts/AuthContext';
-import { firestoreDb } from '../lib/firestoreDb';
+import { useUnits } from '../hooks/useUnits';
+import { syncManager } from '../lib/syncManager';
 import { getAgeDivision, getAgeDivisionFromBirthday, calculateAge } from '../lib/ageUtils';
+import { RACE_DISTANCES, RACE_TYPES, RACE_STATUSES, DISTANCE_PRESETS, DISTANCE_UNITS, getDistancePreset, isVariableDistance, formatDistanceLabel } from '../lib/raceUtils';
+import { ROUTE_FILE_ACCEPT } from '../lib/routeImporter';
+import { GOAL_TIERS, EMPTY_GOALS, validateGoals } from '../lib/goalUtils';
+import { LEG_TYPES, isMultisportDistance, createLegs, getLegPace, isTransition, validateLegs } from '../lib/multisportUtils';
+import { parseTimeToSeconds, formatDuration } from '../lib/statsUtils';
+import { getUnitSystem } from '../lib/units';
+import { getProfileGear, getGearTypeLabel, isRetired } from '../lib/gearUtils';
+import { addTag, removeTag, getAllTags } from '../lib/tagUtils';
+import { getProfileCustomFields, validateCustomFieldValues, cleanCustomFieldValues } from '../lib/customFieldUtils';
 import { ImageCropper } from './ImageCropper';
 import { trackFormStarted, trackFormAbandoned, trackRaceCreated, trackRaceUpdated, trackImageUploaded, trackGPXUploaded } from '../lib/analytics';
 import { getRandomRaceImage } from '../lib/imageUtils';
 import { resizeImage, compressImage, removeImageBackground, cropToContentBounds, blobToDataURL } from '../lib/imageProcessing';
 import confetti from 'canvas-confetti';
-import { Medal } from 'lucide-react';
-
-const RACE_DISTANCES = [
-  '5K',
-  '10K',
-  'Half Marathon',
-  'Marathon',
-  'Ultra',
-  'Triathlon',
-  'Other',
-];
-
-const RACE_TYPES = [
-  'Road',
-  'Trail',
-];
+import { Medal, Plus, X } from 'lucide-react';
 
 /**
  * Form component for adding/editing race entries
+ * @param {boolean} markFinished - Open an upcoming race with its status set to finished, ready for results
  */
-export function RaceForm({ entryId, onClose, onSave }) {
-  const { getEntry } = useRaceEntries();
+export function RaceForm({ entryId, markFinished = false, onClose, onSave }) {
+  const { entries, getEntry } = useRaceEntries();
   const { currentUser } = useAuth();
+  const { units } = useUnits();
+  const unitSystem = getUnitSystem(units);
   const [loading, setLoading] = useState(!!entryId);
   const [saving, setSaving] = useState(false);
   const [savingStatus, setSavingStatus] = useState('');
   const [currentStep, setCurrentStep] = useState(1);
   const [showGPXInfo, setShowGPXInfo] = useState(false);
+  const [customDistance, setCustomDistance] = useState(false);
   const [processingStatus, setProcessingStatus] = useState({});
+  const [gearLibrary, setGearLibrary] = useState([]);
+  const [customFieldDefs, setCustomFieldDefs] = useState([]);
+  const [tagInput, setTagInput] = useState('');
   // Initialize with a default image immediately
   const [backgroundImage, setBackgroundImage] = useState(() => {
     const seed = entryId || Date.now();
@@ -47,11 +49,14 @@ export function RaceForm({ entryId, onClose, onSave }) {
   const gpxInfoRef = useRef(null);
   const userProfileLoadedRef = useRef(false);
   const [formData, setFormData] = useState({
+    status: 'finished',
     raceName: '',
     raceDistance: '',
+    officialDistance: { value: '', unit: 'km' },
     raceType: '',
     location: '',
     date: '',
+    bibNumber: '',
     results: {
       finishTime: '',
       overallPlace: '',
@@ -64,6 +69,11 @@ export function RaceForm({ entryId, onClose, onSave }) {
     finisherPhoto: null,
     medalPhoto: null,
     gpxFile: null,
+    legs: [],
+    goals: { ...EMPTY_GOALS },
+    gearIds: [],
+    tags: [],
+    customFields: {},
     notes: '',
     isPersonalBest: false,
   });
@@ -86,7 +96,7 @@ export function RaceForm({ entryId, onClose, onSave }) {
       }
 
       try {
-        const profile = await firestoreDb.getUserProfile(currentUser.uid);
+        const profile = await syncManager.getUserProfile(currentUser.uid);
         if (profile) {
           let ageDivision = '';
           
@@ -118,6 +128,22 @@ export function RaceForm({ entryId, onClose, onSave }) {
     loadUserProfile();
   }, [entryId, currentUser]);
 
+  // Load the gear library and custom field definitions from the profile
+  useEffect(() => {
+    const loadGearAndFields = async () => {
+      if (!currentUser) return;
+      try {
+        const profile = await syncManager.getUserProfile(currentUser.uid);
+        setGearLibrary(getProfileGear(profile));
+        setCustomFieldDefs(getProfileCustomFields(profile));
+      } catch (error) {
+        console.error('Failed to load gear and custom fields:', error);
+      }
+    };
+
+    loadGearAndFields();
+  }, [currentUser]);
+
   // Initialize Google Places Autocomplete
   useEffect(() => {
     // Only initialize when we're on step 1 (where the location input is visible)
@@ -287,9 +313,18 @@ export function RaceForm({ entryId, onClose, onSave }) {
           }
         }
         
+        // Entries saved before official distances existed get their preset's distance
+        const preset = getDistancePreset(raceDistance);
+        const officialDistance = entry.officialDistance
+          ? { value: String(entry.officialDistance.value), unit: entry.officialDistance.unit || 'km' }
+          : { value: preset?.value ? String(preset.value) : '', unit: preset?.unit || 'km' };
+        setCustomDistance(!!raceDistance && !preset);
+
         setFormData({
+          status: markFinished ? 'finished' : (entry.status || 'finished'),
           raceName: entry.raceName || '',
           raceDistance: raceDistance,
+          officialDistance,
           raceType: raceType,
           location: typeof entry.location === 'string' 
             ? entry.location 
@@ -303,6 +338,7 @@ export function RaceForm({ entryId, onClose, onSave }) {
                   ? entry.date.toISOString().split('T')[0]
                   : new Date(entry.date).toISOString().split('T')[0])
           ) : '',
+          bibNumber: entry.bibNumber || '',
           results: {
             finishTime: entry.results?.finishTime || '',
             overallPlace: entry.results?.overallPlace || '',
@@ -323,6 +359,16 @@ export function RaceForm({ entryId, onClose, onSave }) {
                         ? entry.gpxFile 
                         : null)))
             : null,
+          legs: (entry.legs || []).map(leg => ({
+            ...leg,
+            distance: leg.distance ?? '',
+            time: leg.time || '',
+            gpxFile: typeof leg.gpxFile === 'string' ? { name: leg.gpxFile } : leg.gpxFile || null,
+          })),
+          goals: { ...EMPTY_GOALS, ...(entry.goals || {}) },
+          gearIds: entry.gearIds || [],
+          tags: entry.tags || [],
+          customFields: { ...(entry.customFields || {}) },
           notes: entry.notes || '',
           isPersonalBest: entry.isPersonalBest || false,
         });
@@ -341,6 +387,71 @@ export function RaceForm({ entryId, onClose, onSave }) {
     }
   };
 
+  // Picking a preset fills in its official distance; multisport presets also start with the usual legs
+  const handleDistancePresetChange = (value) => {
+    if (value === 'custom') {
+      setCustomDistance(true);
+      setFormData((prev) => ({
+        ...prev,
+        raceDistance: formatDistanceLabel(prev.officialDistance.value, prev.officialDistance.unit),
+      }));
+      return;
+    }
+
+    const preset = getDistancePreset(value);
+    setCustomDistance(false);
+    setFormData((prev) => ({
+      ...prev,
+      raceDistance: value,
+      officialDistance: preset
+        ? { value: preset.value ? String(preset.value) : '', unit: preset.unit }
+        : prev.officialDistance,
+      legs: isMultisportDistance(value) && prev.legs.length === 0 ? createLegs(value) : prev.legs,
+    }));
+  };
+
+  // Editing the number renames fixed distances to match (e.g. 15 km is a 15K); backyard ultras and multisport keep their name
+  const handleOfficialDistanceChange = (field, value) => {
+    setFormData((prev) => {
+      const officialDistance = { ...prev.officialDistance, [field]: value };
+      return {
+        ...prev,
+        officialDistance,
+        raceDistance: isVariableDistance(prev.raceDistance)
+          ? prev.raceDistance
+          : formatDistanceLabel(officialDistance.value, officialDistance.unit),
+      };
+    });
+  };
+
+  const handleLegChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      legs: prev.legs.map((leg, legIndex) => (legIndex === index ? { ...leg, [field]: value } : leg)),
+    }));
+  };
+
+  const handleAddLeg = () => {
+    setFormData((prev) => ({
+      ...prev,
+      legs: [...prev.legs, { type: 'run', distance: '', time: '' }],
+    }));
+  };
+
+  const handleRemoveLeg = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      legs: prev.legs.filter((leg, legIndex) => legIndex !== index),
+    }));
+  };
+
+  const handleLegRouteChange = (index, file) => {
+    if (file) {
+      trackGPXUploaded();
+    }
+    handleLegChange(index, 'gpxFile', file);
+  };
+
   const handleChange = (field, value) => {
     if (field.includes('.')) {
       const [parent, child] = field.split('.');
@@ -359,6 +470,17 @@ export function RaceForm({ entryId, onClose, onSave }) {
     }
   };
 
+  // Enter or a comma turns the typed text into a tag; backspace on an empty input removes the last one
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      handleChange('tags', addTag(formData.tags, tagInput));
+      setTagInput('');
+    } else if (e.key === 'Backspace' && !tagInput && formData.tags.length > 0) {
+      handleChange('tags', formData.tags.slice(0, -1));
+    }
+  };
+
   const handleFileChange = async (field, file) => {
     if (!file) {
       setFormData((prev) => ({
@@ -381,7 +503,7 @@ export function RaceForm({ entryId, onClose, onSave }) {
       trackImageUploaded('medal');
     } else if (file && field === 'gpxFile') {
       trackGPXUploaded();
-      // GPX files don't need processing
+      // Route files don't need processing
       setFormData((prev) => ({
         ...prev,
         [field]: file,
@@ -489,7 +611,11 @@ export function RaceForm({ entryId, onClose, onSave }) {
         return;
       }
       if (!formData.raceDistance) {
-        alert('Race distance is required');
+        alert(customDistance ? 'Enter the official distance' : 'Race distance is required');
+        return;
+      }
+      if (formData.officialDistance.value !== '' && !(Number(formData.officialDistance.value) > 0)) {
+        alert('Official distance should be a number greater than 0');
         return;
       }
       if (!formData.raceType) {
@@ -504,6 +630,11 @@ export function RaceForm({ entryId, onClose, onSave }) {
         alert('Date is required');
         return;
       }
+      const customFieldError = validateCustomFieldValues(customFieldDefs, formData.customFields);
+      if (customFieldError) {
+        alert(customFieldError);
+        return;
+      }
       setCurrentStep(2);
     }
   };
@@ -532,10 +663,25 @@ export function RaceForm({ entryId, onClose, onSave }) {
       alert('Date is required');
       return;
     }
-    if (!formData.bibPhoto && !entryId) {
+    if (!formData.bibPhoto && !entryId && formData.status === 'finished') {
       alert('Bib photo is required');
       return;
     }
+    const goalError = validateGoals(formData.goals);
+    if (goalError) {
+      alert(goalError);
+      return;
+    }
+    const legError = validateLegs(formData.legs);
+    if (legError) {
+      alert(legError);
+      return;
+    }
+    const customFieldError = validateCustomFieldValues(customFieldDefs, formData.customFields);
+    if (customFieldError) {
+      alert(customFieldError);
+      return;
+    }
 
     setSaving(true);
     let statusInterval = null;
@@ -563,7 +709,16 @@ export function RaceForm({ entryId, onClose, onSave }) {
       // Start with initial status
       updateStatus();
       statusInterval = setInterval(updateStatus, 800);
-      await onSave(formData);
+      const officialDistanceValue = Number(formData.officialDistance.value);
+      await onSave({
+        ...formData,
+        officialDistance: officialDistanceValue > 0
+          ? { value: officialDistanceValue, unit: formData.officialDistance.unit }
+          : null,
+        bibNumber: formData.bibNumber.trim(),
+        tags: addTag(formData.tags, tagInput),
+        customFields: cleanCustomFieldValues(customFieldDefs, formData.customFields),
+      });
       if (statusInterval) clearInterval(statusInterval);
       setSavingStatus('');
       formSavedRef.current = true;
@@ -660,6 +815,8 @@ export function RaceForm({ entryId, onClose, onSave }) {
     );
   }
 
+  const legsTotalSeconds = formData.legs.reduce((sum, leg) => sum + (parseTimeToSeconds(leg.time) || 0), 0);
+
   // Ensure we have a background image - always use state if available
   const displayBackgroundImage = backgroundImage;
 
@@ -685,7 +842,7 @@ export function RaceForm({ entryId, onClose, onSave }) {
           <div className="border-b border-gray-200 px-6 py-4 flex items-center justify-between sticky top-0 bg-white z-10">
             <div>
               <h2 className="text-2xl font-bold text-gray-900">
-                {entryId ? 'Edit Entry' : 'Add Entry'}
+                {markFinished ? 'Add Results' : entryId ? 'Edit Entry' : 'Add Entry'}
               </h2>
               <p className="text-sm text-gray-500 mt-1">Step {currentStep} of 2</p>
             </div>
@@ -717,6 +874,34 @@ export function RaceForm({ entryId, onClose, onSave }) {
             {currentStep === 1 ? (
               /* Step 1: Typed Information */
               <div className="space-y-6">
+                {/* Status */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Status
+                  </label>
+                  <div className="flex flex-wrap gap-2">
+                    {RACE_STATUSES.map((option) => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => handleChange('status', option.value)}
+                        className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                          formData.status === option.value
+                            ? 'bg-black text-white'
+                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                  {formData.status === 'registered' && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Registered races show up under Upcoming with a countdown. Mark them finished after race day to add your results.
+                    </p>
+                  )}
+                </div>
+
                 {/* Race Name and Type - Side by Side */}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   <div>
@@ -741,17 +926,18 @@ export function RaceForm({ entryId, onClose, onSave }) {
                         </label>
                         <div className="relative">
                           <select
-                            value={formData.raceDistance}
-                            onChange={(e) => handleChange('raceDistance', e.target.value)}
+                            value={customDistance ? 'custom' : formData.raceDistance}
+                            onChange={(e) => handleDistancePresetChange(e.target.value)}
                             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent appearance-none pr-10 cursor-pointer"
                             required
                           >
                             <option value="">Select distance</option>
-                            {RACE_DISTANCES.map((distance) => (
-                              <option key={distance} value={distance}>
-                                {distance}
+                            {DISTANCE_PRESETS.map((preset) => (
+                              <option key={preset.label} value={preset.label}>
+                                {preset.label}
                               </option>
                             ))}
+                            <option value="custom">Custom...</option>
                           </select>
                           {/* Custom dropdown arrow */}
                           <div className="absolute right-3 top-1/2 transform -translate-y-1/2 pointer-events-none">
@@ -791,6 +977,45 @@ export function RaceForm({ entryId, onClose, onSave }) {
                   </div>
                 </div>
 
+                {/* Official Distance - filled in by the preset, typed in for anything else */}
+                {(customDistance || formData.raceDistance) && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Official Distance {customDistance && <span className="text-red-500">*</span>}
+                    </label>
+                    <div className="flex gap-2 max-w-xs">
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={formData.officialDistance.value}
+                        onChange={(e) => handleOfficialDistanceChange('value', e.target.value)}
+                        placeholder={customDistance ? 'e.g. 15' : ''}
+                        className="flex-1 min-w-0 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        required={customDistance}
+                      />
+                      <select
+                        value={formData.officialDistance.unit}
+                        onChange={(e) => handleOfficialDistanceChange('unit', e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent cursor-pointer"
+                      >
+                        {DISTANCE_UNITS.map((unit) => (
+                          <option key={unit.value} value={unit.value}>
+                            {unit.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    {isVariableDistance(formData.raceDistance) && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        {isMultisportDistance(formData.raceDistance)
+                          ? 'Optional - each leg has its own distance below.'
+                          : 'No fixed length - enter the distance you covered, if you like.'}
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 {/* Location and Date - Side by Side */}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   <div>
@@ -816,14 +1041,30 @@ export function RaceForm({ entryId, onClose, onSave }) {
                       type="date"
                       value={formData.date}
                       onChange={(e) => handleChange('date', e.target.value)}
-                      max={new Date().toISOString().split('T')[0]}
+                      max={formData.status === 'registered' ? undefined : new Date().toISOString().split('T')[0]}
                       className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                       required
                     />
                   </div>
                 </div>
 
-            {/* Race Results */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Bib Number (Optional)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.bibNumber}
+                      onChange={(e) => handleChange('bibNumber', e.target.value)}
+                      placeholder="e.g. 1234"
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+                </div>
+
+            {/* Race Results - only once the race has been run */}
+            {(formData.status === 'finished' || formData.status === 'dnf') && (
             <div>
               <h3 className="text-lg font-semibold text-gray-900 mb-4">
                 Race Results (Optional)
@@ -898,8 +1139,259 @@ export function RaceForm({ entryId, onClose, onSave }) {
                 </div>
               </div>
             </div>
+            )}
+
+            {/* Multisport Legs */}
+            {(formData.status === 'finished' || formData.status === 'dnf') &&
+              (isMultisportDistance(formData.raceDistance) || formData.legs.length > 0) && (
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">
+                Legs (Optional)
+              </h3>
+              <p className="text-sm text-gray-500 mb-4">
+                Leg distances are always entered in km. Swims are paced per {unitSystem.swim}, bikes in {unitSystem.speed} and runs per {unitSystem.distance}.
+              </p>
+              <div className="space-y-3">
+                {formData.legs.map((leg, index) => (
+                  <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                    <div className="col-span-3">
+                      <select
+                        value={leg.type}
+                        onChange={(e) => handleLegChange(index, 'type', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent cursor-pointer"
+                      >
+                        {Object.entries(LEG_TYPES).map(([type, legType]) => (
+                          <option key={type} value={type}>
+                            {legType.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="col-span-3">
+                      {!isTransition(leg) && (
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={leg.distance}
+                          onChange={(e) => handleLegChange(index, 'distance', e.target.value)}
+                          placeholder="km"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        />
+                      )}
+                    </div>
+                    <div className="col-span-3">
+                      <input
+                        type="text"
+                        value={leg.time}
+                        onChange={(e) => handleLegChange(index, 'time', e.target.value)}
+                        placeholder={isTransition(leg) ? 'M:SS' : 'H:MM:SS'}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      />
+                    </div>
+                    <div className="col-span-2 text-xs text-gray-500 tabular-nums">
+                      {getLegPace(leg, units)}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveLeg(index)}
+                      className="col-span-1 text-gray-400 hover:text-red-500 transition-colors"
+                      aria-label={`Remove ${LEG_TYPES[leg.type]?.label || 'leg'}`}
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="flex items-center justify-between mt-3">
+                <button
+                  type="button"
+                  onClick={handleAddLeg}
+                  className="text-sm text-gray-700 hover:text-black flex items-center gap-1"
+                >
+                  <Plus className="w-4 h-4" />
+                  Add leg
+                </button>
+                {legsTotalSeconds > 0 && (
+                  <div className="text-sm text-gray-600 flex items-center gap-2">
+                    Legs total <span className="font-semibold tabular-nums">{formatDuration(legsTotalSeconds)}</span>
+                    {formData.results.finishTime !== formatDuration(legsTotalSeconds) && (
+                      <button
+                        type="button"
+                        onClick={() => handleChange('results.finishTime', formatDuration(legsTotalSeconds))}
+                        className="underline hover:no-underline"
+                      >
+                        Use as finish time
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+            )}
+
+            {/* Race Goals */}
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">
+                Goals (Optional)
+              </h3>
+              <p className="text-sm text-gray-500 mb-4">
+                A is your stretch goal, C the time you'd still be happy with.
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {GOAL_TIERS.map(tier => (
+                  <div key={tier.key}>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {tier.label} Goal
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.goals[tier.key]}
+                      onChange={(e) => handleChange(`goals.${tier.key}`, e.target.value)}
+                      placeholder="HH:MM:SS"
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Goal Place
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.goals.place}
+                    onChange={(e) => handleChange('goals.place', e.target.value)}
+                    placeholder="Overall"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+            </div>
+
+            {/* Gear */}
+            {gearLibrary.length > 0 && (
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">
+                Gear (Optional)
+              </h3>
+              <p className="text-sm text-gray-500 mb-4">
+                What you wore or carried - race distance is added to each item.
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {gearLibrary
+                  .filter(item => !isRetired(item) || formData.gearIds.includes(item.id))
+                  .map((item) => {
+                    const selected = formData.gearIds.includes(item.id);
+                    return (
+                      <button
+                        key={item.id}
+                        type="button"
+                        onClick={() => handleChange('gearIds', selected
+                          ? formData.gearIds.filter(id => id !== item.id)
+                          : [...formData.gearIds, item.id])}
+                        className={`flex items-center gap-2 pl-1 pr-3 py-1 rounded-lg border text-sm transition-colors ${
+                          selected ? 'bg-black text-white border-black' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                        }`}
+                      >
+                        {item.photo ? (
+                          <img src={item.photo} alt="" className="w-7 h-7 rounded object-cover" />
+                        ) : (
+                          <span className="w-7 h-7 rounded bg-gray-100" />
+                        )}
+                        <span>{item.name}</span>
+                        <span className={`text-xs ${selected ? 'text-gray-300' : 'text-gray-400'}`}>{getGearTypeLabel(item.type)}</span>
+                      </button>
+                    );
+                  })}
+              </div>
+            </div>
+            )}
+
+            {/* Tags */}
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">
+                Tags (Optional)
+              </h3>
+              <p className="text-sm text-gray-500 mb-4">
+                Anything you want to find this race by later, like "pacer", "Boston qualifier" or "rainy". Press Enter after each one.
+              </p>
+              <div className="flex flex-wrap items-center gap-2 px-2 py-1.5 border border-gray-300 rounded-lg focus-within:ring-2 focus-within:ring-primary-500 focus-within:border-transparent">
+                {formData.tags.map(tag => (
+                  <span key={tag} className="flex items-center gap-1 pl-2 pr-1 py-0.5 bg-gray-100 rounded text-sm text-gray-700">
+                    {tag}
+                    <button
+                      type="button"
+                      onClick={() => handleChange('tags', removeTag(formData.tags, tag))}
+                      className="text-gray-400 hover:text-gray-700 transition-colors"
+                      aria-label={`Remove ${tag}`}
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                ))}
+                <input
+                  type="text"
+                  list="race-tag-suggestions"
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  onKeyDown={handleTagKeyDown}
+                  onBlur={() => {
+                    handleChange('tags', addTag(formData.tags, tagInput));
+                    setTagInput('');
+                  }}
+                  placeholder={formData.tags.length === 0 ? 'Add a tag' : ''}
+                  className="flex-1 min-w-[8rem] px-2 py-1 text-sm focus:outline-none"
+                />
+                <datalist id="race-tag-suggestions">
+                  {getAllTags(entries)
+                    .filter(({ tag }) => !formData.tags.includes(tag))
+                    .map(({ tag }) => <option key={tag} value={tag} />)}
+                </datalist>
+              </div>
+            </div>
+
+            {/* Custom fields, defined in the profile */}
+            {customFieldDefs.length > 0 && (
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                More Details (Optional)
+              </h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {customFieldDefs.map(field => (
+                  <div key={field.id}>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {field.label}
+                    </label>
+                    {field.type === 'select' ? (
+                      <select
+                        value={formData.customFields[field.id] ?? ''}
+                        onChange={(e) => handleChange(`customFields.${field.id}`, e.target.value)}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      >
+                        <option value="">-</option>
+                        {field.options.map(option => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type={field.type === 'number' ? 'number' : 'text'}
+                        step={field.type === 'number' ? 'any' : undefined}
+                        value={formData.customFields[field.id] ?? ''}
+                        onChange={(e) => handleChange(`customFields.${field.id}`, e.target.value)}
+                        placeholder={field.type === 'duration' ? 'HH:MM:SS' : ''}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+            )}
 
             {/* Personal Best Toggle */}
+            {formData.status === 'finished' && (
             <div className="pt-4">
               <label className="flex items-center gap-3 cursor-pointer">
                 <input
@@ -912,7 +1404,11 @@ export function RaceForm({ entryId, onClose, onSave }) {
                   New Personal Best
                 </span>
               </label>
+              <p className="text-xs text-gray-500 mt-1 ml-8">
+                PRs are worked out from finish times and official distances - use this for races without a fixed distance.
+              </p>
             </div>
+            )}
               </div>
             ) : (
               /* Step 2: Media */
@@ -920,13 +1416,13 @@ export function RaceForm({ entryId, onClose, onSave }) {
                 {/* Bib Photo */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Bib Photo <span className="text-red-500">*</span>
+                    Bib Photo {!entryId && formData.status === 'finished' && <span className="text-red-500">*</span>}
                   </label>
                   <FileInput
                     value={formData.bibPhoto}
                     onChange={(file) => handleFileChange('bibPhoto', file)}
                     accept="image/*"
-                    required={!entryId || !formData.bibPhoto}
+                    required={!entryId && formData.status === 'finished'}
                     enableCrop={true}
                     processingStatus={processingStatus.bibPhoto}
                   />
@@ -959,11 +1455,11 @@ export function RaceForm({ entryId, onClose, onSave }) {
                   />
                 </div>
 
-                {/* GPX File */}
+                {/* Route File (GPX, TCX, FIT, KML, GeoJSON) */}
                 <div>
                   <div className="flex items-center gap-2 mb-2">
                     <label className="text-sm font-medium text-gray-700">
-                      GPX File (Optional)
+                      Route File (Optional)
                     </label>
                     <div className="relative flex items-center" ref={gpxInfoRef}>
                       <button
@@ -971,7 +1467,7 @@ export function RaceForm({ entryId, onClose, onSave }) {
                         onClick={() => setShowGPXInfo(!showGPXInfo)}
                         onMouseEnter={() => setShowGPXInfo(true)}
                         className="text-gray-400 hover:text-gray-600 transition-colors flex items-center"
-                        aria-label="What is a GPX file?"
+                        aria-label="What is a route file?"
                       >
                         <svg
                           className="w-4 h-4"
@@ -992,20 +1488,21 @@ export function RaceForm({ entryId, onClose, onSave }) {
                       {showGPXInfo && (
                         <div className="absolute left-0 bottom-full mb-2 w-72 bg-gray-900 text-white text-sm rounded-lg p-4 shadow-xl z-50">
                           <div className="absolute bottom-0 left-4 transform translate-y-1/2 rotate-45 w-2 h-2 bg-gray-900"></div>
-                          <h4 className="font-semibold mb-2">What is a GPX file?</h4>
+                          <h4 className="font-semibold mb-2">What is a route file?</h4>
                           <p className="mb-3 text-gray-200">
-                            GPX (GPS Exchange Format) is a file that contains your race route data, including coordinates, elevation, and distance.
+                            A route file contains your race route data, including coordinates, elevation, and distance. GPX, TCX, FIT, KML and GeoJSON files are supported, and heart rate, cadence and power are kept when the file has them.
                           </p>
                           <h5 className="font-semibold mb-2">Where to get it:</h5>
                           <ul className="list-disc list-inside space-y-1 text-gray-200 mb-2">
+                            <li>Your watch (.fit, straight from the device)</li>
+                            <li>Garmin Connect (.tcx, .gpx or original .fit)</li>
                             <li>Strava (export from activity)</li>
-                            <li>Garmin Connect</li>
                             <li>Apple Watch (via Health app)</li>
-                            <li>Race organizers (often provided)</li>
+                            <li>Race organizers (often .gpx or .kml courses)</li>
                             <li>Other fitness tracking apps</li>
                           </ul>
                           <p className="text-xs text-gray-300 mt-2">
-                            Uploading a GPX file will display your route on a map in your race entry.
+                            Uploading a route file will display your route on a map in your race entry.
                           </p>
                         </div>
                       )}
@@ -1014,10 +1511,31 @@ export function RaceForm({ entryId, onClose, onSave }) {
                   <FileInput
                     value={formData.gpxFile}
                     onChange={(file) => handleFileChange('gpxFile', file)}
-                    accept=".gpx"
+                    accept={ROUTE_FILE_ACCEPT}
                   />
                 </div>
 
+                {/* Per-leg route files for multisport races */}
+                {formData.legs.some(leg => !isTransition(leg)) && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Leg Route Files (Optional)
+                    </label>
+                    <div className="space-y-3">
+                      {formData.legs.map((leg, index) => !isTransition(leg) && (
+                        <div key={index} className="flex items-center gap-4">
+                          <span className="w-16 text-sm text-gray-600">{LEG_TYPES[leg.type]?.label || 'Leg'}</span>
+                          <FileInput
+                            value={leg.gpxFile}
+                            onChange={(file) => handleLegRouteChange(index, file)}
+                            accept={ROUTE_FILE_ACCEPT}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Notes */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import { TrendingUp, Target } from 'lucide-react';
+import { formatDuration } from '../lib/statsUtils';
+import { formatDate } from '../lib/dateUtils';
+import { hasGoals } from '../lib/goalUtils';
+
+const CONFIDENCE_STYLES = {
+  high: { label: 'High confidence', className: 'bg-green-500' },
+  medium: { label: 'Medium confidence', className: 'bg-yellow-500' },
+  low: { label: 'Low confidence', className: 'bg-gray-400' },
+};
+
+function ConfidenceDot({ confidence }) {
+  const style = CONFIDENCE_STYLES[confidence];
+  return <span className={`inline-block w-2 h-2 rounded-full ${style.className}`} title={style.label} />;
+}
+
+/**
+ * Where a prediction came from, e.g. "from 5K, Sep 2026"
+ */
+function SourceLine({ source }) {
+  return (
+    <span title={`${source.raceName} - ${formatDuration(source.seconds)}`}>
+      from {source.distanceLabel}, {formatDate(source.date, 'MMM yyyy')}
+    </span>
+  );
+}
+
+/**
+ * Equivalent-performance predictions for standard distances and upcoming races,
+ * each with the result it came from and a likely range
+ * @param {Function} onSetGoals - Saves A/B/C goals from a prediction; omitted for public profiles
+ */
+export function RacePredictions({ predictions, onViewRace, onSetGoals }) {
+  const [savingId, setSavingId] = useState(null);
+
+  if (!predictions) return null;
+
+  const handleSetGoals = async (upcoming) => {
+    setSavingId(upcoming.entry.id);
+    try {
+      await onSetGoals(upcoming.entry, upcoming);
+    } catch (error) {
+      console.error('Failed to set goals from prediction:', error);
+      alert('Failed to set goals. Please try again.');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="mt-8 w-full max-w-4xl mx-auto text-left">
+      <div className="flex items-center gap-3 mb-4">
+        <TrendingUp className="w-4 h-4 text-gray-500" />
+        <h2 className="text-sm font-medium uppercase tracking-wide text-gray-500">Predictions</h2>
+        <div className="flex-1 border-t border-gray-300"></div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {predictions.distances.map(prediction => (
+          <button
+            key={prediction.distance}
+            onClick={() => onViewRace(prediction.source.entryId)}
+            className="text-left bg-white rounded-lg p-4 shadow-sm hover:shadow-md transition-shadow"
+          >
+            <div className="flex items-center gap-2 text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">
+              {prediction.distance}
+              <ConfidenceDot confidence={prediction.confidence} />
+            </div>
+            <div className="font-bold text-xl text-gray-900 tabular-nums">{formatDuration(prediction.seconds)}</div>
+            <div className="text-xs text-gray-500 tabular-nums">
+              {formatDuration(prediction.lowSeconds)}–{formatDuration(prediction.highSeconds)}
+            </div>
+            <div className="text-xs text-gray-400 mt-1 truncate">
+              <SourceLine source={prediction.source} />
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {/* Upcoming races */}
+      {predictions.upcoming.length > 0 && (
+        <div className="mt-4 bg-white rounded-lg shadow-sm divide-y divide-gray-100">
+          {predictions.upcoming.map(upcoming => (
+            <div key={upcoming.entry.id} className="flex items-center gap-3 px-4 py-2 text-sm">
+              <ConfidenceDot confidence={upcoming.confidence} />
+              <button
+                onClick={() => onViewRace(upcoming.entry.id)}
+                className="flex-1 min-w-0 text-left hover:underline"
+              >
+                <span className="font-medium text-gray-900 truncate">{upcoming.entry.raceName}</span>
+                <span className="text-gray-400 text-xs ml-2">{formatDate(upcoming.entry.date, 'MMM d')}</span>
+              </button>
+              <span className="hidden sm:inline text-xs text-gray-400">
+                <SourceLine source={upcoming.source} />
+              </span>
+              <span className="font-semibold text-gray-900 tabular-nums">{formatDuration(upcoming.seconds)}</span>
+              <span className="text-xs text-gray-500 tabular-nums">
+                {formatDuration(upcoming.lowSeconds)}–{formatDuration(upcoming.highSeconds)}
+              </span>
+              {onSetGoals && !hasGoals(upcoming.entry) && (
+                <button
+                  onClick={() => handleSetGoals(upcoming)}
+                  disabled={savingId === upcoming.entry.id}
+                  className="px-2 py-1 bg-black text-white text-xs rounded-lg hover:bg-zinc-900 disabled:opacity-50 transition-colors flex items-center gap-1"
+                  title="Set A/B/C goals from the fast end, middle and slow end of the range"
+                >
+                  <Target className="w-3 h-3" />
+                  Use as goals
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
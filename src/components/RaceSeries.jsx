@@ -0,0 +1,418 @@
+import { useEffect, useMemo, useState } from 'react';
+import { MapContainer, TileLayer, Polyline, useMap } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { Repeat, X, Link2, Unlink, ChevronRight, Trophy } from 'lucide-react';
+import { BibPlaceholder } from './BibPlaceholder';
+import { formatDate, parseLocalDate } from '../lib/dateUtils';
+import { formatDuration } from '../lib/statsUtils';
+import { calculateBounds } from '../lib/gpxParser';
+import { formatDistance } from '../lib/units';
+import { useUnits } from '../hooks/useUnits';
+import { summarizeSeries } from '../lib/raceSeries';
+import { getBibImageSrc, getMedalImageSrc } from '../lib/raceUtils';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 12, right: 12, bottom: 20, left: 52 };
+
+// One color per edition on the map; the latest course is drawn in black
+const EDITION_COLORS = ['#2563eb', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#db2777', '#65a30d', '#ca8a04'];
+const COURSE_CHANGE_COLOR = '#ef4444';
+
+function getEditionYear(entry) {
+  const date = parseLocalDate(entry.date);
+  return date && !isNaN(date.getTime()) ? date.getFullYear() : '—';
+}
+
+/**
+ * "+1:05" slower or "-0:42" faster than the edition before
+ */
+function formatDelta(delta) {
+  if (!delta) return null;
+  return `${delta > 0 ? '+' : '-'}${formatDuration(Math.abs(delta))}`;
+}
+
+/**
+ * Compact series card for the race detail page, with owner controls for linking other editions
+ * @param {Array} candidates - Entries the owner could link to this race; omitted for public views
+ */
+export function RaceSeriesSummary({ series, candidates, onOpen, onLink }) {
+  const [selectedId, setSelectedId] = useState('');
+  const [linking, setLinking] = useState(false);
+
+  if (!series && !candidates?.length) return null;
+
+  const handleLink = async () => {
+    if (!selectedId) return;
+    setLinking(true);
+    try {
+      await onLink(selectedId);
+      setSelectedId('');
+    } finally {
+      setLinking(false);
+    }
+  };
+
+  const editionCount = series?.entries.length || 0;
+
+  return (
+    <div className="mt-6 max-w-xl mx-auto">
+      {series && (
+        <button
+          onClick={onOpen}
+          className="w-full flex items-center gap-3 bg-white rounded-lg shadow-sm px-4 py-3 text-left hover:shadow-md transition-shadow"
+        >
+          <Repeat className="w-4 h-4 text-gray-500 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <div className="text-xs font-medium uppercase tracking-wide text-gray-500">Race Series</div>
+            <div className="text-sm text-gray-900 truncate">
+              {editionCount} editions • {getEditionYear(series.entries[0])}–{getEditionYear(series.entries[editionCount - 1])}
+            </div>
+          </div>
+          <span className="text-sm text-gray-500">Compare</span>
+          <ChevronRight className="w-4 h-4 text-gray-400" />
+        </button>
+      )}
+
+      {candidates?.length > 0 && (
+        <div className="mt-2 flex items-center gap-2">
+          <Link2 className="w-4 h-4 text-gray-400 flex-shrink-0" />
+          <select
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+            className="flex-1 min-w-0 text-sm bg-transparent text-gray-600 border border-gray-300 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-black"
+          >
+            <option value="">{series ? 'Add another edition…' : 'Link to another edition of this race…'}</option>
+            {candidates.map(candidate => (
+              <option key={candidate.id} value={candidate.id}>
+                {candidate.raceName} ({formatDate(candidate.date, 'MMM yyyy')})
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleLink}
+            disabled={!selectedId || linking}
+            className="px-3 py-1 bg-black text-white text-sm rounded-lg hover:bg-zinc-900 disabled:opacity-50 transition-colors"
+          >
+            {linking ? 'Linking...' : 'Link'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Finish time of each edition over the years - faster times sit higher
+ */
+function SeriesTrendChart({ editions, onViewRace }) {
+  const timed = editions.filter(edition => edition.seconds);
+  if (timed.length < 2) return null;
+
+  const times = timed.map(edition => parseLocalDate(edition.entry.date).getTime());
+  const seconds = timed.map(edition => edition.seconds);
+  const minTime = Math.min(...times);
+  const timeRange = Math.max(Math.max(...times) - minTime, 1);
+  const fastest = Math.min(...seconds);
+  const slowest = Math.max(...seconds);
+  const margin = Math.max((slowest - fastest) * 0.1, 30);
+  const top = fastest - margin;
+  const bottom = slowest + margin;
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = (time) => CHART_PADDING.left + ((time - minTime) / timeRange) * plotWidth;
+  const y = (value) => CHART_PADDING.top + ((value - top) / (bottom - top)) * plotHeight;
+
+  const path = timed
+    .map((edition, index) => `${index === 0 ? 'M' : 'L'}${x(times[index]).toFixed(1)},${y(edition.seconds).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto select-none">
+      <line
+        x1={CHART_PADDING.left}
+        x2={CHART_WIDTH - CHART_PADDING.right}
+        y1={y(fastest)}
+        y2={y(fastest)}
+        stroke="#d1d5db"
+        strokeDasharray="4 4"
+      />
+      <path d={path} fill="none" stroke="#000000" strokeWidth={1.5} />
+      {timed.map((edition, index) => (
+        <g key={edition.entry.id} className="cursor-pointer" onClick={() => onViewRace(edition.entry.id)}>
+          <circle
+            cx={x(times[index])}
+            cy={y(edition.seconds)}
+            r={4}
+            fill={edition.isBest ? '#facc15' : '#ffffff'}
+            stroke="#000000"
+            strokeWidth={1}
+          >
+            <title>{`${edition.entry.raceName} - ${formatDuration(edition.seconds)}`}</title>
+          </circle>
+          <text x={x(times[index])} y={CHART_HEIGHT - 6} textAnchor="middle" fontSize="10" fill="#6b7280">
+            {getEditionYear(edition.entry)}
+          </text>
+        </g>
+      ))}
+
+      {/* Axis labels */}
+      <text x={CHART_PADDING.left - 6} y={y(fastest) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+        {formatDuration(fastest)}
+      </text>
+      <text x={CHART_PADDING.left - 6} y={y(slowest) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+        {formatDuration(slowest)}
+      </text>
+    </svg>
+  );
+}
+
+/**
+ * Fit the map to every edition's route
+ */
+function FitBounds({ bounds }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (bounds && map) {
+      map.fitBounds([
+        [bounds.minLat, bounds.minLon],
+        [bounds.maxLat, bounds.maxLon],
+      ], {
+        padding: [20, 20],
+        maxZoom: 15,
+      });
+    }
+  }, [bounds, map]);
+
+  return null;
+}
+
+/**
+ * Every edition's route on one map - stretches that leave the latest course are highlighted
+ */
+function SeriesCourseMap({ editions }) {
+  const { units } = useUnits();
+  const routed = useMemo(
+    () => editions.filter(edition => edition.entry.routeData?.coordinates?.length),
+    [editions]
+  );
+  const bounds = useMemo(
+    () => (routed.length > 0 ? calculateBounds(routed.flatMap(edition => edition.entry.routeData.coordinates)) : null),
+    [routed]
+  );
+
+  if (routed.length === 0) return null;
+
+  const colorFor = (edition, index) => (edition.isReferenceCourse ? '#000000' : EDITION_COLORS[index % EDITION_COLORS.length]);
+
+  return (
+    <div>
+      <div className="h-96 rounded-lg overflow-hidden shadow-sm">
+        <MapContainer
+          center={[routed[0].entry.routeData.coordinates[0].lat, routed[0].entry.routeData.coordinates[0].lon]}
+          zoom={13}
+          style={{ height: '100%', width: '100%' }}
+        >
+          <TileLayer
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          />
+          {bounds && <FitBounds bounds={bounds} />}
+
+          {routed.map((edition, index) => (
+            <Polyline
+              key={edition.entry.id}
+              positions={edition.entry.routeData.coordinates.map(coord => [coord.lat, coord.lon])}
+              color={colorFor(edition, index)}
+              weight={edition.isReferenceCourse ? 4 : 3}
+              opacity={0.7}
+            />
+          ))}
+
+          {/* Course changes */}
+          {routed.flatMap(edition => (edition.course?.segments || []).map((segment, index) => (
+            <Polyline
+              key={`${edition.entry.id}-change-${index}`}
+              positions={segment}
+              color={COURSE_CHANGE_COLOR}
+              weight={8}
+              opacity={0.5}
+            />
+          )))}
+        </MapContainer>
+      </div>
+
+      {/* Legend */}
+      <ul className="mt-3 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">
+        {routed.map((edition, index) => (
+          <li key={edition.entry.id} className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-1 rounded" style={{ backgroundColor: colorFor(edition, index) }} />
+            {getEditionYear(edition.entry)}
+            {edition.isReferenceCourse && <span className="text-gray-400">(latest course)</span>}
+            {edition.course?.changed && (
+              <span className="text-red-600">
+                course changed
+                {Math.abs(edition.course.distanceDiffKm) >= 0.05 && (
+                  <> ({edition.course.distanceDiffKm > 0 ? '+' : '-'}{formatDistance(Math.abs(edition.course.distanceDiffKm), units, 2)})</>
+                )}
+              </span>
+            )}
+          </li>
+        ))}
+        {routed.some(edition => edition.course?.changed) && (
+          <li className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-1.5 rounded opacity-50" style={{ backgroundColor: COURSE_CHANGE_COLOR }} />
+            off the latest course
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Year-over-year view of a race series - every edition side by side, a finish-time trend
+ * and the routes overlaid
+ * @param {Function} onUnlink - Removes an edition from the series; omitted for public views
+ */
+export function RaceSeries({ series, currentEntryId, onClose, onViewRace, onUnlink }) {
+  const editions = useMemo(() => summarizeSeries(series), [series]);
+  const [unlinkingId, setUnlinkingId] = useState(null);
+
+  const handleUnlink = async (entry) => {
+    if (!confirm(`Remove ${entry.raceName} (${getEditionYear(entry)}) from this series?`)) return;
+    setUnlinkingId(entry.id);
+    try {
+      await onUnlink(entry);
+    } finally {
+      setUnlinkingId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-50 z-[60] overflow-y-auto">
+      <header className="sticky top-0 z-[1000] bg-gray-50/90 backdrop-blur border-b border-gray-200">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center gap-3">
+          <Repeat className="w-5 h-5 text-gray-500" />
+          <div className="flex-1 min-w-0">
+            <h1 className="text-lg font-semibold text-gray-900 truncate">{series.name}</h1>
+            <p className="text-xs text-gray-500">{series.entries.length} editions</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-200 rounded-lg transition-colors"
+            aria-label="Close series"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-6xl mx-auto px-4 py-6 space-y-10">
+        {/* Editions side by side */}
+        <section className="flex gap-4 overflow-x-auto pb-2">
+          {editions.map(edition => {
+            const { entry } = edition;
+            const bibImageSrc = getBibImageSrc(entry);
+            const medalImageSrc = getMedalImageSrc(entry);
+            return (
+              <div
+                key={entry.id}
+                className={`w-48 flex-shrink-0 bg-white rounded-lg shadow-sm p-3 flex flex-col gap-2 ${entry.id === currentEntryId ? 'ring-2 ring-black' : ''}`}
+              >
+                <button onClick={() => onViewRace(entry.id)} className="text-left">
+                  <div className="flex items-center justify-between">
+                    <span className="text-lg font-bold text-gray-900">{getEditionYear(entry)}</span>
+                    {edition.isBest && <Trophy className="w-4 h-4 text-yellow-500" aria-label="Fastest edition" />}
+                  </div>
+                  <div className="text-xs text-gray-500">{formatDate(entry.date, 'MMM d')}</div>
+                </button>
+
+                <div className="aspect-[4/3] flex items-center justify-center">
+                  {bibImageSrc ? (
+                    <img src={bibImageSrc} alt={`Bib for ${entry.raceName}`} className="max-w-full max-h-full object-contain rounded" />
+                  ) : (
+                    <BibPlaceholder entry={entry} size="sm" className="w-full" />
+                  )}
+                </div>
+
+                <div className="h-16 flex items-center justify-center">
+                  {medalImageSrc ? (
+                    <img src={medalImageSrc} alt={`Medal for ${entry.raceName}`} className="max-h-full object-contain" />
+                  ) : (
+                    <span className="text-xs text-gray-300">No medal</span>
+                  )}
+                </div>
+
+                <dl className="text-sm space-y-1">
+                  <div className="flex justify-between">
+                    <dt className="text-gray-500">Time</dt>
+                    <dd className="font-semibold text-gray-900 tabular-nums">{entry.results?.finishTime || '—'}</dd>
+                  </div>
+                  {edition.delta !== null && (
+                    <div className={`text-right text-xs tabular-nums ${edition.delta < 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {formatDelta(edition.delta)}
+                    </div>
+                  )}
+                  <div className="flex justify-between">
+                    <dt className="text-gray-500">Place</dt>
+                    <dd className="text-gray-900 tabular-nums">
+                      {edition.place ? `${edition.place}${edition.participants ? ` / ${edition.participants}` : ''}` : '—'}
+                    </dd>
+                  </div>
+                  <div className="flex justify-between">
+                    <dt className="text-gray-500">Percentile</dt>
+                    <dd className="text-gray-900 tabular-nums">
+                      {edition.topPercent !== null ? `Top ${Math.max(1, Math.round(edition.topPercent))}%` : '—'}
+                    </dd>
+                  </div>
+                </dl>
+
+                {edition.course?.changed && (
+                  <div className="text-xs text-red-600">Different course</div>
+                )}
+
+                {onUnlink && (
+                  <button
+                    onClick={() => handleUnlink(entry)}
+                    disabled={unlinkingId === entry.id}
+                    className="mt-auto flex items-center gap-1 text-xs text-gray-400 hover:text-gray-700 disabled:opacity-50 transition-colors"
+                  >
+                    <Unlink className="w-3 h-3" />
+                    Remove from series
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </section>
+
+        {/* Trend */}
+        {editions.filter(edition => edition.seconds).length >= 2 && (
+          <section>
+            <div className="flex items-center gap-3 mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Finish Times</h2>
+              <div className="flex-1 border-t border-gray-300"></div>
+            </div>
+            <div className="bg-white rounded-lg shadow-sm p-4">
+              <SeriesTrendChart editions={editions} onViewRace={onViewRace} />
+            </div>
+          </section>
+        )}
+
+        {/* Courses */}
+        {editions.some(edition => edition.entry.routeData?.coordinates?.length) && (
+          <section>
+            <div className="flex items-center gap-3 mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Courses</h2>
+              <div className="flex-1 border-t border-gray-300"></div>
+            </div>
+            <SeriesCourseMap editions={editions} />
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
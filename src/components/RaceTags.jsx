@@ -0,0 +1,37 @@
+import { Tag } from 'lucide-react';
+import { getProfileCustomFields, getEntryCustomFields } from '../lib/customFieldUtils';
+
+/**
+ * Tags and custom field values for the race detail page
+ * @param {Object} profile - The race owner's profile, which defines the custom fields
+ */
+export function RaceTags({ entry, profile }) {
+  const tags = entry.tags || [];
+  const customFields = getEntryCustomFields(entry, getProfileCustomFields(profile));
+  if (tags.length === 0 && customFields.length === 0) return null;
+
+  return (
+    <div className="mt-6 max-w-xl mx-auto space-y-4">
+      {tags.length > 0 && (
+        <div className="flex flex-wrap justify-center gap-2">
+          {tags.map(tag => (
+            <span key={tag} className="flex items-center gap-1 px-2 py-0.5 bg-gray-100 rounded text-sm text-gray-700">
+              <Tag className="w-3 h-3 text-gray-400" />
+              {tag}
+            </span>
+          ))}
+        </div>
+      )}
+      {customFields.length > 0 && (
+        <dl className="grid grid-cols-2 gap-x-6 gap-y-2 text-sm text-left">
+          {customFields.map(({ field, value }) => (
+            <div key={field.id} className="flex justify-between gap-4 border-b border-gray-100 pb-1">
+              <dt className="text-gray-500">{field.label}</dt>
+              <dd className="text-gray-900 font-medium tabular-nums">{value}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+    </div>
+  );
+}
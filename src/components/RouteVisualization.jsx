@@ -1,9 +1,17 @@
-import { useEffect, useMemo } from 'react';
-import { MapContainer, TileLayer, Polyline, Marker, Popup, useMap } from 'react-leaflet';
+import { useEffect, useMemo, useState } from 'react';
+import { MapContainer, TileLayer, Polyline, Marker, Popup, CircleMarker, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { Ruler, Mountain, Gauge, Flag } from 'lucide-react';
-import { calculateRouteStats } from '../lib/gpxParser';
+import { calculateRouteStats, haversineDistance } from '../lib/gpxParser';
+import { buildDistanceTimeSeries, getPositionAtDistance } from '../lib/splitUtils';
+import { SplitsPanel } from './SplitsPanel';
+import { ElevationProfile } from './ElevationProfile';
+import { HeartRatePanel } from './HeartRatePanel';
+import { getHeartRateZones, buildZoneSegments } from '../lib/heartRateZones';
+import { getUnitSystem, formatDistance, formatElevation, formatPace } from '../lib/units';
+import { formatDuration } from '../lib/statsUtils';
+import { useUnits } from '../hooks/useUnits';
 
 // Fix for default marker icons in React-Leaflet
 import icon from 'leaflet/dist/images/marker-icon.png';
@@ -54,8 +62,8 @@ function createCircleMarker(color) {
   });
 }
 
-// Create mile marker with number
-function createMileMarker(mileNumber) {
+// Create km/mile marker with number
+function createDistanceMarker(markerNumber) {
   return L.divIcon({
     className: 'custom-mile-marker',
     html: `
@@ -72,7 +80,7 @@ function createMileMarker(mileNumber) {
         font-size: 11px;
         font-weight: bold;
         box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-      ">${mileNumber}</div>
+      ">${markerNumber}</div>
     `,
     iconSize: [24, 24],
     iconAnchor: [12, 12],
@@ -124,91 +132,62 @@ function calculateBounds(coordinates) {
 }
 
 /**
- * Calculate distance between two points using Haversine formula (in miles)
+ * Calculate km or mile markers along the route
+ * Returns array of { number: number, position: [lat, lon], index: number }
+ * @param {number} lengthKm - Length of one marker interval in km (1 for km, 1.609344 for miles)
  */
-function haversineDistanceMiles(lat1, lon1, lat2, lon2) {
-  const R = 3959; // Earth's radius in miles
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
-
-/**
- * Calculate mile markers along the route
- * Returns array of { mile: number, position: [lat, lon], index: number }
- */
-function calculateMileMarkers(coordinates, totalDistanceMiles) {
-  if (!coordinates || coordinates.length === 0 || totalDistanceMiles <= 0) {
+function calculateDistanceMarkers(coordinates, totalDistanceKm, lengthKm) {
+  if (!coordinates || coordinates.length === 0 || totalDistanceKm <= 0) {
     return [];
   }
 
-  const mileMarkers = [];
+  const totalUnits = totalDistanceKm / lengthKm;
+  const markers = [];
   let cumulativeDistance = 0;
-  let currentMile = 1;
-  const targetMile = 1; // Start looking for mile 1
+  let currentMarker = 1;
 
   for (let i = 1; i < coordinates.length; i++) {
     const prev = coordinates[i - 1];
     const curr = coordinates[i];
     
-    const segmentDistance = haversineDistanceMiles(prev.lat, prev.lon, curr.lat, curr.lon);
+    const segmentDistance = haversineDistance(prev.lat, prev.lon, curr.lat, curr.lon) / lengthKm;
     cumulativeDistance += segmentDistance;
 
-    // Check if we've passed the current mile marker
-    while (currentMile <= Math.floor(totalDistanceMiles) && cumulativeDistance >= currentMile) {
-      // Find the exact position where this mile occurs
+    // Check if we've passed the current marker
+    while (currentMarker <= Math.floor(totalUnits) && cumulativeDistance >= currentMarker) {
+      // Find the exact position where this marker occurs
       // Interpolate between prev and curr
-      const distanceToMile = currentMile - (cumulativeDistance - segmentDistance);
-      const ratio = distanceToMile / segmentDistance;
+      const distanceToMarker = currentMarker - (cumulativeDistance - segmentDistance);
+      const ratio = distanceToMarker / segmentDistance;
       
-      const mileLat = prev.lat + (curr.lat - prev.lat) * ratio;
-      const mileLon = prev.lon + (curr.lon - prev.lon) * ratio;
+      const markerLat = prev.lat + (curr.lat - prev.lat) * ratio;
+      const markerLon = prev.lon + (curr.lon - prev.lon) * ratio;
       
-      mileMarkers.push({
-        mile: currentMile,
-        position: [mileLat, mileLon],
+      markers.push({
+        number: currentMarker,
+        position: [markerLat, markerLon],
         index: i - 1,
       });
       
-      currentMile++;
+      currentMarker++;
     }
   }
 
-  return mileMarkers;
-}
-
-/**
- * Format pace from minutes per mile to MM:SS format
- */
-function formatPace(minutesPerMile) {
-  const minutes = Math.floor(minutesPerMile);
-  const seconds = Math.floor((minutesPerMile - minutes) * 60);
-  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-}
-
-/**
- * Format time in seconds to HH:MM:SS format
- */
-function formatTime(totalSeconds) {
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = Math.floor(totalSeconds % 60);
-  
-  if (hours > 0) {
-    return `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-  }
-  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  return markers;
 }
 
 /**
  * Component for visualizing GPX route on a map
+ * profile is the route owner's profile, used for their heart-rate zones
  */
-export function RouteVisualization({ routeData }) {
+export function RouteVisualization({ routeData, profile = null }) {
+  const [hoveredSplit, setHoveredSplit] = useState(null);
+  const [hoveredClimb, setHoveredClimb] = useState(null);
+  const [hoveredDistance, setHoveredDistance] = useState(null);
+  const [colorByZone, setColorByZone] = useState(true);
+  const { units } = useUnits();
+  const unitSystem = getUnitSystem(units);
+
   // Recalculate stats if they're missing but we have coordinates with time data
   const stats = useMemo(() => {
     console.log('=== RouteVisualization Stats Debug ===');
@@ -307,18 +286,55 @@ export function RouteVisualization({ routeData }) {
     return routePoints[routePoints.length - 1];
   }, [routePoints]);
 
-  // Calculate mile markers
-  const mileMarkers = useMemo(() => {
+  // Calculate km or mile markers, following the units preference
+  const distanceMarkers = useMemo(() => {
     if (!routeData || !routeData.coordinates || !routeData.stats || !routeData.stats.distance) {
       return [];
     }
     
-    // Convert distance from km to miles
-    const totalDistanceMiles = routeData.stats.distance * 0.621371;
-    
-    return calculateMileMarkers(routeData.coordinates, totalDistanceMiles);
+    return calculateDistanceMarkers(routeData.coordinates, routeData.stats.distance, unitSystem.lengthKm);
+  }, [routeData, unitSystem]);
+
+  // Cumulative distance along the route, used to place the pace chart's hover marker
+  const distanceSeries = useMemo(() => {
+    if (!routeData || !routeData.coordinates) return [];
+    return buildDistanceTimeSeries(routeData.coordinates);
+  }, [routeData]);
+
+  // Route segment for the hovered split or climb
+  const highlightedPoints = useMemo(() => {
+    const segment = hoveredSplit || hoveredClimb;
+    if (!segment) return null;
+    return routePoints.slice(segment.startIndex, segment.endIndex + 1);
+  }, [hoveredSplit, hoveredClimb, routePoints]);
+
+  const hasElevationData = useMemo(() => {
+    return !!routeData?.coordinates?.some(coord => coord.elevation !== null && coord.elevation !== undefined);
   }, [routeData]);
 
+  const hoveredPosition = useMemo(() => {
+    if (hoveredDistance === null || !routeData?.coordinates) return null;
+    return getPositionAtDistance(routeData.coordinates, distanceSeries, hoveredDistance);
+  }, [hoveredDistance, routeData, distanceSeries]);
+
+  const hasHeartRateData = useMemo(() => {
+    return !!routeData?.coordinates?.some(coord => coord.heartRate !== null && coord.heartRate !== undefined);
+  }, [routeData]);
+
+  const hasSensorData = useMemo(() => {
+    return !!routeData?.coordinates?.some(coord => ['heartRate', 'cadence', 'power'].some(key => coord[key] !== null && coord[key] !== undefined));
+  }, [routeData]);
+
+  const heartRateZones = useMemo(() => getHeartRateZones(profile), [profile]);
+
+  // Route split into runs of the same HR zone
+  const zoneSegments = useMemo(() => {
+    if (!hasHeartRateData || !heartRateZones) return [];
+    return buildZoneSegments(routeData.coordinates, heartRateZones.zones);
+  }, [hasHeartRateData, heartRateZones, routeData]);
+
+  const showZoneColors = colorByZone && zoneSegments.length > 0;
+
   if (!routeData || !routeData.coordinates || routeData.coordinates.length === 0) {
     return (
       <div className="w-full h-64 bg-gray-100 rounded-lg flex items-center justify-center text-gray-400">
@@ -354,14 +370,49 @@ export function RouteVisualization({ routeData }) {
           />
           
           {/* Route polyline */}
-          <Polyline
-            positions={routePoints}
-            pathOptions={{
-              color: '#000000',
-              weight: 3,
-              opacity: 1,
-            }}
-          />
+          {showZoneColors ? (
+            zoneSegments.map((segment, index) => (
+              <Polyline
+                key={`zone-${index}`}
+                positions={segment.positions}
+                pathOptions={{
+                  color: segment.color,
+                  weight: 4,
+                  opacity: 1,
+                }}
+              />
+            ))
+          ) : (
+            <Polyline
+              positions={routePoints}
+              pathOptions={{
+                color: '#000000',
+                weight: 3,
+                opacity: 1,
+              }}
+            />
+          )}
+
+          {/* Hovered split or climb */}
+          {highlightedPoints && highlightedPoints.length > 1 && (
+            <Polyline
+              positions={highlightedPoints}
+              pathOptions={{
+                color: '#f97316',
+                weight: 6,
+                opacity: 0.9,
+              }}
+            />
+          )}
+
+          {/* Position hovered on the pace chart */}
+          {hoveredPosition && (
+            <CircleMarker
+              center={hoveredPosition}
+              radius={6}
+              pathOptions={{ color: '#ffffff', weight: 2, fillColor: '#f97316', fillOpacity: 1 }}
+            />
+          )}
           
           {/* Start marker */}
           {startPoint && (
@@ -377,14 +428,14 @@ export function RouteVisualization({ routeData }) {
             </Marker>
           )}
           
-          {/* Mile markers */}
-          {mileMarkers.map((marker, index) => (
+          {/* Km or mile markers */}
+          {distanceMarkers.map((marker, index) => (
             <Marker
-              key={`mile-${marker.mile}-${index}`}
+              key={`${unitSystem.distance}-${marker.number}-${index}`}
               position={marker.position}
-              icon={createMileMarker(marker.mile)}
+              icon={createDistanceMarker(marker.number)}
             >
-              <Popup>Mile {marker.mile}</Popup>
+              <Popup>{unitSystem.distanceName} {marker.number}</Popup>
             </Marker>
           ))}
           
@@ -412,7 +463,7 @@ export function RouteVisualization({ routeData }) {
                 <div className="text-xs font-medium uppercase tracking-wide">Distance</div>
               </div>
               <div className="font-bold text-lg text-gray-900">
-                {stats.distance.toFixed(2)} km
+                {formatDistance(stats.distance, units, 2)}
               </div>
             </div>
           )}
@@ -425,8 +476,11 @@ export function RouteVisualization({ routeData }) {
                 <div className="text-xs font-medium uppercase tracking-wide">Elevation</div>
               </div>
               <div className="font-bold text-lg text-gray-900">
-                {stats.elevationGain.toFixed(0)} m
+                {formatElevation(stats.elevationGain, units)}
               </div>
+              {stats.elevationLoss !== undefined && (
+                <div className="text-xs text-gray-600">{formatElevation(stats.elevationLoss, units)} descent</div>
+              )}
             </div>
           )}
           
@@ -442,7 +496,7 @@ export function RouteVisualization({ routeData }) {
                 <div className="text-xs font-medium uppercase tracking-wide">Pace</div>
               </div>
               <div className="font-bold text-lg text-gray-900">
-                {formatPace(stats.averagePace)} /km
+                {formatPace(stats.averagePace * 60, units)}
               </div>
             </div>
           )}
@@ -458,13 +512,44 @@ export function RouteVisualization({ routeData }) {
                 <div className="text-xs font-medium uppercase tracking-wide">Total Time</div>
               </div>
               <div className="font-bold text-lg text-gray-900">
-                {formatTime(stats.totalTime)}
+                {formatDuration(stats.totalTime)}
               </div>
             </div>
           )}
           </div>
         </div>
       )}
+
+      {/* Heart rate, cadence and power */}
+      {hasSensorData && (
+        <HeartRatePanel
+          coordinates={routeData.coordinates}
+          heartRateZones={heartRateZones}
+          colorByZone={showZoneColors}
+          onToggleColorByZone={setColorByZone}
+        />
+      )}
+
+      {/* Elevation profile */}
+      {hasElevationData && (
+        <ElevationProfile
+          coordinates={routeData.coordinates}
+          hoveredDistance={hoveredDistance}
+          onHoverDistance={setHoveredDistance}
+          hoveredClimb={hoveredClimb}
+          onHoverClimb={setHoveredClimb}
+        />
+      )}
+
+      {/* Splits and pace chart */}
+      {stats?.hasTimeData && (
+        <SplitsPanel
+          coordinates={routeData.coordinates}
+          hoveredSplit={hoveredSplit}
+          onHoverSplit={setHoveredSplit}
+          onHoverDistance={setHoveredDistance}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
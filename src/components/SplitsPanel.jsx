@@ -0,0 +1,271 @@
+import { useState, useMemo } from 'react';
+import { Zap, Turtle, TrendingDown, TrendingUp, Minus } from 'lucide-react';
+import { calculateSplits, analyzeSplits, calculatePaceSeries, SPLIT_UNITS } from '../lib/splitUtils';
+import { getDistanceUnit } from '../lib/units';
+import { formatDuration } from '../lib/statsUtils';
+import { useUnits } from '../hooks/useUnits';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = { top: 10, right: 10, bottom: 20, left: 44 };
+
+const HALF_SPLIT_LABELS = {
+  negative: { label: 'Negative Split', icon: TrendingDown, className: 'bg-green-200/70 text-green-700' },
+  positive: { label: 'Positive Split', icon: TrendingUp, className: 'bg-orange-200/70 text-orange-700' },
+  even: { label: 'Even Split', icon: Minus, className: 'bg-blue-200/70 text-blue-700' },
+};
+
+/**
+ * Split table, split analysis and pace-over-distance chart for a timed route.
+ * Hovering a split or the chart reports back so the map can highlight it.
+ * Splits default to the units preference until the toggle is used.
+ */
+export function SplitsPanel({ coordinates, hoveredSplit, onHoverSplit, onHoverDistance }) {
+  const { units } = useUnits();
+  const [selectedUnit, setUnit] = useState(null);
+  const unit = selectedUnit || getDistanceUnit(units);
+  const unitLabel = SPLIT_UNITS[unit].label;
+
+  const splits = useMemo(() => calculateSplits(coordinates, unit), [coordinates, unit]);
+  const analysis = useMemo(() => analyzeSplits(coordinates, splits), [coordinates, splits]);
+  const paceSeries = useMemo(() => calculatePaceSeries(coordinates, unit), [coordinates, unit]);
+
+  const averagePace = useMemo(() => {
+    if (splits.length === 0) return null;
+    const totalUnits = splits.reduce((sum, split) => sum + split.distance, 0);
+    return totalUnits > 0 ? splits[splits.length - 1].elapsed / totalUnits : null;
+  }, [splits]);
+
+  // Chart scales - pace axis is inverted so faster running sits higher
+  const chart = useMemo(() => {
+    if (splits.length === 0) return null;
+    const totalKm = splits[splits.length - 1].endDistance;
+    const paces = [...paceSeries.map(p => p.pace), ...splits.map(s => s.pace)].filter(Boolean).sort((a, b) => a - b);
+    if (paces.length === 0) return null;
+
+    // Clip outliers (aid stations, GPS dropouts) so they don't flatten the chart
+    const minPace = paces[Math.floor(paces.length * 0.02)];
+    const maxPace = paces[Math.min(paces.length - 1, Math.ceil(paces.length * 0.98))];
+    const range = Math.max(maxPace - minPace, 10);
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+    const x = (km) => CHART_PADDING.left + (km / totalKm) * plotWidth;
+    const y = (pace) => {
+      const clamped = Math.min(Math.max(pace, minPace - range * 0.1), maxPace + range * 0.1);
+      return CHART_PADDING.top + ((clamped - (minPace - range * 0.1)) / (range * 1.2)) * plotHeight;
+    };
+
+    const linePath = paceSeries
+      .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.distance).toFixed(1)},${y(point.pace).toFixed(1)}`)
+      .join(' ');
+
+    return { totalKm, minPace, maxPace, range, plotWidth, x, y, linePath };
+  }, [splits, paceSeries]);
+
+  if (splits.length === 0) return null;
+
+  const handleChartMove = (event) => {
+    if (!chart) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const svgX = ((event.clientX - rect.left) / rect.width) * CHART_WIDTH;
+    const km = ((svgX - CHART_PADDING.left) / chart.plotWidth) * chart.totalKm;
+    if (km < 0 || km > chart.totalKm) {
+      onHoverDistance?.(null);
+      onHoverSplit?.(null);
+      return;
+    }
+    onHoverDistance?.(km);
+    onHoverSplit?.(splits.find(split => km >= split.startDistance && km <= split.endDistance) || null);
+  };
+
+  const handleChartLeave = () => {
+    onHoverDistance?.(null);
+    onHoverSplit?.(null);
+  };
+
+  const halfSplit = analysis?.halves ? HALF_SPLIT_LABELS[analysis.halves.type] : null;
+  const HalfSplitIcon = halfSplit?.icon;
+
+  return (
+    <div className="mt-8 space-y-6">
+      {/* Header with unit toggle */}
+      <div className="flex items-center gap-3">
+        <h2 className="text-lg font-semibold text-gray-900">Splits</h2>
+        <div className="flex-1 border-t border-gray-300"></div>
+        <div className="flex items-center gap-1 bg-gray-100 p-1 rounded-lg">
+          {Object.keys(SPLIT_UNITS).map(option => (
+            <button
+              key={option}
+              onClick={() => setUnit(option)}
+              className={`px-3 py-1 rounded text-sm transition-colors ${
+                unit === option ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {SPLIT_UNITS[option].label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Split analysis - Sticky note style cards */}
+      {analysis && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div
+            className="bg-yellow-200/70 rounded-lg p-4 shadow-sm transform rotate-[-1.5deg] hover:rotate-0 transition-transform cursor-default"
+            onMouseEnter={() => onHoverSplit?.(analysis.fastest)}
+            onMouseLeave={() => onHoverSplit?.(null)}
+          >
+            <div className="flex items-center gap-2 text-yellow-700 mb-2">
+              <Zap className="w-4 h-4" />
+              <div className="text-xs font-medium uppercase tracking-wide">Fastest Split</div>
+            </div>
+            <div className="font-bold text-lg text-gray-900">
+              {formatDuration(analysis.fastest.pace)} /{unitLabel}
+            </div>
+            <div className="text-xs text-gray-600">{unitLabel} {analysis.fastest.number}</div>
+          </div>
+
+          <div
+            className="bg-pink-200/70 rounded-lg p-4 shadow-sm transform rotate-[1.5deg] hover:rotate-0 transition-transform cursor-default"
+            onMouseEnter={() => onHoverSplit?.(analysis.slowest)}
+            onMouseLeave={() => onHoverSplit?.(null)}
+          >
+            <div className="flex items-center gap-2 text-pink-700 mb-2">
+              <Turtle className="w-4 h-4" />
+              <div className="text-xs font-medium uppercase tracking-wide">Slowest Split</div>
+            </div>
+            <div className="font-bold text-lg text-gray-900">
+              {formatDuration(analysis.slowest.pace)} /{unitLabel}
+            </div>
+            <div className="text-xs text-gray-600">{unitLabel} {analysis.slowest.number}</div>
+          </div>
+
+          {halfSplit && (
+            <div className={`${halfSplit.className} rounded-lg p-4 shadow-sm transform rotate-[-1deg] hover:rotate-0 transition-transform`}>
+              <div className="flex items-center gap-2 mb-2">
+                <HalfSplitIcon className="w-4 h-4" />
+                <div className="text-xs font-medium uppercase tracking-wide">{halfSplit.label}</div>
+              </div>
+              <div className="font-bold text-lg text-gray-900">
+                {analysis.halves.difference < 0 ? '-' : '+'}{formatDuration(analysis.halves.difference)}
+              </div>
+              <div className="text-xs text-gray-600">
+                {formatDuration(analysis.halves.firstHalf)} / {formatDuration(analysis.halves.secondHalf)}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Pace over distance chart */}
+      {chart && (
+        <div className="bg-white rounded-lg p-4 shadow-sm">
+          <div className="text-xs font-medium uppercase tracking-wide text-gray-500 mb-2">Pace /{unitLabel}</div>
+          <svg
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            className="w-full h-auto select-none"
+            onMouseMove={handleChartMove}
+            onMouseLeave={handleChartLeave}
+          >
+            {/* Split bars */}
+            {splits.map(split => {
+              const isHovered = hoveredSplit?.number === split.number;
+              const barX = chart.x(split.startDistance);
+              const barWidth = Math.max(chart.x(split.endDistance) - barX - 1, 1);
+              const barY = chart.y(split.pace);
+              return (
+                <rect
+                  key={split.number}
+                  x={barX}
+                  y={barY}
+                  width={barWidth}
+                  height={CHART_HEIGHT - CHART_PADDING.bottom - barY}
+                  fill={isHovered ? '#fdba74' : '#e5e7eb'}
+                />
+              );
+            })}
+
+            {/* Average pace */}
+            {averagePace && (
+              <line
+                x1={CHART_PADDING.left}
+                x2={CHART_WIDTH - CHART_PADDING.right}
+                y1={chart.y(averagePace)}
+                y2={chart.y(averagePace)}
+                stroke="#9ca3af"
+                strokeDasharray="4 4"
+              />
+            )}
+
+            {/* Smoothed pace line */}
+            <path d={chart.linePath} fill="none" stroke="#000000" strokeWidth={1.5} />
+
+            {/* Axis labels */}
+            <text x={CHART_PADDING.left - 6} y={chart.y(chart.minPace) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+              {formatDuration(chart.minPace)}
+            </text>
+            <text x={CHART_PADDING.left - 6} y={chart.y(chart.maxPace) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+              {formatDuration(chart.maxPace)}
+            </text>
+            {splits.filter((_, index) => splits.length <= 15 || (index + 1) % 5 === 0).map(split => (
+              <text
+                key={`label-${split.number}`}
+                x={chart.x(split.endDistance)}
+                y={CHART_HEIGHT - 6}
+                textAnchor="middle"
+                fontSize="10"
+                fill="#6b7280"
+              >
+                {split.distance < 0.99 ? '' : split.number}
+              </text>
+            ))}
+          </svg>
+        </div>
+      )}
+
+      {/* Split table */}
+      <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-xs uppercase tracking-wide text-gray-500">
+            <tr>
+              <th className="px-4 py-2 text-left font-medium">{unitLabel}</th>
+              <th className="px-4 py-2 text-right font-medium">Time</th>
+              <th className="px-4 py-2 text-right font-medium">Pace</th>
+              <th className="px-4 py-2 text-right font-medium hidden sm:table-cell">vs Avg</th>
+              <th className="px-4 py-2 text-right font-medium hidden sm:table-cell">Elapsed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {splits.map(split => {
+              const diff = averagePace ? split.pace - averagePace : null;
+              const isHovered = hoveredSplit?.number === split.number;
+              return (
+                <tr
+                  key={split.number}
+                  onMouseEnter={() => onHoverSplit?.(split)}
+                  onMouseLeave={() => onHoverSplit?.(null)}
+                  className={`border-t border-gray-100 transition-colors ${isHovered ? 'bg-orange-50' : ''}`}
+                >
+                  <td className="px-4 py-2 text-gray-900 font-medium">
+                    {split.distance < 0.99 ? split.distance.toFixed(2) : split.number}
+                    {analysis?.fastest.number === split.number && <Zap className="inline w-3 h-3 ml-1 text-yellow-600" />}
+                    {analysis?.slowest.number === split.number && <Turtle className="inline w-3 h-3 ml-1 text-pink-600" />}
+                  </td>
+                  <td className="px-4 py-2 text-right text-gray-700 tabular-nums">{formatDuration(split.time) || '--'}</td>
+                  <td className="px-4 py-2 text-right text-gray-900 tabular-nums">{formatDuration(split.pace) || '--'}</td>
+                  <td className={`px-4 py-2 text-right tabular-nums hidden sm:table-cell ${
+                    diff === null ? '' : diff < 0 ? 'text-green-600' : 'text-red-500'
+                  }`}>
+                    {diff === null ? '--' : `${diff < 0 ? '-' : '+'}${formatDuration(diff)}`}
+                  </td>
+                  <td className="px-4 py-2 text-right text-gray-500 tabular-nums hidden sm:table-cell">{formatDuration(split.elapsed) || '--'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
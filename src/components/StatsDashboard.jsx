@@ -0,0 +1,472 @@
+import { useState, useMemo, useEffect, useRef } from 'react';
+import { BarChart3, Flag, Ruler, Mountain, Timer, X } from 'lucide-react';
+import { getRaceTypeDisplay } from '../lib/raceUtils';
+import { formatDate } from '../lib/dateUtils';
+import { convertDistance, formatDistance, formatElevation, formatPace } from '../lib/units';
+import {
+  EMPTY_STATS_FILTERS,
+  getStatsFilterOptions,
+  filterStatsEntries,
+  getRacesPerYear,
+  getDistancePerYear,
+  getSurfaceSplit,
+  getPaceByDistance,
+  getTimedDistances,
+  getFinishTimeDistribution,
+  getCourseTotals,
+} from '../lib/statsDashboard';
+import { getRaceEffort } from '../lib/statsUtils';
+import { useUnits } from '../hooks/useUnits';
+
+const CHART_WIDTH = 600;
+const BAR_CHART_HEIGHT = 200;
+const BAR_CHART_PADDING = { top: 20, right: 10, bottom: 24, left: 10 };
+const PACE_CHART_HEIGHT = 220;
+const PACE_CHART_PADDING = { top: 12, right: 12, bottom: 24, left: 60 };
+
+// Colors for the pace chart's distances and the surface split
+const SERIES_COLORS = ['#2563eb', '#ea580c', '#16a34a', '#db2777'];
+const SURFACE_COLORS = { Road: '#374151', Trail: '#16a34a' };
+
+/**
+ * Format a long total as hours and minutes, e.g. "142h 05m"
+ */
+function formatTotalTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return `${hours}h ${minutes.toString().padStart(2, '0')}m`;
+}
+
+/**
+ * Vertical bar chart - click a bar to list its races
+ * @param {Array} data - [{ key, label, value, entryIds }]
+ */
+function BarChart({ data, formatValue, selectedKey, onSelect }) {
+  const plotWidth = CHART_WIDTH - BAR_CHART_PADDING.left - BAR_CHART_PADDING.right;
+  const plotHeight = BAR_CHART_HEIGHT - BAR_CHART_PADDING.top - BAR_CHART_PADDING.bottom;
+  const maxValue = Math.max(...data.map(bar => bar.value), 1);
+  const slot = plotWidth / data.length;
+  const barWidth = Math.min(slot * 0.7, 60);
+  // Thin out the labels when there are too many bars to fit them all
+  const labelEvery = Math.ceil(data.length / 12);
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${BAR_CHART_HEIGHT}`} className="w-full h-auto select-none">
+      <line
+        x1={BAR_CHART_PADDING.left}
+        x2={CHART_WIDTH - BAR_CHART_PADDING.right}
+        y1={BAR_CHART_HEIGHT - BAR_CHART_PADDING.bottom}
+        y2={BAR_CHART_HEIGHT - BAR_CHART_PADDING.bottom}
+        stroke="#e5e7eb"
+      />
+      {data.map((bar, index) => {
+        const height = (bar.value / maxValue) * plotHeight;
+        const x = BAR_CHART_PADDING.left + slot * index + (slot - barWidth) / 2;
+        const y = BAR_CHART_HEIGHT - BAR_CHART_PADDING.bottom - height;
+        const isSelected = bar.key === selectedKey;
+        return (
+          <g
+            key={bar.key}
+            onClick={() => bar.value > 0 && onSelect(bar)}
+            className={bar.value > 0 ? 'cursor-pointer' : ''}
+          >
+            <title>{`${bar.label}: ${formatValue(bar.value)}`}</title>
+            {/* Hit area the full height of the chart, so short bars are easy to click */}
+            <rect x={BAR_CHART_PADDING.left + slot * index} y={0} width={slot} height={BAR_CHART_HEIGHT} fill="transparent" />
+            <rect x={x} y={y} width={barWidth} height={height} rx={3} fill={isSelected ? '#f97316' : '#111827'} />
+            {bar.value > 0 && (
+              <text x={x + barWidth / 2} y={y - 5} textAnchor="middle" fontSize="11" fill="#374151">
+                {formatValue(bar.value)}
+              </text>
+            )}
+            {index % labelEvery === 0 && (
+              <text x={x + barWidth / 2} y={BAR_CHART_HEIGHT - 6} textAnchor="middle" fontSize="11" fill="#6b7280">
+                {bar.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Pace over time, one line per distance - faster is higher. Click a point for that race, or a distance for all of them.
+ */
+function PaceChart({ series, units, selectedKey, onSelectRace, onSelectDistance }) {
+  const chart = useMemo(() => {
+    const points = series.flatMap(line => line.points);
+    const times = points.map(point => point.date.getTime());
+    const paces = points.map(point => point.secondsPerKm);
+    const minTime = Math.min(...times);
+    const maxTime = Math.max(...times);
+    const minPace = Math.min(...paces);
+    const maxPace = Math.max(...paces);
+    const paceRange = Math.max(maxPace - minPace, 1);
+    const plotWidth = CHART_WIDTH - PACE_CHART_PADDING.left - PACE_CHART_PADDING.right;
+    const plotHeight = PACE_CHART_HEIGHT - PACE_CHART_PADDING.top - PACE_CHART_PADDING.bottom;
+
+    const x = time => PACE_CHART_PADDING.left + (maxTime > minTime ? ((time - minTime) / (maxTime - minTime)) * plotWidth : plotWidth / 2);
+    const y = pace => PACE_CHART_PADDING.top + ((pace - minPace + paceRange * 0.1) / (paceRange * 1.2)) * plotHeight;
+    return { x, y, minPace, maxPace, minTime, maxTime };
+  }, [series]);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${PACE_CHART_HEIGHT}`} className="w-full h-auto select-none">
+        {series.map((line, index) => (
+          <g key={line.distance}>
+            <path
+              d={line.points.map((point, pointIndex) => `${pointIndex === 0 ? 'M' : 'L'}${chart.x(point.date.getTime())},${chart.y(point.secondsPerKm)}`).join(' ')}
+              fill="none"
+              stroke={SERIES_COLORS[index % SERIES_COLORS.length]}
+              strokeWidth={2}
+            />
+            {line.points.map(point => (
+              <circle
+                key={point.entryId}
+                cx={chart.x(point.date.getTime())}
+                cy={chart.y(point.secondsPerKm)}
+                r={5}
+                fill={SERIES_COLORS[index % SERIES_COLORS.length]}
+                stroke="#ffffff"
+                strokeWidth={1.5}
+                className="cursor-pointer"
+                onClick={() => onSelectRace(point)}
+              >
+                <title>{`${point.raceName} · ${formatDate(point.date)} · ${formatPace(point.secondsPerKm, units)}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+
+        {/* Axis labels */}
+        <text x={PACE_CHART_PADDING.left - 6} y={chart.y(chart.minPace) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+          {formatPace(chart.minPace, units)}
+        </text>
+        <text x={PACE_CHART_PADDING.left - 6} y={chart.y(chart.maxPace) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+          {formatPace(chart.maxPace, units)}
+        </text>
+        <text x={PACE_CHART_PADDING.left} y={PACE_CHART_HEIGHT - 6} fontSize="11" fill="#6b7280">
+          {formatDate(new Date(chart.minTime), 'MMM yyyy')}
+        </text>
+        <text x={CHART_WIDTH - PACE_CHART_PADDING.right} y={PACE_CHART_HEIGHT - 6} textAnchor="end" fontSize="11" fill="#6b7280">
+          {formatDate(new Date(chart.maxTime), 'MMM yyyy')}
+        </text>
+      </svg>
+      <div className="flex flex-wrap gap-2 mt-2">
+        {series.map((line, index) => (
+          <button
+            key={line.distance}
+            onClick={() => onSelectDistance(line)}
+            className={`flex items-center gap-1.5 px-2 py-1 rounded-lg text-xs transition-colors ${
+              selectedKey === `pace-${line.distance}` ? 'bg-gray-200 text-gray-900' : 'text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length] }}></span>
+            {line.distance} · {line.points.length}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * A chart card with a heading and an optional control on the right
+ */
+function ChartCard({ title, action = null, children }) {
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h3 className="text-sm font-medium uppercase tracking-wide text-gray-500">{title}</h3>
+        {action}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Stats dashboard - charts of finished races by year, distance and surface. Every chart follows the
+ * filters at the top, and clicking part of a chart lists the races behind it.
+ */
+export function StatsDashboard({ entries, onViewRace }) {
+  const { units } = useUnits();
+  const [filters, setFilters] = useState(EMPTY_STATS_FILTERS);
+  const [drill, setDrill] = useState(null); // { key, title, entryIds } for the races listed under the charts
+  const [timeDistance, setTimeDistance] = useState('');
+  const drillRef = useRef(null);
+
+  const options = useMemo(() => getStatsFilterOptions(entries), [entries]);
+  const statsEntries = useMemo(() => filterStatsEntries(entries, filters), [entries, filters]);
+  const racesPerYear = useMemo(() => getRacesPerYear(statsEntries), [statsEntries]);
+  const distancePerYear = useMemo(() => getDistancePerYear(statsEntries), [statsEntries]);
+  const surfaces = useMemo(() => getSurfaceSplit(statsEntries), [statsEntries]);
+  const paceSeries = useMemo(() => getPaceByDistance(statsEntries), [statsEntries]);
+  const timedDistances = useMemo(() => getTimedDistances(statsEntries), [statsEntries]);
+  const totals = useMemo(() => getCourseTotals(statsEntries), [statsEntries]);
+
+  // The finish-time chart shows the most raced distance until another is picked
+  const activeTimeDistance = timedDistances.includes(timeDistance) ? timeDistance : timedDistances[0] || '';
+  const finishTimes = useMemo(
+    () => (activeTimeDistance ? getFinishTimeDistribution(statsEntries, activeTimeDistance) : []),
+    [statsEntries, activeTimeDistance]
+  );
+
+  const totalDistanceKm = statsEntries.reduce((sum, entry) => sum + (getRaceEffort(entry).distanceKm || 0), 0);
+  const drillEntries = drill
+    ? statsEntries.filter(entry => drill.entryIds.includes(entry.id)).sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+    : [];
+  const filtersActive = Object.values(filters).some(Boolean);
+
+  // Bring the race list into view when part of a chart is clicked
+  useEffect(() => {
+    if (drill && drillRef.current) {
+      drillRef.current.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }, [drill]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setDrill(null);
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_STATS_FILTERS);
+    setDrill(null);
+  };
+
+  // Clicking the selected part again clears the list
+  const handleDrill = (key, title, entryIds) => {
+    setDrill(prev => (prev?.key === key ? null : { key, title, entryIds }));
+  };
+
+  // Key of the selected bar in a chart, from a drill key made of the chart's prefix and the bar's key
+  const getSelectedKey = prefix => (drill?.key.startsWith(prefix) ? drill.key.slice(prefix.length) : null);
+
+  if (options.years.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <BarChart3 className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-500">Stats appear here once you've finished a race.</p>
+      </div>
+    );
+  }
+
+  const selectClassName = 'px-3 py-1.5 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-black focus:border-transparent';
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={filters.year} onChange={(e) => handleFilterChange('year', e.target.value)} aria-label="Year" className={selectClassName}>
+          <option value="">All years</option>
+          {options.years.map(year => <option key={year} value={year}>{year}</option>)}
+        </select>
+        <select value={filters.distance} onChange={(e) => handleFilterChange('distance', e.target.value)} aria-label="Distance" className={selectClassName}>
+          <option value="">All distances</option>
+          {options.distances.map(distance => <option key={distance} value={distance}>{distance}</option>)}
+        </select>
+        {options.surfaces.length > 1 && (
+          <select value={filters.surface} onChange={(e) => handleFilterChange('surface', e.target.value)} aria-label="Surface" className={selectClassName}>
+            <option value="">Road and trail</option>
+            {options.surfaces.map(surface => <option key={surface} value={surface}>{surface}</option>)}
+          </select>
+        )}
+        {filtersActive && (
+          <button onClick={handleClearFilters} className="text-sm text-black hover:underline">
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {statsEntries.length === 0 ? (
+        <div className="text-center py-12">
+          <p className="text-gray-500">No finished races match these filters.</p>
+        </div>
+      ) : (
+        <>
+          {/* Totals */}
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="bg-blue-200/70 rounded-lg p-4 shadow-sm transform rotate-[-2deg] hover:rotate-0 transition-transform">
+              <div className="flex items-center gap-2 text-blue-700 mb-2">
+                <Flag className="w-4 h-4" />
+                <div className="text-xs font-medium uppercase tracking-wide">Races</div>
+              </div>
+              <div className="font-bold text-2xl text-gray-900">{statsEntries.length}</div>
+            </div>
+            <div className="bg-green-200/70 rounded-lg p-4 shadow-sm transform rotate-[2deg] hover:rotate-0 transition-transform">
+              <div className="flex items-center gap-2 text-green-700 mb-2">
+                <Ruler className="w-4 h-4" />
+                <div className="text-xs font-medium uppercase tracking-wide">Distance</div>
+              </div>
+              <div className="font-bold text-2xl text-gray-900">{formatDistance(totalDistanceKm, units, 0)}</div>
+            </div>
+            <div className="bg-yellow-200/70 rounded-lg p-4 shadow-sm transform rotate-[-1.5deg] hover:rotate-0 transition-transform">
+              <div className="flex items-center gap-2 text-yellow-700 mb-2">
+                <Mountain className="w-4 h-4" />
+                <div className="text-xs font-medium uppercase tracking-wide">Total Elevation</div>
+              </div>
+              <div className="font-bold text-2xl text-gray-900">
+                {totals.elevationRaces > 0 ? formatElevation(totals.elevationGain, units) : '—'}
+              </div>
+              <div className="text-xs text-yellow-700">
+                {totals.elevationRaces} race{totals.elevationRaces === 1 ? '' : 's'} with a route file
+              </div>
+            </div>
+            <div className="bg-red-200/70 rounded-lg p-4 shadow-sm transform rotate-[1.5deg] hover:rotate-0 transition-transform">
+              <div className="flex items-center gap-2 text-red-700 mb-2">
+                <Timer className="w-4 h-4" />
+                <div className="text-xs font-medium uppercase tracking-wide">Time on Course</div>
+              </div>
+              <div className="font-bold text-2xl text-gray-900">
+                {totals.timedRaces > 0 ? formatTotalTime(totals.timeOnCourse) : '—'}
+              </div>
+              <div className="text-xs text-red-700">
+                {totals.timedRaces} timed race{totals.timedRaces === 1 ? '' : 's'}
+              </div>
+            </div>
+          </div>
+
+          {/* Charts */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ChartCard title="Races per year">
+              <BarChart
+                data={racesPerYear}
+                formatValue={value => String(value)}
+                selectedKey={getSelectedKey('races-')}
+                onSelect={bar => handleDrill(`races-${bar.key}`, `Races in ${bar.label}`, bar.entryIds)}
+              />
+            </ChartCard>
+
+            <ChartCard title="Distance per year">
+              <BarChart
+                data={distancePerYear}
+                formatValue={value => Math.round(convertDistance(value, units)).toString()}
+                selectedKey={getSelectedKey('distance-')}
+                onSelect={bar => handleDrill(`distance-${bar.key}`, `${formatDistance(bar.value, units, 0)} in ${bar.label}`, bar.entryIds)}
+              />
+            </ChartCard>
+
+            <ChartCard title="Pace by distance">
+              {paceSeries.length > 0 ? (
+                <PaceChart
+                  series={paceSeries}
+                  units={units}
+                  selectedKey={drill?.key}
+                  onSelectRace={point => handleDrill(`pace-race-${point.entryId}`, point.raceName, [point.entryId])}
+                  onSelectDistance={line => handleDrill(`pace-${line.distance}`, `${line.distance} races with a pace`, line.points.map(point => point.entryId))}
+                />
+              ) : (
+                <p className="text-sm text-gray-500">Pace trends need at least two timed races at the same distance.</p>
+              )}
+            </ChartCard>
+
+            <ChartCard title="Road vs Trail">
+              <div className="flex h-8 rounded-lg overflow-hidden mb-4">
+                {surfaces.map(surface => (
+                  <button
+                    key={surface.key}
+                    onClick={() => handleDrill(`surface-${surface.key}`, `${surface.label} races`, surface.entryIds)}
+                    title={`${surface.label}: ${surface.value}`}
+                    className={`h-full transition-opacity ${drill?.key === `surface-${surface.key}` ? '' : 'hover:opacity-80'}`}
+                    style={{ width: `${(surface.value / statsEntries.length) * 100}%`, backgroundColor: SURFACE_COLORS[surface.key] || '#9ca3af' }}
+                  />
+                ))}
+              </div>
+              <div className="space-y-2">
+                {surfaces.map(surface => (
+                  <button
+                    key={surface.key}
+                    onClick={() => handleDrill(`surface-${surface.key}`, `${surface.label} races`, surface.entryIds)}
+                    className={`w-full flex items-center justify-between gap-4 px-2 py-1.5 rounded-lg text-sm transition-colors ${
+                      drill?.key === `surface-${surface.key}` ? 'bg-gray-100' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    <span className="flex items-center gap-2 text-gray-900">
+                      <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: SURFACE_COLORS[surface.key] || '#9ca3af' }}></span>
+                      {surface.label}
+                    </span>
+                    <span className="text-gray-500 tabular-nums">
+                      {surface.value} race{surface.value === 1 ? '' : 's'} · {Math.round((surface.value / statsEntries.length) * 100)}% · {formatDistance(surface.distanceKm, units, 0)}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </ChartCard>
+
+            <ChartCard
+              title="Finish times"
+              action={timedDistances.length > 1 && (
+                <select
+                  value={activeTimeDistance}
+                  onChange={(e) => setTimeDistance(e.target.value)}
+                  aria-label="Finish time distance"
+                  className={selectClassName}
+                >
+                  {timedDistances.map(distance => <option key={distance} value={distance}>{distance}</option>)}
+                </select>
+              )}
+            >
+              {finishTimes.length > 0 ? (
+                <>
+                  {timedDistances.length === 1 && <p className="text-sm text-gray-500 mb-2">{activeTimeDistance}</p>}
+                  <BarChart
+                    data={finishTimes}
+                    formatValue={value => String(value)}
+                    selectedKey={getSelectedKey(`time-${activeTimeDistance}-`)}
+                    onSelect={bar => handleDrill(`time-${activeTimeDistance}-${bar.key}`, `${activeTimeDistance} finishes from ${bar.label}`, bar.entryIds)}
+                  />
+                </>
+              ) : (
+                <p className="text-sm text-gray-500">No finish times recorded for these races.</p>
+              )}
+            </ChartCard>
+          </div>
+
+          {/* Races behind the selected part of a chart */}
+          {drill && (
+            <div ref={drillRef} className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex items-center justify-between gap-4 mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">
+                  {drill.title}
+                  <span className="ml-2 text-sm font-normal text-gray-500">
+                    {drillEntries.length} race{drillEntries.length === 1 ? '' : 's'}
+                  </span>
+                </h3>
+                <button
+                  onClick={() => setDrill(null)}
+                  className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors"
+                  aria-label="Close race list"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="divide-y divide-gray-100">
+                {drillEntries.map(entry => (
+                  <button
+                    key={entry.id}
+                    onClick={() => onViewRace(entry.id)}
+                    className="w-full flex items-center justify-between gap-4 py-2 px-2 text-left rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    <div className="min-w-0">
+                      <div className="font-medium text-gray-900 truncate">{entry.raceName}</div>
+                      <div className="text-xs text-gray-500">
+                        {formatDate(entry.date)} · {getRaceTypeDisplay(entry)}
+                      </div>
+                    </div>
+                    {entry.results?.finishTime && (
+                      <span className="text-sm text-gray-700 tabular-nums flex-shrink-0">{entry.results.finishTime}</span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { Cloud, CloudOff, RefreshCw, AlertCircle } from 'lucide-react';
+import { useSyncStatus } from '../hooks/useSyncStatus';
+import { syncManager } from '../lib/syncManager';
+
+/**
+ * Small nav indicator showing whether the journal is online, offline or syncing
+ */
+export function SyncStatusIndicator() {
+  const { currentUser } = useAuth();
+  const { online, syncing, pending, failed, error } = useSyncStatus();
+  const [showFailed, setShowFailed] = useState(false);
+
+  const pendingLabel = pending > 0
+    ? `${pending} ${pending === 1 ? 'change' : 'changes'} waiting to sync`
+    : null;
+
+  if (syncing) {
+    return (
+      <div className="flex items-center gap-1.5 px-2 text-xs text-zinc-300" title="Syncing changes...">
+        <RefreshCw className="w-4 h-4 animate-spin" />
+        <span className="hidden sm:inline">Syncing</span>
+      </div>
+    );
+  }
+
+  if (!online) {
+    return (
+      <div
+        className="flex items-center gap-1.5 px-2 text-xs text-amber-300"
+        title={pendingLabel ? `Offline - ${pendingLabel}` : 'Offline - showing saved copy'}
+      >
+        <CloudOff className="w-4 h-4" />
+        <span className="hidden sm:inline">Offline</span>
+        {pending > 0 && (
+          <span className="bg-amber-300 text-black rounded-full px-1.5 text-[10px] font-semibold">{pending}</span>
+        )}
+      </div>
+    );
+  }
+
+  // Changes set aside after an error retrying won't fix - listed so they can be retried or dropped
+  if (failed.length > 0 && currentUser) {
+    const typeLabels = { add: 'Add', update: 'Edit', delete: 'Delete' };
+    return (
+      <div className="relative">
+        <button
+          onClick={() => setShowFailed(prev => !prev)}
+          className="flex items-center gap-1.5 px-2 py-1 text-xs text-red-300 hover:bg-white/10 rounded-lg transition-colors"
+          title={`${failed.length} ${failed.length === 1 ? 'change' : 'changes'} couldn't be synced`}
+        >
+          <AlertCircle className="w-4 h-4" />
+          <span className="hidden sm:inline">{failed.length} failed</span>
+        </button>
+        {showFailed && (
+          <div className="absolute right-0 top-full mt-2 w-72 bg-white rounded-lg shadow-lg border border-gray-200 p-3 z-50 text-gray-900">
+            <p className="text-xs text-gray-500 mb-2">These changes couldn't be saved to your journal online.</p>
+            <ul className="space-y-2 mb-3">
+              {failed.map(change => (
+                <li key={change.seq} className="flex items-start justify-between gap-2 text-sm">
+                  <div className="min-w-0">
+                    <div className="font-medium truncate">{typeLabels[change.type] || change.type} “{change.raceName}”</div>
+                    <div className="text-xs text-red-600 break-words">{change.error}</div>
+                  </div>
+                  <button
+                    onClick={() => syncManager.discardFailed(currentUser.uid, change.seq)}
+                    className="text-xs text-gray-500 hover:text-black flex-shrink-0"
+                  >
+                    Discard
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={() => {
+                setShowFailed(false);
+                syncManager.retryFailed(currentUser.uid);
+              }}
+              className="w-full px-3 py-1.5 bg-black text-white rounded-lg hover:bg-zinc-900 text-sm transition-colors"
+            >
+              Retry
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (error || pending > 0) {
+    return (
+      <button
+        onClick={() => currentUser && syncManager.replay(currentUser.uid)}
+        className="flex items-center gap-1.5 px-2 py-1 text-xs text-red-300 hover:bg-white/10 rounded-lg transition-colors"
+        title={`${error ? `Sync failed: ${error}` : pendingLabel} - click to retry`}
+      >
+        <AlertCircle className="w-4 h-4" />
+        <span className="hidden sm:inline">Retry sync</span>
+      </button>
+    );
+  }
+
+  return (
+    <div className="flex items-center px-2 text-zinc-400" title="All changes synced">
+      <Cloud className="w-4 h-4" />
+    </div>
+  );
+}
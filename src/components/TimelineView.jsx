@@ -0,0 +1,103 @@
+import { useMemo } from 'react';
+import { BibPlaceholder } from './BibPlaceholder';
+import { HighlightedText } from './HighlightedText';
+import { RecordBadge } from './PersonalRecords';
+import { AgeGradeBadge } from './AgeGrading';
+import { getBibImageSrc, getRaceTypeDisplay, getLocationText } from '../lib/raceUtils';
+import { formatDate } from '../lib/dateUtils';
+import { buildTimeline, formatGap } from '../lib/calendarUtils';
+
+// Gaps of at least this many days get a dashed line, so long breaks from racing stand out
+const LONG_GAP_DAYS = 180;
+
+/**
+ * Spacing for a gap between races - longer gaps take more room, up to a limit
+ */
+function getGapHeight(days) {
+  return `${Math.min(8, 1.5 + Math.log2(1 + days / 7))}rem`;
+}
+
+/**
+ * One race on the timeline
+ */
+function TimelineRace({ entry, badge, ageGrade, selected, terms, onViewRace }) {
+  const bibImageSrc = getBibImageSrc(entry);
+  const location = getLocationText(entry.location);
+
+  return (
+    <div className="relative pl-8 border-l-2 border-gray-200">
+      <span className="absolute -left-[9px] top-1/2 -translate-y-1/2 w-4 h-4 rounded-full bg-black border-4 border-gray-50"></span>
+      <div
+        onClick={() => onViewRace(entry.id)}
+        className={`flex items-center gap-4 p-3 rounded-lg cursor-pointer transition-colors hover:bg-gray-100 ${selected ? 'ring-2 ring-black' : ''}`}
+      >
+        <div className="w-20 flex-shrink-0">
+          {bibImageSrc ? (
+            <img src={bibImageSrc} alt={`Bib for ${entry.raceName}`} className="w-20 aspect-[4/3] object-contain rounded-lg" loading="lazy" />
+          ) : (
+            <BibPlaceholder entry={entry} size="sm" className="shadow-sm" />
+          )}
+        </div>
+        <div className="flex-1 min-w-0">
+          <p className="text-xs font-medium uppercase tracking-wide text-gray-500">
+            {formatDate(entry.date, 'MMM d')}
+          </p>
+          <h3 className="font-semibold text-gray-900 truncate flex items-center gap-2">
+            <span><HighlightedText text={entry.raceName} terms={terms} /></span>
+            <RecordBadge badge={badge} />
+            <AgeGradeBadge grade={ageGrade} />
+          </h3>
+          <p className="text-sm text-gray-500 truncate">
+            <HighlightedText text={getRaceTypeDisplay(entry)} terms={terms} />
+            {location && <> • <HighlightedText text={location} terms={terms} /></>}
+            {entry.results?.finishTime && <> • {entry.results.finishTime}</>}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Timeline view - races down a vertical line grouped by year, spaced by the time between them
+ */
+export function TimelineView({ entries, recordBadges = {}, ageGrades = {}, selectedIds = [], search = null, onViewRace }) {
+  const timeline = useMemo(() => buildTimeline(entries), [entries]);
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-12">
+      {timeline.map(({ year, races }) => (
+        <div key={year} className="space-y-4">
+          <div className="flex items-center gap-3">
+            <h2 className="text-lg font-semibold text-gray-900">{year}</h2>
+            <div className="flex-1 border-t border-gray-300"></div>
+            <span className="text-sm text-gray-500">{races.length} race{races.length === 1 ? '' : 's'}</span>
+          </div>
+          <div className="ml-3">
+            {races.map(({ entry, gapDays }) => (
+              <div key={entry.id}>
+                <TimelineRace
+                  entry={entry}
+                  badge={recordBadges[entry.id]}
+                  ageGrade={ageGrades[entry.id]}
+                  selected={selectedIds.includes(entry.id)}
+                  terms={search?.terms}
+                  onViewRace={onViewRace}
+                />
+                {/* Time since the race before - the last race of a year leads into the year before */}
+                {gapDays !== null && (
+                  <div
+                    className={`pl-8 flex items-center border-l-2 ${gapDays >= LONG_GAP_DAYS ? 'border-dashed border-gray-300' : 'border-gray-200'}`}
+                    style={{ height: getGapHeight(gapDays) }}
+                  >
+                    <span className="text-xs text-gray-400">{formatGap(gapDays)}</span>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react';
+import { CalendarClock, CheckCircle } from 'lucide-react';
+import { getRaceTypeDisplay, getRaceStatus, getRaceStatusLabel } from '../lib/raceUtils';
+import { parseLocalDate, formatDate } from '../lib/dateUtils';
+
+const STATUS_BADGE_STYLES = {
+  registered: 'bg-blue-200 text-blue-800',
+  started: 'bg-orange-200 text-orange-800',
+  dnf: 'bg-red-200 text-red-800',
+  dns: 'bg-gray-200 text-gray-700',
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Small status badge shown next to race names - nothing for finished races
+ */
+export function RaceStatusBadge({ entry }) {
+  const status = getRaceStatus(entry);
+  if (!STATUS_BADGE_STYLES[status]) return null;
+  return (
+    <span className={`${STATUS_BADGE_STYLES[status]} text-[10px] font-bold px-1.5 py-0.5 rounded flex-shrink-0`}>
+      {getRaceStatusLabel(entry)}
+    </span>
+  );
+}
+
+/**
+ * Time left until the start of race day
+ * @returns {Object|null} - { days, hours, minutes } or { daysAgo } once race day has arrived
+ */
+function getCountdown(date, now) {
+  const raceDay = parseLocalDate(date);
+  if (!raceDay || isNaN(raceDay.getTime())) return null;
+
+  const msLeft = raceDay.getTime() - now;
+  if (msLeft <= 0) {
+    return { daysAgo: Math.floor(-msLeft / DAY_MS) };
+  }
+  return {
+    days: Math.floor(msLeft / DAY_MS),
+    hours: Math.floor((msLeft % DAY_MS) / (60 * MINUTE_MS)),
+    minutes: Math.floor((msLeft % (60 * MINUTE_MS)) / MINUTE_MS),
+  };
+}
+
+function Countdown({ date, now }) {
+  const countdown = getCountdown(date, now);
+  if (!countdown) return null;
+
+  if (countdown.daysAgo !== undefined) {
+    return (
+      <div className="font-bold text-2xl text-gray-900">
+        {countdown.daysAgo === 0 ? 'Race day!' : `${countdown.daysAgo} day${countdown.daysAgo === 1 ? '' : 's'} ago`}
+      </div>
+    );
+  }
+
+  const units = [
+    { label: 'days', value: countdown.days },
+    { label: 'hrs', value: countdown.hours },
+    { label: 'min', value: countdown.minutes },
+  ];
+  return (
+    <div className="flex items-end gap-3">
+      {units.map(unit => (
+        <div key={unit.label}>
+          <span className="font-bold text-2xl text-gray-900 tabular-nums">{unit.value}</span>
+          <span className="text-xs text-blue-700 ml-1">{unit.label}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Races the runner has registered for, soonest first, with a countdown to race day
+ * @param {Function} onMarkFinished - Opens the entry to add results; omitted for public profiles
+ */
+export function UpcomingRaces({ entries, onViewRace, onMarkFinished }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), MINUTE_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (entries.length === 0) return null;
+
+  const sortedEntries = [...entries].sort((a, b) => {
+    const dateA = parseLocalDate(a.date) || new Date(0);
+    const dateB = parseLocalDate(b.date) || new Date(0);
+    return dateA - dateB;
+  });
+
+  return (
+    <div className="mb-12">
+      <div className="flex items-center gap-3 mb-6">
+        <h2 className="text-lg font-semibold text-gray-900">Upcoming</h2>
+        <div className="flex-1 border-t border-gray-300"></div>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+        {sortedEntries.map(entry => (
+          <div
+            key={entry.id}
+            className="bg-blue-200/70 rounded-lg p-4 shadow-sm transform rotate-[-1deg] hover:rotate-0 transition-transform flex flex-col"
+          >
+            <button onClick={() => onViewRace(entry.id)} className="text-left flex-1">
+              <div className="flex items-center gap-2 text-blue-700 mb-2">
+                <CalendarClock className="w-4 h-4" />
+                <div className="text-xs font-medium uppercase tracking-wide">{formatDate(entry.date, 'EEE, MMM d, yyyy')}</div>
+              </div>
+              <Countdown date={entry.date} now={now} />
+              <div className="flex items-center gap-2 mt-2">
+                <span className="font-semibold text-gray-900 truncate">{entry.raceName}</span>
+                <RaceStatusBadge entry={entry} />
+              </div>
+              <div className="text-sm text-gray-600 truncate">
+                {getRaceTypeDisplay(entry)} {entry.location && `• ${entry.location}`}
+              </div>
+            </button>
+            {onMarkFinished && (
+              <button
+                onClick={() => onMarkFinished(entry.id)}
+                className="mt-4 px-3 py-1.5 bg-black text-white text-sm rounded-lg hover:bg-zinc-900 transition-colors flex items-center justify-center gap-2"
+              >
+                <CheckCircle className="w-4 h-4" />
+                Mark finished
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
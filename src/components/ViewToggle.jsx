@@ -1,4 +1,4 @@
-import { LayoutGrid, List, Columns } from 'lucide-react';
+import { LayoutGrid, List, Columns, CalendarDays, GitCommitVertical } from 'lucide-react';
 
 /**
  * Component for toggling between different view modes
@@ -48,6 +48,34 @@ export function ViewToggle({ viewMode, onViewModeChange, VIEW_MODES }) {
           Column view
         </span>
       </button>
+      <button
+        onClick={() => onViewModeChange(VIEW_MODES.CALENDAR)}
+        className={`p-2 rounded transition-colors relative group ${
+          viewMode === VIEW_MODES.CALENDAR
+            ? 'bg-white text-primary-600 shadow-sm'
+            : 'text-gray-600 hover:text-gray-900'
+        }`}
+      >
+        <CalendarDays className="w-5 h-5" />
+        {/* Tooltip */}
+        <span className="absolute top-full left-1/2 transform -translate-x-1/2 mt-2 px-2 py-1 text-xs font-medium text-white bg-gray-900 rounded shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap" style={{ zIndex: 1000 }}>
+          Calendar view
+        </span>
+      </button>
+      <button
+        onClick={() => onViewModeChange(VIEW_MODES.TIMELINE)}
+        className={`p-2 rounded transition-colors relative group ${
+          viewMode === VIEW_MODES.TIMELINE
+            ? 'bg-white text-primary-600 shadow-sm'
+            : 'text-gray-600 hover:text-gray-900'
+        }`}
+      >
+        <GitCommitVertical className="w-5 h-5" />
+        {/* Tooltip */}
+        <span className="absolute top-full left-1/2 transform -translate-x-1/2 mt-2 px-2 py-1 text-xs font-medium text-white bg-gray-900 rounded shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap" style={{ zIndex: 1000 }}>
+          Timeline view
+        </span>
+      </button>
     </div>
   );
 }
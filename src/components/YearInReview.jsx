@@ -0,0 +1,231 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import JSZip from 'jszip';
+import { X, Download, Share, Pause, Play } from 'lucide-react';
+import { getReviewYears, getDefaultReviewYear, buildYearInReview, getStoryCards } from '../lib/yearInReview';
+import { drawStoryCard, renderStoryCard, loadStoryImages } from '../lib/storyCanvas';
+import { useUnits } from '../hooks/useUnits';
+
+// How long each card shows before the story moves on
+const CARD_DURATION_MS = 6000;
+
+// Horizontal drag that counts as a swipe
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * Save a blob as a file
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Full-screen year-in-review story - tap or swipe through the cards, and save any of them as a story-sized image
+ * @param {Object} profile - The journal owner's profile, for their name and home location
+ */
+export function YearInReview({ entries, profile, records, onClose }) {
+  const { units } = useUnits();
+  const years = useMemo(() => getReviewYears(entries), [entries]);
+  const [year, setYear] = useState(() => getDefaultReviewYear(entries));
+  const [index, setIndex] = useState(0);
+  const [paused, setPaused] = useState(false);
+  const [images, setImages] = useState({});
+  const [exporting, setExporting] = useState(false);
+  const canvasRef = useRef(null);
+  const pointerStartRef = useRef(null);
+
+  const review = useMemo(() => buildYearInReview(entries, year, profile, records), [entries, year, profile, records]);
+  const cards = useMemo(() => getStoryCards(review), [review]);
+  const card = cards[Math.min(index, cards.length - 1)];
+  const name = profile?.name ? profile.name.split(' ')[0] : '';
+  const drawOptions = useMemo(() => ({ units, name, images }), [units, name, images]);
+
+  // Medal photos for the montage
+  useEffect(() => {
+    if (!review) return;
+    let cancelled = false;
+    loadStoryImages(review.medals.map(medal => medal.src)).then((loaded) => {
+      if (!cancelled) setImages(prev => ({ ...prev, ...loaded }));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [review]);
+
+  useEffect(() => {
+    if (canvasRef.current && card) {
+      drawStoryCard(canvasRef.current, card, review, drawOptions);
+    }
+  }, [card, review, drawOptions]);
+
+  // Move on by itself, stopping at the last card
+  useEffect(() => {
+    if (paused || exporting || index >= cards.length - 1) return;
+    const timer = setTimeout(() => setIndex(prev => prev + 1), CARD_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [index, paused, exporting, cards.length]);
+
+  const goTo = (next) => {
+    setIndex(Math.max(0, Math.min(cards.length - 1, next)));
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowRight') setIndex(prev => Math.min(cards.length - 1, prev + 1));
+      if (e.key === 'ArrowLeft') setIndex(prev => Math.max(0, prev - 1));
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [cards.length, onClose]);
+
+  // A swipe moves a card; a tap moves back on the left third of the card and forward elsewhere
+  const handlePointerDown = (e) => {
+    pointerStartRef.current = e.clientX;
+  };
+
+  const handlePointerUp = (e) => {
+    if (pointerStartRef.current === null) return;
+    const deltaX = e.clientX - pointerStartRef.current;
+    pointerStartRef.current = null;
+
+    if (Math.abs(deltaX) > SWIPE_THRESHOLD) {
+      goTo(index + (deltaX < 0 ? 1 : -1));
+      return;
+    }
+    const bounds = e.currentTarget.getBoundingClientRect();
+    goTo(index + (e.clientX - bounds.left < bounds.width / 3 ? -1 : 1));
+  };
+
+  const handleYearChange = (value) => {
+    setYear(Number(value));
+    setIndex(0);
+  };
+
+  const getFilename = (type) => `bib-journal-${year}-${cards.indexOf(type) + 1}-${type}.png`;
+
+  const handleDownloadCard = async () => {
+    setExporting(true);
+    try {
+      downloadBlob(await renderStoryCard(card, review, drawOptions), getFilename(card));
+    } catch (error) {
+      console.error('Failed to save story card:', error);
+      alert('Failed to save this card. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDownloadAll = async () => {
+    setExporting(true);
+    try {
+      const zip = new JSZip();
+      for (const type of cards) {
+        zip.file(getFilename(type), await renderStoryCard(type, review, drawOptions));
+      }
+      downloadBlob(await zip.generateAsync({ type: 'blob' }), `bib-journal-${year}-in-review.zip`);
+    } catch (error) {
+      console.error('Failed to save story cards:', error);
+      alert('Failed to save the cards. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleShareCard = async () => {
+    setExporting(true);
+    try {
+      const blob = await renderStoryCard(card, review, drawOptions);
+      const file = new File([blob], getFilename(card), { type: 'image/png' });
+      if (navigator.canShare?.({ files: [file] })) {
+        await navigator.share({ files: [file], title: `My ${year} in racing` });
+      } else {
+        downloadBlob(blob, file.name);
+      }
+    } catch (error) {
+      // Closing the share sheet isn't an error
+      if (error.name !== 'AbortError') {
+        console.error('Failed to share story card:', error);
+        alert('Failed to share this card. Please try again.');
+      }
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (!review) return null;
+
+  const buttonClassName = 'flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm text-white bg-white/10 hover:bg-white/20 transition-colors disabled:opacity-50';
+
+  return (
+    <div className="fixed inset-0 bg-black z-50 flex flex-col items-center justify-center p-4 gap-3 select-none">
+      {/* Top bar */}
+      <div className="w-full max-w-md flex items-center justify-between gap-2">
+        <select
+          value={year}
+          onChange={(e) => handleYearChange(e.target.value)}
+          aria-label="Year"
+          className="px-3 py-1.5 rounded-lg text-sm bg-white/10 text-white border border-white/20 focus:outline-none"
+        >
+          {years.map(option => (
+            <option key={option} value={option} className="text-black">{option}</option>
+          ))}
+        </select>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPaused(prev => !prev)}
+            className="p-2 rounded-lg text-white hover:bg-white/10 transition-colors"
+            aria-label={paused ? 'Play' : 'Pause'}
+          >
+            {paused ? <Play className="w-5 h-5" /> : <Pause className="w-5 h-5" />}
+          </button>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg text-white hover:bg-white/10 transition-colors"
+            aria-label="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Story */}
+      <div
+        className="relative rounded-lg overflow-hidden shadow-lg cursor-pointer touch-pan-y"
+        style={{ height: 'min(calc(100vh - 9rem), calc((100vw - 2rem) * 16 / 9))', aspectRatio: '9 / 16' }}
+        onPointerDown={handlePointerDown}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => { pointerStartRef.current = null; }}
+      >
+        <canvas ref={canvasRef} className="w-full h-full" aria-label={`${year} in review, card ${index + 1} of ${cards.length}`} />
+        <div className="absolute top-3 inset-x-3 flex gap-1">
+          {cards.map((type, cardIndex) => (
+            <div key={type} className="h-1 flex-1 rounded-full bg-black/20 overflow-hidden">
+              <div className={`h-full bg-white/90 ${cardIndex <= index ? 'w-full' : 'w-0'}`} />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Export */}
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        <button onClick={handleDownloadCard} disabled={exporting} className={buttonClassName}>
+          <Download className="w-4 h-4" />
+          Save card
+        </button>
+        <button onClick={handleDownloadAll} disabled={exporting} className={buttonClassName}>
+          <Download className="w-4 h-4" />
+          Save all {cards.length}
+        </button>
+        <button onClick={handleShareCard} disabled={exporting} className={buttonClassName}>
+          <Share className="w-4 h-4" />
+          Share
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { UnitsContext } from '../hooks/useUnits';
+import { syncManager } from '../lib/syncManager';
+import { DEFAULT_UNITS, getProfileUnits } from '../lib/units';
+
+/**
+ * Loads the signed-in user's units preference from their profile.
+ * Signed-out visitors see metric.
+ */
+export const UnitsProvider = ({ children }) => {
+  const { currentUser } = useAuth();
+  // Kept with the user it was loaded for, so signing out or switching accounts falls back to metric
+  const [preference, setPreference] = useState({ userId: null, units: DEFAULT_UNITS });
+  const userId = currentUser?.uid || null;
+
+  useEffect(() => {
+    if (!userId) return;
+
+    let cancelled = false;
+    syncManager.getUserProfile(userId)
+      .then((profile) => {
+        if (!cancelled) setPreference({ userId, units: getProfileUnits(profile) });
+      })
+      .catch((error) => {
+        console.error('Error loading units preference:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const setUnits = useCallback((units) => {
+    setPreference({ userId, units });
+  }, [userId]);
+
+  const units = userId && preference.userId === userId ? preference.units : DEFAULT_UNITS;
+
+  return (
+    <UnitsContext.Provider value={{ units, setUnits }}>
+      {children}
+    </UnitsContext.Provider>
+  );
+};
@@ -1,40 +1,71 @@
-import { useState, useEffect } from 'react';
-import { firestoreDb } from '../lib/firestoreDb';
+import { useState, useEffect, useCallback } from 'react';
+import { syncManager } from '../lib/syncManager';
 import { useAuth } from '../contexts/AuthContext';
-// Images are now processed in the form component, so we just upload them here
-import { parseGPX } from '../lib/gpxParser';
+
+/**
+ * A user's entries (from Firestore, or the offline mirror) with categorical distances migrated
+ */
+async function fetchEntries(userId) {
+  const allEntries = await syncManager.getEntries(userId);
+  return syncManager.migrateDistances(userId, allEntries);
+}
 
 /**
  * Custom hook for managing race entries
+ * Reads and writes go through syncManager, which falls back to the local
+ * IndexedDB mirror and queues changes while offline
  */
 export function useRaceEntries() {
   const [entries, setEntries] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [loading, setLoading] = useState(false);
+  // Whose entries are loaded - until it's the signed-in user, the journal is still loading
+  const [loadedUserId, setLoadedUserId] = useState(null);
   const { currentUser } = useAuth();
+  const userId = currentUser?.uid || null;
+  const isLoaded = userId !== null && loadedUserId === userId;
 
-  // Load entries from Firestore
-  useEffect(() => {
-    if (currentUser) {
-      loadEntries();
-    } else {
-      setEntries([]);
-      setLoading(false);
-    }
-  }, [currentUser]);
-
-  const loadEntries = async () => {
+  // Load entries (from Firestore, or the offline mirror)
+  const loadEntries = useCallback(async (showLoading = true) => {
     if (!currentUser) return;
     
     try {
-      setLoading(true);
-      const allEntries = await firestoreDb.getEntries(currentUser.uid);
-      setEntries(allEntries);
-      setLoading(false);
+      if (showLoading) setLoading(true);
+      setEntries(await fetchEntries(currentUser.uid));
     } catch (error) {
       console.error('Failed to load entries:', error);
-      setLoading(false);
     }
-  };
+    setLoadedUserId(currentUser.uid);
+    setLoading(false);
+  }, [currentUser]);
+
+  // Load entries when the user changes - loading shows until they arrive, and a
+  // slow response for a previous user is dropped
+  useEffect(() => {
+    if (!currentUser) return;
+    let active = true;
+    fetchEntries(currentUser.uid)
+      .then((loaded) => {
+        if (active) setEntries(loaded);
+      })
+      .catch(error => console.error('Failed to load entries:', error))
+      .finally(() => {
+        if (active) setLoadedUserId(currentUser.uid);
+      });
+    return () => {
+      active = false;
+    };
+  }, [currentUser]);
+
+  // Reload once queued offline changes have been replayed
+  useEffect(() => {
+    let lastSyncedAt = syncManager.getStatus().lastSyncedAt;
+    return syncManager.subscribe((status) => {
+      if (status.lastSyncedAt !== lastSyncedAt) {
+        lastSyncedAt = status.lastSyncedAt;
+        loadEntries(false);
+      }
+    });
+  }, [loadEntries]);
 
   const addEntry = async (entryData) => {
     if (!currentUser) {
@@ -42,8 +73,7 @@ export function useRaceEntries() {
     }
     
     try {
-      const processedEntry = await processEntryImages(entryData, null, currentUser.uid);
-      const id = await firestoreDb.addEntry(currentUser.uid, processedEntry);
+      const id = await syncManager.addEntry(currentUser.uid, entryData);
       
       // Refresh entries and wait for it to complete
       await loadEntries();
@@ -64,8 +94,7 @@ export function useRaceEntries() {
     }
     
     try {
-      const processedEntry = await processEntryImages(entryData, id, currentUser.uid);
-      await firestoreDb.updateEntry(id, processedEntry);
+      await syncManager.updateEntry(currentUser.uid, id, entryData);
       
       await loadEntries();
     } catch (error) {
@@ -83,7 +112,7 @@ export function useRaceEntries() {
       // Optimistically remove from UI
       setEntries(prev => prev.filter(entry => entry.id !== id));
       
-      await firestoreDb.deleteEntry(id);
+      await syncManager.deleteEntry(currentUser.uid, id);
       // Refresh to ensure consistency
       await loadEntries();
       
@@ -97,13 +126,13 @@ export function useRaceEntries() {
     }
   };
 
-  const getEntry = async (id) => {
+  const getEntry = async (id, options) => {
     if (!currentUser) {
       throw new Error('User must be logged in to get entries');
     }
     
     try {
-      return await firestoreDb.getEntry(id);
+      return await syncManager.getEntry(id, options);
     } catch (error) {
       console.error('Failed to get entry:', error);
       throw error;
@@ -111,8 +140,8 @@ export function useRaceEntries() {
   };
 
   return {
-    entries,
-    loading,
+    entries: isLoaded ? entries : [],
+    loading: userId !== null && (loading || !isLoaded),
     addEntry,
     updateEntry,
     deleteEntry,
@@ -120,176 +149,3 @@ export function useRaceEntries() {
     refreshEntries: loadEntries,
   };
 }
-
-/**
- * Helper function to convert data URL to blob
- */
-function dataURLtoBlob(dataURL) {
-  const arr = dataURL.split(',');
-  const mime = arr[0].match(/:(.*?);/)[1];
-  const bstr = atob(arr[1]);
-  let n = bstr.length;
-  const u8arr = new Uint8Array(n);
-  while (n--) {
-    u8arr[n] = bstr.charCodeAt(n);
-  }
-  return new Blob([u8arr], { type: mime });
-}
-
-/**
- * Process entry images - compress and upload to Firebase Storage
- * Optimized to parallelize uploads where possible
- */
-async function processEntryImages(entryData, existingId = null, userId = null) {
-  const processed = { ...entryData };
-
-  // Helper function to process bib photo
-  const processBibPhoto = async () => {
-    if (entryData.bibPhoto && entryData.bibPhoto instanceof File) {
-      try {
-        // Image is already processed (resized/compressed) in the form
-        // Just upload it directly
-        const originalUrl = await firestoreDb.uploadImage(userId, entryData.bibPhoto, 'bib-photos');
-        
-        return {
-          original: originalUrl,
-          cropped: originalUrl,
-          useCropped: true,
-        };
-      } catch (error) {
-        console.error('Failed to upload bib photo:', error);
-        throw error;
-      }
-    } else if (entryData.bibPhoto && (typeof entryData.bibPhoto === 'object' && !(entryData.bibPhoto instanceof File))) {
-      // Already processed, keep as is (for updates)
-      if (entryData.bibPhoto.processed) {
-        return {
-          original: entryData.bibPhoto.original || entryData.bibPhoto.processed,
-          cropped: entryData.bibPhoto.processed,
-          useCropped: entryData.bibPhoto.useProcessed !== false,
-        };
-      }
-      return entryData.bibPhoto;
-    } else if (entryData.bibPhoto && typeof entryData.bibPhoto === 'string') {
-      if (entryData.bibPhoto.startsWith('data:')) {
-        try {
-          const blob = dataURLtoBlob(entryData.bibPhoto);
-          const url = await firestoreDb.uploadImage(userId, blob, 'bib-photos');
-          return {
-            original: url,
-            cropped: url,
-            useCropped: true,
-          };
-        } catch (error) {
-          console.error('Failed to upload legacy bib photo:', error);
-          return {
-            original: entryData.bibPhoto,
-            cropped: entryData.bibPhoto,
-            useCropped: true,
-          };
-        }
-      }
-      return {
-        original: entryData.bibPhoto,
-        cropped: entryData.bibPhoto,
-        useCropped: true,
-      };
-    }
-    return entryData.bibPhoto;
-  };
-
-  // Helper function to process finisher photo
-  const processFinisherPhoto = async () => {
-    if (entryData.finisherPhoto && entryData.finisherPhoto instanceof File) {
-      try {
-        // Image is already processed (resized/compressed) in the form
-        // Just upload it directly
-        return await firestoreDb.uploadImage(userId, entryData.finisherPhoto, 'finisher-photos');
-      } catch (error) {
-        console.error('Failed to upload finisher photo:', error);
-        throw error;
-      }
-    } else if (entryData.finisherPhoto) {
-      const finisherPhoto = typeof entryData.finisherPhoto === 'string' 
-        ? entryData.finisherPhoto 
-        : entryData.finisherPhoto;
-      
-      if (typeof finisherPhoto === 'string' && finisherPhoto.startsWith('data:')) {
-        try {
-          const blob = dataURLtoBlob(finisherPhoto);
-          return await firestoreDb.uploadImage(userId, blob, 'finisher-photos');
-        } catch (error) {
-          console.error('Failed to upload legacy finisher photo:', error);
-          return finisherPhoto;
-        }
-      }
-      return finisherPhoto;
-    }
-    return entryData.finisherPhoto;
-  };
-
-  // Helper function to process medal photo
-  const processMedalPhoto = async () => {
-    if (entryData.medalPhoto && entryData.medalPhoto instanceof File) {
-      try {
-        // Image is already processed (resized, background removed, cropped) in the form
-        // Just upload it directly
-        const processedUrl = await firestoreDb.uploadImage(userId, entryData.medalPhoto, 'medal-photos');
-        
-        return processedUrl;
-      } catch (error) {
-        console.error('Failed to upload medal photo:', error);
-        throw error;
-      }
-    } else if (entryData.medalPhoto && (typeof entryData.medalPhoto === 'object' && !(entryData.medalPhoto instanceof File))) {
-      if (entryData.medalPhoto.processed) {
-        return entryData.medalPhoto.processed;
-      } else if (entryData.medalPhoto.cropped) {
-        return entryData.medalPhoto.cropped;
-      } else if (entryData.medalPhoto.original) {
-        return entryData.medalPhoto.original;
-      }
-      return entryData.medalPhoto;
-    } else if (entryData.medalPhoto && typeof entryData.medalPhoto === 'string') {
-      if (entryData.medalPhoto.startsWith('data:')) {
-        try {
-          const blob = dataURLtoBlob(entryData.medalPhoto);
-          return await firestoreDb.uploadImage(userId, blob, 'medal-photos');
-        } catch (error) {
-          console.error('Failed to upload legacy medal photo:', error);
-          return entryData.medalPhoto;
-        }
-      }
-      return entryData.medalPhoto;
-    }
-    return entryData.medalPhoto;
-  };
-
-  // Upload images in parallel (they're already processed)
-  const [bibPhoto, finisherPhoto, medalPhoto] = await Promise.all([
-    processBibPhoto(),
-    processFinisherPhoto(),
-    processMedalPhoto(),
-  ]);
-
-  processed.bibPhoto = bibPhoto;
-  processed.finisherPhoto = finisherPhoto;
-  processed.medalPhoto = medalPhoto;
-
-  // Process GPX file (independent of images)
-  if (entryData.gpxFile && entryData.gpxFile instanceof File) {
-    try {
-      const routeData = await parseGPX(entryData.gpxFile);
-      processed.routeData = routeData;
-      processed.gpxFile = entryData.gpxFile.name; // Store filename
-    } catch (error) {
-      console.error('Failed to parse GPX file:', error);
-      // Don't fail the whole entry if GPX parsing fails
-    }
-  } else if (entryData.routeData) {
-    // Already processed
-    processed.routeData = entryData.routeData;
-  }
-
-  return processed;
-}
@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+import { syncManager } from '../lib/syncManager';
+
+/**
+ * Custom hook for tracking connection and offline sync status
+ */
+export function useSyncStatus() {
+  const [status, setStatus] = useState(() => syncManager.getStatus());
+
+  useEffect(() => {
+    return syncManager.subscribe(setStatus);
+  }, []);
+
+  return status;
+}
@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_UNITS } from '../lib/units';
+
+export const UnitsContext = createContext({ units: DEFAULT_UNITS, setUnits: () => {} });
+
+/**
+ * The signed-in user's units preference ('metric' or 'imperial') for formatting distances and paces
+ */
+export function useUnits() {
+  return useContext(UnitsContext);
+}
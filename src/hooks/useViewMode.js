@@ -4,6 +4,8 @@ const VIEW_MODES = {
   GRID: 'grid',
   LIST: 'list',
   COLUMN: 'column',
+  CALENDAR: 'calendar',
+  TIMELINE: 'timeline',
 };
 
 /**
@@ -12,7 +14,7 @@ const VIEW_MODES = {
 export function useViewMode() {
   const [viewMode, setViewMode] = useState(() => {
     const saved = localStorage.getItem('bib-journal-view-mode');
-    return saved || VIEW_MODES.GRID;
+    return Object.values(VIEW_MODES).includes(saved) ? saved : VIEW_MODES.GRID;
   });
 
   useEffect(() => {
@@ -0,0 +1,60 @@
+// Approximate road age-grading tables, bundled so grading works offline.
+// These are NOT the official WMA/USATF tables - they're a simplified stand-in with
+// a similar shape, so grades are estimates and won't match official calculators.
+// Open standards are close to the road world-best times at each distance.
+// Age factors are sampled every 5 years at three anchor distances (5K, half and full
+// marathon); ageGrading.js interpolates between ages and between distances, and ultras
+// use the marathon factors. The published tables drop in as more ages and factor rows.
+
+// Open standard times in seconds, by distance in km
+export const OPEN_STANDARDS = {
+  male: [
+    { km: 5, seconds: 769 },
+    { km: 8, seconds: 1260 },
+    { km: 10, seconds: 1584 },
+    { km: 12, seconds: 1930 },
+    { km: 15, seconds: 2465 },
+    { km: 16.0934, seconds: 2664 },
+    { km: 20, seconds: 3321 },
+    { km: 21.0975, seconds: 3452 },
+    { km: 25, seconds: 4278 },
+    { km: 30, seconds: 5233 },
+    { km: 42.195, seconds: 7299 },
+    { km: 50, seconds: 9600 },
+    { km: 80.4672, seconds: 16440 },
+    { km: 100, seconds: 22154 },
+  ],
+  female: [
+    { km: 5, seconds: 859 },
+    { km: 8, seconds: 1410 },
+    { km: 10, seconds: 1783 },
+    { km: 12, seconds: 2165 },
+    { km: 15, seconds: 2660 },
+    { km: 16.0934, seconds: 2875 },
+    { km: 20, seconds: 3690 },
+    { km: 21.0975, seconds: 3871 },
+    { km: 25, seconds: 4690 },
+    { km: 30, seconds: 5750 },
+    { km: 42.195, seconds: 8044 },
+    { km: 50, seconds: 10794 },
+    { km: 80.4672, seconds: 19700 },
+    { km: 100, seconds: 23591 },
+  ],
+};
+
+// Ages the factor rows below are sampled at
+export const FACTOR_AGES = [10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 75, 80, 85, 90, 95, 100];
+
+// Age factors (1 = open class) at each anchor distance, one value per FACTOR_AGES entry
+export const AGE_FACTORS = {
+  male: [
+    { km: 5, factors: [0.7800, 0.9300, 0.9950, 1, 1, 0.9889, 0.9531, 0.9173, 0.8815, 0.8457, 0.8099, 0.7741, 0.7383, 0.6963, 0.6450, 0.5832, 0.5078, 0.4157, 0.3040] },
+    { km: 21.0975, factors: [0.7400, 0.9100, 0.9900, 1, 1, 0.9966, 0.9660, 0.9314, 0.8968, 0.8622, 0.8276, 0.7930, 0.7584, 0.7185, 0.6694, 0.6098, 0.5368, 0.4471, 0.3380] },
+    { km: 42.195, factors: [0.7000, 0.8900, 0.9800, 1, 1, 0.9990, 0.9720, 0.9380, 0.9040, 0.8700, 0.8360, 0.8020, 0.7680, 0.7290, 0.6810, 0.6228, 0.5515, 0.4640, 0.3575] },
+  ],
+  female: [
+    { km: 5, factors: [0.8000, 0.9500, 0.9980, 1, 1, 0.9860, 0.9500, 0.9120, 0.8740, 0.8340, 0.7920, 0.7480, 0.7020, 0.6520, 0.5960, 0.5320, 0.4580, 0.3720, 0.2740] },
+    { km: 21.0975, factors: [0.7600, 0.9300, 0.9900, 1, 1, 0.9930, 0.9600, 0.9240, 0.8860, 0.8460, 0.8040, 0.7600, 0.7140, 0.6640, 0.6080, 0.5440, 0.4700, 0.3840, 0.2860] },
+    { km: 42.195, factors: [0.7200, 0.9100, 0.9850, 1, 1, 0.9960, 0.9660, 0.9310, 0.8940, 0.8550, 0.8140, 0.7710, 0.7260, 0.6770, 0.6220, 0.5590, 0.4860, 0.4010, 0.3030] },
+  ],
+};
@@ -0,0 +1,139 @@
+import { OPEN_STANDARDS, FACTOR_AGES, AGE_FACTORS } from './ageGradeTables';
+import { calculateAgeOnDate } from './ageUtils';
+import { parseTimeToSeconds } from './statsUtils';
+import { getRecordCategory } from './personalRecords';
+import { isFinishedRace } from './raceUtils';
+import { parseLocalDate } from './dateUtils';
+
+// Age-grading performance levels, highest first
+export const AGE_GRADE_LEVELS = [
+  { min: 100, label: 'World Record' },
+  { min: 90, label: 'World Class' },
+  { min: 80, label: 'National Class' },
+  { min: 70, label: 'Regional Class' },
+  { min: 60, label: 'Local Class' },
+  { min: 0, label: 'Recreational' },
+];
+
+// The tables cover road races from 5K to 100K
+const MIN_KM = 5;
+const MAX_KM = 100;
+const DISTANCE_TOLERANCE = 0.005;
+
+/**
+ * Gender the tables are split by, from the profile - null for anything else
+ * @returns {string|null} - 'male' or 'female'
+ */
+export function getAgeGradeGender(profile) {
+  return profile?.gender === 'male' || profile?.gender === 'female' ? profile.gender : null;
+}
+
+/**
+ * Linear interpolation of ys over sorted xs, clamped to the ends
+ */
+function interpolate(xs, ys, x) {
+  if (x <= xs[0]) return ys[0];
+  if (x >= xs[xs.length - 1]) return ys[ys.length - 1];
+  const upper = xs.findIndex(value => value >= x);
+  const ratio = (x - xs[upper - 1]) / (xs[upper] - xs[upper - 1]);
+  return ys[upper - 1] + (ys[upper] - ys[upper - 1]) * ratio;
+}
+
+/**
+ * Whether a distance falls inside the tables
+ */
+export function isAgeGradedDistance(km) {
+  return km >= MIN_KM * (1 - DISTANCE_TOLERANCE) && km <= MAX_KM * (1 + DISTANCE_TOLERANCE);
+}
+
+/**
+ * Open standard time for a distance - times scale on a log-log curve between table distances
+ * @returns {number|null} - Seconds
+ */
+export function getOpenStandard(gender, km) {
+  const standards = OPEN_STANDARDS[gender];
+  if (!standards || !isAgeGradedDistance(km)) return null;
+  const logSeconds = interpolate(
+    standards.map(standard => Math.log(standard.km)),
+    standards.map(standard => Math.log(standard.seconds)),
+    Math.log(km)
+  );
+  return Math.exp(logSeconds);
+}
+
+/**
+ * Age factor for an age and distance, between 0 and 1
+ * @returns {number|null}
+ */
+export function getAgeFactor(gender, age, km) {
+  const rows = AGE_FACTORS[gender];
+  if (!rows || age === null || age === undefined || !km) return null;
+  const factorsAtAge = rows.map(row => interpolate(FACTOR_AGES, row.factors, age));
+  return interpolate(rows.map(row => Math.log(row.km)), factorsAtAge, Math.log(km));
+}
+
+/**
+ * Performance level for an age-graded percentage
+ */
+export function getAgeGradeLevel(percent) {
+  return AGE_GRADE_LEVELS.find(level => percent >= level.min)?.label || null;
+}
+
+/**
+ * Age-grade a finished road race using the runner's age on race day
+ * @param {Object} entry - Race entry
+ * @param {Object} profile - The runner's profile, for birthday and gender
+ * @returns {Object|null} - { percent, level, age, factor, equivalentSeconds } where equivalentSeconds is the
+ *   open-class time the result is worth; null when the race or profile doesn't have what's needed
+ */
+export function calculateAgeGrade(entry, profile) {
+  const gender = getAgeGradeGender(profile);
+  if (!gender || !profile.birthday || !isFinishedRace(entry)) return null;
+
+  const category = getRecordCategory(entry);
+  if (!category || category.surface !== 'Road') return null;
+
+  const seconds = parseTimeToSeconds(entry.results?.finishTime);
+  const date = parseLocalDate(entry.date);
+  const age = calculateAgeOnDate(profile.birthday, date);
+  const openStandard = getOpenStandard(gender, category.km);
+  const factor = getAgeFactor(gender, age, category.km);
+  if (!seconds || !openStandard || !factor) return null;
+
+  // The age standard is the open standard slowed by the age factor
+  const percent = (openStandard / factor / seconds) * 100;
+  return {
+    percent,
+    level: getAgeGradeLevel(percent),
+    age,
+    factor,
+    equivalentSeconds: seconds * factor,
+  };
+}
+
+/**
+ * Age grades for every gradeable race
+ * @returns {Object} - { byEntry: { [entryId]: grade }, history: [{ entryId, raceName, date, percent }] oldest first, best }
+ */
+export function computeAgeGrades(entries, profile) {
+  const byEntry = {};
+  const history = [];
+
+  entries.forEach((entry) => {
+    const grade = calculateAgeGrade(entry, profile);
+    if (!grade) return;
+    byEntry[entry.id] = grade;
+    history.push({ entryId: entry.id, raceName: entry.raceName, date: parseLocalDate(entry.date), percent: grade.percent });
+  });
+
+  history.sort((a, b) => a.date - b.date);
+  const best = history.reduce((top, result) => (!top || result.percent > top.percent ? result : top), null);
+  return { byEntry, history, best };
+}
+
+/**
+ * Format an age-graded percentage, e.g. "72.4%"
+ */
+export function formatAgeGrade(percent) {
+  return `${percent.toFixed(1)}%`;
+}
@@ -4,7 +4,17 @@
  * @returns {number} Age in years
  */
 export function calculateAge(birthday) {
-  if (!birthday) {
+  return calculateAgeOnDate(birthday, new Date());
+}
+
+/**
+ * Calculate age on a given date, e.g. on race day
+ * @param {string|Date} birthday - Birthday in YYYY-MM-DD format or Date object
+ * @param {Date} date - Date to work out the age on
+ * @returns {number} Age in years
+ */
+export function calculateAgeOnDate(birthday, date) {
+  if (!birthday || !date || isNaN(date.getTime())) {
     return null;
   }
 
@@ -16,12 +26,11 @@ export function calculateAge(birthday) {
     return null;
   }
 
-  const today = new Date();
-  let age = today.getFullYear() - birthDate.getFullYear();
-  const monthDiff = today.getMonth() - birthDate.getMonth();
+  let age = date.getFullYear() - birthDate.getFullYear();
+  const monthDiff = date.getMonth() - birthDate.getMonth();
   
   // Adjust age if birthday hasn't occurred this year
-  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+  if (monthDiff < 0 || (monthDiff === 0 && date.getDate() < birthDate.getDate())) {
     age--;
   }
   
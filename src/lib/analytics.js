@@ -166,6 +166,18 @@ export const trackGPXUploaded = () => {
   logEvent(analytics, 'gpx_uploaded');
 };
 
+/**
+ * Track a journal filter other than race type - only which facet, since values like tags
+ * and places are the user's own
+ */
+export const trackFacetFilterApplied = (facet) => {
+  if (!isAnalyticsAvailable()) return;
+  
+  logEvent(analytics, 'facet_filter_applied', {
+    facet,
+  });
+};
+
 /**
  * Track search/filter cleared
  */
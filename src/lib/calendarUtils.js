@@ -0,0 +1,122 @@
+import { addDays, startOfWeek, endOfWeek, startOfMonth, endOfMonth, differenceInCalendarDays, format } from 'date-fns';
+import { parseLocalDate } from './dateUtils';
+
+/**
+ * The day a race was run as a yyyy-MM-dd key, or null without a valid date
+ */
+export function getDayKey(date) {
+  const localDate = parseLocalDate(date);
+  return localDate && !isNaN(localDate.getTime()) ? format(localDate, 'yyyy-MM-dd') : null;
+}
+
+/**
+ * Entries keyed by the day they were run
+ * @returns {Object} - { 'yyyy-MM-dd': [entry] }
+ */
+export function groupEntriesByDay(entries) {
+  const byDay = {};
+  entries.forEach((entry) => {
+    const key = getDayKey(entry.date);
+    if (!key) return;
+    if (!byDay[key]) byDay[key] = [];
+    byDay[key].push(entry);
+  });
+  return byDay;
+}
+
+/**
+ * Years with races, newest first
+ */
+export function getCalendarYears(entriesByDay) {
+  return [...new Set(Object.keys(entriesByDay).map(key => Number(key.slice(0, 4))))].sort((a, b) => b - a);
+}
+
+/**
+ * Month the calendar opens on - the most recent race's month, or this month with no races
+ */
+export function getDefaultCalendarMonth(entriesByDay) {
+  const latest = Object.keys(entriesByDay).sort().pop();
+  return startOfMonth(latest ? parseLocalDate(latest) : new Date());
+}
+
+/**
+ * A year of race days as a GitHub-style heatmap - one column per week, Sunday at the top
+ * @returns {Object} - { weeks: [[{ key, date, count, inYear }]], months: [{ label, week }] } where
+ *   months gives the column each month starts in
+ */
+export function buildYearHeatmap(entriesByDay, year) {
+  const first = new Date(year, 0, 1);
+  const last = new Date(year, 11, 31);
+  const weeks = [];
+  const months = [];
+
+  for (let day = startOfWeek(first); day <= last; day = addDays(day, 7)) {
+    const week = [];
+    for (let offset = 0; offset < 7; offset++) {
+      const date = addDays(day, offset);
+      const key = format(date, 'yyyy-MM-dd');
+      const inYear = date.getFullYear() === year;
+      week.push({ key, date, count: inYear ? (entriesByDay[key] || []).length : 0, inYear });
+      if (inYear && date.getDate() === 1) {
+        months.push({ label: format(date, 'MMM'), week: weeks.length });
+      }
+    }
+    weeks.push(week);
+  }
+  return { weeks, months };
+}
+
+/**
+ * A month as calendar weeks, padded to whole weeks with days from the months either side
+ * @returns {Array} - [[{ key, date, inMonth, entries }]]
+ */
+export function buildMonthGrid(entriesByDay, month) {
+  const weeks = [];
+  const last = endOfWeek(endOfMonth(month));
+  for (let day = startOfWeek(startOfMonth(month)); day <= last; day = addDays(day, 7)) {
+    weeks.push(Array.from({ length: 7 }, (_, offset) => {
+      const date = addDays(day, offset);
+      const key = format(date, 'yyyy-MM-dd');
+      return { key, date, inMonth: date.getMonth() === month.getMonth(), entries: entriesByDay[key] || [] };
+    }));
+  }
+  return weeks;
+}
+
+/**
+ * Races newest first, grouped by year, each with the days since the race before it
+ * @returns {Array} - [{ year, races: [{ entry, gapDays }] }] where gapDays is null for the first race in the journal
+ */
+export function buildTimeline(entries) {
+  const dated = entries
+    .map(entry => ({ entry, date: parseLocalDate(entry.date) }))
+    .filter(({ date }) => date && !isNaN(date.getTime()))
+    .sort((a, b) => a.date - b.date);
+
+  const years = [];
+  dated.forEach(({ entry, date }, index) => {
+    const gapDays = index > 0 ? differenceInCalendarDays(date, dated[index - 1].date) : null;
+    let group = years[years.length - 1];
+    if (!group || group.year !== date.getFullYear()) {
+      group = { year: date.getFullYear(), races: [] };
+      years.push(group);
+    }
+    group.races.push({ entry, gapDays });
+  });
+
+  return years.reverse().map(group => ({ ...group, races: group.races.reverse() }));
+}
+
+/**
+ * Describe a gap between races - "Same day", "12 days", "3 weeks", "5 months", "1 year 2 months"
+ */
+export function formatGap(days) {
+  if (days === 0) return 'Same day';
+  if (days < 14) return `${days} day${days === 1 ? '' : 's'}`;
+  if (days < 60) return `${Math.round(days / 7)} weeks`;
+  const months = Math.round(days / 30.44);
+  if (months < 12) return `${months} months`;
+  const years = Math.floor(months / 12);
+  const remainder = months % 12;
+  return `${years} year${years === 1 ? '' : 's'}${remainder ? ` ${remainder} month${remainder === 1 ? '' : 's'}` : ''}`;
+}
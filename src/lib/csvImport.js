@@ -0,0 +1,318 @@
+import { firestoreDb } from './firestoreDb';
+import { parseTimeToSeconds } from './statsUtils';
+import { RACE_DISTANCES, RACE_TYPES, getDistancePreset, formatDistanceLabel } from './raceUtils';
+
+/**
+ * Race entry fields a CSV column can be mapped to, with header names we recognise automatically
+ */
+export const CSV_FIELDS = [
+  { key: 'raceName', label: 'Race Name', required: true, aliases: ['race', 'race name', 'name', 'event', 'event name'] },
+  { key: 'raceDistance', label: 'Distance', required: true, aliases: ['distance', 'race distance', 'dist'] },
+  { key: 'raceType', label: 'Type (Road/Trail)', required: false, aliases: ['type', 'race type', 'surface', 'terrain'] },
+  { key: 'location', label: 'Location', required: true, aliases: ['location', 'city', 'place', 'venue', 'where'] },
+  { key: 'date', label: 'Date', required: true, aliases: ['date', 'race date', 'day', 'when'] },
+  { key: 'finishTime', label: 'Finish Time', required: false, aliases: ['finish time', 'time', 'chip time', 'net time', 'result'] },
+  { key: 'overallPlace', label: 'Overall Place', required: false, aliases: ['overall place', 'overall', 'place overall', 'position', 'rank'] },
+  { key: 'overallParticipants', label: 'Overall Participants', required: false, aliases: ['overall participants', 'participants', 'finishers', 'field size', 'total'] },
+  { key: 'ageGroupPlace', label: 'Age Group Place', required: false, aliases: ['age group place', 'ag place', 'age place', 'category place', 'division place'] },
+  { key: 'ageGroupParticipants', label: 'Age Group Participants', required: false, aliases: ['age group participants', 'ag participants', 'age group total', 'category participants'] },
+  { key: 'division', label: 'Division', required: false, aliases: ['division', 'age group', 'category', 'age division'] },
+];
+
+const RESULT_FIELDS = ['finishTime', 'overallPlace', 'overallParticipants', 'ageGroupPlace', 'ageGroupParticipants', 'division'];
+
+// Common ways people write each distance in a spreadsheet
+const DISTANCE_ALIASES = {
+  '5K': ['5k', '5 k', '5km', '5 km', '5000m', '5000'],
+  '10K': ['10k', '10 k', '10km', '10 km', '10000m', '10000'],
+  'Half Marathon': ['half marathon', 'half', 'hm', '21k', '21.1k', '21.1km', '21.1 km', '13.1', '13.1mi', '13.1 mi'],
+  'Marathon': ['marathon', 'full', 'full marathon', 'fm', '42k', '42.2k', '42.2km', '42.2 km', '26.2', '26.2mi', '26.2 mi'],
+  'Ultra': ['ultra', 'ultramarathon', 'ultra marathon'],
+  'Backyard Ultra': ['backyard', 'backyard ultra', 'last person standing'],
+  'Triathlon': ['triathlon', 'tri', 'sprint tri', 'olympic tri', 'ironman', '70.3', '140.6'],
+  'Duathlon': ['duathlon', 'du', 'run bike run'],
+  'Other': ['other'],
+};
+
+function normalizeHeader(value) {
+  return String(value || '').trim().toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+}
+
+/**
+ * Detect the delimiter used on the header line (comma, semicolon or tab)
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/)[0] || '';
+  const counts = [',', ';', '\t'].map(delimiter => ({
+    delimiter,
+    count: firstLine.split(delimiter).length - 1,
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of cell strings).
+ * Handles quoted cells, escaped quotes and line breaks inside quotes.
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value !== ''));
+}
+
+/**
+ * Guess which column holds each field from the header row
+ * @returns {Object} - Map of field key to column index (or -1 when not found)
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+
+  CSV_FIELDS.forEach((field) => {
+    const candidates = [normalizeHeader(field.key), normalizeHeader(field.label), ...field.aliases];
+    const index = normalized.findIndex((header, i) => !used.has(i) && candidates.includes(header));
+    mapping[field.key] = index;
+    if (index !== -1) used.add(index);
+  });
+
+  return mapping;
+}
+
+/**
+ * Read a numeric distance like "15k", "10 mi", "50 miler" or "1500m"
+ * @returns {Object|null} - { value, unit }
+ */
+function parseDistanceValue(value) {
+  const match = normalizeHeader(value).match(/^(\d+(?:\.\d+)?)\s*(k|km|mi|mile|miles|miler|m)$/);
+  if (!match) return null;
+  const unit = match[2] === 'm' ? 'm' : match[2].startsWith('mi') ? 'mi' : 'km';
+  return { value: Number(match[1]), unit };
+}
+
+/**
+ * Match a free-form distance ("half", "21.1k", "26.2 mi") to one of RACE_DISTANCES,
+ * or name a numeric distance ("15k" becomes "15K")
+ */
+export function normalizeDistance(value) {
+  const cleaned = normalizeHeader(value);
+  if (!cleaned) return '';
+  const exact = RACE_DISTANCES.find(distance => distance.toLowerCase() === cleaned);
+  if (exact) return exact;
+  const match = Object.entries(DISTANCE_ALIASES).find(([, aliases]) => aliases.includes(cleaned));
+  if (match) return match[0];
+  const parsed = parseDistanceValue(value);
+  return parsed ? formatDistanceLabel(parsed.value, parsed.unit) : value.trim();
+}
+
+/**
+ * Get the official distance for a normalized distance name
+ * @returns {Object|null} - { value, unit }, or null for names with no fixed length
+ */
+function getOfficialDistance(raceDistance) {
+  const preset = getDistancePreset(raceDistance);
+  if (preset) return preset.value ? { value: preset.value, unit: preset.unit } : null;
+  return parseDistanceValue(raceDistance);
+}
+
+/**
+ * Match a free-form race type to one of RACE_TYPES (anything mentioning trail is Trail)
+ */
+export function normalizeRaceType(value) {
+  const cleaned = normalizeHeader(value);
+  if (!cleaned) return 'Road';
+  if (cleaned.includes('trail') || cleaned.includes('mountain') || cleaned.includes('xc')) return 'Trail';
+  if (cleaned.includes('road') || cleaned.includes('street') || cleaned.includes('track')) return 'Road';
+  return RACE_TYPES.find(type => type.toLowerCase() === cleaned) || value.trim();
+}
+
+/**
+ * Convert common spreadsheet date formats to YYYY-MM-DD
+ * Supports YYYY-MM-DD, YYYY/MM/DD, MM/DD/YYYY and DD.MM.YYYY
+ */
+export function normalizeDate(value) {
+  const cleaned = String(value || '').trim();
+  if (!cleaned) return '';
+
+  const pad = (n) => String(n).padStart(2, '0');
+  let match = cleaned.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (match) {
+    return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+  }
+  match = cleaned.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return `${year}-${pad(match[1])}-${pad(match[2])}`;
+  }
+  match = cleaned.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (match) {
+    return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+  }
+
+  const parsed = new Date(cleaned);
+  if (!isNaN(parsed.getTime())) {
+    return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+  }
+  return cleaned;
+}
+
+/**
+ * Build editable import rows from parsed CSV data and a column mapping
+ */
+export function buildImportRows(dataRows, mapping) {
+  return dataRows.map((cells, index) => {
+    const get = (key) => (mapping[key] >= 0 ? (cells[mapping[key]] || '') : '');
+    return {
+      rowId: index,
+      raceName: get('raceName'),
+      raceDistance: normalizeDistance(get('raceDistance')),
+      raceType: normalizeRaceType(get('raceType')),
+      location: get('location'),
+      date: normalizeDate(get('date')),
+      finishTime: get('finishTime'),
+      overallPlace: get('overallPlace'),
+      overallParticipants: get('overallParticipants'),
+      ageGroupPlace: get('ageGroupPlace'),
+      ageGroupParticipants: get('ageGroupParticipants'),
+      division: get('division'),
+    };
+  });
+}
+
+/**
+ * Validate an import row
+ * @returns {Object} - Map of field key to error message (empty when the row is valid)
+ */
+export function validateImportRow(row) {
+  const errors = {};
+
+  if (!row.raceName?.trim()) errors.raceName = 'Race name is required';
+  if (!RACE_DISTANCES.includes(row.raceDistance) && !parseDistanceValue(row.raceDistance)) {
+    errors.raceDistance = 'Pick a distance or enter one like 15K';
+  }
+  if (!RACE_TYPES.includes(row.raceType)) errors.raceType = 'Must be Road or Trail';
+  if (!row.location?.trim()) errors.location = 'Location is required';
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date || '')) {
+    errors.date = 'Use YYYY-MM-DD';
+  } else {
+    const [year, month, day] = row.date.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+      errors.date = 'Not a real date';
+    }
+  }
+
+  if (row.finishTime?.trim()) {
+    const seconds = parseTimeToSeconds(row.finishTime);
+    if (!/^\d+(:\d{1,2}){1,2}$/.test(row.finishTime.trim()) || !seconds) {
+      errors.finishTime = 'Use H:MM:SS or MM:SS';
+    }
+  }
+
+  ['overallPlace', 'overallParticipants', 'ageGroupPlace', 'ageGroupParticipants'].forEach((key) => {
+    const value = String(row[key] || '').trim();
+    if (value && !/^\d+$/.test(value)) {
+      errors[key] = 'Must be a whole number';
+    }
+  });
+  if (Number(row.overallPlace) > Number(row.overallParticipants) && row.overallParticipants) {
+    errors.overallPlace = 'Place is larger than participants';
+  }
+  if (Number(row.ageGroupPlace) > Number(row.ageGroupParticipants) && row.ageGroupParticipants) {
+    errors.ageGroupPlace = 'Place is larger than participants';
+  }
+
+  return errors;
+}
+
+/**
+ * Convert an import row to the same shape RaceForm saves.
+ * Imported entries have no photos, so they show a generated bib.
+ */
+export function importRowToEntryData(row) {
+  const results = {};
+  RESULT_FIELDS.forEach((key) => {
+    results[key] = String(row[key] || '').trim();
+  });
+
+  return {
+    raceName: row.raceName.trim(),
+    raceDistance: row.raceDistance,
+    officialDistance: getOfficialDistance(row.raceDistance),
+    raceType: row.raceType,
+    location: row.location.trim(),
+    date: row.date,
+    results,
+    bibPhoto: null,
+    finisherPhoto: null,
+    medalPhoto: null,
+    notes: '',
+    isPersonalBest: false,
+  };
+}
+
+/**
+ * Create entries for the given import rows
+ * @param {string} userId - The user to import into
+ * @param {Array} rows - Validated import rows
+ * @param {Function} onProgress - Called with { current, total }
+ * @returns {Promise<{ imported: number, failed: Array }>}
+ */
+export async function importCsvEntries(userId, rows, onProgress = () => {}) {
+  const result = { imported: 0, failed: [] };
+
+  for (let i = 0; i < rows.length; i++) {
+    onProgress({ current: i, total: rows.length });
+    try {
+      await firestoreDb.addEntry(userId, importRowToEntryData(rows[i]));
+      result.imported++;
+    } catch (error) {
+      console.error(`Failed to import row ${i + 1}:`, error);
+      result.failed.push({ raceName: rows[i].raceName, error: error.message });
+    }
+  }
+
+  onProgress({ current: rows.length, total: rows.length });
+  return result;
+}
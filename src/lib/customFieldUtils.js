@@ -0,0 +1,107 @@
+import { parseTimeToSeconds } from './statsUtils';
+
+// Kinds of custom field a user can define in their profile
+export const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'duration', label: 'Duration' },
+  { value: 'select', label: 'Select' },
+];
+
+/**
+ * New custom field definition with defaults filled in
+ * @returns {Object} - { id, label, type, options } where options are the choices for a select field
+ */
+export function createCustomField(data = {}) {
+  return {
+    id: `field-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    label: '',
+    type: 'text',
+    options: [],
+    ...data,
+  };
+}
+
+/**
+ * The custom field definitions stored on a profile
+ */
+export function getProfileCustomFields(profile) {
+  return Array.isArray(profile?.customFields) ? profile.customFields : [];
+}
+
+/**
+ * Check custom field definitions before they're saved
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateCustomFieldDefinitions(fields) {
+  const labels = new Set();
+  for (const field of fields) {
+    const label = field.label?.trim();
+    if (!label) {
+      return 'Every custom field needs a name';
+    }
+    if (labels.has(label.toLowerCase())) {
+      return `There's more than one custom field called "${label}"`;
+    }
+    labels.add(label.toLowerCase());
+    if (field.type === 'select' && (field.options || []).length < 2) {
+      return `"${label}" needs at least two choices`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a custom field value is blank
+ */
+function isEmptyValue(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Check an entry's custom field values against their definitions
+ * @param {Array} fields - Custom field definitions
+ * @param {Object} values - { [fieldId]: value }
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateCustomFieldValues(fields, values) {
+  for (const field of fields) {
+    const value = values?.[field.id];
+    if (isEmptyValue(value)) continue;
+
+    if (field.type === 'number' && isNaN(Number(value))) {
+      return `${field.label} should be a number`;
+    }
+    if (field.type === 'duration' && (!parseTimeToSeconds(String(value)) || !/^\d{1,3}(:\d{1,2}){0,2}$/.test(String(value).trim()))) {
+      return `${field.label} should be a time like 1:45:00 or 22:30`;
+    }
+    if (field.type === 'select' && !(field.options || []).includes(value)) {
+      return `${field.label} should be one of ${field.options.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The filled-in custom fields of an entry, in the order they're defined
+ * Values for fields that have since been deleted aren't shown.
+ * @returns {Array} - [{ field, value }]
+ */
+export function getEntryCustomFields(entry, fields) {
+  return fields
+    .filter(field => !isEmptyValue(entry.customFields?.[field.id]))
+    .map(field => ({ field, value: entry.customFields[field.id] }));
+}
+
+/**
+ * Drop blank values and convert numbers before an entry is saved
+ */
+export function cleanCustomFieldValues(fields, values) {
+  const cleaned = {};
+  fields.forEach((field) => {
+    const value = values?.[field.id];
+    if (isEmptyValue(value)) return;
+    cleaned[field.id] = field.type === 'number' ? Number(value) : String(value).trim();
+  });
+  return cleaned;
+}
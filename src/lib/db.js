@@ -7,4 +7,15 @@ db.version(1).stores({
   raceEntries: '++id, raceName, date, raceType, createdAt, updatedAt',
 });
 
+// Local mirror of Firestore plus the offline write-ahead queue.
+// The v1 raceEntries store was never written to, so it is dropped
+// rather than migrated (Dexie cannot change a primary key in place).
+db.version(2).stores({
+  raceEntries: null,
+  entries: 'id, userId, date',
+  profiles: 'userId',
+  images: 'url, cachedAt',
+  syncQueue: '++seq, userId, entryId',
+});
+
 export default db;
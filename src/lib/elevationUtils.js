@@ -0,0 +1,147 @@
+import { buildDistanceTimeSeries } from './splitUtils';
+
+// Distance (km) each elevation sample is averaged over - GPS altitude is noisy point to point
+const SMOOTHING_WINDOW_KM = 0.15;
+
+// A climb ends once the route drops this far (m) below the climb's highest point
+const CLIMB_DIP_TOLERANCE = 5;
+
+// Flat ground (within this many m of the low point) before a climb isn't part of it
+const CLIMB_START_TOLERANCE = 1;
+
+// Climbs smaller than this aren't worth calling out
+const MIN_CLIMB_GAIN = 10;
+const MIN_CLIMB_LENGTH_KM = 0.2;
+
+/**
+ * Build a smoothed elevation-vs-distance profile for a route
+ * @param {Array} coordinates - Route coordinates with elevation
+ * @returns {Array} - [{ index, distance (km), elevation (m, smoothed), rawElevation (m) }]
+ */
+export function buildElevationProfile(coordinates) {
+  const series = buildDistanceTimeSeries(coordinates);
+  const points = series
+    .map(point => ({
+      index: point.index,
+      distance: point.distance,
+      rawElevation: coordinates[point.index].elevation,
+    }))
+    .filter(point => point.rawElevation !== null && point.rawElevation !== undefined && !isNaN(point.rawElevation));
+
+  if (points.length < 2) return [];
+
+  // Moving average over a distance window (two pointers, so it stays linear)
+  const halfWindow = SMOOTHING_WINDOW_KM / 2;
+  let windowStart = 0;
+  let windowEnd = 0;
+  let windowSum = 0;
+
+  return points.map((point) => {
+    while (windowEnd < points.length && points[windowEnd].distance <= point.distance + halfWindow) {
+      windowSum += points[windowEnd].rawElevation;
+      windowEnd++;
+    }
+    while (points[windowStart].distance < point.distance - halfWindow) {
+      windowSum -= points[windowStart].rawElevation;
+      windowStart++;
+    }
+    return { ...point, elevation: windowSum / (windowEnd - windowStart) };
+  });
+}
+
+/**
+ * Total gain, loss and range of a smoothed profile
+ * @param {Array} profile - From buildElevationProfile
+ * @returns {Object|null} - { gain, loss, min, max } in meters
+ */
+export function summarizeElevation(profile) {
+  if (!profile || profile.length < 2) return null;
+
+  let gain = 0;
+  let loss = 0;
+  let min = profile[0].elevation;
+  let max = profile[0].elevation;
+
+  for (let i = 1; i < profile.length; i++) {
+    const change = profile[i].elevation - profile[i - 1].elevation;
+    if (change > 0) {
+      gain += change;
+    } else {
+      loss -= change;
+    }
+    min = Math.min(min, profile[i].elevation);
+    max = Math.max(max, profile[i].elevation);
+  }
+
+  return { gain, loss, min, max };
+}
+
+/**
+ * Find the steepest sustained climbs on a route
+ * @param {Array} profile - From buildElevationProfile
+ * @param {number} count - How many climbs to return
+ * @returns {Array} - [{ number, startDistance, endDistance (km), length (km), gain (m), grade (%), startIndex, endIndex }],
+ *   ordered along the route
+ */
+export function findSteepestClimbs(profile, count = 3) {
+  if (!profile || profile.length < 2) return [];
+
+  const climbs = [];
+  let low = 0;
+  let high = 0;
+
+  const closeClimb = () => {
+    // Start the climb where the road actually begins to rise, not at the far end of a flat stretch
+    let startIndex = low;
+    for (let j = low; j < high; j++) {
+      if (profile[j].elevation <= profile[low].elevation + CLIMB_START_TOLERANCE) startIndex = j;
+    }
+    const start = profile[startIndex];
+    const end = profile[high];
+    const length = end.distance - start.distance;
+    const gain = end.elevation - start.elevation;
+    if (gain >= MIN_CLIMB_GAIN && length >= MIN_CLIMB_LENGTH_KM) {
+      climbs.push({
+        startDistance: start.distance,
+        endDistance: end.distance,
+        length,
+        gain,
+        grade: (gain / (length * 1000)) * 100,
+        startIndex: start.index,
+        endIndex: end.index,
+      });
+    }
+  };
+
+  for (let i = 1; i < profile.length; i++) {
+    const elevation = profile[i].elevation;
+    if (elevation > profile[high].elevation) {
+      high = i;
+    } else if (elevation < profile[high].elevation - CLIMB_DIP_TOLERANCE) {
+      // Dropped off the top - the climb (if any) ran from low to high
+      if (high > low) closeClimb();
+      low = i;
+      high = i;
+    }
+    if (elevation < profile[low].elevation) {
+      low = i;
+      high = i;
+    }
+  }
+  if (high > low) closeClimb();
+
+  return climbs
+    .sort((a, b) => b.grade - a.grade)
+    .slice(0, count)
+    .sort((a, b) => a.startDistance - b.startDistance)
+    .map((climb, index) => ({ ...climb, number: index + 1 }));
+}
+
+/**
+ * Reduce a profile to at most maxPoints samples for drawing
+ */
+export function downsampleProfile(profile, maxPoints = 400) {
+  if (!profile || profile.length <= maxPoints) return profile || [];
+  const step = (profile.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => profile[Math.round(i * step)]);
+}
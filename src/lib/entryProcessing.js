@@ -0,0 +1,212 @@
+import { firestoreDb } from './firestoreDb';
+import { parseRouteFile } from './routeImporter';
+
+/**
+ * Helper function to convert data URL to blob
+ */
+function dataURLtoBlob(dataURL) {
+  const arr = dataURL.split(',');
+  const mime = arr[0].match(/:(.*?);/)[1];
+  const bstr = atob(arr[1]);
+  let n = bstr.length;
+  const u8arr = new Uint8Array(n);
+  while (n--) {
+    u8arr[n] = bstr.charCodeAt(n);
+  }
+  return new Blob([u8arr], { type: mime });
+}
+
+/**
+ * Parse and upload a multisport leg's route file, the same way as the entry's own route
+ */
+async function processLegRoute(leg, userId) {
+  if (!(leg.gpxFile instanceof File)) {
+    return leg;
+  }
+
+  let routeData = null;
+  try {
+    routeData = await parseRouteFile(leg.gpxFile);
+  } catch (error) {
+    console.error('Failed to parse leg route file:', error);
+    // Don't fail the whole entry if a leg's route can't be read
+  }
+  if (!routeData) {
+    return { ...leg, gpxFile: null };
+  }
+  return {
+    ...leg,
+    routeData,
+    gpxFile: leg.gpxFile.name,
+    gpxUrl: await firestoreDb.uploadImage(userId, leg.gpxFile, 'gpx-tracks'),
+  };
+}
+
+/**
+ * Process entry images - compress and upload to Firebase Storage
+ * Optimized to parallelize uploads where possible
+ */
+export async function processEntryImages(entryData, userId) {
+  const processed = { ...entryData };
+
+  // Helper function to process bib photo
+  const processBibPhoto = async () => {
+    if (entryData.bibPhoto && entryData.bibPhoto instanceof File) {
+      try {
+        // Image is already processed (resized/compressed) in the form
+        // Just upload it directly
+        const originalUrl = await firestoreDb.uploadImage(userId, entryData.bibPhoto, 'bib-photos');
+        
+        return {
+          original: originalUrl,
+          cropped: originalUrl,
+          useCropped: true,
+        };
+      } catch (error) {
+        console.error('Failed to upload bib photo:', error);
+        throw error;
+      }
+    } else if (entryData.bibPhoto && (typeof entryData.bibPhoto === 'object' && !(entryData.bibPhoto instanceof File))) {
+      // Already processed, keep as is (for updates)
+      if (entryData.bibPhoto.processed) {
+        return {
+          original: entryData.bibPhoto.original || entryData.bibPhoto.processed,
+          cropped: entryData.bibPhoto.processed,
+          useCropped: entryData.bibPhoto.useProcessed !== false,
+        };
+      }
+      return entryData.bibPhoto;
+    } else if (entryData.bibPhoto && typeof entryData.bibPhoto === 'string') {
+      if (entryData.bibPhoto.startsWith('data:')) {
+        try {
+          const blob = dataURLtoBlob(entryData.bibPhoto);
+          const url = await firestoreDb.uploadImage(userId, blob, 'bib-photos');
+          return {
+            original: url,
+            cropped: url,
+            useCropped: true,
+          };
+        } catch (error) {
+          console.error('Failed to upload legacy bib photo:', error);
+          return {
+            original: entryData.bibPhoto,
+            cropped: entryData.bibPhoto,
+            useCropped: true,
+          };
+        }
+      }
+      return {
+        original: entryData.bibPhoto,
+        cropped: entryData.bibPhoto,
+        useCropped: true,
+      };
+    }
+    return entryData.bibPhoto;
+  };
+
+  // Helper function to process finisher photo
+  const processFinisherPhoto = async () => {
+    if (entryData.finisherPhoto && entryData.finisherPhoto instanceof File) {
+      try {
+        // Image is already processed (resized/compressed) in the form
+        // Just upload it directly
+        return await firestoreDb.uploadImage(userId, entryData.finisherPhoto, 'finisher-photos');
+      } catch (error) {
+        console.error('Failed to upload finisher photo:', error);
+        throw error;
+      }
+    } else if (entryData.finisherPhoto) {
+      const finisherPhoto = typeof entryData.finisherPhoto === 'string' 
+        ? entryData.finisherPhoto 
+        : entryData.finisherPhoto;
+      
+      if (typeof finisherPhoto === 'string' && finisherPhoto.startsWith('data:')) {
+        try {
+          const blob = dataURLtoBlob(finisherPhoto);
+          return await firestoreDb.uploadImage(userId, blob, 'finisher-photos');
+        } catch (error) {
+          console.error('Failed to upload legacy finisher photo:', error);
+          return finisherPhoto;
+        }
+      }
+      return finisherPhoto;
+    }
+    return entryData.finisherPhoto;
+  };
+
+  // Helper function to process medal photo
+  const processMedalPhoto = async () => {
+    if (entryData.medalPhoto && entryData.medalPhoto instanceof File) {
+      try {
+        // Image is already processed (resized, background removed, cropped) in the form
+        // Just upload it directly
+        const processedUrl = await firestoreDb.uploadImage(userId, entryData.medalPhoto, 'medal-photos');
+        
+        return processedUrl;
+      } catch (error) {
+        console.error('Failed to upload medal photo:', error);
+        throw error;
+      }
+    } else if (entryData.medalPhoto && (typeof entryData.medalPhoto === 'object' && !(entryData.medalPhoto instanceof File))) {
+      if (entryData.medalPhoto.processed) {
+        return entryData.medalPhoto.processed;
+      } else if (entryData.medalPhoto.cropped) {
+        return entryData.medalPhoto.cropped;
+      } else if (entryData.medalPhoto.original) {
+        return entryData.medalPhoto.original;
+      }
+      return entryData.medalPhoto;
+    } else if (entryData.medalPhoto && typeof entryData.medalPhoto === 'string') {
+      if (entryData.medalPhoto.startsWith('data:')) {
+        try {
+          const blob = dataURLtoBlob(entryData.medalPhoto);
+          return await firestoreDb.uploadImage(userId, blob, 'medal-photos');
+        } catch (error) {
+          console.error('Failed to upload legacy medal photo:', error);
+          return entryData.medalPhoto;
+        }
+      }
+      return entryData.medalPhoto;
+    }
+    return entryData.medalPhoto;
+  };
+
+  // Upload images in parallel (they're already processed)
+  const [bibPhoto, finisherPhoto, medalPhoto] = await Promise.all([
+    processBibPhoto(),
+    processFinisherPhoto(),
+    processMedalPhoto(),
+  ]);
+
+  // Partial updates (e.g. just a flag) leave photo fields out - don't write them back as undefined
+  if ('bibPhoto' in entryData) processed.bibPhoto = bibPhoto;
+  if ('finisherPhoto' in entryData) processed.finisherPhoto = finisherPhoto;
+  if ('medalPhoto' in entryData) processed.medalPhoto = medalPhoto;
+
+  // Process route file - GPX, TCX, FIT, KML or GeoJSON (independent of images)
+  if (entryData.gpxFile && entryData.gpxFile instanceof File) {
+    let routeData = null;
+    try {
+      routeData = await parseRouteFile(entryData.gpxFile);
+    } catch (error) {
+      console.error('Failed to parse route file:', error);
+      // Don't fail the whole entry if GPX parsing fails
+    }
+    if (routeData) {
+      processed.routeData = routeData;
+      processed.gpxFile = entryData.gpxFile.name; // Store filename
+      // Keep the original track so it can be included in exports
+      processed.gpxUrl = await firestoreDb.uploadImage(userId, entryData.gpxFile, 'gpx-tracks');
+    }
+  } else if (entryData.routeData) {
+    // Already processed
+    processed.routeData = entryData.routeData;
+  }
+
+  // Multisport legs can each have their own route file
+  if (Array.isArray(entryData.legs)) {
+    processed.legs = await Promise.all(entryData.legs.map(leg => processLegRoute(leg, userId)));
+  }
+
+  return processed;
+}
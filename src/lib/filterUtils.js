@@ -0,0 +1,295 @@
+import { getRaceTypeForFilter, compareByDistance, getLocationText } from './raceUtils';
+import { parseLocalDate, formatDate } from './dateUtils';
+import { parseTimeToSeconds } from './statsUtils';
+import { getAllTags, hasTag } from './tagUtils';
+
+// Filter state - multi-value facets match any of their values, and every facet has to match
+export const EMPTY_FILTERS = {
+  q: '',
+  types: [],
+  tags: [],
+  years: [],
+  from: '',
+  to: '',
+  countries: [],
+  regions: [],
+  cities: [],
+  surfaces: [],
+  media: [],
+  prOnly: false,
+  timeMin: '',
+  timeMax: '',
+  percentMin: '',
+  percentMax: '',
+};
+
+// URL query parameter for each filter - list filters repeat the parameter (?year=2023&year=2024)
+const URL_KEYS = {
+  q: 'q',
+  types: 'type',
+  tags: 'tag',
+  years: 'year',
+  from: 'from',
+  to: 'to',
+  countries: 'country',
+  regions: 'region',
+  cities: 'city',
+  surfaces: 'surface',
+  media: 'has',
+  prOnly: 'pr',
+  timeMin: 'tmin',
+  timeMax: 'tmax',
+  percentMin: 'pmin',
+  percentMax: 'pmax',
+};
+
+// Photos and files a race can be filtered on having - selecting several needs all of them
+export const MEDIA_FILTERS = [
+  { value: 'gpx', label: 'Route file', test: entry => !!entry.routeData },
+  { value: 'medal', label: 'Medal photo', test: entry => !!entry.medalPhoto },
+  { value: 'finisher', label: 'Finisher photo', test: entry => !!entry.finisherPhoto },
+];
+
+/**
+ * Read filters from URL search params
+ */
+export function parseFilters(searchParams) {
+  const filters = { ...EMPTY_FILTERS };
+  Object.entries(URL_KEYS).forEach(([key, param]) => {
+    if (Array.isArray(EMPTY_FILTERS[key])) {
+      filters[key] = searchParams.getAll(param).filter(Boolean);
+    } else if (typeof EMPTY_FILTERS[key] === 'boolean') {
+      filters[key] = searchParams.get(param) === '1';
+    } else {
+      filters[key] = searchParams.get(param) || '';
+    }
+  });
+  return filters;
+}
+
+/**
+ * Write filters as URL search params, leaving out the ones that aren't set
+ */
+export function filtersToSearchParams(filters) {
+  const params = new URLSearchParams();
+  Object.entries(URL_KEYS).forEach(([key, param]) => {
+    const value = filters[key];
+    if (Array.isArray(value)) {
+      value.forEach(item => params.append(param, item));
+    } else if (value === true) {
+      params.set(param, '1');
+    } else if (value) {
+      params.set(param, value);
+    }
+  });
+  return params;
+}
+
+/**
+ * Whether any filter is set
+ */
+export function hasActiveFilters(filters) {
+  return Object.keys(EMPTY_FILTERS).some((key) => {
+    const value = filters[key];
+    return Array.isArray(value) ? value.length > 0 : !!(typeof value === 'string' ? value.trim() : value);
+  });
+}
+
+/**
+ * Split a location into city, state/region and country
+ * "Portland, OR, USA" has all three; "Portland, OR" has no country. Postcodes are dropped.
+ * @returns {Object} - { city, region, country } with null for the parts that aren't there
+ */
+export function parseLocation(location) {
+  const parts = getLocationText(location).split(',').map(part => part.replace(/\b\d[\d -]*\d\b/g, '').trim()).filter(Boolean);
+  return {
+    city: parts[0] || null,
+    region: parts.length >= 2 ? parts[parts.length >= 3 ? parts.length - 2 : 1] : null,
+    country: parts.length >= 3 ? parts[parts.length - 1] : null,
+  };
+}
+
+/**
+ * Share of the field finishing ahead of or with you - 12th of 400 is the top 3%
+ */
+function getOverallPercent(entry) {
+  const place = Number(entry.results?.overallPlace);
+  const participants = Number(entry.results?.overallParticipants);
+  if (!place || !participants) return null;
+  return (place / participants) * 100;
+}
+
+function getYear(entry) {
+  const date = parseLocalDate(entry.date);
+  return date && !isNaN(date.getTime()) ? String(date.getFullYear()) : null;
+}
+
+/**
+ * Entries that set a PR when they were run - every result in a PR progression
+ */
+export function getPrEntryIds(records) {
+  return new Set(records.categories.flatMap(category => category.history.map(result => result.entryId)));
+}
+
+/**
+ * Whether a number falls in a range typed as text - blank or unreadable bounds are ignored
+ */
+function inRange(value, min, max, parse = Number) {
+  const low = min !== '' ? parse(min) : null;
+  const high = max !== '' ? parse(max) : null;
+  const hasLow = low !== null && !isNaN(low);
+  const hasHigh = high !== null && !isNaN(high);
+  if (!hasLow && !hasHigh) return true;
+  if (value === null || value === undefined) return false;
+  return (!hasLow || value >= low) && (!hasHigh || value <= high);
+}
+
+// Each facet's test - skipped when the facet isn't set
+const FACET_TESTS = {
+  q: (entry, filters, context) => !context.searchResults || !!context.searchResults[entry.id],
+  types: (entry, filters) => filters.types.includes(getRaceTypeForFilter(entry)),
+  tags: (entry, filters) => filters.tags.some(tag => hasTag(entry, tag)),
+  years: (entry, filters) => filters.years.includes(getYear(entry)),
+  dates: (entry, filters) => {
+    const date = parseLocalDate(entry.date);
+    if (!date || isNaN(date.getTime())) return false;
+    const from = filters.from ? parseLocalDate(filters.from) : null;
+    const to = filters.to ? parseLocalDate(filters.to) : null;
+    return (!from || isNaN(from.getTime()) || date >= from) && (!to || isNaN(to.getTime()) || date <= to);
+  },
+  countries: (entry, filters) => filters.countries.includes(parseLocation(entry.location).country),
+  regions: (entry, filters) => filters.regions.includes(parseLocation(entry.location).region),
+  cities: (entry, filters) => filters.cities.includes(parseLocation(entry.location).city),
+  surfaces: (entry, filters) => filters.surfaces.includes(entry.raceType),
+  media: (entry, filters) => MEDIA_FILTERS
+    .filter(media => filters.media.includes(media.value))
+    .every(media => media.test(entry)),
+  prOnly: (entry, filters, context) => context.prEntryIds.has(entry.id),
+  time: (entry, filters) => inRange(parseTimeToSeconds(entry.results?.finishTime), filters.timeMin, filters.timeMax, parseTimeToSeconds),
+  percent: (entry, filters) => inRange(getOverallPercent(entry), filters.percentMin, filters.percentMax),
+};
+
+// Which facets are set
+function getActiveFacets(filters) {
+  return Object.keys(FACET_TESTS).filter((facet) => {
+    switch (facet) {
+      case 'q': return !!filters.q.trim();
+      case 'dates': return !!(filters.from || filters.to);
+      case 'prOnly': return filters.prOnly;
+      case 'time': return !!(filters.timeMin || filters.timeMax);
+      case 'percent': return !!(filters.percentMin || filters.percentMax);
+      default: return filters[facet].length > 0;
+    }
+  });
+}
+
+/**
+ * Entries that match every set filter
+ * @param {Object} context - { prEntryIds: Set, searchResults: from searchEntries, or null with no query }
+ * @param {string} skip - A facet to leave out, for counting that facet's options
+ */
+export function applyFilters(entries, filters, context, skip = null) {
+  const facets = getActiveFacets(filters).filter(facet => facet !== skip);
+  if (facets.length === 0) return entries;
+  return entries.filter(entry => facets.every(facet => FACET_TESTS[facet](entry, filters, context)));
+}
+
+/**
+ * Count how many values of a field there are, most common first (or sorted by the given compare)
+ */
+function countValues(entries, getValue, compare = null) {
+  const counts = {};
+  entries.forEach((entry) => {
+    const value = getValue(entry);
+    if (value) counts[value] = (counts[value] || 0) + 1;
+  });
+  const options = Object.entries(counts).map(([value, count]) => ({ value, label: value, count }));
+  return options.sort(compare || ((a, b) => b.count - a.count || a.label.localeCompare(b.label)));
+}
+
+/**
+ * Options and counts for every facet. Each facet is counted over the entries the other
+ * filters leave, so the counts say how many races picking that option would show.
+ * @returns {Object} - { types, tags, years, countries, regions, cities, surfaces, media: [{ value, label, count }],
+ *   prCount, withTime, withPercent }
+ */
+export function getFacetCounts(entries, filters, context) {
+  const base = facet => applyFilters(entries, filters, context, facet);
+  const locations = facet => base(facet).map(entry => ({ entry, location: parseLocation(entry.location) }));
+
+  const typeEntries = base('types');
+  const typeOrder = [...typeEntries].sort(compareByDistance).map(getRaceTypeForFilter);
+
+  return {
+    types: countValues(typeEntries, getRaceTypeForFilter, (a, b) => typeOrder.indexOf(a.value) - typeOrder.indexOf(b.value)),
+    tags: getAllTags(base('tags')).map(({ tag, count }) => ({ value: tag, label: tag, count })),
+    years: countValues(base('years'), getYear, (a, b) => b.value - a.value),
+    countries: countValues(locations('countries'), item => item.location.country),
+    regions: countValues(locations('regions'), item => item.location.region),
+    cities: countValues(locations('cities'), item => item.location.city),
+    surfaces: countValues(base('surfaces'), entry => entry.raceType),
+    media: MEDIA_FILTERS.map(media => ({
+      value: media.value,
+      label: media.label,
+      count: base('media').filter(entry => MEDIA_FILTERS
+        .filter(other => other.value === media.value || filters.media.includes(other.value))
+        .every(other => other.test(entry))).length,
+    })),
+    prCount: base('prOnly').filter(entry => context.prEntryIds.has(entry.id)).length,
+    withTime: base('time').filter(entry => parseTimeToSeconds(entry.results?.finishTime)).length,
+    withPercent: base('percent').filter(entry => getOverallPercent(entry) !== null).length,
+  };
+}
+
+// Filters cleared together when their chip is removed
+const RANGE_KEYS = {
+  dates: ['from', 'to'],
+  time: ['timeMin', 'timeMax'],
+  percent: ['percentMin', 'percentMax'],
+};
+
+/**
+ * The set filters as removable chips
+ * @returns {Array} - [{ key, value, label }] where value is set for one value of a list filter
+ */
+export function describeFilters(filters) {
+  const chips = [];
+  if (filters.q.trim()) chips.push({ key: 'q', label: `"${filters.q.trim()}"` });
+
+  ['types', 'tags', 'years', 'cities', 'regions', 'countries', 'surfaces'].forEach((key) => {
+    filters[key].forEach(value => chips.push({ key, value, label: key === 'tags' ? `#${value}` : value }));
+  });
+  filters.media.forEach((value) => {
+    const media = MEDIA_FILTERS.find(option => option.value === value);
+    if (media) chips.push({ key: 'media', value, label: `Has ${media.label.toLowerCase()}` });
+  });
+
+  if (filters.from && filters.to) {
+    chips.push({ key: 'dates', label: `${formatDate(filters.from)} – ${formatDate(filters.to)}` });
+  } else if (filters.from) {
+    chips.push({ key: 'dates', label: `Since ${formatDate(filters.from)}` });
+  } else if (filters.to) {
+    chips.push({ key: 'dates', label: `Until ${formatDate(filters.to)}` });
+  }
+  if (filters.prOnly) chips.push({ key: 'prOnly', label: 'PRs only' });
+  if (filters.timeMin || filters.timeMax) {
+    chips.push({ key: 'time', label: `Finish ${filters.timeMin || '0:00'} – ${filters.timeMax || 'any'}` });
+  }
+  if (filters.percentMin || filters.percentMax) {
+    chips.push({ key: 'percent', label: `Top ${filters.percentMin || 0}% – ${filters.percentMax || 100}%` });
+  }
+  return chips;
+}
+
+/**
+ * Filters with a chip from describeFilters removed
+ */
+export function removeFilter(filters, chip) {
+  if (RANGE_KEYS[chip.key]) {
+    return { ...filters, ...Object.fromEntries(RANGE_KEYS[chip.key].map(key => [key, ''])) };
+  }
+  if (Array.isArray(filters[chip.key])) {
+    return { ...filters, [chip.key]: filters[chip.key].filter(value => value !== chip.value) };
+  }
+  return { ...filters, [chip.key]: EMPTY_FILTERS[chip.key] };
+}
@@ -343,5 +343,21 @@ export const firestoreDb = {
       throw error;
     }
   },
+
+  /**
+   * Replace the gear library on a user profile
+   */
+  async updateUserGear(userId, gear) {
+    try {
+      const userRef = doc(db, 'userProfiles', userId);
+      await updateDoc(userRef, {
+        gear,
+        updatedAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('Failed to update gear:', error);
+      throw error;
+    }
+  },
 };
 
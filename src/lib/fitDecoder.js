@@ -0,0 +1,197 @@
+/**
+ * Minimal decoder for Garmin FIT activity files
+ * Only reads "record" messages (the per-second samples) - enough to rebuild a route
+ * with elevation, time and sensor data. Spec: https://developer.garmin.com/fit/protocol/
+ */
+
+const FIT_EPOCH_OFFSET = 631065600; // Seconds between 1970-01-01 and 1989-12-31 (FIT epoch)
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+const RECORD_MESSAGE = 20;
+const TIMESTAMP_FIELD = 253;
+
+// Record message field numbers
+const RECORD_FIELDS = {
+  positionLat: 0,
+  positionLong: 1,
+  altitude: 2,
+  heartRate: 3,
+  cadence: 4,
+  power: 7,
+  enhancedAltitude: 78,
+};
+
+// Base types, indexed by the low 5 bits of the base type byte
+// size in bytes, reader, and the value FIT uses to mean "no data"
+const BASE_TYPES = [
+  { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0xFF }, // enum
+  { size: 1, read: (view, offset) => view.getInt8(offset), invalid: 0x7F }, // sint8
+  { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0xFF }, // uint8
+  { size: 2, read: (view, offset, little) => view.getInt16(offset, little), invalid: 0x7FFF }, // sint16
+  { size: 2, read: (view, offset, little) => view.getUint16(offset, little), invalid: 0xFFFF }, // uint16
+  { size: 4, read: (view, offset, little) => view.getInt32(offset, little), invalid: 0x7FFFFFFF }, // sint32
+  { size: 4, read: (view, offset, little) => view.getUint32(offset, little), invalid: 0xFFFFFFFF }, // uint32
+  { size: 1, read: null, invalid: null }, // string
+  { size: 4, read: (view, offset, little) => view.getFloat32(offset, little), invalid: null }, // float32
+  { size: 8, read: (view, offset, little) => view.getFloat64(offset, little), invalid: null }, // float64
+  { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0 }, // uint8z
+  { size: 2, read: (view, offset, little) => view.getUint16(offset, little), invalid: 0 }, // uint16z
+  { size: 4, read: (view, offset, little) => view.getUint32(offset, little), invalid: 0 }, // uint32z
+  { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0xFF }, // byte
+  { size: 8, read: null, invalid: null }, // sint64
+  { size: 8, read: null, invalid: null }, // uint64
+  { size: 8, read: null, invalid: null }, // uint64z
+];
+
+/**
+ * Check for the ".FIT" signature in the file header
+ * @param {ArrayBuffer} buffer
+ * @returns {boolean}
+ */
+export function isFitFile(buffer) {
+  if (buffer.byteLength < 12) return false;
+  const bytes = new Uint8Array(buffer, 8, 4);
+  return String.fromCharCode(...bytes) === '.FIT';
+}
+
+/**
+ * Read the first value of a field, or null if it's missing/invalid
+ */
+function readFieldValue(view, offset, size, baseTypeByte, littleEndian) {
+  const baseType = BASE_TYPES[baseTypeByte & 0x1F];
+  if (!baseType || !baseType.read || size < baseType.size) return null;
+  const value = baseType.read(view, offset, littleEndian);
+  if (baseType.invalid !== null && value === baseType.invalid) return null;
+  if (typeof value === 'number' && !isFinite(value)) return null;
+  return value;
+}
+
+/**
+ * Convert a decoded record message to a route point
+ */
+function toRoutePoint(fields) {
+  const lat = fields[RECORD_FIELDS.positionLat];
+  const lon = fields[RECORD_FIELDS.positionLong];
+  if (lat === null || lat === undefined || lon === null || lon === undefined) return null;
+
+  // Altitude is stored with scale 5 and offset 500 (meters)
+  const rawAltitude = fields[RECORD_FIELDS.enhancedAltitude] ?? fields[RECORD_FIELDS.altitude];
+  const timestamp = fields[TIMESTAMP_FIELD];
+
+  const point = {
+    lat: lat * SEMICIRCLES_TO_DEGREES,
+    lon: lon * SEMICIRCLES_TO_DEGREES,
+    elevation: rawAltitude !== null && rawAltitude !== undefined ? rawAltitude / 5 - 500 : null,
+    time: timestamp !== null && timestamp !== undefined
+      ? new Date((timestamp + FIT_EPOCH_OFFSET) * 1000).toISOString()
+      : null,
+  };
+
+  const heartRate = fields[RECORD_FIELDS.heartRate];
+  const cadence = fields[RECORD_FIELDS.cadence];
+  const power = fields[RECORD_FIELDS.power];
+  if (heartRate !== null && heartRate !== undefined) point.heartRate = heartRate;
+  if (cadence !== null && cadence !== undefined) point.cadence = cadence;
+  if (power !== null && power !== undefined) point.power = power;
+
+  return point;
+}
+
+/**
+ * Decode the GPS record messages of a FIT file
+ * @param {ArrayBuffer} buffer - Contents of a .fit file
+ * @returns {Array} - Points as { lat, lon, elevation, time, heartRate?, cadence?, power? }
+ */
+export function decodeFitRecords(buffer) {
+  if (!isFitFile(buffer)) {
+    throw new Error('Not a FIT file');
+  }
+
+  const view = new DataView(buffer);
+  const headerSize = view.getUint8(0);
+  const dataSize = view.getUint32(4, true);
+  const end = Math.min(headerSize + dataSize, buffer.byteLength);
+
+  const definitions = {};
+  const points = [];
+  let offset = headerSize;
+  let lastTimestamp = null;
+
+  while (offset < end) {
+    const recordHeader = view.getUint8(offset);
+    offset += 1;
+
+    let localType;
+    let compressedTimeOffset = null;
+
+    if (recordHeader & 0x80) {
+      // Compressed timestamp header - always a data message
+      localType = (recordHeader >> 5) & 0x03;
+      compressedTimeOffset = recordHeader & 0x1F;
+    } else if (recordHeader & 0x40) {
+      // Definition message
+      localType = recordHeader & 0x0F;
+      const hasDeveloperData = (recordHeader & 0x20) !== 0;
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const globalNumber = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({
+          number: view.getUint8(offset),
+          size: view.getUint8(offset + 1),
+          baseType: view.getUint8(offset + 2),
+        });
+        offset += 3;
+      }
+
+      // Developer fields are skipped, but their size still counts towards each data message
+      let developerSize = 0;
+      if (hasDeveloperData) {
+        const developerCount = view.getUint8(offset);
+        offset += 1;
+        for (let i = 0; i < developerCount; i++) {
+          developerSize += view.getUint8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions[localType] = { globalNumber, littleEndian, fields, developerSize };
+      continue;
+    } else {
+      localType = recordHeader & 0x0F;
+    }
+
+    // Data message
+    const definition = definitions[localType];
+    if (!definition) {
+      throw new Error('Invalid FIT file: data message without a definition');
+    }
+
+    const values = {};
+    for (const field of definition.fields) {
+      if (definition.globalNumber === RECORD_MESSAGE || field.number === TIMESTAMP_FIELD) {
+        values[field.number] = readFieldValue(view, offset, field.size, field.baseType, definition.littleEndian);
+      }
+      offset += field.size;
+    }
+    offset += definition.developerSize;
+
+    // Track time across messages so compressed timestamps can be expanded
+    if (values[TIMESTAMP_FIELD] !== null && values[TIMESTAMP_FIELD] !== undefined) {
+      lastTimestamp = values[TIMESTAMP_FIELD];
+    } else if (compressedTimeOffset !== null && lastTimestamp !== null) {
+      lastTimestamp += (compressedTimeOffset - (lastTimestamp & 0x1F)) & 0x1F;
+      values[TIMESTAMP_FIELD] = lastTimestamp;
+    }
+
+    if (definition.globalNumber === RECORD_MESSAGE) {
+      const point = toRoutePoint(values);
+      if (point) points.push(point);
+    }
+  }
+
+  return points;
+}
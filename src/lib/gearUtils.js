@@ -0,0 +1,121 @@
+import { getRaceDistanceKm, isFinishedRace } from './raceUtils';
+import { isMultisportRace, summarizeLegs } from './multisportUtils';
+import { computePersonalRecords } from './personalRecords';
+import { parseLocalDate } from './dateUtils';
+
+// Kinds of gear - discipline is the multisport leg the gear is used for (null for the whole race)
+export const GEAR_TYPES = [
+  { value: 'shoes', label: 'Shoes', discipline: 'run' },
+  { value: 'watch', label: 'Watch', discipline: null },
+  { value: 'pack', label: 'Pack', discipline: null },
+  { value: 'wetsuit', label: 'Wetsuit', discipline: 'swim' },
+];
+
+// Most running shoes are worn out somewhere between 500 and 800 km
+export const DEFAULT_SHOE_LIMIT_KM = 800;
+
+// Warn once a shoe reaches this share of its limit
+const NEAR_LIMIT_RATIO = 0.9;
+
+/**
+ * Get display label for a gear type
+ */
+export function getGearTypeLabel(type) {
+  return GEAR_TYPES.find(option => option.value === type)?.label || type;
+}
+
+/**
+ * New gear item with defaults filled in
+ */
+export function createGearItem(data = {}) {
+  return {
+    id: `gear-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type: 'shoes',
+    name: '',
+    brand: '',
+    photo: null,
+    retiredDate: null,
+    limitKm: data.type && data.type !== 'shoes' ? null : DEFAULT_SHOE_LIMIT_KM,
+    ...data,
+  };
+}
+
+/**
+ * The gear library stored on a profile
+ */
+export function getProfileGear(profile) {
+  return Array.isArray(profile?.gear) ? profile.gear : [];
+}
+
+/**
+ * Whether a gear item has been retired (a retire date on or before today)
+ */
+export function isRetired(item, now = new Date()) {
+  if (!item.retiredDate) return false;
+  const retired = parseLocalDate(item.retiredDate);
+  return !!retired && !isNaN(retired.getTime()) && retired <= now;
+}
+
+/**
+ * Distance a race put on a piece of gear, from the route file or else the official distance.
+ * In multisport races shoes only count the run legs and wetsuits the swim legs.
+ * @returns {number} - km
+ */
+export function getGearDistanceKm(entry, item) {
+  const discipline = GEAR_TYPES.find(option => option.value === item.type)?.discipline;
+  if (discipline && isMultisportRace(entry)) {
+    const summary = summarizeLegs(entry);
+    return (summary?.legs || [])
+      .filter(leg => leg.discipline === discipline)
+      .reduce((sum, leg) => sum + (leg.distanceKm || 0), 0);
+  }
+  return entry.routeData?.stats?.distance || getRaceDistanceKm(entry) || 0;
+}
+
+/**
+ * How close a gear item is to its distance limit
+ * @returns {string|null} - 'over', 'near', or null when fine or there's no limit
+ */
+export function getGearAlert(item, distanceKm) {
+  if (!item.limitKm) return null;
+  if (distanceKm >= item.limitKm) return 'over';
+  if (distanceKm >= item.limitKm * NEAR_LIMIT_RATIO) return 'near';
+  return null;
+}
+
+/**
+ * Race distance, race count and PRs for every item in a gear library.
+ * Only finished races count towards distance.
+ * @param {Object} records - The entries' computePersonalRecords result, when already worked out
+ * @returns {Array} - [{ item, distanceKm, races: [entry] newest first, prs: [{ entryId, raceName, date, seconds, distance }],
+ *   alert, retired }]
+ */
+export function computeGearStats(entries, gear, records = computePersonalRecords(entries)) {
+  if (gear.length === 0) return [];
+
+  // PRs set in each item - every result that joined a PR progression
+  const prsByEntry = {};
+  records.categories.forEach((category) => {
+    category.history.forEach((result) => {
+      prsByEntry[result.entryId] = [...(prsByEntry[result.entryId] || []), { ...result, distance: category.distance }];
+    });
+  });
+
+  return gear.map((item) => {
+    const races = entries
+      .filter(entry => isFinishedRace(entry) && entry.gearIds?.includes(item.id))
+      .sort((a, b) => (parseLocalDate(b.date) || 0) - (parseLocalDate(a.date) || 0));
+    const distanceKm = races.reduce((sum, entry) => sum + getGearDistanceKm(entry, item), 0);
+    const prs = races.flatMap(entry => prsByEntry[entry.id] || []);
+    const retired = isRetired(item);
+
+    return {
+      item,
+      distanceKm,
+      races,
+      prs,
+      alert: retired ? null : getGearAlert(item, distanceKm),
+      retired,
+    };
+  });
+}
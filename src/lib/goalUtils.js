@@ -0,0 +1,129 @@
+import { parseTimeToSeconds } from './statsUtils';
+
+// A is the stretch goal, C the "happy to finish here" goal
+export const GOAL_TIERS = [
+  { key: 'aTime', label: 'A' },
+  { key: 'bTime', label: 'B' },
+  { key: 'cTime', label: 'C' },
+];
+
+export const EMPTY_GOALS = {
+  aTime: '',
+  bTime: '',
+  cTime: '',
+  place: '',
+};
+
+/**
+ * Whether an entry has any goal set
+ */
+export function hasGoals(entry) {
+  const goals = entry?.goals;
+  if (!goals) return false;
+  return GOAL_TIERS.some(tier => goals[tier.key]) || !!goals.place;
+}
+
+/**
+ * Check goal times are valid and ordered A (fastest) to C (slowest)
+ * @param {Object} goals - { aTime, bTime, cTime, place }
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateGoals(goals) {
+  if (!goals) return null;
+
+  const times = [];
+  for (const tier of GOAL_TIERS) {
+    const value = goals[tier.key]?.trim();
+    if (!value) continue;
+    const seconds = parseTimeToSeconds(value);
+    if (!seconds || !/^\d{1,2}(:\d{1,2}){1,2}$/.test(value)) {
+      return `${tier.label} goal should be a time like 1:45:00 or 22:30`;
+    }
+    times.push({ label: tier.label, seconds });
+  }
+
+  for (let i = 1; i < times.length; i++) {
+    if (times[i].seconds < times[i - 1].seconds) {
+      return `${times[i].label} goal should be slower than the ${times[i - 1].label} goal`;
+    }
+  }
+
+  if (goals.place !== '' && goals.place !== null && goals.place !== undefined) {
+    const place = Number(goals.place);
+    if (!Number.isInteger(place) || place < 1) {
+      return 'Goal place should be a whole number of 1 or more';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compare an entry's result against its goals
+ * @param {Object} entry - Race entry with goals and results
+ * @returns {Object|null} - {
+ *   times: [{ label, targetSeconds, deltaSeconds, hit }],
+ *   place: { target, actual, delta, hit } | null,
+ *   bestTier: 'A'|'B'|'C'|null,
+ *   hit: boolean|null - null when there's no result to judge yet
+ * }
+ */
+export function evaluateGoals(entry) {
+  if (!hasGoals(entry)) return null;
+
+  const goals = entry.goals;
+  const actualSeconds = parseTimeToSeconds(entry.results?.finishTime);
+
+  const times = GOAL_TIERS
+    .filter(tier => goals[tier.key])
+    .map((tier) => {
+      const targetSeconds = parseTimeToSeconds(goals[tier.key]);
+      const deltaSeconds = actualSeconds && targetSeconds ? actualSeconds - targetSeconds : null;
+      return {
+        label: tier.label,
+        targetSeconds,
+        deltaSeconds,
+        hit: deltaSeconds === null ? null : deltaSeconds <= 0,
+      };
+    });
+
+  let place = null;
+  if (goals.place) {
+    const target = Number(goals.place);
+    const actual = entry.results?.overallPlace ? Number(entry.results.overallPlace) : null;
+    place = {
+      target,
+      actual,
+      delta: actual ? actual - target : null,
+      hit: actual ? actual <= target : null,
+    };
+  }
+
+  const bestTier = times.find(time => time.hit)?.label || null;
+
+  // A race hits its goals if it made any time goal, or the place goal when no times were set
+  let hit = null;
+  if (times.length > 0 && actualSeconds) {
+    hit = !!bestTier;
+  } else if (times.length === 0 && place && place.hit !== null) {
+    hit = place.hit;
+  }
+
+  return { times, place, bestTier, hit };
+}
+
+/**
+ * Format a time difference as "-1:23" (under goal) or "+0:45" (over)
+ */
+export function formatGoalDelta(deltaSeconds) {
+  if (deltaSeconds === null || deltaSeconds === undefined) return '';
+  const sign = deltaSeconds <= 0 ? '-' : '+';
+  const rounded = Math.round(Math.abs(deltaSeconds));
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = rounded % 60;
+  if (hours > 0) {
+    return `${sign}${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+  }
+  return `${sign}${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
@@ -35,6 +35,7 @@ export async function parseGPX(file) {
               lon,
               elevation: ele ? parseFloat(ele) : null,
               time: time || null,
+              ...parseTrackPointExtensions(trkpt),
             });
           }
         });
@@ -62,6 +63,91 @@ export async function parseGPX(file) {
   });
 }
 
+/**
+ * Read sensor samples from a trackpoint's <extensions>
+ * Covers the Garmin TrackPointExtension (gpxtpx:hr, gpxtpx:cad) and the common power/cadence tags
+ * other apps write, whatever namespace prefix the file uses
+ * @param {Element} trkpt - The <trkpt> element
+ * @returns {Object} - { heartRate?, cadence?, power? }
+ */
+function parseTrackPointExtensions(trkpt) {
+  const extensions = trkpt.getElementsByTagNameNS('*', 'extensions')[0];
+  if (!extensions) return {};
+
+  const readNumber = (...localNames) => {
+    for (const localName of localNames) {
+      const element = extensions.getElementsByTagNameNS('*', localName)[0];
+      const value = element ? parseFloat(element.textContent) : NaN;
+      if (!isNaN(value)) return value;
+    }
+    return null;
+  };
+
+  const samples = {};
+  const heartRate = readNumber('hr', 'heartrate');
+  const cadence = readNumber('cad', 'cadence', 'RunCadence');
+  const power = readNumber('power', 'PowerInWatts', 'watts');
+  if (heartRate !== null) samples.heartRate = heartRate;
+  if (cadence !== null) samples.cadence = cadence;
+  if (power !== null) samples.power = power;
+  return samples;
+}
+
+/**
+ * Build a GPX document from parsed route data
+ * Used for entries saved before original GPX files were kept
+ * @param {Object} routeData - Route data with coordinates
+ * @param {string} name - Track name
+ * @returns {string} - GPX XML
+ */
+export function buildGPX(routeData, name = 'Race') {
+  const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  const trkpts = (routeData?.coordinates || []).map((point) => {
+    const children = [];
+    if (point.elevation !== null && point.elevation !== undefined) {
+      children.push(`<ele>${point.elevation}</ele>`);
+    }
+    if (point.time) {
+      children.push(`<time>${escapeXml(point.time)}</time>`);
+    }
+
+    // Sensor samples go in the Garmin TrackPointExtension, power alongside it
+    const sensors = [];
+    if (point.heartRate !== null && point.heartRate !== undefined) {
+      sensors.push(`<gpxtpx:hr>${Math.round(point.heartRate)}</gpxtpx:hr>`);
+    }
+    if (point.cadence !== null && point.cadence !== undefined) {
+      sensors.push(`<gpxtpx:cad>${Math.round(point.cadence)}</gpxtpx:cad>`);
+    }
+    const power = point.power !== null && point.power !== undefined ? `<power>${Math.round(point.power)}</power>` : '';
+    if (sensors.length > 0 || power) {
+      const trackPointExtension = sensors.length > 0
+        ? `<gpxtpx:TrackPointExtension>${sensors.join('')}</gpxtpx:TrackPointExtension>`
+        : '';
+      children.push(`<extensions>${power}${trackPointExtension}</extensions>`);
+    }
+    return `      <trkpt lat="${point.lat}" lon="${point.lon}">${children.join('')}</trkpt>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Bib Journal" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">',
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...trkpts,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
 /**
  * Calculate route statistics
  * @param {Array} coordinates - Array of coordinate objects
@@ -70,6 +156,7 @@ export async function parseGPX(file) {
 export function calculateRouteStats(coordinates) {
   let totalDistance = 0;
   let totalElevationGain = 0;
+  let totalElevationLoss = 0;
   let minElevation = Infinity;
   let maxElevation = -Infinity;
   let totalTimeSeconds = 0;
@@ -122,6 +209,8 @@ export function calculateRouteStats(coordinates) {
     if (prev.elevation !== null && curr.elevation !== null) {
       if (curr.elevation > prev.elevation) {
         totalElevationGain += curr.elevation - prev.elevation;
+      } else {
+        totalElevationLoss += prev.elevation - curr.elevation;
       }
       minElevation = Math.min(minElevation, curr.elevation, prev.elevation);
       maxElevation = Math.max(maxElevation, curr.elevation, prev.elevation);
@@ -145,6 +234,7 @@ export function calculateRouteStats(coordinates) {
   return {
     distance: totalDistance, // in kilometers
     elevationGain: totalElevationGain,
+    elevationLoss: totalElevationLoss,
     minElevation: minElevation === Infinity ? null : minElevation,
     maxElevation: maxElevation === -Infinity ? null : maxElevation,
     pointsCount: coordinates.length,
@@ -163,7 +253,7 @@ export function calculateRouteStats(coordinates) {
  * @param {number} lon2 - Longitude of second point
  * @returns {number} - Distance in kilometers
  */
-function haversineDistance(lat1, lon1, lat2, lon2) {
+export function haversineDistance(lat1, lon1, lat2, lon2) {
   const R = 6371; // Earth's radius in kilometers
   const dLat = (lat2 - lat1) * Math.PI / 180;
   const dLon = (lon2 - lon1) * Math.PI / 180;
@@ -180,7 +270,7 @@ function haversineDistance(lat1, lon1, lat2, lon2) {
  * @param {Array} coordinates - Array of coordinate objects
  * @returns {Object} - Bounding box
  */
-function calculateBounds(coordinates) {
+export function calculateBounds(coordinates) {
   const lats = coordinates.map(c => c.lat);
   const lons = coordinates.map(c => c.lon);
   
@@ -0,0 +1,164 @@
+// Five-zone model. Bounds are fractions of max HR, or of lactate threshold HR (Friel's running zones)
+export const HR_ZONES = [
+  { zone: 1, name: 'Recovery', color: '#9ca3af', ofMax: 0.6, ofThreshold: 0.85 },
+  { zone: 2, name: 'Endurance', color: '#3b82f6', ofMax: 0.7, ofThreshold: 0.9 },
+  { zone: 3, name: 'Tempo', color: '#22c55e', ofMax: 0.8, ofThreshold: 0.95 },
+  { zone: 4, name: 'Threshold', color: '#f97316', ofMax: 0.9, ofThreshold: 1.0 },
+  { zone: 5, name: 'VO2 Max', color: '#dc2626', ofMax: Infinity, ofThreshold: Infinity },
+];
+
+// Gaps longer than this (paused watch, lost signal) don't count towards time in zone
+const MAX_SAMPLE_GAP_SECONDS = 60;
+
+/**
+ * Work out heart-rate zones from the athlete's profile settings
+ * Threshold HR is preferred, then max HR, then an age-based estimate of max HR (220 - age)
+ * @param {Object} profile - User profile ({ thresholdHeartRate?, maxHeartRate?, age? })
+ * @returns {Object|null} - { basis: 'threshold'|'max'|'age', reference (bpm), zones: [{ zone, name, color, min, max }] }
+ */
+export function getHeartRateZones(profile) {
+  let basis = null;
+  let reference = null;
+
+  if (profile?.thresholdHeartRate) {
+    basis = 'threshold';
+    reference = Number(profile.thresholdHeartRate);
+  } else if (profile?.maxHeartRate) {
+    basis = 'max';
+    reference = Number(profile.maxHeartRate);
+  } else if (profile?.age) {
+    basis = 'age';
+    reference = 220 - Number(profile.age);
+  }
+
+  if (!reference || isNaN(reference)) return null;
+
+  const fraction = basis === 'threshold' ? 'ofThreshold' : 'ofMax';
+  let min = 0;
+  const zones = HR_ZONES.map((zone) => {
+    const max = zone[fraction] === Infinity ? Infinity : Math.round(reference * zone[fraction]);
+    const bounds = { zone: zone.zone, name: zone.name, color: zone.color, min, max };
+    min = max;
+    return bounds;
+  });
+
+  return { basis, reference, zones };
+}
+
+/**
+ * Find the zone a heart rate falls in
+ * @returns {Object|null} - Zone from getHeartRateZones
+ */
+export function getZoneForHeartRate(heartRate, zones) {
+  if (heartRate === null || heartRate === undefined || !zones) return null;
+  return zones.find(zone => heartRate < zone.max) || zones[zones.length - 1];
+}
+
+/**
+ * Elapsed seconds to the next sample, for time-weighting
+ */
+function getSampleDurations(coordinates) {
+  return coordinates.map((point, index) => {
+    const next = coordinates[index + 1];
+    if (!next || !point.time || !next.time) return 0;
+    const seconds = (new Date(next.time) - new Date(point.time)) / 1000;
+    return seconds > 0 && seconds <= MAX_SAMPLE_GAP_SECONDS ? seconds : 0;
+  });
+}
+
+/**
+ * Average (time-weighted when timestamps exist) and max of one sensor channel
+ * @returns {Object|null} - { average, max } or null if the track has no samples
+ */
+function summarizeChannel(coordinates, durations, key) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+  let plainSum = 0;
+  let count = 0;
+  let max = -Infinity;
+
+  coordinates.forEach((point, index) => {
+    const value = point[key];
+    if (value === null || value === undefined || isNaN(value)) return;
+    weightedSum += value * durations[index];
+    totalWeight += durations[index];
+    plainSum += value;
+    count++;
+    max = Math.max(max, value);
+  });
+
+  if (count === 0) return null;
+  return { average: totalWeight > 0 ? weightedSum / totalWeight : plainSum / count, max };
+}
+
+/**
+ * Summarise heart rate, cadence and power samples on a track
+ * @param {Array} coordinates - Route coordinates
+ * @returns {Object} - { heartRate, cadence, power }, each { average, max } or null
+ */
+export function summarizeSensorData(coordinates) {
+  if (!coordinates || coordinates.length === 0) {
+    return { heartRate: null, cadence: null, power: null };
+  }
+  const durations = getSampleDurations(coordinates);
+  return {
+    heartRate: summarizeChannel(coordinates, durations, 'heartRate'),
+    cadence: summarizeChannel(coordinates, durations, 'cadence'),
+    power: summarizeChannel(coordinates, durations, 'power'),
+  };
+}
+
+/**
+ * Time spent in each heart-rate zone
+ * @param {Array} coordinates - Route coordinates with time and heartRate
+ * @param {Array} zones - From getHeartRateZones
+ * @returns {Array} - [{ ...zone, seconds, percent }]
+ */
+export function calculateTimeInZones(coordinates, zones) {
+  if (!coordinates || !zones) return [];
+
+  const durations = getSampleDurations(coordinates);
+  const seconds = zones.map(() => 0);
+
+  coordinates.forEach((point, index) => {
+    const zone = getZoneForHeartRate(point.heartRate, zones);
+    if (zone) seconds[zone.zone - 1] += durations[index];
+  });
+
+  const total = seconds.reduce((sum, value) => sum + value, 0);
+  return zones.map((zone, index) => ({
+    ...zone,
+    seconds: seconds[index],
+    percent: total > 0 ? (seconds[index] / total) * 100 : 0,
+  }));
+}
+
+/**
+ * Split a route into runs of consecutive points in the same HR zone, for colouring the map
+ * @param {Array} coordinates - Route coordinates with heartRate
+ * @param {Array} zones - From getHeartRateZones
+ * @returns {Array} - [{ color, positions: [[lat, lon], ...] }]
+ */
+export function buildZoneSegments(coordinates, zones) {
+  if (!coordinates || !zones) return [];
+
+  const segments = [];
+  let current = null;
+
+  coordinates.forEach((point) => {
+    const zone = getZoneForHeartRate(point.heartRate, zones);
+    const color = zone ? zone.color : '#000000';
+    const position = [point.lat, point.lon];
+
+    if (!current || current.color !== color) {
+      // Start the new run at the previous point so the line stays continuous
+      const previous = current ? current.positions[current.positions.length - 1] : null;
+      current = { color, positions: previous ? [previous, position] : [position] };
+      segments.push(current);
+    } else {
+      current.positions.push(position);
+    }
+  });
+
+  return segments;
+}
@@ -0,0 +1,341 @@
+import JSZip from 'jszip';
+import { firestoreDb } from './firestoreDb';
+import { buildGPX } from './gpxParser';
+import { formatDate } from './dateUtils';
+
+const ARCHIVE_FORMAT = 'bib-journal-archive';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_PATH = 'manifest.json';
+
+// Fields that only make sense inside the account the entry came from
+const ACCOUNT_FIELDS = ['id', 'userId', 'createdAt', 'updatedAt', 'pendingSync'];
+const PROFILE_ACCOUNT_FIELDS = ['id', 'userId', 'username', 'createdAt', 'updatedAt', 'onboardingCompleted'];
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+/**
+ * Key used to spot the same race in two journals (race name + race day)
+ */
+function getDuplicateKey(entry) {
+  const name = (entry.raceName || '').trim().toLowerCase();
+  return `${name}|${formatDate(entry.date, 'yyyy-MM-dd')}`;
+}
+
+function isRemoteUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//.test(value);
+}
+
+function omit(object, keys) {
+  const result = { ...object };
+  keys.forEach(key => delete result[key]);
+  return result;
+}
+
+/**
+ * Download a file from Storage into the archive, returning its path in the archive.
+ * Falls back to the remote URL if the download fails so nothing is silently dropped.
+ */
+async function addRemoteFile(zip, url, basePath, warnings) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+    const extension = IMAGE_EXTENSIONS[blob.type] || 'jpg';
+    const path = `${basePath}.${extension}`;
+    zip.file(path, blob);
+    return path;
+  } catch (error) {
+    console.warn(`Failed to download ${url} for export:`, error);
+    warnings.push(`Could not download ${basePath}; the archive links to the original instead.`);
+    return url;
+  }
+}
+
+/**
+ * Upload a file from the archive to Storage for the importing account.
+ * Remote URLs (files that couldn't be downloaded at export time) are kept as-is.
+ */
+async function uploadArchivedFile(zip, userId, value, storagePath) {
+  if (!value || isRemoteUrl(value)) return value || null;
+
+  const file = zip.file(value);
+  if (!file) {
+    throw new Error(`Archive is missing ${value}`);
+  }
+  const blob = await file.async('blob');
+  const name = value.split('/').pop();
+  const type = value.startsWith('entries/') && name.startsWith('route.')
+    ? 'application/octet-stream'
+    : Object.keys(IMAGE_EXTENSIONS).find(mime => name.endsWith(`.${IMAGE_EXTENSIONS[mime]}`)) || 'image/jpeg';
+  return firestoreDb.uploadImage(userId, new File([blob], name, { type }), storagePath);
+}
+
+/**
+ * Build the archive copy of an entry, downloading its photos and GPX track
+ */
+async function archiveEntry(zip, entry, warnings) {
+  const basePath = `entries/${entry.id}`;
+  const archived = {
+    ...omit(entry, [...ACCOUNT_FIELDS, 'gpxUrl']),
+    sourceId: entry.id,
+    date: formatDate(entry.date, 'yyyy-MM-dd') || null,
+  };
+
+  if (entry.bibPhoto) {
+    if (typeof entry.bibPhoto === 'string') {
+      archived.bibPhoto = await addRemoteFile(zip, entry.bibPhoto, `${basePath}/bib`, warnings);
+    } else {
+      archived.bibPhoto = { ...entry.bibPhoto };
+      for (const key of ['original', 'cropped', 'processed']) {
+        if (isRemoteUrl(entry.bibPhoto[key])) {
+          archived.bibPhoto[key] = await addRemoteFile(zip, entry.bibPhoto[key], `${basePath}/bib-${key}`, warnings);
+        }
+      }
+    }
+  }
+
+  for (const field of ['finisherPhoto', 'medalPhoto']) {
+    const value = entry[field];
+    if (isRemoteUrl(value)) {
+      archived[field] = await addRemoteFile(zip, value, `${basePath}/${field.replace('Photo', '')}`, warnings);
+    } else if (value && typeof value === 'object') {
+      // Older medal entries stored an object of URLs
+      archived[field] = { ...value };
+      for (const key of ['original', 'cropped', 'processed']) {
+        if (isRemoteUrl(value[key])) {
+          archived[field][key] = await addRemoteFile(zip, value[key], `${basePath}/${field.replace('Photo', '')}-${key}`, warnings);
+        }
+      }
+    }
+  }
+
+  // Original route file (GPX, TCX, FIT...), or a GPX rebuilt from the route for entries saved before originals were kept
+  if (entry.gpxUrl) {
+    try {
+      const response = await fetch(entry.gpxUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const extension = typeof entry.gpxFile === 'string' && entry.gpxFile.includes('.')
+        ? entry.gpxFile.split('.').pop().toLowerCase()
+        : 'gpx';
+      archived.gpxPath = `${basePath}/route.${extension}`;
+      zip.file(archived.gpxPath, await response.blob());
+    } catch (error) {
+      console.warn(`Failed to download route file for ${entry.raceName}:`, error);
+    }
+  }
+  if (!archived.gpxPath && entry.routeData?.coordinates?.length) {
+    archived.gpxPath = `${basePath}/route.gpx`;
+    zip.file(archived.gpxPath, buildGPX(entry.routeData, entry.raceName));
+  }
+
+  return archived;
+}
+
+/**
+ * Export a user's whole journal (profile, entries, photos and GPX tracks) as a zip archive
+ * @param {string} userId - The user to export
+ * @param {Function} onProgress - Called with { current, total, message }
+ * @returns {Promise<{ blob: Blob, filename: string, warnings: string[] }>}
+ */
+export async function exportJournal(userId, onProgress = () => {}) {
+  const zip = new JSZip();
+  const warnings = [];
+
+  onProgress({ current: 0, total: 0, message: 'Loading your journal...' });
+  const [entries, profile] = await Promise.all([
+    firestoreDb.getEntries(userId),
+    firestoreDb.getUserProfile(userId),
+  ]);
+
+  let archivedProfile = null;
+  if (profile) {
+    archivedProfile = omit(profile, ['id', 'userId', 'createdAt', 'updatedAt']);
+    if (isRemoteUrl(profile.profilePhoto)) {
+      archivedProfile.profilePhoto = await addRemoteFile(zip, profile.profilePhoto, 'profile/photo', warnings);
+    }
+    if (Array.isArray(profile.gear)) {
+      archivedProfile.gear = [];
+      for (const item of profile.gear) {
+        archivedProfile.gear.push(isRemoteUrl(item.photo)
+          ? { ...item, photo: await addRemoteFile(zip, item.photo, `profile/gear/${item.id}`, warnings) }
+          : item);
+      }
+    }
+  }
+
+  const archivedEntries = [];
+  for (let i = 0; i < entries.length; i++) {
+    onProgress({ current: i, total: entries.length, message: `Packing ${entries[i].raceName || 'race'}...` });
+    archivedEntries.push(await archiveEntry(zip, entries[i], warnings));
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: archivedProfile,
+    entries: archivedEntries,
+  };
+  zip.file(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+
+  onProgress({ current: entries.length, total: entries.length, message: 'Compressing archive...' });
+  const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+
+  return {
+    blob,
+    filename: `bib-journal-${formatDate(new Date(), 'yyyy-MM-dd')}.zip`,
+    warnings,
+  };
+}
+
+/**
+ * Open an exported archive and validate its manifest
+ * @param {File} file - The zip archive
+ * @returns {Promise<{ zip: JSZip, manifest: Object }>}
+ */
+export async function readJournalArchive(file) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (error) {
+    console.error('Failed to open archive:', error);
+    throw new Error('This file is not a valid Bib Journal archive.');
+  }
+
+  const manifestFile = zip.file(MANIFEST_PATH);
+  if (!manifestFile) {
+    throw new Error('This file is not a valid Bib Journal archive.');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestFile.async('string'));
+  } catch (error) {
+    console.error('Failed to read archive manifest:', error);
+    throw new Error('This file is not a valid Bib Journal archive.');
+  }
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.entries)) {
+    throw new Error('This file is not a valid Bib Journal archive.');
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error('This archive was made by a newer version of Bib Journal.');
+  }
+
+  return { zip, manifest };
+}
+
+/**
+ * Find archive entries that already exist in a journal (same race name and date)
+ * @returns {Set<string>} - sourceIds of the duplicate archive entries
+ */
+export function findDuplicateEntries(archivedEntries, existingEntries) {
+  const existingKeys = new Set(existingEntries.map(getDuplicateKey));
+  return new Set(
+    archivedEntries
+      .filter(entry => existingKeys.has(getDuplicateKey(entry)))
+      .map(entry => entry.sourceId)
+  );
+}
+
+/**
+ * Restore an archive into an account. Works across accounts and Firebase projects:
+ * every photo and GPX track is re-uploaded to the importing user's Storage.
+ * @param {string} userId - The account to import into
+ * @param {{ zip: JSZip, manifest: Object }} archive - From readJournalArchive
+ * @param {Object} options - { skipDuplicates, restoreProfile }
+ * @param {Function} onProgress - Called with { current, total, message }
+ * @returns {Promise<{ imported: number, skipped: number, failed: Array }>}
+ */
+export async function importJournal(userId, archive, options = {}, onProgress = () => {}) {
+  const { skipDuplicates = true, restoreProfile = false } = options;
+  const { zip, manifest } = archive;
+  const result = { imported: 0, skipped: 0, failed: [] };
+
+  const existingEntries = await firestoreDb.getEntries(userId);
+  const seenKeys = new Set(skipDuplicates ? existingEntries.map(getDuplicateKey) : []);
+  const total = manifest.entries.length;
+
+  for (let i = 0; i < total; i++) {
+    const archived = manifest.entries[i];
+    onProgress({ current: i, total, message: `Importing ${archived.raceName || 'race'}...` });
+
+    const key = getDuplicateKey(archived);
+    if (skipDuplicates && seenKeys.has(key)) {
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const entry = omit(archived, [...ACCOUNT_FIELDS, 'sourceId', 'gpxPath']);
+
+      if (archived.bibPhoto && typeof archived.bibPhoto === 'object') {
+        entry.bibPhoto = { ...archived.bibPhoto };
+        for (const photoKey of ['original', 'cropped', 'processed']) {
+          if (archived.bibPhoto[photoKey]) {
+            entry.bibPhoto[photoKey] = await uploadArchivedFile(zip, userId, archived.bibPhoto[photoKey], 'bib-photos');
+          }
+        }
+      } else if (archived.bibPhoto) {
+        entry.bibPhoto = await uploadArchivedFile(zip, userId, archived.bibPhoto, 'bib-photos');
+      }
+
+      for (const [field, storagePath] of [['finisherPhoto', 'finisher-photos'], ['medalPhoto', 'medal-photos']]) {
+        const value = archived[field];
+        if (value && typeof value === 'object') {
+          entry[field] = { ...value };
+          for (const photoKey of ['original', 'cropped', 'processed']) {
+            if (value[photoKey]) {
+              entry[field][photoKey] = await uploadArchivedFile(zip, userId, value[photoKey], storagePath);
+            }
+          }
+        } else if (value) {
+          entry[field] = await uploadArchivedFile(zip, userId, value, storagePath);
+        }
+      }
+
+      if (archived.gpxPath) {
+        entry.gpxUrl = await uploadArchivedFile(zip, userId, archived.gpxPath, 'gpx-tracks');
+      }
+
+      await firestoreDb.addEntry(userId, entry);
+      seenKeys.add(key);
+      result.imported++;
+    } catch (error) {
+      console.error(`Failed to import ${archived.raceName}:`, error);
+      result.failed.push({ raceName: archived.raceName, error: error.message });
+    }
+  }
+
+  if (restoreProfile && manifest.profile) {
+    onProgress({ current: total, total, message: 'Restoring profile...' });
+    const currentProfile = await firestoreDb.getUserProfile(userId);
+    const profileData = omit(manifest.profile, PROFILE_ACCOUNT_FIELDS);
+    if (profileData.profilePhoto) {
+      profileData.profilePhoto = await uploadArchivedFile(zip, userId, profileData.profilePhoto, 'profile');
+    }
+    if (Array.isArray(profileData.gear)) {
+      profileData.gear = await Promise.all(profileData.gear.map(async item => ({
+        ...item,
+        photo: await uploadArchivedFile(zip, userId, item.photo, 'gear'),
+      })));
+    }
+    // Usernames are unique per project, so the importing account keeps its own
+    await firestoreDb.upsertUserProfile(userId, {
+      ...profileData,
+      username: currentProfile?.username || '',
+      onboardingCompleted: currentProfile?.onboardingCompleted ?? true,
+    });
+  }
+
+  onProgress({ current: total, total, message: 'Done' });
+  return result;
+}
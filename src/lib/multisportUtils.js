@@ -0,0 +1,184 @@
+import { parseTimeToSeconds } from './statsUtils';
+import { formatPace, formatSwimPace, formatSpeed } from './units';
+
+// Leg types - swims are paced per 100m/100yd, bikes by speed and runs per km/mile
+export const LEG_TYPES = {
+  swim: { label: 'Swim', discipline: 'swim', color: '#0ea5e9' },
+  t1: { label: 'T1', discipline: 'transition', color: '#9ca3af' },
+  bike: { label: 'Bike', discipline: 'bike', color: '#f97316' },
+  t2: { label: 'T2', discipline: 'transition', color: '#9ca3af' },
+  run: { label: 'Run', discipline: 'run', color: '#22c55e' },
+};
+
+// Default leg order for each multisport distance
+export const MULTISPORT_FORMATS = {
+  Triathlon: ['swim', 't1', 'bike', 't2', 'run'],
+  Duathlon: ['run', 't1', 'bike', 't2', 'run'],
+};
+
+export const DISCIPLINES = ['swim', 'bike', 'run'];
+
+/**
+ * Whether a race distance is raced in legs
+ */
+export function isMultisportDistance(raceDistance) {
+  return !!MULTISPORT_FORMATS[raceDistance];
+}
+
+/**
+ * Whether an entry is a multisport race - old entries stored the distance in raceType
+ */
+export function isMultisportRace(entry) {
+  return isMultisportDistance(entry.raceDistance || entry.raceType) || (entry.legs?.length || 0) > 0;
+}
+
+/**
+ * Empty legs in the usual order for a multisport distance
+ */
+export function createLegs(raceDistance) {
+  return (MULTISPORT_FORMATS[raceDistance] || []).map(type => ({ type, distance: '', time: '' }));
+}
+
+/**
+ * Whether a leg is a transition (no distance or pace)
+ */
+export function isTransition(leg) {
+  return LEG_TYPES[leg.type]?.discipline === 'transition';
+}
+
+/**
+ * Distance (km) and time (seconds) for a leg, falling back to its route file
+ */
+function getLegMeasures(leg) {
+  const distanceKm = isTransition(leg)
+    ? null
+    : Number(leg.distance) || leg.routeData?.stats?.distance || null;
+  const seconds = parseTimeToSeconds(leg.time) || leg.routeData?.stats?.totalTime || null;
+  return { distanceKm, seconds };
+}
+
+/**
+ * Format a leg's pace or speed in its discipline's unit
+ * @param {string} units - 'metric' or 'imperial'
+ * @returns {string|null} - e.g. "1:52/100m", "32.4 km/h" or "5:30/km"
+ */
+export function getLegPace(leg, units = 'metric') {
+  const { distanceKm, seconds } = getLegMeasures(leg);
+  if (!distanceKm || !seconds) return null;
+  return formatDisciplinePace(LEG_TYPES[leg.type]?.discipline, distanceKm, seconds, units);
+}
+
+/**
+ * Format pace for a discipline from a distance and time
+ */
+export function formatDisciplinePace(discipline, distanceKm, seconds, units = 'metric') {
+  if (!distanceKm || !seconds) return null;
+  if (discipline === 'swim') {
+    return formatSwimPace(seconds / distanceKm, units);
+  }
+  if (discipline === 'bike') {
+    return formatSpeed(distanceKm / (seconds / 3600), units);
+  }
+  if (discipline === 'run') {
+    return formatPace(seconds / distanceKm, units);
+  }
+  return null;
+}
+
+/**
+ * Check legs have sensible distances and times
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateLegs(legs) {
+  if (!legs) return null;
+
+  for (const [index, leg] of legs.entries()) {
+    const label = `${LEG_TYPES[leg.type]?.label || 'Leg'} (leg ${index + 1})`;
+    const time = leg.time?.trim();
+    if (time && (!parseTimeToSeconds(time) || !/^\d{1,2}(:\d{1,2}){1,2}$/.test(time))) {
+      return `${label} time should be like 1:05:30 or 2:15`;
+    }
+    if (!isTransition(leg) && leg.distance !== '' && leg.distance !== null && leg.distance !== undefined) {
+      const distance = Number(leg.distance);
+      if (isNaN(distance) || distance <= 0) {
+        return `${label} distance should be a number of kilometers`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Break a multisport entry into its legs with times, paces and share of the total
+ * @returns {Object|null} - { legs: [{ index, type, label, discipline, color, distanceKm, seconds, pace, share, routeData }], totalSeconds }
+ */
+export function summarizeLegs(entry, units = 'metric') {
+  if (!entry.legs?.length) return null;
+
+  const legs = entry.legs.map((leg, index) => {
+    const legType = LEG_TYPES[leg.type] || LEG_TYPES.run;
+    const { distanceKm, seconds } = getLegMeasures(leg);
+    return {
+      index,
+      type: leg.type,
+      label: legType.label,
+      discipline: legType.discipline,
+      color: legType.color,
+      distanceKm,
+      seconds,
+      pace: getLegPace(leg, units),
+      routeData: leg.routeData || null,
+    };
+  });
+
+  const totalSeconds = legs.reduce((sum, leg) => sum + (leg.seconds || 0), 0);
+  legs.forEach((leg) => {
+    leg.share = totalSeconds > 0 && leg.seconds ? leg.seconds / totalSeconds : 0;
+  });
+
+  return { legs, totalSeconds };
+}
+
+/**
+ * Totals per discipline across multisport races
+ * @returns {Object|null} - { races, swim, bike, run, transition } with each as { legs, distance, seconds, pace }
+ */
+export function aggregateDisciplines(entries, units = 'metric') {
+  const totals = { races: 0 };
+  [...DISCIPLINES, 'transition'].forEach((discipline) => {
+    totals[discipline] = { legs: 0, distance: 0, seconds: 0, pace: null };
+  });
+
+  // Pace only counts legs with both a distance and a time, so keep those separately
+  const timed = {};
+  DISCIPLINES.forEach((discipline) => {
+    timed[discipline] = { distance: 0, seconds: 0 };
+  });
+
+  entries.forEach((entry) => {
+    if (!entry.legs?.length) return;
+    totals.races++;
+
+    entry.legs.forEach((leg) => {
+      const discipline = LEG_TYPES[leg.type]?.discipline;
+      if (!discipline) return;
+      const { distanceKm, seconds } = getLegMeasures(leg);
+      const total = totals[discipline];
+      total.legs++;
+      total.distance += distanceKm || 0;
+      total.seconds += seconds || 0;
+      if (timed[discipline] && distanceKm && seconds) {
+        timed[discipline].distance += distanceKm;
+        timed[discipline].seconds += seconds;
+      }
+    });
+  });
+
+  if (totals.races === 0) return null;
+
+  DISCIPLINES.forEach((discipline) => {
+    totals[discipline].pace = formatDisciplinePace(discipline, timed[discipline].distance, timed[discipline].seconds, units);
+  });
+  return totals;
+}
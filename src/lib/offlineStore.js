@@ -0,0 +1,243 @@
+import db from './db';
+import { parseLocalDate } from './dateUtils';
+
+const IMAGE_FIELDS = ['bibPhoto', 'finisherPhoto', 'medalPhoto'];
+
+// Object URLs handed out for cached/pending images, keyed so they can be reused and revoked
+const objectUrls = new Map();
+
+/**
+ * Collect the remote image URLs referenced by an entry
+ */
+function getEntryImageUrls(entry) {
+  const urls = [];
+  IMAGE_FIELDS.forEach((field) => {
+    const value = entry[field];
+    if (!value) return;
+    if (typeof value === 'string') {
+      urls.push(value);
+    } else if (typeof value === 'object' && !(value instanceof Blob)) {
+      ['original', 'cropped', 'processed'].forEach((key) => {
+        if (typeof value[key] === 'string') urls.push(value[key]);
+      });
+    }
+  });
+  return urls.filter(url => url.startsWith('http'));
+}
+
+/**
+ * Get (or create) an object URL for a blob under a stable key
+ */
+function getObjectUrl(key, blob) {
+  const existing = objectUrls.get(key);
+  if (existing && existing.blob === blob) {
+    return existing.url;
+  }
+  if (existing) {
+    URL.revokeObjectURL(existing.url);
+  }
+  const url = URL.createObjectURL(blob);
+  objectUrls.set(key, { blob, url });
+  return url;
+}
+
+/**
+ * Sort entries by date, newest first (same order as firestoreDb.getEntries)
+ */
+function sortByDateDesc(entries) {
+  return entries.sort((a, b) => {
+    const dateA = parseLocalDate(a.date) || new Date(0);
+    const dateB = parseLocalDate(b.date) || new Date(0);
+    return dateB - dateA;
+  });
+}
+
+/**
+ * IndexedDB (Dexie) operations for the local mirror of the journal
+ */
+export const offlineStore = {
+  /**
+   * Get all mirrored entries for a user
+   */
+  async getEntries(userId) {
+    const entries = await db.entries.where('userId').equals(userId).toArray();
+    return sortByDateDesc(entries);
+  },
+
+  /**
+   * Get a single mirrored entry
+   */
+  async getEntry(entryId) {
+    return (await db.entries.get(entryId)) || null;
+  },
+
+  /**
+   * Write an entry to the mirror
+   */
+  async putEntry(entry) {
+    await db.entries.put(entry);
+  },
+
+  /**
+   * Remove an entry from the mirror
+   */
+  async deleteEntry(entryId) {
+    await db.entries.delete(entryId);
+  },
+
+  /**
+   * Replace the mirror for a user with the entries fetched from Firestore.
+   * Entries with changes still waiting to sync are left untouched.
+   */
+  async cacheEntries(userId, remoteEntries) {
+    await db.transaction('rw', db.entries, async () => {
+      const localEntries = await db.entries.where('userId').equals(userId).toArray();
+      const pendingIds = new Set(localEntries.filter(e => e.pendingSync).map(e => e.id));
+      const remoteIds = new Set(remoteEntries.map(e => e.id));
+
+      const staleIds = localEntries
+        .filter(e => !e.pendingSync && !remoteIds.has(e.id))
+        .map(e => e.id);
+      await db.entries.bulkDelete(staleIds);
+
+      const toStore = remoteEntries
+        .filter(e => !pendingIds.has(e.id))
+        .map(e => ({ ...e, userId }));
+      await db.entries.bulkPut(toStore);
+    });
+  },
+
+  /**
+   * Get a cached user profile
+   */
+  async getProfile(userId) {
+    const cached = await db.profiles.get(userId);
+    return cached ? cached.profile : null;
+  },
+
+  /**
+   * Cache a user profile
+   */
+  async cacheProfile(userId, profile) {
+    if (!profile) return;
+    await db.profiles.put({ userId, profile, cachedAt: new Date() });
+  },
+
+  /**
+   * Download and cache image blobs for entries (skips images already cached)
+   * Runs best-effort: an image that can't be fetched is simply retried next time
+   */
+  async cacheEntryImages(entries) {
+    const urls = [...new Set(entries.flatMap(getEntryImageUrls))];
+    const cachedUrls = new Set(await db.images.where('url').anyOf(urls).primaryKeys());
+    const missing = urls.filter(url => !cachedUrls.has(url));
+
+    for (const url of missing) {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) continue;
+        const blob = await response.blob();
+        await db.images.put({ url, blob, cachedAt: new Date() });
+      } catch (error) {
+        console.warn('Failed to cache image for offline use:', error);
+      }
+    }
+
+    // Drop images no longer referenced by any mirrored entry
+    const allEntries = await db.entries.toArray();
+    const referenced = new Set(allEntries.flatMap(getEntryImageUrls));
+    const allCached = await db.images.toCollection().primaryKeys();
+    await db.images.bulkDelete(allCached.filter(url => !referenced.has(url)));
+  },
+
+  /**
+   * Swap pending image files (and, with useCache, remote image URLs)
+   * for local object URLs so entries can be displayed without a connection
+   */
+  async resolveEntryImages(entry, useCache = true) {
+    if (!entry) return entry;
+    const resolved = { ...entry };
+
+    const resolveUrl = async (url) => {
+      if (!useCache || typeof url !== 'string' || !url.startsWith('http')) return url;
+      const cached = await db.images.get(url);
+      return cached ? getObjectUrl(url, cached.blob) : url;
+    };
+
+    for (const field of IMAGE_FIELDS) {
+      const value = entry[field];
+      if (!value) continue;
+
+      if (value instanceof Blob) {
+        // Not uploaded yet - display straight from the stored file
+        const url = getObjectUrl(`${entry.id}:${field}`, value);
+        resolved[field] = field === 'bibPhoto'
+          ? { original: url, cropped: url, useCropped: true }
+          : url;
+      } else if (typeof value === 'string') {
+        resolved[field] = await resolveUrl(value);
+      } else if (typeof value === 'object') {
+        const resolvedValue = { ...value };
+        for (const key of ['original', 'cropped', 'processed']) {
+          if (value[key]) {
+            resolvedValue[key] = await resolveUrl(value[key]);
+          }
+        }
+        resolved[field] = resolvedValue;
+      }
+    }
+
+    return resolved;
+  },
+
+  /**
+   * Write-ahead queue operations
+   */
+
+  /**
+   * Get queued operations for a user in the order they were made
+   */
+  async getQueue(userId) {
+    return db.syncQueue.where('userId').equals(userId).sortBy('seq');
+  },
+
+  /**
+   * Append an operation to the queue
+   */
+  async enqueue(operation) {
+    return db.syncQueue.add({ ...operation, queuedAt: new Date() });
+  },
+
+  /**
+   * Replace a queued operation
+   */
+  async updateQueued(seq, changes) {
+    await db.syncQueue.update(seq, changes);
+  },
+
+  /**
+   * Remove a queued operation once it has been replayed
+   */
+  async dequeue(seq) {
+    await db.syncQueue.delete(seq);
+  },
+
+  /**
+   * Remove every queued operation for an entry
+   */
+  async dequeueEntry(entryId) {
+    await db.syncQueue.where('entryId').equals(entryId).delete();
+  },
+
+  /**
+   * Point queued operations and the mirror at the Firestore ID
+   * once an entry created offline has been uploaded
+   */
+  async remapEntryId(localId, remoteId, remoteEntry) {
+    await db.transaction('rw', db.entries, db.syncQueue, async () => {
+      await db.entries.delete(localId);
+      await db.entries.put({ ...remoteEntry, id: remoteId });
+      await db.syncQueue.where('entryId').equals(localId).modify({ entryId: remoteId });
+    });
+  },
+};
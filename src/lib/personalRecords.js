@@ -0,0 +1,131 @@
+import { isFinishedRace, getRaceDistanceKm, getDistanceLabel, getDistancePreset, isVariableDistance } from './raceUtils';
+import { parseTimeToSeconds } from './statsUtils';
+import { parseLocalDate } from './dateUtils';
+import { isMultisportRace } from './multisportUtils';
+import { buildRaceSeries } from './raceSeries';
+
+/**
+ * Get the distance and surface an entry's time counts towards, or null if it can't be compared
+ * Any race with a fixed official distance counts; backyard ultras, multisport and 'Ultra'/'Other' without a distance don't.
+ * Old entries stored the distance in raceType and were all road races
+ * @returns {Object|null} - { key, distance, surface, km }
+ */
+export function getRecordCategory(entry) {
+  if (isMultisportRace(entry) || isVariableDistance(entry.raceDistance)) return null;
+  const km = getRaceDistanceKm(entry);
+  if (!km) return null;
+
+  const distance = getDistanceLabel(entry) || getDistancePreset(entry.raceType)?.label;
+  if (!distance) return null;
+  const surface = entry.raceDistance ? entry.raceType || 'Road' : 'Road';
+  return { key: `${distance} ${surface}`, distance, surface, km };
+}
+
+/**
+ * Key identifying a course - editions of the same race series (or races with the same name)
+ * run at the same distance and surface
+ */
+function getCourseKey(entry, category, seriesIds) {
+  const race = seriesIds.get(entry.id) || (entry.raceName || '').trim().toLowerCase();
+  return `${race}|${category.key}`;
+}
+
+/**
+ * Timed, comparable results in date order - a DNF's time never counts
+ */
+function getTimedResults(entries) {
+  return entries
+    .filter(isFinishedRace)
+    .map((entry) => {
+      const category = getRecordCategory(entry);
+      const seconds = parseTimeToSeconds(entry.results?.finishTime);
+      const date = parseLocalDate(entry.date);
+      if (!category || !seconds || !date || isNaN(date.getTime())) return null;
+      return { entry, category, seconds, date };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Work out personal records from a set of race entries
+ * Road and trail are tracked separately, so a slow trail half never counts against a road PR
+ * @param {Array} entries - Race entries
+ * @param {Array} allSeries - The entries' series from buildRaceSeries, when already built
+ * @returns {Object} - {
+ *   categories: [{ key, distance, surface, current, history: [{ entryId, raceName, date, seconds, improvement }] }],
+ *   badges: { [entryId]: 'pr' | 'course' },
+ *   staleFlags: [{ entryId, raceName, isPersonalBest, shouldBe }]
+ * }
+ */
+export function computePersonalRecords(entries, allSeries = buildRaceSeries(entries)) {
+  const categories = {};
+  const courses = {};
+  const seriesIds = new Map();
+  allSeries.forEach((series) => {
+    series.entries.forEach(entry => seriesIds.set(entry.id, series.id));
+  });
+
+  getTimedResults(entries).forEach(({ entry, category, seconds, date }) => {
+    if (!categories[category.key]) {
+      categories[category.key] = { ...category, current: null, history: [] };
+    }
+    const record = categories[category.key];
+
+    // A race joins the history if it beat every earlier time at this distance
+    if (!record.current || seconds < record.current.seconds) {
+      const result = {
+        entryId: entry.id,
+        raceName: entry.raceName,
+        date,
+        seconds,
+        improvement: record.current ? record.current.seconds - seconds : null,
+      };
+      record.history.push(result);
+      record.current = result;
+    }
+
+    const courseKey = getCourseKey(entry, category, seriesIds);
+    if (!courses[courseKey]) {
+      courses[courseKey] = { best: null, runs: 0 };
+    }
+    courses[courseKey].runs++;
+    if (!courses[courseKey].best || seconds < courses[courseKey].best.seconds) {
+      courses[courseKey].best = { entryId: entry.id, seconds };
+    }
+  });
+
+  // Current PRs take precedence; course records only mean something once a course has been run twice
+  const badges = {};
+  Object.values(courses).forEach((course) => {
+    if (course.runs > 1) badges[course.best.entryId] = 'course';
+  });
+  Object.values(categories).forEach((record) => {
+    badges[record.current.entryId] = 'pr';
+  });
+
+  // Manual flags that no longer match - only judged for entries the engine can rank
+  const currentPrIds = new Set(Object.values(categories).map(record => record.current.entryId));
+  const rankedIds = new Set(getTimedResults(entries).map(result => result.entry.id));
+
+  // Races the engine can't rank (ultras, untimed) keep their manual flag
+  entries.forEach((entry) => {
+    if (entry.isPersonalBest && !rankedIds.has(entry.id)) badges[entry.id] = 'pr';
+  });
+  const staleFlags = entries
+    .filter(entry => rankedIds.has(entry.id) && !!entry.isPersonalBest !== currentPrIds.has(entry.id))
+    .map(entry => ({
+      entryId: entry.id,
+      raceName: entry.raceName,
+      isPersonalBest: !!entry.isPersonalBest,
+      shouldBe: currentPrIds.has(entry.id),
+    }));
+
+  // Shortest distance first, road before trail
+  const order = (a, b) => a.km - b.km || (a.surface === 'Trail' ? 1 : 0) - (b.surface === 'Trail' ? 1 : 0);
+  return {
+    categories: Object.values(categories).sort(order),
+    badges,
+    staleFlags,
+  };
+}
@@ -0,0 +1,110 @@
+import { parseTimeToSeconds } from './statsUtils';
+import { getRaceDistanceKm } from './raceUtils';
+import { calculateSplits, calculatePaceSeries } from './splitUtils';
+import { buildElevationProfile, downsampleProfile } from './elevationUtils';
+
+// Results compared side by side - lowerIsBetter decides which race the difference favours
+export const COMPARISON_METRICS = [
+  { key: 'seconds', label: 'Finish time', lowerIsBetter: true },
+  { key: 'pace', label: 'Pace', lowerIsBetter: true },
+  { key: 'overallPlace', label: 'Overall place', lowerIsBetter: true },
+  { key: 'overallPercent', label: 'Overall percentile', lowerIsBetter: true },
+  { key: 'ageGroupPlace', label: 'Age group place', lowerIsBetter: true },
+  { key: 'ageGroupPercent', label: 'Age group percentile', lowerIsBetter: true },
+  { key: 'elevationGain', label: 'Elevation gain', lowerIsBetter: null },
+];
+
+/**
+ * Share of the field finishing ahead of or with you, as a percentage - 12th of 400 is the top 3%
+ */
+function getTopPercent(place, participants) {
+  const placeNumber = Number(place);
+  const participantNumber = Number(participants);
+  if (!placeNumber || !participantNumber) return null;
+  return (placeNumber / participantNumber) * 100;
+}
+
+/**
+ * Raw numbers for a race, for comparing against another
+ * Pace is seconds per km, over the official distance or the route distance when there isn't one
+ */
+export function getComparisonValues(entry) {
+  const results = entry.results || {};
+  const seconds = parseTimeToSeconds(results.finishTime);
+  const km = getRaceDistanceKm(entry) || entry.routeData?.stats?.distance || null;
+
+  return {
+    seconds,
+    km,
+    pace: seconds && km ? seconds / km : null,
+    overallPlace: Number(results.overallPlace) || null,
+    overallParticipants: Number(results.overallParticipants) || null,
+    overallPercent: getTopPercent(results.overallPlace, results.overallParticipants),
+    ageGroupPlace: Number(results.ageGroupPlace) || null,
+    ageGroupParticipants: Number(results.ageGroupParticipants) || null,
+    ageGroupPercent: getTopPercent(results.ageGroupPlace, results.ageGroupParticipants),
+    elevationGain: entry.routeData?.stats?.elevationGain ?? null,
+  };
+}
+
+/**
+ * Compare the results of two races
+ * @returns {Array} - [{ key, label, a, b, diff, better }] for metrics either race has, where diff is b - a
+ *   and better is 'a', 'b' or null
+ */
+export function compareResults(entryA, entryB) {
+  const valuesA = getComparisonValues(entryA);
+  const valuesB = getComparisonValues(entryB);
+
+  return COMPARISON_METRICS
+    .map(({ key, label, lowerIsBetter }) => {
+      const a = valuesA[key];
+      const b = valuesB[key];
+      const diff = a !== null && b !== null ? b - a : null;
+      let better = null;
+      if (diff && lowerIsBetter !== null) {
+        better = (diff < 0) === lowerIsBetter ? 'b' : 'a';
+      }
+      return { key, label, a, b, diff, better };
+    })
+    .filter(row => row.a !== null || row.b !== null);
+}
+
+/**
+ * Line up two races' splits by split number
+ * @param {string} unit - 'km' or 'mi'
+ * @returns {Array} - [{ number, a, b, diff }] where a and b are splits from calculateSplits (or null past the
+ *   end of a race) and diff is the difference in split time, b - a
+ */
+export function alignSplits(entryA, entryB, unit = 'km') {
+  const splitsA = entryA.routeData?.coordinates ? calculateSplits(entryA.routeData.coordinates, unit) : [];
+  const splitsB = entryB.routeData?.coordinates ? calculateSplits(entryB.routeData.coordinates, unit) : [];
+  if (splitsA.length === 0 || splitsB.length === 0) return [];
+
+  return Array.from({ length: Math.max(splitsA.length, splitsB.length) }, (_, index) => {
+    const a = splitsA[index] || null;
+    const b = splitsB[index] || null;
+    // Partial splits cover different distances, so only compare their pace
+    const diff = a && b ? (b.pace - a.pace) * Math.min(a.distance, b.distance) : null;
+    return { number: index + 1, a, b, diff };
+  });
+}
+
+/**
+ * Distance-aligned pace and elevation series for drawing two races on the same chart
+ * @returns {Object} - { pace: [seriesA, seriesB], elevation: [seriesA, seriesB] } where each series is
+ *   [{ distance (km), value }] and empty when the race has no route data for it
+ */
+export function buildComparisonSeries(entryA, entryB, unit = 'km') {
+  const paceSeries = (entry) => (entry.routeData?.coordinates
+    ? calculatePaceSeries(entry.routeData.coordinates, unit).map(point => ({ distance: point.distance, value: point.pace }))
+    : []);
+  const elevationSeries = (entry) => (entry.routeData?.coordinates
+    ? downsampleProfile(buildElevationProfile(entry.routeData.coordinates)).map(point => ({ distance: point.distance, value: point.elevation }))
+    : []);
+
+  return {
+    pace: [paceSeries(entryA), paceSeries(entryB)],
+    elevation: [elevationSeries(entryA), elevationSeries(entryB)],
+  };
+}
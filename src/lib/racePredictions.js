@@ -0,0 +1,162 @@
+import { parseTimeToSeconds } from './statsUtils';
+import { isFinishedRace, isUpcomingRace, isVariableDistance, getRaceDistanceKm, getDistanceLabel, getDistancePreset, getUnitKm } from './raceUtils';
+import { isMultisportRace } from './multisportUtils';
+import { parseLocalDate } from './dateUtils';
+
+// Standard distances predicted on the home screen
+export const PREDICTION_DISTANCES = ['5K', '10K', 'Half Marathon', 'Marathon'];
+
+// Riegel's fatigue exponent
+const RIEGEL_EXPONENT = 1.06;
+
+// VDOT is only defined from about 1500m up
+const MIN_SOURCE_KM = 1.5;
+
+// Results older than this aren't used at all
+const MAX_SOURCE_AGE_DAYS = 730;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Riegel prediction: T2 = T1 × (D2 / D1)^1.06
+ */
+export function riegelPredict(seconds, fromKm, toKm) {
+  return seconds * Math.pow(toKm / fromKm, RIEGEL_EXPONENT);
+}
+
+/**
+ * Daniels/Gilbert VDOT for a race result
+ */
+export function calculateVdot(seconds, km) {
+  const minutes = seconds / 60;
+  const velocity = (km * 1000) / minutes; // meters per minute
+  const oxygenCost = -4.60 + 0.182258 * velocity + 0.000104 * velocity * velocity;
+  const fractionOfMax = 0.8 + 0.1894393 * Math.exp(-0.012778 * minutes) + 0.2989558 * Math.exp(-0.1932605 * minutes);
+  return oxygenCost / fractionOfMax;
+}
+
+/**
+ * Time a runner of a given VDOT would run a distance in
+ * VDOT falls as time rises, so bisect for the time that matches
+ */
+export function vdotPredict(vdot, km) {
+  let fast = 60;
+  let slow = 60 * 60 * 48;
+  for (let i = 0; i < 60; i++) {
+    const middle = (fast + slow) / 2;
+    if (calculateVdot(middle, km) > vdot) {
+      fast = middle;
+    } else {
+      slow = middle;
+    }
+  }
+  return (fast + slow) / 2;
+}
+
+/**
+ * Recent finished road results that can predict other distances
+ * @returns {Array} - [{ entryId, raceName, date, km, seconds, distanceLabel, vdot }]
+ */
+export function getPredictionSources(entries, now = new Date()) {
+  return entries
+    .filter(entry => isFinishedRace(entry) && !isMultisportRace(entry) && !isVariableDistance(entry.raceDistance))
+    .filter(entry => entry.raceType !== 'Trail')
+    .map((entry) => {
+      const seconds = parseTimeToSeconds(entry.results?.finishTime);
+      const km = getRaceDistanceKm(entry) || entry.routeData?.stats?.distance || null;
+      const date = parseLocalDate(entry.date);
+      if (!seconds || !km || km < MIN_SOURCE_KM || !date || isNaN(date.getTime())) return null;
+
+      const ageDays = (now - date) / DAY_MS;
+      if (ageDays < 0 || ageDays > MAX_SOURCE_AGE_DAYS) return null;
+
+      return {
+        entryId: entry.id,
+        raceName: entry.raceName,
+        date,
+        ageDays,
+        km,
+        seconds,
+        distanceLabel: getDistanceLabel(entry) || `${km.toFixed(1)} km`,
+        vdot: calculateVdot(seconds, km),
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * How much to trust a source for a target distance, from 0 to 1
+ * Recent races count more, and so do races close to the target distance
+ */
+function scoreSource(source, km) {
+  const recency = Math.exp(-source.ageDays / 365);
+  const distanceGap = Math.abs(Math.log(km / source.km));
+  const comparability = Math.exp(-distanceGap);
+  return { recency, distanceGap, score: recency * comparability };
+}
+
+/**
+ * Predict a time for a distance from the most trustworthy source result
+ * @returns {Object|null} - { seconds, riegelSeconds, vdotSeconds, lowSeconds, highSeconds, confidence, source }
+ *   where confidence is 'high', 'medium' or 'low' and low/high bound the likely range
+ */
+export function predictRaceTime(sources, km) {
+  if (!km || sources.length === 0) return null;
+
+  const ranked = sources
+    .map(source => ({ source, ...scoreSource(source, km) }))
+    .sort((a, b) => b.score - a.score);
+  const { source, recency, distanceGap, score } = ranked[0];
+
+  const riegelSeconds = riegelPredict(source.seconds, source.km, km);
+  const vdotSeconds = vdotPredict(source.vdot, km);
+  const seconds = (riegelSeconds + vdotSeconds) / 2;
+
+  // The band widens for older results, bigger distance jumps and where the two models disagree
+  const modelGap = Math.abs(riegelSeconds - vdotSeconds) / seconds;
+  const spread = 0.01 + 0.04 * (1 - recency) + 0.03 * distanceGap + modelGap / 2;
+
+  let confidence = 'low';
+  if (score >= 0.5) {
+    confidence = 'high';
+  } else if (score >= 0.2) {
+    confidence = 'medium';
+  }
+
+  return {
+    seconds,
+    riegelSeconds,
+    vdotSeconds,
+    lowSeconds: seconds * (1 - spread),
+    highSeconds: seconds * (1 + spread),
+    confidence,
+    source,
+  };
+}
+
+/**
+ * Predictions for the standard distances and for each upcoming race with a fixed distance
+ * @returns {Object|null} - { distances: [{ distance, km, ...prediction }], upcoming: [{ entry, km, ...prediction }] },
+ *   or null when there are no recent results to predict from
+ */
+export function computePredictions(entries, now = new Date()) {
+  const sources = getPredictionSources(entries, now);
+  if (sources.length === 0) return null;
+
+  const distances = PREDICTION_DISTANCES.map((distance) => {
+    const preset = getDistancePreset(distance);
+    const km = preset.value * getUnitKm(preset.unit);
+    return { distance, km, ...predictRaceTime(sources, km) };
+  });
+
+  const upcoming = entries
+    .filter(entry => isUpcomingRace(entry) && !isMultisportRace(entry) && !isVariableDistance(entry.raceDistance))
+    .map((entry) => {
+      const km = getRaceDistanceKm(entry);
+      if (!km || km < MIN_SOURCE_KM) return null;
+      return { entry, km, ...predictRaceTime(sources, km) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (parseLocalDate(a.entry.date) || 0) - (parseLocalDate(b.entry.date) || 0));
+
+  return { distances, upcoming };
+}
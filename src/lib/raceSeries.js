@@ -0,0 +1,276 @@
+import { getRaceDistanceKm, getLocationText } from './raceUtils';
+import { parseTimeToSeconds } from './statsUtils';
+import { parseLocalDate } from './dateUtils';
+import { haversineDistance } from './gpxParser';
+
+// seriesId value that keeps an entry out of automatic matching
+export const SERIES_NONE = 'none';
+
+// How alike two names (after normalizing) must be to count as the same race
+const NAME_MATCH_THRESHOLD = 0.8;
+const LOCATION_MATCH_THRESHOLD = 0.6;
+// Editions count as the same distance within 2%
+const DISTANCE_TOLERANCE = 0.02;
+
+// Routes that stray further than this from the latest course count as a changed course
+const COURSE_DEVIATION_KM = 0.1;
+const COURSE_SAMPLE_POINTS = 200;
+
+const FILLER_WORDS = new Set(['the', 'annual', 'edition', 'presented', 'by']);
+
+/**
+ * Reduce a race name to what stays the same from year to year -
+ * "The 25th Annual Turkey Trot 2023" becomes "turkey trot"
+ */
+export function normalizeRaceName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !FILLER_WORDS.has(word))
+    .filter(word => !/^(19|20)\d{2}$/.test(word))
+    .filter(word => !/^\d+(st|nd|rd|th)$/.test(word))
+    .join(' ');
+}
+
+/**
+ * The town part of a location - "Austin, TX, USA" becomes "austin"
+ */
+function normalizeLocation(location) {
+  return getLocationText(location).split(',')[0].trim().toLowerCase();
+}
+
+/**
+ * Dice coefficient over letter pairs, from 0 (nothing shared) to 1 (identical)
+ */
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const pairs = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const pair = a.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const pair = b.slice(i, i + 2);
+    const count = pairs.get(pair) || 0;
+    if (count > 0) {
+      shared++;
+      pairs.set(pair, count - 1);
+    }
+  }
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+/**
+ * Whether two entries look like editions of the same race - a similar name,
+ * the same town when both have one, and the same distance when both have one
+ */
+export function isSameRace(a, b) {
+  const nameA = normalizeRaceName(a.raceName);
+  const nameB = normalizeRaceName(b.raceName);
+  if (similarity(nameA, nameB) < NAME_MATCH_THRESHOLD) return false;
+
+  const locationA = normalizeLocation(a.location);
+  const locationB = normalizeLocation(b.location);
+  if (locationA && locationB && similarity(locationA, locationB) < LOCATION_MATCH_THRESHOLD) return false;
+
+  const kmA = getRaceDistanceKm(a);
+  const kmB = getRaceDistanceKm(b);
+  if (kmA && kmB && Math.abs(kmA - kmB) / Math.max(kmA, kmB) > DISTANCE_TOLERANCE) return false;
+
+  return true;
+}
+
+/**
+ * Group entries into series - entries sharing a manual seriesId, plus automatic matches.
+ * Entries set to SERIES_NONE are never grouped.
+ * @returns {Array} - [{ id, name, manualId, entries (oldest first) }] for series with 2 or more editions
+ */
+export function buildRaceSeries(entries) {
+  const candidates = entries.filter(entry => entry.seriesId !== SERIES_NONE);
+  const parent = candidates.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const union = (a, b) => {
+    parent[find(a)] = find(b);
+  };
+
+  // Manual links
+  const manualGroups = new Map();
+  candidates.forEach((entry, index) => {
+    if (!entry.seriesId) return;
+    if (manualGroups.has(entry.seriesId)) {
+      union(index, manualGroups.get(entry.seriesId));
+    } else {
+      manualGroups.set(entry.seriesId, index);
+    }
+  });
+
+  // Automatic matches
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      if (find(i) !== find(j) && isSameRace(candidates[i], candidates[j])) {
+        union(i, j);
+      }
+    }
+  }
+
+  const groups = new Map();
+  candidates.forEach((entry, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry);
+  });
+
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map((group) => {
+      const sorted = [...group].sort((a, b) => (parseLocalDate(a.date) || 0) - (parseLocalDate(b.date) || 0));
+      const latest = sorted[sorted.length - 1];
+      const manualId = group.find(entry => entry.seriesId)?.seriesId || null;
+      return {
+        id: manualId || `auto-${sorted[0].id}`,
+        name: latest.raceName,
+        manualId,
+        entries: sorted,
+      };
+    });
+}
+
+/**
+ * The series an entry belongs to, or null when it has no other editions
+ * @param {Array} allSeries - The journal's series from buildRaceSeries, when already built
+ */
+export function getSeriesForEntry(entries, entryId, allSeries = buildRaceSeries(entries)) {
+  return allSeries.find(series => series.entries.some(entry => entry.id === entryId)) || null;
+}
+
+/**
+ * seriesId updates that link two entries, and everything already in their series, into one series
+ * @param {Array} allSeries - The journal's series from buildRaceSeries, when already built
+ * @returns {Array} - [{ entryId, seriesId }]
+ */
+export function getLinkChanges(entries, entry, otherEntry, allSeries = buildRaceSeries(entries)) {
+  const members = (target) => allSeries.find(series => series.entries.some(e => e.id === target.id))?.entries || [target];
+  const group = [...members(entry), ...members(otherEntry)];
+  const seriesId = group.find(e => e.seriesId && e.seriesId !== SERIES_NONE)?.seriesId || `series-${otherEntry.id}`;
+
+  return group
+    .filter((e, index) => group.findIndex(other => other.id === e.id) === index)
+    .filter(e => e.seriesId !== seriesId)
+    .map(e => ({ entryId: e.id, seriesId }));
+}
+
+/**
+ * Other entries an entry could be linked to, most likely first
+ * @param {Array} allSeries - The journal's series from buildRaceSeries, when already built
+ */
+export function getLinkCandidates(entries, entry, allSeries = buildRaceSeries(entries)) {
+  const seriesIds = new Set((getSeriesForEntry(entries, entry.id, allSeries)?.entries || []).map(e => e.id));
+  const name = normalizeRaceName(entry.raceName);
+  return entries
+    .filter(other => other.id !== entry.id && !seriesIds.has(other.id))
+    .map(other => ({ entry: other, score: similarity(name, normalizeRaceName(other.raceName)) }))
+    .sort((a, b) => b.score - a.score)
+    .map(candidate => candidate.entry);
+}
+
+/**
+ * Evenly spaced points along a route, for comparing courses cheaply
+ */
+function sampleRoute(coordinates, count = COURSE_SAMPLE_POINTS) {
+  if (coordinates.length <= count) return coordinates;
+  const step = (coordinates.length - 1) / (count - 1);
+  return Array.from({ length: count }, (_, index) => coordinates[Math.round(index * step)]);
+}
+
+function distanceToRoute(point, route) {
+  let nearest = Infinity;
+  for (const other of route) {
+    nearest = Math.min(nearest, haversineDistance(point.lat, point.lon, other.lat, other.lon));
+  }
+  return nearest;
+}
+
+/**
+ * Compare a route to a reference course
+ * @returns {Object|null} - { changed, meanDeviationKm, distanceDiffKm, segments } where segments are the
+ *   [lat, lon] runs that leave the reference course
+ */
+export function compareCourses(routeData, referenceRouteData) {
+  if (!routeData?.coordinates?.length || !referenceRouteData?.coordinates?.length) return null;
+
+  const route = sampleRoute(routeData.coordinates);
+  const reference = sampleRoute(referenceRouteData.coordinates);
+  const deviations = route.map(point => distanceToRoute(point, reference));
+  const meanDeviationKm = deviations.reduce((sum, value) => sum + value, 0) / deviations.length;
+
+  const segments = [];
+  let current = null;
+  route.forEach((point, index) => {
+    if (deviations[index] > COURSE_DEVIATION_KM) {
+      if (!current) {
+        current = index > 0 ? [[route[index - 1].lat, route[index - 1].lon]] : [];
+        segments.push(current);
+      }
+      current.push([point.lat, point.lon]);
+    } else if (current) {
+      current.push([point.lat, point.lon]);
+      current = null;
+    }
+  });
+
+  const distanceDiffKm = (routeData.stats?.distance || 0) - (referenceRouteData.stats?.distance || 0);
+  return {
+    changed: segments.length > 0,
+    meanDeviationKm,
+    distanceDiffKm,
+    segments: segments.filter(segment => segment.length > 1),
+  };
+}
+
+/**
+ * Side-by-side numbers for each edition, oldest first, with the change from the edition before
+ * and how each route compares to the latest course
+ * @returns {Array} - [{ entry, seconds, delta, isBest, place, participants, topPercent, course }]
+ */
+export function summarizeSeries(series) {
+  const withRoutes = series.entries.filter(entry => entry.routeData?.coordinates?.length);
+  const referenceEntry = withRoutes[withRoutes.length - 1] || null;
+
+  let previousSeconds = null;
+  const editions = series.entries.map((entry) => {
+    const seconds = parseTimeToSeconds(entry.results?.finishTime);
+    const place = Number(entry.results?.overallPlace) || null;
+    const participants = Number(entry.results?.overallParticipants) || null;
+    const edition = {
+      entry,
+      seconds,
+      delta: seconds && previousSeconds ? seconds - previousSeconds : null,
+      place,
+      participants,
+      topPercent: place && participants ? (place / participants) * 100 : null,
+      course: referenceEntry && entry !== referenceEntry ? compareCourses(entry.routeData, referenceEntry.routeData) : null,
+      isReferenceCourse: entry === referenceEntry,
+    };
+    if (seconds) previousSeconds = seconds;
+    return edition;
+  });
+
+  const bestSeconds = Math.min(...editions.map(edition => edition.seconds || Infinity));
+  editions.forEach((edition) => {
+    edition.isBest = !!edition.seconds && edition.seconds === bestSeconds;
+  });
+  return editions;
+}
@@ -1,20 +1,163 @@
+import { convertDistance, getDistanceUnit } from './units';
+
+// Units an official distance can be given in, and their length in km
+export const DISTANCE_UNITS = [
+  { value: 'km', label: 'km', km: 1 },
+  { value: 'mi', label: 'mi', km: 1.609344 },
+  { value: 'm', label: 'm', km: 0.001 },
+];
+
+// Common distances - picking one fills in the official distance.
+// Backyard ultras and multisport races have no fixed length, so the value is left to the runner
+export const DISTANCE_PRESETS = [
+  { label: '1500m', value: 1500, unit: 'm' },
+  { label: 'Mile', value: 1, unit: 'mi' },
+  { label: '5K', value: 5, unit: 'km' },
+  { label: '10K', value: 10, unit: 'km' },
+  { label: '15K', value: 15, unit: 'km' },
+  { label: '10 Mile', value: 10, unit: 'mi' },
+  { label: 'Half Marathon', value: 21.0975, unit: 'km' },
+  { label: 'Marathon', value: 42.195, unit: 'km' },
+  { label: '50K', value: 50, unit: 'km' },
+  { label: '50 Mile', value: 50, unit: 'mi' },
+  { label: '100K', value: 100, unit: 'km' },
+  { label: '100 Mile', value: 100, unit: 'mi' },
+  { label: 'Backyard Ultra', value: null, unit: 'mi' },
+  { label: 'Triathlon', value: null, unit: 'km' },
+  { label: 'Duathlon', value: null, unit: 'km' },
+];
+
+// Distance names entries can carry - the presets plus the catch-alls older entries used
+export const RACE_DISTANCES = [...DISTANCE_PRESETS.map(preset => preset.label), 'Ultra', 'Other'];
+
+// How close a distance has to be to a preset to count as it (3.1 mi is a 5K)
+const PRESET_MATCH_TOLERANCE = 0.005;
+
+export const RACE_TYPES = [
+  'Road',
+  'Trail',
+];
+
+/**
+ * Get the length of a distance unit in km
+ */
+export function getUnitKm(unit) {
+  return DISTANCE_UNITS.find(option => option.value === unit)?.km || 1;
+}
+
+/**
+ * Get the preset with a given name, if any
+ */
+export function getDistancePreset(label) {
+  return DISTANCE_PRESETS.find(preset => preset.label === label) || null;
+}
+
+/**
+ * Whether a distance name has no fixed length (backyard ultras, multisport)
+ */
+export function isVariableDistance(label) {
+  const preset = getDistancePreset(label);
+  return !!preset && !preset.value;
+}
+
+/**
+ * Name a distance from its value - the matching preset ("Half Marathon"), or e.g. "15K", "10 Mile", "3000m"
+ */
+export function formatDistanceLabel(value, unit) {
+  const km = Number(value) * getUnitKm(unit);
+  if (!km) return '';
+
+  const preset = DISTANCE_PRESETS.find(option =>
+    option.value && Math.abs(option.value * getUnitKm(option.unit) - km) / km < PRESET_MATCH_TOLERANCE
+  );
+  if (preset) return preset.label;
+
+  const number = Number(Number(value).toFixed(2));
+  if (unit === 'mi') return `${number} Mile`;
+  if (unit === 'm') return `${number}m`;
+  return `${number}K`;
+}
+
+/**
+ * Get an entry's official distance in km
+ * Entries saved before official distances existed fall back to their distance name
+ * @returns {number|null} - null for races with no known length ('Ultra', 'Other', backyard ultras)
+ */
+export function getRaceDistanceKm(entry) {
+  const official = entry.officialDistance;
+  if (official && Number(official.value) > 0) {
+    return Number(official.value) * getUnitKm(official.unit);
+  }
+  const preset = getDistancePreset(entry.raceDistance || entry.raceType);
+  return preset?.value ? preset.value * getUnitKm(preset.unit) : null;
+}
+
+/**
+ * Format an entry's official distance as entered, e.g. "21.1 km" or "31.07 mi",
+ * or converted to a units preference when one is given
+ * @param {string} units - Optional 'metric' or 'imperial'
+ * @returns {string|null}
+ */
+export function formatOfficialDistance(entry, units = null) {
+  const official = entry.officialDistance;
+  if (!official || !(Number(official.value) > 0)) return null;
+  if (units) {
+    const km = Number(official.value) * getUnitKm(official.unit);
+    return `${Number(convertDistance(km, units).toFixed(2))} ${getDistanceUnit(units)}`;
+  }
+  return `${Number(Number(official.value).toFixed(2))} ${official.unit || 'km'}`;
+}
+
+/**
+ * Get the distance name for an entry, worked out from the official distance where there is one,
+ * so 15 km and 15K races group together
+ */
+export function getDistanceLabel(entry) {
+  const official = entry.officialDistance;
+  if (official && Number(official.value) > 0 && !isVariableDistance(entry.raceDistance)) {
+    return formatDistanceLabel(official.value, official.unit);
+  }
+  return entry.raceDistance || '';
+}
+
+/**
+ * Changes that move an entry saved with only a distance name onto a numeric official distance
+ * @returns {Object|null} - Fields to update, or null when there's nothing to migrate
+ */
+export function getDistanceMigration(entry) {
+  if (entry.officialDistance) return null;
+
+  const preset = getDistancePreset(entry.raceDistance || entry.raceType);
+  if (!preset?.value) return null;
+
+  const changes = { officialDistance: { value: preset.value, unit: preset.unit } };
+  // Old entries stored the distance in raceType and were all road races
+  if (!entry.raceDistance) {
+    changes.raceDistance = preset.label;
+    changes.raceType = 'Road';
+  }
+  return changes;
+}
+
 /**
  * Get display name for race type
- * Combines raceDistance and raceType, or falls back to old raceType format for backward compatibility
+ * Combines the distance and raceType, or falls back to old raceType format for backward compatibility
  */
 export function getRaceTypeDisplay(entry) {
-  // New format: has both raceDistance and raceType
-  if (entry.raceDistance && entry.raceType) {
-    return `${entry.raceDistance} ${entry.raceType}`;
+  const distance = getDistanceLabel(entry);
+
+  // New format: has both a distance and raceType
+  if (distance && entry.raceType) {
+    return `${distance} ${entry.raceType}`;
   }
   
   // Backward compatibility: old format with just raceType
-  if (entry.raceType && !entry.raceDistance) {
+  if (entry.raceType && !distance) {
     return entry.raceType;
   }
   
   // Fallback
-  return entry.raceDistance || entry.raceType || 'Unknown';
+  return distance || entry.raceType || 'Unknown';
 }
 
 /**
@@ -22,16 +165,99 @@ export function getRaceTypeDisplay(entry) {
  * Returns a consistent string for grouping
  */
 export function getRaceTypeForFilter(entry) {
+  const distance = getDistanceLabel(entry);
+
   // New format: combine distance and type
-  if (entry.raceDistance && entry.raceType) {
-    return `${entry.raceDistance} ${entry.raceType}`;
+  if (distance && entry.raceType) {
+    return `${distance} ${entry.raceType}`;
   }
   
   // Backward compatibility
-  if (entry.raceType && !entry.raceDistance) {
+  if (entry.raceType && !distance) {
     return entry.raceType;
   }
   
-  return entry.raceDistance || entry.raceType || 'Unknown';
+  return distance || entry.raceType || 'Unknown';
+}
+
+/**
+ * Sort entries shortest official distance first, then by race type name
+ * Races with no known length go last
+ */
+export function compareByDistance(a, b) {
+  const kmA = getRaceDistanceKm(a) ?? Infinity;
+  const kmB = getRaceDistanceKm(b) ?? Infinity;
+  if (kmA !== kmB) return kmA < kmB ? -1 : 1;
+  return getRaceTypeForFilter(a).localeCompare(getRaceTypeForFilter(b));
 }
 
+// Registration lifecycle: registered -> started -> finished / DNF / DNS
+export const RACE_STATUSES = [
+  { value: 'registered', label: 'Registered' },
+  { value: 'started', label: 'Started' },
+  { value: 'finished', label: 'Finished' },
+  { value: 'dnf', label: 'DNF' },
+  { value: 'dns', label: 'DNS' },
+];
+
+/**
+ * Get an entry's status
+ * Entries logged before statuses existed were all finished races
+ */
+export function getRaceStatus(entry) {
+  return entry?.status || 'finished';
+}
+
+/**
+ * Get display label for an entry's status
+ */
+export function getRaceStatusLabel(entry) {
+  const status = getRaceStatus(entry);
+  return RACE_STATUSES.find(option => option.value === status)?.label || status;
+}
+
+/**
+ * Whether an entry is a race still to come (registered, or started but not yet finished)
+ */
+export function isUpcomingRace(entry) {
+  const status = getRaceStatus(entry);
+  return status === 'registered' || status === 'started';
+}
+
+/**
+ * Whether an entry is a finished race - the only ones that count towards stats and records
+ */
+export function isFinishedRace(entry) {
+  return getRaceStatus(entry) === 'finished';
+}
+
+/**
+ * Get the bib image URL for an entry, respecting the cropped/processed toggles
+ */
+export function getBibImageSrc(entry) {
+  if (!entry.bibPhoto) return null;
+  if (entry.bibPhoto.cropped) {
+    return entry.bibPhoto.useCropped !== false ? entry.bibPhoto.cropped : entry.bibPhoto.original;
+  }
+  if (entry.bibPhoto.processed) {
+    return entry.bibPhoto.useProcessed !== false ? entry.bibPhoto.processed : entry.bibPhoto.original;
+  }
+  return entry.bibPhoto.original;
+}
+
+/**
+ * Get the medal image URL for an entry (stored as string URL, older entries as object)
+ */
+export function getMedalImageSrc(entry) {
+  if (!entry.medalPhoto) return null;
+  return typeof entry.medalPhoto === 'string'
+    ? entry.medalPhoto
+    : (entry.medalPhoto.processed || entry.medalPhoto.cropped || entry.medalPhoto.original || null);
+}
+
+/**
+ * Get the location text for an entry (stored as a string, older entries as an object with a name)
+ */
+export function getLocationText(location) {
+  return (typeof location === 'string' ? location : location?.name) || '';
+}
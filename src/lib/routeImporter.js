@@ -0,0 +1,244 @@
+import { parseGPX, calculateRouteStats, calculateBounds } from './gpxParser';
+import { decodeFitRecords, isFitFile } from './fitDecoder';
+
+/**
+ * File types accepted for race routes (used by file inputs)
+ */
+export const ROUTE_FILE_ACCEPT = '.gpx,.tcx,.fit,.kml,.geojson,.json';
+
+export const ROUTE_FILE_FORMATS = ['GPX', 'TCX', 'FIT', 'KML', 'GeoJSON'];
+
+/**
+ * Read a File as text or ArrayBuffer
+ */
+function readFile(file, asArrayBuffer = false) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => resolve(event.target.result);
+    reader.onerror = () => reject(new Error('Failed to read route file'));
+    if (asArrayBuffer) {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
+    }
+  });
+}
+
+/**
+ * Parse XML text, throwing if it's malformed
+ */
+function parseXml(text, formatName) {
+  const xmlDoc = new DOMParser().parseFromString(text, 'text/xml');
+  if (xmlDoc.querySelector('parsererror')) {
+    throw new Error(`Invalid ${formatName} file format`);
+  }
+  return xmlDoc;
+}
+
+/**
+ * Get the text of the first descendant with a local name (ignores XML namespaces)
+ */
+function getChildText(element, localName) {
+  const child = element.getElementsByTagNameNS('*', localName)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Add optional sensor samples to a point, skipping the ones the file doesn't have
+ */
+function withSensors(point, { heartRate, cadence, power }) {
+  if (heartRate !== null && heartRate !== undefined) point.heartRate = heartRate;
+  if (cadence !== null && cadence !== undefined) point.cadence = cadence;
+  if (power !== null && power !== undefined) point.power = power;
+  return point;
+}
+
+/**
+ * Parse a Garmin Training Center (TCX) file
+ */
+function parseTCX(text) {
+  const xmlDoc = parseXml(text, 'TCX');
+  const coordinates = [];
+
+  Array.from(xmlDoc.getElementsByTagNameNS('*', 'Trackpoint')).forEach((trackpoint) => {
+    const lat = toNumber(getChildText(trackpoint, 'LatitudeDegrees'));
+    const lon = toNumber(getChildText(trackpoint, 'LongitudeDegrees'));
+    if (lat === null || lon === null) return;
+
+    const heartRateElement = trackpoint.getElementsByTagNameNS('*', 'HeartRateBpm')[0];
+    coordinates.push(withSensors({
+      lat,
+      lon,
+      elevation: toNumber(getChildText(trackpoint, 'AltitudeMeters')),
+      time: getChildText(trackpoint, 'Time'),
+    }, {
+      heartRate: heartRateElement ? toNumber(getChildText(heartRateElement, 'Value')) : null,
+      // Running watches write cadence to the TPX extension, bikes to <Cadence>
+      cadence: toNumber(getChildText(trackpoint, 'RunCadence') ?? getChildText(trackpoint, 'Cadence')),
+      power: toNumber(getChildText(trackpoint, 'Watts')),
+    }));
+  });
+
+  return coordinates;
+}
+
+/**
+ * Parse a KML course - either a gx:Track (with timestamps) or LineString coordinates
+ */
+function parseKML(text) {
+  const xmlDoc = parseXml(text, 'KML');
+  const coordinates = [];
+
+  const tracks = Array.from(xmlDoc.getElementsByTagNameNS('*', 'Track'));
+  tracks.forEach((track) => {
+    const whens = Array.from(track.getElementsByTagNameNS('*', 'when')).map(el => el.textContent.trim());
+    Array.from(track.getElementsByTagNameNS('*', 'coord')).forEach((coord, index) => {
+      const [lon, lat, elevation] = coord.textContent.trim().split(/\s+/).map(toNumber);
+      if (lat === null || lon === null) return;
+      coordinates.push({ lat, lon, elevation: elevation ?? null, time: whens[index] || null });
+    });
+  });
+
+  if (coordinates.length === 0) {
+    Array.from(xmlDoc.getElementsByTagNameNS('*', 'LineString')).forEach((lineString) => {
+      const text = getChildText(lineString, 'coordinates') || '';
+      text.split(/\s+/).filter(Boolean).forEach((tuple) => {
+        const [lon, lat, elevation] = tuple.split(',').map(toNumber);
+        if (lat === null || lon === null || lat === undefined || lon === undefined) return;
+        coordinates.push({ lat, lon, elevation: elevation ?? null, time: null });
+      });
+    });
+  }
+
+  return coordinates;
+}
+
+/**
+ * Parse GeoJSON LineString/MultiLineString geometry
+ * Reads per-point times and heart rates written by common converters (coordTimes / coordinateProperties)
+ */
+function parseGeoJSON(text) {
+  let geojson;
+  try {
+    geojson = JSON.parse(text);
+  } catch {
+    throw new Error('Invalid GeoJSON file format');
+  }
+
+  const features = geojson.type === 'FeatureCollection'
+    ? geojson.features || []
+    : geojson.type === 'Feature'
+    ? [geojson]
+    : [{ type: 'Feature', geometry: geojson, properties: {} }];
+
+  const coordinates = [];
+
+  features.forEach((feature) => {
+    const geometry = feature?.geometry;
+    if (!geometry) return;
+
+    const properties = feature.properties || {};
+    const coordinateProperties = properties.coordinateProperties || {};
+    const lines = geometry.type === 'LineString'
+      ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString'
+      ? geometry.coordinates
+      : [];
+    const times = coordinateProperties.times || properties.coordTimes;
+    const heartRates = coordinateProperties.heart || properties.heartRates;
+    const cadences = coordinateProperties.cadences || coordinateProperties.cadence;
+    const powers = coordinateProperties.power || coordinateProperties.watts;
+
+    lines.forEach((line, lineIndex) => {
+      // Per-point arrays are nested per line for MultiLineStrings
+      const pick = (values, index) => {
+        if (!Array.isArray(values)) return null;
+        const lineValues = geometry.type === 'MultiLineString' && Array.isArray(values[lineIndex]) ? values[lineIndex] : values;
+        return lineValues[index] ?? null;
+      };
+
+      (line || []).forEach((position, index) => {
+        const [lon, lat, elevation] = position.map(toNumber);
+        if (lat === null || lon === null || lat === undefined || lon === undefined) return;
+        coordinates.push(withSensors({
+          lat,
+          lon,
+          elevation: elevation ?? null,
+          time: pick(times, index),
+        }, {
+          heartRate: toNumber(pick(heartRates, index)),
+          cadence: toNumber(pick(cadences, index)),
+          power: toNumber(pick(powers, index)),
+        }));
+      });
+    });
+  });
+
+  return coordinates;
+}
+
+/**
+ * Work out a route file's format from its extension, falling back to sniffing the contents
+ * @param {File} file
+ * @returns {Promise<string|null>} - One of ROUTE_FILE_FORMATS, or null if unrecognised
+ */
+export async function detectRouteFormat(file) {
+  const extension = (file.name || '').split('.').pop().toLowerCase();
+  const byExtension = { gpx: 'GPX', tcx: 'TCX', fit: 'FIT', kml: 'KML', geojson: 'GeoJSON', json: 'GeoJSON' };
+  if (byExtension[extension]) return byExtension[extension];
+
+  const header = await readFile(file.slice(0, 512), true);
+  if (isFitFile(header)) return 'FIT';
+
+  const start = new TextDecoder().decode(header).trim();
+  if (start.startsWith('{')) return 'GeoJSON';
+  if (/<gpx[\s>]/i.test(start)) return 'GPX';
+  if (/<TrainingCenterDatabase[\s>]/i.test(start)) return 'TCX';
+  if (/<kml[\s>]/i.test(start)) return 'KML';
+  return null;
+}
+
+/**
+ * Parse any supported route file (GPX, TCX, FIT, KML, GeoJSON) into route data
+ * @param {File} file - The route file
+ * @returns {Promise<Object>} - { coordinates, stats, bounds, format }, same shape as parseGPX
+ */
+export async function parseRouteFile(file) {
+  const format = await detectRouteFormat(file);
+  if (!format) {
+    throw new Error(`Unsupported route file. Use ${ROUTE_FILE_FORMATS.join(', ')}.`);
+  }
+
+  if (format === 'GPX') {
+    return { ...(await parseGPX(file)), format };
+  }
+
+  let coordinates;
+  try {
+    if (format === 'FIT') {
+      coordinates = decodeFitRecords(await readFile(file, true));
+    } else {
+      const text = await readFile(file);
+      coordinates = format === 'TCX' ? parseTCX(text) : format === 'KML' ? parseKML(text) : parseGeoJSON(text);
+    }
+  } catch (error) {
+    throw new Error(`Failed to parse ${format} file: ${error.message}`);
+  }
+
+  if (coordinates.length === 0) {
+    throw new Error(`No track points found in ${format} file`);
+  }
+
+  return {
+    coordinates,
+    stats: calculateRouteStats(coordinates),
+    bounds: calculateBounds(coordinates),
+    format,
+  };
+}
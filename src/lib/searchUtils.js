@@ -0,0 +1,132 @@
+import { getRaceTypeDisplay, getLocationText } from './raceUtils';
+
+// Text searched on each entry - shown marks the fields every journal card displays,
+// the others get a snippet under the card when they match
+export const SEARCH_FIELDS = [
+  { key: 'raceName', label: 'Name', shown: true, getText: entry => entry.raceName },
+  { key: 'distance', label: 'Distance', shown: true, getText: entry => getRaceTypeDisplay(entry) },
+  { key: 'location', label: 'Location', shown: false, getText: entry => getLocationText(entry.location) },
+  { key: 'tags', label: 'Tags', shown: false, getText: entry => (entry.tags || []).join(', ') },
+  { key: 'bibNumber', label: 'Bib', shown: false, getText: entry => entry.bibNumber },
+  { key: 'division', label: 'Division', shown: false, getText: entry => entry.results?.division },
+  { key: 'notes', label: 'Notes', shown: false, getText: entry => entry.notes },
+];
+
+// Characters of context either side of a match in a snippet
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Lowercase and strip accents one character at a time, so indexes in the folded text
+ * line up with the original and "Zürich" is found by "zurich"
+ */
+export function foldText(text) {
+  let folded = '';
+  for (const char of String(text || '')) {
+    const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    folded += base.length === char.length ? base : char;
+  }
+  return folded;
+}
+
+/**
+ * Split a search box query into folded terms
+ */
+export function parseSearchQuery(query) {
+  return foldText(query).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Fold every searchable field of every entry once, so each keystroke only runs indexOf
+ * @returns {Object} - { [entryId]: { [fieldKey]: { text, folded } } }
+ */
+export function buildSearchIndex(entries) {
+  const index = {};
+  entries.forEach((entry) => {
+    const fields = {};
+    SEARCH_FIELDS.forEach(({ key, getText }) => {
+      const text = getText(entry);
+      if (text) fields[key] = { text: String(text), folded: foldText(text) };
+    });
+    index[entry.id] = fields;
+  });
+  return index;
+}
+
+/**
+ * Where terms occur in a folded string, overlapping matches merged
+ * @returns {Array} - [[start, end]] sorted by start
+ */
+function findRanges(folded, terms) {
+  const ranges = [];
+  terms.forEach((term) => {
+    let start = folded.indexOf(term);
+    while (start !== -1) {
+      ranges.push([start, start + term.length]);
+      start = folded.indexOf(term, start + term.length);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Split text into plain and matched parts for highlighting
+ * @returns {Array} - [{ text, match }]
+ */
+export function getHighlightParts(text, terms) {
+  const value = String(text || '');
+  if (!terms?.length || !value) return [{ text: value, match: false }];
+
+  const parts = [];
+  let position = 0;
+  findRanges(foldText(value), terms).forEach(([start, end]) => {
+    if (start > position) parts.push({ text: value.slice(position, start), match: false });
+    parts.push({ text: value.slice(start, end), match: true });
+    position = end;
+  });
+  if (position < value.length) parts.push({ text: value.slice(position), match: false });
+  return parts;
+}
+
+/**
+ * Cut a snippet of text around its first match, with an ellipsis where it's been trimmed
+ */
+function getSnippet(text, folded, terms) {
+  const first = findRanges(folded, terms)[0];
+  if (!first) return text;
+  const start = Math.max(0, first[0] - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, first[1] + SNIPPET_CONTEXT);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Search entries - every term has to appear somewhere in the entry, in any field
+ * @param {Object} index - From buildSearchIndex
+ * @param {Array} terms - From parseSearchQuery
+ * @returns {Object} - { [entryId]: { snippets: [{ key, label, text }] } } for matching entries, with a snippet
+ *   for each matched field the cards don't always show
+ */
+export function searchEntries(index, entries, terms) {
+  const results = {};
+  entries.forEach((entry) => {
+    const fields = index[entry.id] || {};
+    const matches = terms.every(term => Object.values(fields).some(field => field.folded.includes(term)));
+    if (!matches) return;
+
+    results[entry.id] = {
+      snippets: SEARCH_FIELDS
+        .filter(({ key, shown }) => !shown && terms.some(term => fields[key]?.folded.includes(term)))
+        .map(({ key, label }) => ({ key, label, text: getSnippet(fields[key].text, fields[key].folded, terms) })),
+    };
+  });
+  return results;
+}
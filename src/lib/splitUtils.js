@@ -0,0 +1,213 @@
+import { haversineDistance } from './gpxParser';
+
+export const SPLIT_UNITS = {
+  km: { label: 'km', lengthKm: 1 },
+  mi: { label: 'mi', lengthKm: 1.609344 },
+};
+
+// Halves within 1% of each other count as an even split
+const EVEN_SPLIT_TOLERANCE = 0.01;
+
+/**
+ * Build a cumulative distance/elapsed time series for a track
+ * Points without a valid timestamp are skipped for timing but still count towards distance
+ * @param {Array} coordinates - Route coordinates with time
+ * @returns {Array} - [{ index, distance (km), elapsed (seconds) | null }]
+ */
+export function buildDistanceTimeSeries(coordinates) {
+  if (!coordinates || coordinates.length === 0) return [];
+
+  const startTime = coordinates.map(c => (c.time ? new Date(c.time).getTime() : NaN)).find(t => !isNaN(t));
+  const series = [];
+  let distance = 0;
+
+  coordinates.forEach((point, index) => {
+    if (index > 0) {
+      const prev = coordinates[index - 1];
+      distance += haversineDistance(prev.lat, prev.lon, point.lat, point.lon);
+    }
+    const time = point.time ? new Date(point.time).getTime() : NaN;
+    series.push({
+      index,
+      distance,
+      elapsed: !isNaN(time) && startTime !== undefined ? (time - startTime) / 1000 : null,
+    });
+  });
+
+  return series;
+}
+
+/**
+ * Interpolate the elapsed time at a given distance along the series
+ * Binary search, since distance only ever increases along the track
+ */
+function interpolateElapsed(series, targetDistance) {
+  let lo = 0;
+  let hi = series.length - 1;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (series[mid].distance < targetDistance) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+
+  // Nearest timed points either side of the target
+  let after = lo;
+  while (after < series.length && series[after].elapsed === null) after++;
+  let before = Math.max(0, lo - 1);
+  while (before > 0 && series[before].elapsed === null) before--;
+
+  const prev = series[before];
+  const curr = series[after];
+  if (!curr) return prev.elapsed;
+  if (prev.elapsed === null || curr.distance <= prev.distance) return curr.elapsed;
+
+  const ratio = Math.min(1, Math.max(0, (targetDistance - prev.distance) / (curr.distance - prev.distance)));
+  return prev.elapsed + (curr.elapsed - prev.elapsed) * ratio;
+}
+
+/**
+ * Index of the first coordinate at or past a distance
+ */
+function findIndexAtDistance(series, targetDistance) {
+  const point = series.find(p => p.distance >= targetDistance);
+  return point ? point.index : series[series.length - 1].index;
+}
+
+/**
+ * Interpolate a map position at a distance (km) along the route
+ * @returns {[number, number]|null} - [lat, lon]
+ */
+export function getPositionAtDistance(coordinates, series, targetDistance) {
+  for (let i = 1; i < series.length; i++) {
+    if (series[i].distance >= targetDistance) {
+      const segment = series[i].distance - series[i - 1].distance;
+      const ratio = segment > 0 ? (targetDistance - series[i - 1].distance) / segment : 0;
+      const prev = coordinates[i - 1];
+      const curr = coordinates[i];
+      return [prev.lat + (curr.lat - prev.lat) * ratio, prev.lon + (curr.lon - prev.lon) * ratio];
+    }
+  }
+  return null;
+}
+
+/**
+ * Calculate per-kilometre or per-mile splits for a timed track
+ * The last split is usually partial (e.g. the final 0.2 mi of a marathon)
+ * @param {Array} coordinates - Route coordinates with time
+ * @param {string} unit - 'km' or 'mi'
+ * @returns {Array} - [{ number, distance (units), time (s), pace (s/unit), elapsed (s), startIndex, endIndex, startDistance, endDistance (km) }]
+ */
+export function calculateSplits(coordinates, unit = 'km') {
+  const series = buildDistanceTimeSeries(coordinates);
+  if (series.length < 2 || !series.some(p => p.elapsed !== null && p.elapsed > 0)) {
+    return [];
+  }
+
+  const lengthKm = SPLIT_UNITS[unit].lengthKm;
+  const totalDistance = series[series.length - 1].distance;
+  const splits = [];
+  let startDistance = 0;
+  let startElapsed = 0;
+  let number = 1;
+
+  while (startDistance < totalDistance - 0.001) {
+    const endDistance = Math.min(startDistance + lengthKm, totalDistance);
+    const endElapsed = interpolateElapsed(series, endDistance);
+    const splitDistance = (endDistance - startDistance) / lengthKm;
+
+    if (endElapsed === null) break;
+    const time = endElapsed - startElapsed;
+
+    // Ignore a tiny trailing fragment (GPS jitter after the finish)
+    if (splitDistance >= 0.05 || splits.length === 0) {
+      splits.push({
+        number,
+        distance: splitDistance,
+        time,
+        pace: splitDistance > 0 ? time / splitDistance : null,
+        elapsed: endElapsed,
+        startDistance,
+        endDistance,
+        startIndex: Math.max(0, findIndexAtDistance(series, startDistance) - 1),
+        endIndex: findIndexAtDistance(series, endDistance),
+      });
+    }
+
+    startDistance = endDistance;
+    startElapsed = endElapsed;
+    number++;
+  }
+
+  return splits;
+}
+
+/**
+ * Summarise splits: fastest and slowest full split, and whether the race was run
+ * as a negative (faster second half), positive or even split
+ * @param {Array} coordinates - Route coordinates with time
+ * @param {Array} splits - From calculateSplits
+ */
+export function analyzeSplits(coordinates, splits) {
+  if (!splits || splits.length === 0) return null;
+
+  // Only compare full splits, a partial last split's pace is less reliable
+  const fullSplits = splits.filter(split => split.distance >= 0.99);
+  const candidates = fullSplits.length > 0 ? fullSplits : splits;
+  const fastest = candidates.reduce((best, split) => (split.pace < best.pace ? split : best));
+  const slowest = candidates.reduce((worst, split) => (split.pace > worst.pace ? split : worst));
+
+  const series = buildDistanceTimeSeries(coordinates);
+  const totalDistance = series[series.length - 1].distance;
+  const totalTime = splits[splits.length - 1].elapsed;
+  const halfTime = interpolateElapsed(series, totalDistance / 2);
+
+  let halves = null;
+  if (halfTime !== null && totalTime) {
+    const firstHalf = halfTime;
+    const secondHalf = totalTime - halfTime;
+    const difference = secondHalf - firstHalf;
+    const type = Math.abs(difference) <= firstHalf * EVEN_SPLIT_TOLERANCE
+      ? 'even'
+      : difference < 0
+      ? 'negative'
+      : 'positive';
+    halves = { firstHalf, secondHalf, difference, type };
+  }
+
+  return { fastest, slowest, halves };
+}
+
+/**
+ * Pace over distance, averaged over a sliding window to smooth out GPS noise
+ * @param {Array} coordinates - Route coordinates with time
+ * @param {string} unit - 'km' or 'mi'
+ * @param {number} stepKm - Distance between samples
+ * @param {number} windowKm - Smoothing window
+ * @returns {Array} - [{ distance (km), pace (s/unit) }]
+ */
+export function calculatePaceSeries(coordinates, unit = 'km', stepKm = 0.1, windowKm = 0.4) {
+  const series = buildDistanceTimeSeries(coordinates);
+  if (series.length < 2) return [];
+
+  const lengthKm = SPLIT_UNITS[unit].lengthKm;
+  const totalDistance = series[series.length - 1].distance;
+  const samples = [];
+
+  for (let distance = stepKm; distance <= totalDistance; distance += stepKm) {
+    const from = Math.max(0, distance - windowKm / 2);
+    const to = Math.min(totalDistance, distance + windowKm / 2);
+    const fromElapsed = interpolateElapsed(series, from);
+    const toElapsed = interpolateElapsed(series, to);
+    if (fromElapsed === null || toElapsed === null || to <= from) continue;
+
+    const pace = ((toElapsed - fromElapsed) / (to - from)) * lengthKm;
+    if (pace > 0 && isFinite(pace)) {
+      samples.push({ distance, pace });
+    }
+  }
+
+  return samples;
+}
@@ -0,0 +1,197 @@
+import { isFinishedRace, getDistanceLabel, compareByDistance, RACE_TYPES, RACE_DISTANCES } from './raceUtils';
+import { parseTimeToSeconds, getRaceEffort, formatDuration } from './statsUtils';
+import { parseLocalDate } from './dateUtils';
+
+// Dashboard filters - blank means all
+export const EMPTY_STATS_FILTERS = {
+  year: '',
+  distance: '',
+  surface: '',
+};
+
+// Most distances drawn on the pace chart - more lines than this get hard to tell apart
+const MAX_PACE_SERIES = 4;
+
+// Most bars on the finish-time chart
+const MAX_TIME_BUCKETS = 10;
+
+// Bucket widths tried for the finish-time chart, in seconds
+const TIME_BUCKET_STEPS = [60, 120, 300, 600, 900, 1800, 3600];
+
+function getYear(entry) {
+  const date = parseLocalDate(entry.date);
+  return date && !isNaN(date.getTime()) ? date.getFullYear() : null;
+}
+
+/**
+ * Road or Trail - entries from before surfaces were recorded stored the distance in raceType and were all road races
+ */
+export function getSurface(entry) {
+  if (RACE_TYPES.includes(entry.raceType)) return entry.raceType;
+  if (!entry.raceType || RACE_DISTANCES.includes(entry.raceType)) return 'Road';
+  return entry.raceType;
+}
+
+/**
+ * Finish time in seconds - the recorded finish time, or the route file's time without one
+ */
+function getFinishSeconds(entry) {
+  return parseTimeToSeconds(entry.results?.finishTime) || entry.routeData?.stats?.totalTime || null;
+}
+
+/**
+ * Options for the dashboard filters, from the finished races
+ * @returns {Object} - { years: newest first, distances: shortest first, surfaces }
+ */
+export function getStatsFilterOptions(entries) {
+  const finished = entries.filter(isFinishedRace);
+  const distances = [...new Set([...finished].sort(compareByDistance).map(getDistanceLabel).filter(Boolean))];
+  return {
+    years: [...new Set(finished.map(getYear).filter(Boolean))].sort((a, b) => b - a),
+    distances,
+    surfaces: [...new Set(finished.map(getSurface))].sort(),
+  };
+}
+
+/**
+ * Finished races matching the dashboard filters
+ */
+export function filterStatsEntries(entries, filters) {
+  return entries.filter(entry => isFinishedRace(entry)
+    && (!filters.year || getYear(entry) === Number(filters.year))
+    && (!filters.distance || getDistanceLabel(entry) === filters.distance)
+    && (!filters.surface || getSurface(entry) === filters.surface));
+}
+
+/**
+ * One bar per year from the first race to the last, years without races included
+ * @param {Function} getValue - (entries) => the bar's value
+ * @returns {Array} - [{ key, label, value, entryIds }] oldest first
+ */
+function groupByYear(entries, getValue) {
+  const byYear = {};
+  entries.forEach((entry) => {
+    const year = getYear(entry);
+    if (!year) return;
+    if (!byYear[year]) byYear[year] = [];
+    byYear[year].push(entry);
+  });
+
+  const years = Object.keys(byYear).map(Number);
+  if (years.length === 0) return [];
+  const bars = [];
+  for (let year = Math.min(...years); year <= Math.max(...years); year++) {
+    const yearEntries = byYear[year] || [];
+    bars.push({ key: String(year), label: String(year), value: getValue(yearEntries), entryIds: yearEntries.map(entry => entry.id) });
+  }
+  return bars;
+}
+
+/**
+ * Races finished each year
+ */
+export function getRacesPerYear(entries) {
+  return groupByYear(entries, yearEntries => yearEntries.length);
+}
+
+/**
+ * Kilometres raced each year - route distance where there's a track, otherwise the official distance
+ */
+export function getDistancePerYear(entries) {
+  return groupByYear(entries, yearEntries => yearEntries.reduce((sum, entry) => sum + (getRaceEffort(entry).distanceKm || 0), 0));
+}
+
+/**
+ * Races and distance on each surface
+ * @returns {Array} - [{ key, label, value: race count, distanceKm, entryIds }] most raced first
+ */
+export function getSurfaceSplit(entries) {
+  const bySurface = {};
+  entries.forEach((entry) => {
+    const surface = getSurface(entry);
+    if (!bySurface[surface]) bySurface[surface] = { key: surface, label: surface, value: 0, distanceKm: 0, entryIds: [] };
+    bySurface[surface].value++;
+    bySurface[surface].distanceKm += getRaceEffort(entry).distanceKm || 0;
+    bySurface[surface].entryIds.push(entry.id);
+  });
+  return Object.values(bySurface).sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Pace over time for the most raced distances with at least two paced races
+ * @returns {Array} - [{ distance, points: [{ entryId, raceName, date, secondsPerKm }] oldest first }]
+ */
+export function getPaceByDistance(entries) {
+  const byDistance = {};
+  entries.forEach((entry) => {
+    const distance = getDistanceLabel(entry);
+    const date = parseLocalDate(entry.date);
+    const { secondsPerKm } = getRaceEffort(entry);
+    if (!distance || !secondsPerKm || !date || isNaN(date.getTime())) return;
+    if (!byDistance[distance]) byDistance[distance] = [];
+    byDistance[distance].push({ entryId: entry.id, raceName: entry.raceName, date, secondsPerKm });
+  });
+
+  return Object.entries(byDistance)
+    .filter(([, points]) => points.length >= 2)
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, MAX_PACE_SERIES)
+    .map(([distance, points]) => ({ distance, points: points.sort((a, b) => a.date - b.date) }));
+}
+
+/**
+ * Distances with finish times, most raced first - the choices for the finish-time chart
+ */
+export function getTimedDistances(entries) {
+  const counts = {};
+  entries.forEach((entry) => {
+    const distance = getDistanceLabel(entry);
+    if (distance && getFinishSeconds(entry)) counts[distance] = (counts[distance] || 0) + 1;
+  });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([distance]) => distance);
+}
+
+/**
+ * How finish times at one distance spread out, in buckets of a round number of minutes
+ * @returns {Array} - [{ key, label, value: race count, entryIds }] fastest first
+ */
+export function getFinishTimeDistribution(entries, distance) {
+  const timed = entries
+    .filter(entry => getDistanceLabel(entry) === distance)
+    .map(entry => ({ entry, seconds: getFinishSeconds(entry) }))
+    .filter(item => item.seconds);
+  if (timed.length === 0) return [];
+
+  const times = timed.map(item => item.seconds);
+  const min = Math.min(...times);
+  const max = Math.max(...times);
+  const step = TIME_BUCKET_STEPS.find(size => Math.floor(max / size) - Math.floor(min / size) < MAX_TIME_BUCKETS)
+    || TIME_BUCKET_STEPS[TIME_BUCKET_STEPS.length - 1];
+
+  const buckets = [];
+  for (let start = Math.floor(min / step) * step; start <= max; start += step) {
+    const inBucket = timed.filter(item => item.seconds >= start && item.seconds < start + step);
+    buckets.push({
+      key: String(start),
+      label: formatDuration(start),
+      value: inBucket.length,
+      entryIds: inBucket.map(item => item.entry.id),
+    });
+  }
+  return buckets;
+}
+
+/**
+ * Totals across the races - elevation from route files, time on course from finish times
+ * @returns {Object} - { elevationGain, elevationRaces, timeOnCourse, timedRaces }
+ */
+export function getCourseTotals(entries) {
+  const withElevation = entries.filter(entry => entry.routeData?.stats?.elevationGain > 0);
+  const timed = entries.filter(getFinishSeconds);
+  return {
+    elevationGain: withElevation.reduce((sum, entry) => sum + entry.routeData.stats.elevationGain, 0),
+    elevationRaces: withElevation.length,
+    timeOnCourse: timed.reduce((sum, entry) => sum + getFinishSeconds(entry), 0),
+    timedRaces: timed.length,
+  };
+}
@@ -1,18 +1,14 @@
+import { evaluateGoals } from './goalUtils';
+import { getRaceStatus, isFinishedRace, getRaceDistanceKm, getDistanceLabel, RACE_DISTANCES } from './raceUtils';
+import { isMultisportRace, aggregateDisciplines } from './multisportUtils';
+import { formatPace } from './units';
+
 /**
- * Get distance in kilometers for a race distance
+ * Get distance in kilometers for a distance name ('Half Marathon', '10 Mile', ...)
+ * Names with no fixed length ('Ultra', 'Other', 'Backyard Ultra') give 0
  */
 export function getDistanceInKm(raceDistance) {
-  const distanceMap = {
-    '5K': 5,
-    '10K': 10,
-    'Half Marathon': 21.0975,
-    'Marathon': 42.195,
-    'Ultra': 50, // Estimate
-    'Triathlon': 51.5, // Estimate (Olympic distance)
-    'Other': 0, // Unknown
-  };
-  
-  return distanceMap[raceDistance] || 0;
+  return getRaceDistanceKm({ raceDistance }) || 0;
 }
 
 /**
@@ -45,164 +41,95 @@ export function parseTimeToSeconds(timeString) {
 }
 
 /**
- * Format seconds to pace string (e.g., "5:30/km")
+ * Format seconds as H:MM:SS or M:SS - signs are left to the caller, so negative times show their size
+ * @returns {string} - Empty when there's no time
  */
-export function formatPace(secondsPerKm) {
-  if (!secondsPerKm || secondsPerKm === 0) return null;
-  
-  const minutes = Math.floor(secondsPerKm / 60);
-  const seconds = Math.floor(secondsPerKm % 60);
-  
-  return `${minutes}:${seconds.toString().padStart(2, '0')}/km`;
+export function formatDuration(totalSeconds) {
+  if (totalSeconds === null || totalSeconds === undefined || !isFinite(totalSeconds)) return '';
+  const rounded = Math.round(Math.abs(totalSeconds));
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = rounded % 60;
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+  }
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// Pace formatting lives with the other unit-aware formatters
+export { formatPace };
+
+/**
+ * Distance and pace of one race - the route file's distance, paced by its elapsed time where the track has times,
+ * otherwise the official distance and the finish time
+ * Multisport races get no pace here - they're paced per discipline instead (see aggregateDisciplines)
+ * @returns {Object} - { distanceKm, secondsPerKm } with null for what can't be worked out
+ */
+export function getRaceEffort(entry) {
+  const routeStats = entry.routeData?.stats;
+  const officialDistanceKm = getRaceDistanceKm(entry);
+  const distanceKm = routeStats?.distance > 0 ? routeStats.distance : officialDistanceKm;
+
+  let secondsPerKm = null;
+  if (!isMultisportRace(entry)) {
+    if (routeStats?.distance > 0 && routeStats.totalTime > 0) {
+      secondsPerKm = routeStats.totalTime / routeStats.distance;
+    } else if (officialDistanceKm) {
+      // No track, or one without timestamps
+      const finishTimeSeconds = parseTimeToSeconds(entry.results?.finishTime);
+      if (finishTimeSeconds > 0) {
+        secondsPerKm = finishTimeSeconds / officialDistanceKm;
+      }
+    }
+  }
+
+  return { distanceKm: distanceKm || null, secondsPerKm };
 }
 
 /**
  * Calculate stats from race entries
+ * Only finished races count - upcoming races and DNS/DNF entries add no distance or pace
+ * @param {string} units - 'metric' or 'imperial', for the formatted paces
  */
-export function calculateStats(entries) {
+export function calculateStats(entries, units = 'metric') {
+  const finishedEntries = entries.filter(isFinishedRace);
   const stats = {
-    totalRaces: entries.length,
+    totalRaces: finishedEntries.length,
+    dnfCount: entries.filter(entry => getRaceStatus(entry) === 'dnf').length,
     totalDistance: 0,
     averagePace: null,
     favoriteDistance: null,
+    goals: summarizeGoals(finishedEntries),
+    disciplines: aggregateDisciplines(finishedEntries, units),
   };
 
-  if (entries.length === 0) {
+  if (finishedEntries.length === 0) {
     return stats;
   }
 
-  // Calculate total distance and collect finish times with distances
   const paceData = [];
   const distanceCounts = {};
 
-  entries.forEach(entry => {
-    // Get ACTUAL distance and time from GPX routeData (priority)
-    let actualDistanceKm = null;
-    let actualTimeSeconds = null;
-    let paceSource = 'none';
-    
-    // Priority 1: Use GPX routeData for actual distance and time
-    if (entry.routeData && entry.routeData.stats) {
-      const routeStats = entry.routeData.stats;
-      
-      // Use actual distance from GPX (in kilometers)
-      if (routeStats.distance && routeStats.distance > 0) {
-        actualDistanceKm = routeStats.distance;
-      }
-      
-      // Use actual time from GPX (in seconds)
-      if (routeStats.totalTime && routeStats.totalTime > 0) {
-        actualTimeSeconds = routeStats.totalTime;
-        paceSource = 'routeData.totalTime';
-      }
-    }
-    
-    // Priority 2: If no GPX data, try finishTime with race distance (fallback, less accurate)
-    if (!actualDistanceKm || !actualTimeSeconds) {
-      // Get categorical distance for fallback calculation only
-      let categoricalDistance = entry.raceDistance;
-      
-      // If no raceDistance, try to extract from old raceType format
-      if (!categoricalDistance && entry.raceType) {
-        const oldType = entry.raceType;
-        if (['5K', '10K', 'Half Marathon', 'Marathon', 'Ultra', 'Triathlon', 'Other'].includes(oldType)) {
-          categoricalDistance = oldType;
-        }
-      }
-      
-      // Only use categorical distance if we don't have GPX data
-      if (!actualDistanceKm && categoricalDistance) {
-        actualDistanceKm = getDistanceInKm(categoricalDistance);
-      }
-      
-      // Try to get time from finishTime field
-      if (!actualTimeSeconds && entry.results && entry.results.finishTime) {
-        actualTimeSeconds = parseTimeToSeconds(entry.results.finishTime);
-        paceSource = 'finishTime';
-      }
-    }
-    
-    // Add to total distance ONLY if we have actual distance from GPX
-    // Don't use categorical distance for total distance calculation
-    if (entry.routeData && entry.routeData.stats && entry.routeData.stats.distance && entry.routeData.stats.distance > 0) {
-      stats.totalDistance += entry.routeData.stats.distance;
-      console.log('Added GPX distance to total:', entry.routeData.stats.distance, 'km from', entry.raceName);
-    }
-    
-    // Count categorical distance for favorite distance (regardless of GPX)
-    // This is just for categorization, not calculation
-    let categoricalDistance = entry.raceDistance;
-    if (!categoricalDistance && entry.raceType) {
-      const oldType = entry.raceType;
-      if (['5K', '10K', 'Half Marathon', 'Marathon', 'Ultra', 'Triathlon', 'Other'].includes(oldType)) {
-        categoricalDistance = oldType;
-      }
-    }
-    if (categoricalDistance) {
-      distanceCounts[categoricalDistance] = (distanceCounts[categoricalDistance] || 0) + 1;
+  finishedEntries.forEach(entry => {
+    const { distanceKm, secondsPerKm } = getRaceEffort(entry);
+    stats.totalDistance += distanceKm || 0;
+    if (secondsPerKm) {
+      paceData.push(secondsPerKm);
     }
 
-    // Calculate pace ONLY if we have both actual time and distance from GPX
-    // Don't calculate pace using categorical distance - must use GPX data
-    if (entry.routeData && entry.routeData.stats) {
-      const routeStats = entry.routeData.stats;
-      
-      // Must have both GPX distance and GPX time to calculate pace
-      if (routeStats.distance && routeStats.distance > 0 && 
-          routeStats.totalTime && routeStats.totalTime > 0) {
-        const paceSecondsPerKm = routeStats.totalTime / routeStats.distance;
-        paceData.push(paceSecondsPerKm);
-        console.log('Added pace data from GPX:', {
-          entry: entry.raceName,
-          source: 'routeData',
-          gpxDistance: routeStats.distance.toFixed(2),
-          gpxTime: routeStats.totalTime.toFixed(2),
-          paceSecondsPerKm: paceSecondsPerKm.toFixed(2),
-          formatted: formatPace(paceSecondsPerKm),
-          averagePacePerMile: routeStats.averagePacePerMile
-        });
-      } else {
-        console.log('GPX data incomplete for pace calculation:', entry.raceName, {
-          hasDistance: !!(routeStats.distance && routeStats.distance > 0),
-          hasTime: !!(routeStats.totalTime && routeStats.totalTime > 0),
-          routeStats
-        });
-      }
-    } else if (entry.results && entry.results.finishTime && 
-               entry.routeData && entry.routeData.stats && 
-               entry.routeData.stats.distance && entry.routeData.stats.distance > 0) {
-      // Fallback: use finishTime with GPX distance if GPX time not available
-      const finishTimeSeconds = parseTimeToSeconds(entry.results.finishTime);
-      if (finishTimeSeconds && finishTimeSeconds > 0) {
-        const paceSecondsPerKm = finishTimeSeconds / entry.routeData.stats.distance;
-        paceData.push(paceSecondsPerKm);
-        console.log('Added pace data from finishTime + GPX distance:', {
-          entry: entry.raceName,
-          source: 'finishTime + routeData.distance',
-          gpxDistance: entry.routeData.stats.distance.toFixed(2),
-          finishTimeSeconds: finishTimeSeconds.toFixed(2),
-          paceSecondsPerKm: paceSecondsPerKm.toFixed(2),
-          formatted: formatPace(paceSecondsPerKm)
-        });
-      }
-    } else {
-      console.log('No pace data for entry:', entry.raceName, {
-        hasRouteData: !!(entry.routeData && entry.routeData.stats),
-        routeStats: entry.routeData?.stats,
-        hasFinishTime: !!(entry.results && entry.results.finishTime)
-      });
+    // Count distance names for favorite distance (regardless of GPX)
+    // Old entries stored the distance in raceType
+    const distanceLabel = getDistanceLabel(entry) ||
+      (RACE_DISTANCES.includes(entry.raceType) ? entry.raceType : null);
+    if (distanceLabel) {
+      distanceCounts[distanceLabel] = (distanceCounts[distanceLabel] || 0) + 1;
     }
   });
 
-  // Calculate average pace
-  console.log('Pace data collected:', paceData.length, 'entries');
+  // Average pace across the races with one
   if (paceData.length > 0) {
     const totalPaceSeconds = paceData.reduce((sum, pace) => sum + pace, 0);
-    const averagePaceSeconds = totalPaceSeconds / paceData.length;
-    stats.averagePace = formatPace(averagePaceSeconds);
-    console.log('Average pace calculated:', stats.averagePace, 'from', averagePaceSeconds, 'seconds/km');
-  } else {
-    console.log('No pace data available - cannot calculate average pace');
+    stats.averagePace = formatPace(totalPaceSeconds / paceData.length, units);
   }
 
   // Find favorite distance
@@ -215,3 +142,34 @@ export function calculateStats(entries) {
   return stats;
 }
 
+
+
+/**
+ * Goal hit-rate across races that had goals and a result to judge them by
+ * @returns {Object|null} - { racesWithGoals, hit, hitRate, tiers: { A, B, C } } with tiers as { set, hit }
+ */
+function summarizeGoals(entries) {
+  const summary = {
+    racesWithGoals: 0,
+    hit: 0,
+    hitRate: null,
+    tiers: { A: { set: 0, hit: 0 }, B: { set: 0, hit: 0 }, C: { set: 0, hit: 0 } },
+  };
+
+  entries.forEach(entry => {
+    const evaluation = evaluateGoals(entry);
+    if (!evaluation || evaluation.hit === null) return;
+
+    summary.racesWithGoals++;
+    if (evaluation.hit) summary.hit++;
+    evaluation.times.forEach(time => {
+      if (time.hit === null) return;
+      summary.tiers[time.label].set++;
+      if (time.hit) summary.tiers[time.label].hit++;
+    });
+  });
+
+  if (summary.racesWithGoals === 0) return null;
+  summary.hitRate = summary.hit / summary.racesWithGoals;
+  return summary;
+}
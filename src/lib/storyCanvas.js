@@ -0,0 +1,272 @@
+import { formatDistance, formatElevation, formatPace } from './units';
+import { formatDuration } from './statsUtils';
+import { formatDate } from './dateUtils';
+import { getLocationText } from './raceUtils';
+
+// Story cards are drawn at the size social apps expect for stories
+export const STORY_WIDTH = 1080;
+export const STORY_HEIGHT = 1920;
+
+const FONT = 'Helvetica, Arial, sans-serif';
+const MARGIN = 96;
+
+// Background, text and accent colors per card - the same palette as the sticky-note stats
+const THEMES = {
+  intro: { background: '#111827', text: '#ffffff', accent: '#facc15' },
+  races: { background: '#bfdbfe', text: '#111827', accent: '#1d4ed8' },
+  distance: { background: '#bbf7d0', text: '#111827', accent: '#15803d' },
+  prs: { background: '#fef08a', text: '#111827', accent: '#a16207' },
+  fastest: { background: '#fecaca', text: '#111827', accent: '#b91c1c' },
+  travel: { background: '#e9d5ff', text: '#111827', accent: '#7e22ce' },
+  medals: { background: '#111827', text: '#ffffff', accent: '#facc15' },
+  map: { background: '#f9fafb', text: '#111827', accent: '#111827' },
+  outro: { background: '#000000', text: '#ffffff', accent: '#facc15' },
+};
+
+// Route colors on the combined map
+const ROUTE_COLORS = ['#2563eb', '#ea580c', '#16a34a', '#db2777', '#7c3aed', '#0891b2', '#ca8a04', '#dc2626'];
+
+/**
+ * Load images for the story. Images are requested with CORS so the canvas can still be exported;
+ * any that can't be loaded that way are left out.
+ * @returns {Promise<Object>} - { [src]: HTMLImageElement }
+ */
+export async function loadStoryImages(sources) {
+  const loaded = await Promise.all([...new Set(sources)].map(src => new Promise((resolve) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve([src, image]);
+    image.onerror = () => resolve([src, null]);
+    image.src = src;
+  })));
+  return Object.fromEntries(loaded.filter(([, image]) => image));
+}
+
+/**
+ * Draw a line of text, shrinking it until it fits the width
+ */
+function drawText(ctx, text, x, y, { size, weight = 'normal', color, align = 'left', maxWidth = STORY_WIDTH - MARGIN * 2 }) {
+  let fontSize = size;
+  ctx.font = `${weight} ${fontSize}px ${FONT}`;
+  while (ctx.measureText(text).width > maxWidth && fontSize > 24) {
+    fontSize -= 4;
+    ctx.font = `${weight} ${fontSize}px ${FONT}`;
+  }
+  ctx.fillStyle = color;
+  ctx.textAlign = align;
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(text, x, y);
+}
+
+/**
+ * Card header and footer shared by every card
+ */
+function drawFrame(ctx, theme, review, title) {
+  ctx.fillStyle = theme.background;
+  ctx.fillRect(0, 0, STORY_WIDTH, STORY_HEIGHT);
+
+  drawText(ctx, `${review.year} IN RACING`, MARGIN, 200, { size: 36, weight: 'bold', color: theme.accent });
+  if (title) {
+    drawText(ctx, title, MARGIN, 330, { size: 88, weight: 'bold', color: theme.text });
+  }
+  drawText(ctx, 'BIB JOURNAL', STORY_WIDTH / 2, STORY_HEIGHT - 96, { size: 32, weight: 'bold', color: theme.text, align: 'center' });
+}
+
+function drawIntro(ctx, theme, review, { name }) {
+  drawFrame(ctx, theme, review, null);
+  const center = STORY_WIDTH / 2;
+  if (name) {
+    drawText(ctx, `${name}'s`, center, 700, { size: 72, color: theme.text, align: 'center' });
+  }
+  drawText(ctx, String(review.year), center, 960, { size: 300, weight: 'bold', color: theme.accent, align: 'center' });
+  drawText(ctx, 'in racing', center, 1100, { size: 96, weight: 'bold', color: theme.text, align: 'center' });
+  drawText(ctx, `${review.raceCount} race${review.raceCount === 1 ? '' : 's'}. Let's look back.`, center, 1300, { size: 48, color: theme.text, align: 'center' });
+}
+
+function drawRaces(ctx, theme, review) {
+  drawFrame(ctx, theme, review, null);
+  drawText(ctx, String(review.raceCount), MARGIN, 820, { size: 400, weight: 'bold', color: theme.accent });
+  drawText(ctx, `race${review.raceCount === 1 ? '' : 's'} finished`, MARGIN, 940, { size: 80, weight: 'bold', color: theme.text });
+  if (review.dnfCount > 0) {
+    drawText(ctx, `+ ${review.dnfCount} DNF - it happens`, MARGIN, 1030, { size: 44, color: theme.text });
+  }
+
+  review.distances.slice(0, 6).forEach((distance, index) => {
+    const y = 1200 + index * 88;
+    drawText(ctx, distance.label, MARGIN, y, { size: 52, color: theme.text, maxWidth: 700 });
+    drawText(ctx, `×${distance.count}`, STORY_WIDTH - MARGIN, y, { size: 52, weight: 'bold', color: theme.accent, align: 'right' });
+  });
+}
+
+function drawDistance(ctx, theme, review, { units }) {
+  drawFrame(ctx, theme, review, null);
+  drawText(ctx, formatDistance(review.distanceKm, units, 0), MARGIN, 760, { size: 220, weight: 'bold', color: theme.accent });
+  drawText(ctx, 'raced', MARGIN, 870, { size: 80, weight: 'bold', color: theme.text });
+
+  if (review.elevationGain > 0) {
+    drawText(ctx, formatElevation(review.elevationGain, units), MARGIN, 1200, { size: 180, weight: 'bold', color: theme.accent });
+    drawText(ctx, 'climbed', MARGIN, 1300, { size: 80, weight: 'bold', color: theme.text });
+  }
+  if (review.routeCount < review.raceCount) {
+    drawText(ctx, `Elevation from the ${review.routeCount} race${review.routeCount === 1 ? '' : 's'} with a route file`, MARGIN, 1560, { size: 36, color: theme.text });
+  }
+}
+
+function drawPrs(ctx, theme, review) {
+  drawFrame(ctx, theme, review, `${review.prs.length} new PR${review.prs.length === 1 ? '' : 's'}`);
+  review.prs.forEach((pr, index) => {
+    const y = 560 + index * 230;
+    drawText(ctx, pr.distance, MARGIN, y, { size: 56, weight: 'bold', color: theme.text, maxWidth: 560 });
+    drawText(ctx, formatDuration(pr.seconds), STORY_WIDTH - MARGIN, y, { size: 72, weight: 'bold', color: theme.accent, align: 'right' });
+    drawText(ctx, pr.raceName, MARGIN, y + 64, { size: 38, color: theme.text, maxWidth: 620 });
+    if (pr.improvement) {
+      drawText(ctx, `-${formatDuration(pr.improvement)}`, STORY_WIDTH - MARGIN, y + 64, { size: 38, color: theme.accent, align: 'right' });
+    }
+  });
+}
+
+function drawFastest(ctx, theme, review, { units }) {
+  const { entry, seconds, secondsPerKm } = review.fastest;
+  drawFrame(ctx, theme, review, 'Fastest race');
+  drawText(ctx, entry.raceName, MARGIN, 640, { size: 80, weight: 'bold', color: theme.text });
+  drawText(ctx, formatDate(entry.date, 'MMMM d'), MARGIN, 730, { size: 44, color: theme.text });
+  drawText(ctx, formatDuration(seconds), MARGIN, 1040, { size: 220, weight: 'bold', color: theme.accent });
+  drawText(ctx, formatPace(secondsPerKm, units), MARGIN, 1160, { size: 72, weight: 'bold', color: theme.text });
+}
+
+function drawTravel(ctx, theme, review, { units }) {
+  const { entry, distanceKm } = review.mostTravelled;
+  drawFrame(ctx, theme, review, 'Furthest from home');
+  drawText(ctx, entry.raceName, MARGIN, 640, { size: 80, weight: 'bold', color: theme.text });
+  drawText(ctx, getLocationText(entry.location), MARGIN, 730, { size: 44, color: theme.text });
+  if (distanceKm) {
+    drawText(ctx, formatDistance(distanceKm, units, 0), MARGIN, 1040, { size: 200, weight: 'bold', color: theme.accent });
+    drawText(ctx, 'from home', MARGIN, 1140, { size: 72, weight: 'bold', color: theme.text });
+  } else {
+    drawText(ctx, 'Worth the trip', MARGIN, 1040, { size: 120, weight: 'bold', color: theme.accent });
+  }
+}
+
+/**
+ * Medal montage - a grid of medals, each slightly tilted like the journal cards
+ */
+function drawMedals(ctx, theme, review, { images }) {
+  const medals = review.medals.filter(medal => images[medal.src]);
+  drawFrame(ctx, theme, review, `${review.medals.length} medal${review.medals.length === 1 ? '' : 's'}`);
+
+  if (medals.length === 0) {
+    drawText(ctx, 'Medal photos couldn\'t be loaded', MARGIN, 900, { size: 44, color: theme.text });
+    return;
+  }
+
+  const columns = medals.length > 4 ? 3 : medals.length > 1 ? 2 : 1;
+  const rows = Math.ceil(medals.length / columns);
+  const top = 440;
+  const cellWidth = (STORY_WIDTH - MARGIN * 2) / columns;
+  const cellHeight = Math.min(cellWidth * 1.2, (STORY_HEIGHT - top - 240) / rows);
+
+  medals.forEach((medal, index) => {
+    const image = images[medal.src];
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+    const scale = Math.min((cellWidth * 0.85) / image.width, (cellHeight * 0.85) / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+
+    ctx.save();
+    ctx.translate(MARGIN + cellWidth * (column + 0.5), top + cellHeight * (row + 0.5));
+    ctx.rotate((((index * 7) % 9) - 4) * Math.PI / 180);
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.35)';
+    ctx.shadowBlur = 16;
+    ctx.shadowOffsetY = 6;
+    ctx.drawImage(image, -width / 2, -height / 2, width, height);
+    ctx.restore();
+  });
+}
+
+/**
+ * Every route of the year drawn on one map, without tiles - the same line-drawing look as the race pages
+ */
+function drawMap(ctx, theme, review) {
+  drawFrame(ctx, theme, review, 'Every race, one map');
+
+  const points = review.routes.flat();
+  const lats = points.map(point => point.lat);
+  const lons = points.map(point => point.lon);
+  const minLat = Math.min(...lats);
+  const maxLat = Math.max(...lats);
+  const minLon = Math.min(...lons);
+  const maxLon = Math.max(...lons);
+  const lonScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+
+  const box = { left: MARGIN, top: 440, width: STORY_WIDTH - MARGIN * 2, height: STORY_HEIGHT - 440 - 260 };
+  const spanX = Math.max((maxLon - minLon) * lonScale, 1e-6);
+  const spanY = Math.max(maxLat - minLat, 1e-6);
+  const scale = Math.min(box.width / spanX, box.height / spanY);
+  const offsetX = box.left + (box.width - spanX * scale) / 2;
+  const offsetY = box.top + (box.height - spanY * scale) / 2;
+  const project = point => [offsetX + (point.lon - minLon) * lonScale * scale, offsetY + (maxLat - point.lat) * scale];
+
+  ctx.lineWidth = 8;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  review.routes.forEach((route, index) => {
+    ctx.strokeStyle = ROUTE_COLORS[index % ROUTE_COLORS.length];
+    ctx.beginPath();
+    route.forEach((point, pointIndex) => {
+      const [x, y] = project(point);
+      if (pointIndex === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+  });
+
+  drawText(ctx, `${review.routes.length} route${review.routes.length === 1 ? '' : 's'}`, MARGIN, STORY_HEIGHT - 200, { size: 40, color: theme.text });
+}
+
+function drawOutro(ctx, theme, review) {
+  drawFrame(ctx, theme, review, null);
+  const center = STORY_WIDTH / 2;
+  drawText(ctx, 'See you at the', center, 820, { size: 88, weight: 'bold', color: theme.text, align: 'center' });
+  drawText(ctx, 'start line', center, 940, { size: 120, weight: 'bold', color: theme.accent, align: 'center' });
+  drawText(ctx, `in ${review.year + 1}`, center, 1060, { size: 88, weight: 'bold', color: theme.text, align: 'center' });
+  if (review.nextYearRaces > 0) {
+    drawText(ctx, `${review.nextYearRaces} race${review.nextYearRaces === 1 ? '' : 's'} already on the calendar`, center, 1240, { size: 44, color: theme.text, align: 'center' });
+  }
+}
+
+const DRAWERS = {
+  intro: drawIntro,
+  races: drawRaces,
+  distance: drawDistance,
+  prs: drawPrs,
+  fastest: drawFastest,
+  travel: drawTravel,
+  medals: drawMedals,
+  map: drawMap,
+  outro: drawOutro,
+};
+
+/**
+ * Draw one story card onto a canvas at full story size
+ * @param {string} type - A card type from getStoryCards
+ * @param {Object} options - { units, name, images: from loadStoryImages }
+ */
+export function drawStoryCard(canvas, type, review, options) {
+  canvas.width = STORY_WIDTH;
+  canvas.height = STORY_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  DRAWERS[type](ctx, THEMES[type], review, { images: {}, ...options });
+}
+
+/**
+ * Render a story card to a PNG
+ * @returns {Promise<Blob>}
+ */
+export function renderStoryCard(type, review, options) {
+  const canvas = document.createElement('canvas');
+  drawStoryCard(canvas, type, review, options);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to render story card'))), 'image/png');
+  });
+}
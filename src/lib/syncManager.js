@@ -0,0 +1,467 @@
+import { firestoreDb } from './firestoreDb';
+import { offlineStore } from './offlineStore';
+import { processEntryImages } from './entryProcessing';
+import { parseRouteFile } from './routeImporter';
+import { parseLocalDate } from './dateUtils';
+import { getDistanceMigration } from './raceUtils';
+
+const LOCAL_ID_PREFIX = 'local-';
+
+let status = {
+  online: typeof navigator === 'undefined' ? true : navigator.onLine,
+  syncing: false,
+  pending: 0,
+  failed: [], // Changes set aside after a permanent error: [{ seq, entryId, type, raceName, error }]
+  lastSyncedAt: null,
+  error: null,
+};
+const listeners = new Set();
+let activeUserId = null;
+let replayPromise = null;
+
+function setStatus(changes) {
+  status = { ...status, ...changes };
+  listeners.forEach(listener => listener(status));
+}
+
+function isOnline() {
+  return typeof navigator === 'undefined' ? true : navigator.onLine;
+}
+
+function isLocalId(entryId) {
+  return typeof entryId === 'string' && entryId.startsWith(LOCAL_ID_PREFIX);
+}
+
+/**
+ * Check if an error means Firestore/Storage couldn't be reached
+ * (as opposed to a permission or validation error that retrying won't fix)
+ */
+function isNetworkError(error) {
+  return error?.code === 'unavailable' ||
+    error?.code === 'storage/retry-limit-exceeded' ||
+    /network|offline|failed to fetch/i.test(error?.message || '');
+}
+
+/**
+ * Refresh the pending count and the list of failed changes from the queue
+ */
+async function refreshQueueStatus(userId) {
+  const queue = await offlineStore.getQueue(userId);
+  const failed = await Promise.all(queue.filter(op => op.failedAt).map(async op => ({
+    seq: op.seq,
+    entryId: op.entryId,
+    type: op.type,
+    raceName: op.data?.raceName || (await offlineStore.getEntry(op.entryId))?.raceName || 'Untitled race',
+    error: op.error,
+  })));
+  setStatus({ pending: queue.length - failed.length, failed });
+}
+
+/**
+ * The next queued operation to replay - changes to an entry whose earlier change failed
+ * wait behind it, so an entry's changes are never applied out of order
+ */
+function getNextOperation(queue) {
+  const blocked = new Set(queue.filter(op => op.failedAt).map(op => op.entryId));
+  return queue.find(op => !blocked.has(op.entryId)) || null;
+}
+
+/**
+ * Build the mirror copy of an entry saved while offline.
+ * Image files stay as blobs until the queue is replayed.
+ */
+async function buildLocalEntry(userId, entryId, entryData, existing = null) {
+  const entry = {
+    ...(existing || {}),
+    ...entryData,
+    id: entryId,
+    userId,
+    updatedAt: new Date(),
+    pendingSync: true,
+  };
+  if (!existing) {
+    entry.createdAt = new Date();
+  }
+  if (typeof entry.date === 'string') {
+    entry.date = parseLocalDate(entry.date);
+  }
+
+  // Route parsing doesn't need a connection, so show the route right away
+  if (entryData.gpxFile instanceof File) {
+    try {
+      entry.routeData = await parseRouteFile(entryData.gpxFile);
+    } catch (error) {
+      console.error('Failed to parse route file:', error);
+    }
+  }
+  if (Array.isArray(entryData.legs)) {
+    entry.legs = await Promise.all(entryData.legs.map(async (leg) => {
+      if (!(leg.gpxFile instanceof File)) return leg;
+      try {
+        return { ...leg, routeData: await parseRouteFile(leg.gpxFile) };
+      } catch (error) {
+        console.error('Failed to parse leg route file:', error);
+        return leg;
+      }
+    }));
+  }
+
+  return entry;
+}
+
+/**
+ * Replay a single queued operation against Firestore
+ */
+async function replayOperation(userId, operation) {
+  if (operation.type === 'add') {
+    const processed = await processEntryImages(operation.data, userId);
+    const remoteId = await firestoreDb.addEntry(userId, processed);
+    const localEntry = await offlineStore.getEntry(operation.entryId);
+    await offlineStore.remapEntryId(operation.entryId, remoteId, {
+      ...(localEntry || {}),
+      ...processed,
+      userId,
+      date: typeof processed.date === 'string' ? parseLocalDate(processed.date) : processed.date,
+    });
+    return remoteId;
+  }
+
+  if (operation.type === 'update') {
+    const processed = await processEntryImages(operation.data, userId);
+    await firestoreDb.updateEntry(operation.entryId, processed);
+    return operation.entryId;
+  }
+
+  if (operation.type === 'delete') {
+    await firestoreDb.deleteEntry(operation.entryId);
+    return operation.entryId;
+  }
+
+  throw new Error(`Unknown sync operation: ${operation.type}`);
+}
+
+/**
+ * Queue a change for an entry, folding it into an earlier queued change where possible
+ */
+async function queueChange(userId, entryId, type, data = null) {
+  const queue = await offlineStore.getQueue(userId);
+  const existing = queue.filter(op => op.entryId === entryId);
+
+  if (type === 'delete') {
+    await offlineStore.dequeueEntry(entryId);
+    // Entries that never reached Firestore can just be forgotten
+    if (!isLocalId(entryId)) {
+      await offlineStore.enqueue({ userId, entryId, type: 'delete' });
+    }
+  } else {
+    const pendingWrite = existing.find(op => op.type === 'add' || op.type === 'update');
+    if (pendingWrite) {
+      // A newer edit to a change that failed gets another try, rather than waiting behind the failure
+      await offlineStore.updateQueued(pendingWrite.seq, {
+        data: { ...pendingWrite.data, ...data },
+        failedAt: null,
+        error: null,
+      });
+    } else {
+      await offlineStore.enqueue({ userId, entryId, type, data });
+    }
+  }
+
+  await refreshQueueStatus(userId);
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => {
+    setStatus({ online: true });
+    if (activeUserId) {
+      syncManager.replay(activeUserId);
+    }
+  });
+  window.addEventListener('offline', () => {
+    setStatus({ online: false });
+  });
+}
+
+/**
+ * Offline-aware data layer: reads from Firestore when possible and mirrors to
+ * IndexedDB, falls back to the mirror without a connection, and queues writes
+ * made offline so they can be replayed on reconnect.
+ */
+export const syncManager = {
+  isOnline,
+  isLocalId,
+
+  /**
+   * Get the current sync status
+   */
+  getStatus() {
+    return status;
+  },
+
+  /**
+   * Subscribe to sync status changes, returns an unsubscribe function
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * Get all entries for a user, from Firestore when online or the mirror when not
+   */
+  async getEntries(userId) {
+    activeUserId = userId;
+    const online = isOnline();
+
+    if (online) {
+      try {
+        const remoteEntries = await firestoreDb.getEntries(userId);
+        await offlineStore.cacheEntries(userId, remoteEntries);
+        // Cache images in the background so the journal can be browsed offline
+        offlineStore.cacheEntryImages(remoteEntries).catch((error) => {
+          console.warn('Failed to cache images:', error);
+        });
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+        console.warn('Firestore unavailable, using offline copy:', error);
+      }
+    }
+
+    await refreshQueueStatus(userId);
+    if (online && status.pending > 0) {
+      this.replay(userId);
+    }
+
+    const entries = await offlineStore.getEntries(userId);
+    return Promise.all(entries.map(entry => offlineStore.resolveEntryImages(entry, !online)));
+  },
+
+  /**
+   * Give entries saved with only a distance name ('Half Marathon') a numeric official distance.
+   * Returns the migrated entries straight away; each change is saved like any other update.
+   */
+  async migrateDistances(userId, entries) {
+    const migrated = [];
+    for (const entry of entries) {
+      const changes = getDistanceMigration(entry);
+      if (!changes) {
+        migrated.push(entry);
+        continue;
+      }
+      try {
+        await this.updateEntry(userId, entry.id, changes);
+      } catch (error) {
+        console.error(`Failed to migrate distance for ${entry.raceName}:`, error);
+      }
+      migrated.push({ ...entry, ...changes });
+    }
+    return migrated;
+  },
+
+  /**
+   * Get a single entry. Entries with unsynced changes always come from the mirror.
+   * Pass forDisplay to turn pending image files (and cached images when offline) into object URLs.
+   */
+  async getEntry(entryId, { forDisplay = false } = {}) {
+    const online = isOnline();
+    let entry = await offlineStore.getEntry(entryId);
+
+    if (online && !entry?.pendingSync && !isLocalId(entryId)) {
+      try {
+        entry = await firestoreDb.getEntry(entryId);
+        await offlineStore.putEntry(entry);
+      } catch (error) {
+        if (!isNetworkError(error) || !entry) throw error;
+      }
+    }
+
+    if (!entry) {
+      throw new Error('Entry not found');
+    }
+
+    return forDisplay ? offlineStore.resolveEntryImages(entry, !online) : entry;
+  },
+
+  /**
+   * Get a user profile, falling back to the cached copy when offline
+   */
+  async getUserProfile(userId) {
+    if (isOnline()) {
+      try {
+        const profile = await firestoreDb.getUserProfile(userId);
+        await offlineStore.cacheProfile(userId, profile);
+        return profile;
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+      }
+    }
+    return offlineStore.getProfile(userId);
+  },
+
+  /**
+   * Save the gear library and keep the cached profile in step with it
+   * Profile changes aren't queued, so this needs a connection
+   */
+  async updateUserGear(userId, gear) {
+    await firestoreDb.updateUserGear(userId, gear);
+    const cached = await offlineStore.getProfile(userId);
+    await offlineStore.cacheProfile(userId, cached && { ...cached, gear });
+  },
+
+  /**
+   * Add an entry, or queue it when offline
+   */
+  async addEntry(userId, entryData) {
+    if (isOnline()) {
+      try {
+        const processedEntry = await processEntryImages(entryData, userId);
+        return await firestoreDb.addEntry(userId, processedEntry);
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+      }
+    }
+
+    const localId = `${LOCAL_ID_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await offlineStore.putEntry(await buildLocalEntry(userId, localId, entryData));
+    await queueChange(userId, localId, 'add', entryData);
+    return localId;
+  },
+
+  /**
+   * Update an entry, or queue the change when offline (or when earlier changes are still queued)
+   */
+  async updateEntry(userId, entryId, entryData) {
+    const queue = await offlineStore.getQueue(userId);
+    const hasQueuedChanges = queue.some(op => op.entryId === entryId);
+
+    if (isOnline() && !hasQueuedChanges && !isLocalId(entryId)) {
+      try {
+        const processedEntry = await processEntryImages(entryData, userId);
+        await firestoreDb.updateEntry(entryId, processedEntry);
+        return;
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+      }
+    }
+
+    const existing = await offlineStore.getEntry(entryId);
+    await offlineStore.putEntry(await buildLocalEntry(userId, entryId, entryData, existing));
+    await queueChange(userId, entryId, 'update', entryData);
+    if (isOnline()) {
+      this.replay(userId);
+    }
+  },
+
+  /**
+   * Delete an entry, or queue the deletion when offline
+   */
+  async deleteEntry(userId, entryId) {
+    const queue = await offlineStore.getQueue(userId);
+    const hasQueuedChanges = queue.some(op => op.entryId === entryId);
+
+    if (isOnline() && !hasQueuedChanges && !isLocalId(entryId)) {
+      try {
+        await firestoreDb.deleteEntry(entryId);
+        await offlineStore.deleteEntry(entryId);
+        return;
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+      }
+    }
+
+    await offlineStore.deleteEntry(entryId);
+    await queueChange(userId, entryId, 'delete');
+    if (isOnline()) {
+      this.replay(userId);
+    }
+  },
+
+  /**
+   * Replay queued changes against Firestore, oldest first.
+   * Stops at a network error so later changes never overtake earlier ones. A change that fails for
+   * any other reason (permission denied, a deleted entry) won't succeed on retry, so it's set aside
+   * with its error and the rest of the queue carries on.
+   */
+  async replay(userId) {
+    if (replayPromise) return replayPromise;
+    if (!isOnline()) return;
+
+    replayPromise = (async () => {
+      let queue = await offlineStore.getQueue(userId);
+      let operation = getNextOperation(queue);
+      if (!operation) return;
+
+      setStatus({ syncing: true, error: null });
+      try {
+        while (operation) {
+          let entryId;
+          try {
+            entryId = await replayOperation(userId, operation);
+          } catch (error) {
+            if (isNetworkError(error)) throw error;
+            console.error(`Failed to sync ${operation.type} of ${operation.entryId}, setting it aside:`, error);
+            await offlineStore.updateQueued(operation.seq, { failedAt: new Date(), error: error.message || 'Sync failed' });
+            queue = await offlineStore.getQueue(userId);
+            operation = getNextOperation(queue);
+            await refreshQueueStatus(userId);
+            continue;
+          }
+          await offlineStore.dequeue(operation.seq);
+
+          queue = await offlineStore.getQueue(userId);
+          if (!queue.some(op => op.entryId === entryId)) {
+            const mirrored = await offlineStore.getEntry(entryId);
+            if (mirrored) {
+              await offlineStore.putEntry({ ...mirrored, pendingSync: false });
+            }
+          }
+          operation = getNextOperation(queue);
+          await refreshQueueStatus(userId);
+        }
+        setStatus({ lastSyncedAt: new Date() });
+      } catch (error) {
+        console.error('Failed to sync offline changes:', error);
+        setStatus({ error: error.message || 'Sync failed' });
+      } finally {
+        setStatus({ syncing: false });
+        replayPromise = null;
+      }
+    })();
+
+    return replayPromise;
+  },
+
+  /**
+   * Try the changes that were set aside after failing again
+   */
+  async retryFailed(userId) {
+    const queue = await offlineStore.getQueue(userId);
+    for (const op of queue.filter(item => item.failedAt)) {
+      await offlineStore.updateQueued(op.seq, { failedAt: null, error: null });
+    }
+    await refreshQueueStatus(userId);
+    return this.replay(userId);
+  },
+
+  /**
+   * Give up on a failed change. An entry that was never uploaded is removed from the mirror;
+   * other entries are refreshed from Firestore on the next load.
+   */
+  async discardFailed(userId, seq) {
+    const operation = (await offlineStore.getQueue(userId)).find(op => op.seq === seq);
+    if (!operation) return;
+
+    await offlineStore.dequeue(seq);
+    if (operation.type === 'add' && isLocalId(operation.entryId)) {
+      await offlineStore.dequeueEntry(operation.entryId);
+      await offlineStore.deleteEntry(operation.entryId);
+    }
+    await refreshQueueStatus(userId);
+    // Changes to the same entry were waiting behind this one
+    if (isOnline()) {
+      await this.replay(userId);
+    }
+    // Reload the journal without the discarded change
+    setStatus({ lastSyncedAt: new Date() });
+  },
+};
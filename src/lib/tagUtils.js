@@ -0,0 +1,65 @@
+// Keeps tags short enough to fit on a card
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Tidy a typed tag - trims and collapses whitespace, drops a leading #
+ * @returns {string} - The tag, or '' when there's nothing left
+ */
+export function normalizeTag(tag) {
+  return String(tag || '')
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Tags are matched without regard to case, so "Rainy" and "rainy" are the same tag
+ */
+function tagKey(tag) {
+  return normalizeTag(tag).toLowerCase();
+}
+
+/**
+ * Add a tag to a list, unless it's empty or already there
+ */
+export function addTag(tags, tag) {
+  const cleaned = normalizeTag(tag);
+  if (!cleaned || (tags || []).some(existing => tagKey(existing) === tagKey(cleaned))) {
+    return tags || [];
+  }
+  return [...(tags || []), cleaned];
+}
+
+/**
+ * Remove a tag from a list
+ */
+export function removeTag(tags, tag) {
+  return (tags || []).filter(existing => tagKey(existing) !== tagKey(tag));
+}
+
+/**
+ * Whether an entry has a tag
+ */
+export function hasTag(entry, tag) {
+  return (entry.tags || []).some(existing => tagKey(existing) === tagKey(tag));
+}
+
+/**
+ * Every tag used across a journal, most used first
+ * The first spelling seen is the one shown.
+ * @returns {Array} - [{ tag, count }]
+ */
+export function getAllTags(entries) {
+  const tags = {};
+  entries.forEach((entry) => {
+    (entry.tags || []).forEach((tag) => {
+      const key = tagKey(tag);
+      if (!key) return;
+      if (!tags[key]) tags[key] = { tag: normalizeTag(tag), count: 0 };
+      tags[key].count++;
+    });
+  });
+  return Object.values(tags).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
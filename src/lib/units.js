@@ -0,0 +1,121 @@
+// Display units - everything is stored metric (km, m, seconds per km) and converted for display
+export const UNIT_SYSTEMS = {
+  metric: {
+    label: 'Metric',
+    distance: 'km',
+    distanceName: 'Km',
+    elevation: 'm',
+    speed: 'km/h',
+    swim: '100m',
+    lengthKm: 1,
+    swimLengthKm: 0.1,
+    elevationPerMeter: 1,
+  },
+  imperial: {
+    label: 'Imperial',
+    distance: 'mi',
+    distanceName: 'Mile',
+    elevation: 'ft',
+    speed: 'mph',
+    swim: '100yd',
+    lengthKm: 1.609344,
+    swimLengthKm: 0.09144,
+    elevationPerMeter: 3.28084,
+  },
+};
+
+export const DEFAULT_UNITS = 'metric';
+
+/**
+ * Unit system for a preference, falling back to metric for missing or unknown values
+ */
+export function getUnitSystem(units) {
+  return UNIT_SYSTEMS[units] || UNIT_SYSTEMS[DEFAULT_UNITS];
+}
+
+/**
+ * A profile's units preference
+ * @returns {string} - 'metric' or 'imperial'
+ */
+export function getProfileUnits(profile) {
+  return UNIT_SYSTEMS[profile?.units] ? profile.units : DEFAULT_UNITS;
+}
+
+/**
+ * Distance unit label ('km' or 'mi') - also the split unit key in splitUtils
+ */
+export function getDistanceUnit(units) {
+  return getUnitSystem(units).distance;
+}
+
+/**
+ * Elevation unit label ('m' or 'ft')
+ */
+export function getElevationUnit(units) {
+  return getUnitSystem(units).elevation;
+}
+
+/**
+ * Convert kilometers to the preferred distance unit
+ */
+export function convertDistance(km, units) {
+  return km / getUnitSystem(units).lengthKm;
+}
+
+/**
+ * Convert meters to the preferred elevation unit
+ */
+export function convertElevation(meters, units) {
+  return meters * getUnitSystem(units).elevationPerMeter;
+}
+
+/**
+ * Format a distance in kilometers, e.g. "12.4 km" or "7.7 mi"
+ */
+export function formatDistance(km, units, decimals = 1) {
+  if (km === null || km === undefined || isNaN(km)) return null;
+  return `${convertDistance(km, units).toFixed(decimals)} ${getDistanceUnit(units)}`;
+}
+
+/**
+ * Format a running pace given in seconds per km, e.g. "5:30/km" or "8:51/mi"
+ */
+export function formatPace(secondsPerKm, units = DEFAULT_UNITS) {
+  if (!secondsPerKm || secondsPerKm === 0) return null;
+
+  const secondsPerUnit = secondsPerKm * getUnitSystem(units).lengthKm;
+  const minutes = Math.floor(secondsPerUnit / 60);
+  const seconds = Math.floor(secondsPerUnit % 60);
+
+  return `${minutes}:${seconds.toString().padStart(2, '0')}/${getDistanceUnit(units)}`;
+}
+
+/**
+ * Format a swim pace given in seconds per km, e.g. "1:52/100m" or "1:42/100yd"
+ */
+export function formatSwimPace(secondsPerKm, units = DEFAULT_UNITS) {
+  if (!secondsPerKm || secondsPerKm === 0) return null;
+
+  const system = getUnitSystem(units);
+  const secondsPerLength = secondsPerKm * system.swimLengthKm;
+  const minutes = Math.floor(secondsPerLength / 60);
+  const seconds = Math.floor(secondsPerLength % 60);
+
+  return `${minutes}:${seconds.toString().padStart(2, '0')}/${system.swim}`;
+}
+
+/**
+ * Format an elevation in meters, e.g. "420 m" or "1378 ft"
+ */
+export function formatElevation(meters, units) {
+  if (meters === null || meters === undefined || isNaN(meters)) return null;
+  return `${convertElevation(meters, units).toFixed(0)} ${getElevationUnit(units)}`;
+}
+
+/**
+ * Format a speed in km/h, e.g. "32.4 km/h" or "20.1 mph"
+ */
+export function formatSpeed(kmh, units, decimals = 1) {
+  if (!kmh) return null;
+  return `${convertDistance(kmh, units).toFixed(decimals)} ${getUnitSystem(units).speed}`;
+}
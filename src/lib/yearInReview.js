@@ -0,0 +1,191 @@
+import { isFinishedRace, getRaceStatus, getRaceDistanceKm, getMedalImageSrc, getDistanceLabel } from './raceUtils';
+import { computePersonalRecords } from './personalRecords';
+import { parseTimeToSeconds } from './statsUtils';
+import { isMultisportRace } from './multisportUtils';
+import { parseLocation } from './filterUtils';
+import { parseLocalDate } from './dateUtils';
+import { haversineDistance } from './gpxParser';
+
+// Most medals shown in the montage
+const MAX_MEDALS = 12;
+
+// Most PRs listed on the PR card
+const MAX_PRS = 5;
+
+function getYear(entry) {
+  const date = parseLocalDate(entry.date);
+  return date && !isNaN(date.getTime()) ? date.getFullYear() : null;
+}
+
+/**
+ * Years with at least one finished race, newest first
+ */
+export function getReviewYears(entries) {
+  return [...new Set(entries.filter(isFinishedRace).map(getYear).filter(Boolean))].sort((a, b) => b - a);
+}
+
+/**
+ * The year to offer by default - last year in January, otherwise this year if it has races
+ */
+export function getDefaultReviewYear(entries, now = new Date()) {
+  const years = getReviewYears(entries);
+  const preferred = now.getMonth() === 0 ? now.getFullYear() - 1 : now.getFullYear();
+  return years.includes(preferred) ? preferred : years[0] || null;
+}
+
+/**
+ * First point of a race's route
+ */
+function getStartPoint(entry) {
+  const point = entry.routeData?.coordinates?.[0];
+  return point && typeof point.lat === 'number' && typeof point.lon === 'number' ? point : null;
+}
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * The race furthest from home. With route files, home is the median start point of every race
+ * in the journal; without them, the race location is compared with the profile's location
+ * (another country beats another state, which beats another city).
+ * @returns {Object|null} - { entry, distanceKm } where distanceKm is null when judged by location name
+ */
+function findMostTravelled(races, allEntries, profile) {
+  const starts = allEntries.map(getStartPoint).filter(Boolean);
+  const routed = races.filter(getStartPoint);
+  if (starts.length >= 2 && routed.length > 0) {
+    const home = { lat: median(starts.map(point => point.lat)), lon: median(starts.map(point => point.lon)) };
+    const furthest = routed
+      .map(entry => ({ entry, distanceKm: haversineDistance(home.lat, home.lon, getStartPoint(entry).lat, getStartPoint(entry).lon) }))
+      .sort((a, b) => b.distanceKm - a.distanceKm)[0];
+    // A race down the road isn't much of a trip
+    if (furthest.distanceKm >= 50) return furthest;
+  }
+
+  if (!profile?.location) return null;
+  const home = parseLocation(profile.location);
+  const same = (a, b) => !a || !b || a.toLowerCase() === b.toLowerCase();
+  const scored = races
+    .map((entry) => {
+      const location = parseLocation(entry.location);
+      let score = 0;
+      if (!same(location.country, home.country)) score = 3;
+      else if (!same(location.region, home.region)) score = 2;
+      else if (!same(location.city, home.city)) score = 1;
+      return { entry, score };
+    })
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score);
+  return scored.length > 0 ? { entry: scored[0].entry, distanceKm: null } : null;
+}
+
+/**
+ * Everything the year-in-review story shows for one year
+ * @param {Object} profile - Owner's profile, for their name and home location
+ * @param {Object} records - The journal's computePersonalRecords result, when already worked out
+ * @returns {Object|null} - {
+ *   year, races: [entry] oldest first, raceCount, dnfCount, distanceKm, elevationGain, routeCount,
+ *   distances: [{ label, count }] most raced first,
+ *   prs: [{ entryId, raceName, date, seconds, improvement, distance }],
+ *   fastest: { entry, seconds, secondsPerKm } | null,
+ *   mostTravelled: { entry, distanceKm } | null,
+ *   medals: [{ entryId, raceName, src }],
+ *   routes: [[{ lat, lon }]],
+ *   nextYearRaces: number of races already registered for the year after
+ * } or null when the year has no finished races
+ */
+export function buildYearInReview(entries, year, profile = null, records = computePersonalRecords(entries)) {
+  const yearEntries = entries.filter(entry => getYear(entry) === year);
+  const races = yearEntries
+    .filter(isFinishedRace)
+    .sort((a, b) => parseLocalDate(a.date) - parseLocalDate(b.date));
+  if (races.length === 0) return null;
+
+  // Distance from the route file where there is one, else the official distance
+  const distanceKm = races.reduce((sum, entry) => sum + (entry.routeData?.stats?.distance || getRaceDistanceKm(entry) || 0), 0);
+  const routeCount = races.filter(entry => entry.routeData?.stats).length;
+  const elevationGain = races.reduce((sum, entry) => sum + (entry.routeData?.stats?.elevationGain || 0), 0);
+
+  const distanceCounts = {};
+  races.forEach((entry) => {
+    const label = getDistanceLabel(entry);
+    if (label) distanceCounts[label] = (distanceCounts[label] || 0) + 1;
+  });
+
+  // One PR per distance - the year's best, improved on the record it went into the year with
+  const prs = records.categories
+    .map((category) => {
+      const first = category.history.findIndex(result => result.date?.getFullYear?.() === year);
+      if (first === -1) return null;
+      const best = category.history.filter(result => result.date?.getFullYear?.() === year).pop();
+      const before = category.history[first - 1];
+      return { ...best, improvement: before ? before.seconds - best.seconds : null, distance: category.distance };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.improvement || 0) - (a.improvement || 0))
+    .slice(0, MAX_PRS);
+
+  // Fastest average pace - multisport races mix swimming and cycling, so they're left out
+  const fastest = races
+    .filter(entry => !isMultisportRace(entry))
+    .map((entry) => {
+      const seconds = parseTimeToSeconds(entry.results?.finishTime);
+      const km = getRaceDistanceKm(entry) || entry.routeData?.stats?.distance;
+      return seconds && km ? { entry, seconds, secondsPerKm: seconds / km } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.secondsPerKm - b.secondsPerKm)[0] || null;
+
+  const medals = races
+    .map(entry => ({ entryId: entry.id, raceName: entry.raceName, src: getMedalImageSrc(entry) }))
+    .filter(medal => medal.src)
+    .slice(0, MAX_MEDALS);
+
+  const routes = races
+    .filter(entry => entry.routeData?.coordinates?.length > 1)
+    .map(entry => entry.routeData.coordinates);
+
+  return {
+    year,
+    races,
+    raceCount: races.length,
+    dnfCount: yearEntries.filter(entry => getRaceStatus(entry) === 'dnf').length,
+    distanceKm,
+    elevationGain,
+    routeCount,
+    distances: Object.entries(distanceCounts)
+      .map(([label, count]) => ({ label, count }))
+      .sort((a, b) => b.count - a.count),
+    prs,
+    fastest,
+    mostTravelled: findMostTravelled(races, entries, profile),
+    medals,
+    routes,
+    nextYearRaces: entries.filter(entry => getYear(entry) === year + 1 && getRaceStatus(entry) === 'registered').length,
+  };
+}
+
+/**
+ * The story's cards, leaving out the ones there's nothing to show on
+ * @returns {Array} - Card types in order: 'intro', 'races', 'distance', 'prs', 'fastest', 'travel', 'medals', 'map', 'outro'
+ */
+export function getStoryCards(review) {
+  if (!review) return [];
+  return [
+    'intro',
+    'races',
+    review.distanceKm > 0 && 'distance',
+    review.prs.length > 0 && 'prs',
+    review.fastest && 'fastest',
+    review.mostTravelled && 'travel',
+    review.medals.length > 0 && 'medals',
+    review.routes.length > 0 && 'map',
+    'outro',
+  ].filter(Boolean);
+}
@@ -4,12 +4,15 @@ import { BrowserRouter } from 'react-router-dom'
 import './index.css'
 import App from './App.jsx'
 import { AuthProvider } from './contexts/AuthContext'
+import { UnitsProvider } from './contexts/UnitsContext'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <BrowserRouter>
       <AuthProvider>
-        <App />
+        <UnitsProvider>
+          <App />
+        </UnitsProvider>
       </AuthProvider>
     </BrowserRouter>
   </StrictMode>,